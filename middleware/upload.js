@@ -0,0 +1,24 @@
+const multer = require('multer');
+
+// Read one uploaded file in `field` into memory as `req.file`. Upload problems such as a file
+// over `maxBytes` get a 400 rather than reaching the error handler.
+const singleUpload = (field, maxBytes) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) return next();
+      res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Files must be at most ${(maxBytes / (1024 * 1024)).toFixed(1)} MB`
+          : error.message
+      });
+    });
+  };
+};
+
+module.exports = { singleUpload };
@@ -0,0 +1,75 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Session, Order } = require('../models');
+
+// Adds orders.session_id and links existing orders to the session that was running
+// at their table when they were placed. Safe to run more than once.
+const up = async () => {
+  const queryInterface = sequelize.getQueryInterface();
+  const columns = await queryInterface.describeTable('orders');
+
+  if (!columns.session_id) {
+    await queryInterface.addColumn('orders', 'session_id', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'sessions',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+  }
+
+  // Backfill with the old timestamp window; orders already linked are left alone. Only the
+  // columns the sessions table had before this migration are read.
+  const sessions = await Session.findAll({
+    attributes: ['id', 'table_id', 'start_time', 'end_time'],
+    order: [['start_time', 'ASC']]
+  });
+  let linked = 0;
+
+  for (const session of sessions) {
+    const [count] = await Order.update(
+      { session_id: session.id },
+      {
+        where: {
+          session_id: null,
+          table_id: session.table_id,
+          created_at: {
+            [Op.gte]: session.start_time,
+            [Op.lte]: session.end_time || new Date()
+          }
+        }
+      }
+    );
+    linked += count;
+  }
+
+  return linked;
+};
+
+const down = async () => {
+  const queryInterface = sequelize.getQueryInterface();
+  const columns = await queryInterface.describeTable('orders');
+
+  if (columns.session_id) {
+    await queryInterface.removeColumn('orders', 'session_id');
+  }
+};
+
+if (require.main === module) {
+  const run = process.argv[2] === 'down' ? down : up;
+
+  run()
+    .then((linked) => {
+      if (linked !== undefined) console.log(`Linked ${linked} orders to sessions`);
+      return sequelize.close();
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { up, down };
@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Category, Subcategory, MenuItem } = require('../models');
+
+// The categories the menu_items.category enum allowed, in menu order
+const ENUM_CATEGORIES = ['Food', 'Drinks', 'Games', 'Beverages', 'Mixed'];
+
+// Most common value in a list, or null for an empty one
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  counts.forEach((count, value) => {
+    if (best === null || count > counts.get(best)) best = value;
+  });
+  return best;
+};
+
+// Turns menu_items.category from an enum into a string and creates the categories and
+// subcategories tables, seeded from the old enum and the categories and subcategories
+// menu items already use. Each gets the printer most of its items use as its default.
+// Safe to run more than once.
+const up = async () => {
+  const queryInterface = sequelize.getQueryInterface();
+  const columns = await queryInterface.describeTable('menu_items');
+
+  if (columns.category && columns.category.type.startsWith('ENUM')) {
+    await queryInterface.changeColumn('menu_items', 'category', {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    });
+  }
+
+  await Category.sync();
+  await Subcategory.sync();
+
+  const menuItems = await MenuItem.findAll({ attributes: ['category', 'subcategory', 'printer'] });
+  const names = [...new Set([...ENUM_CATEGORIES, ...menuItems.map(menuItem => menuItem.category)])];
+  let created = 0;
+
+  for (const [index, name] of names.entries()) {
+    const items = menuItems.filter(menuItem => menuItem.category === name);
+    const [category, isNew] = await Category.findOrCreate({
+      where: { name },
+      defaults: {
+        sort_order: index,
+        default_printer: mostCommon(items.map(menuItem => menuItem.printer))
+      }
+    });
+    if (isNew) created++;
+
+    const subcategoryNames = [...new Set(items.map(menuItem => menuItem.subcategory))].sort();
+    for (const [subIndex, subName] of subcategoryNames.entries()) {
+      const subItems = items.filter(menuItem => menuItem.subcategory === subName);
+      const [, isNewSub] = await Subcategory.findOrCreate({
+        where: { category_id: category.id, name: subName },
+        defaults: {
+          sort_order: subIndex,
+          default_printer: mostCommon(subItems.map(menuItem => menuItem.printer))
+        }
+      });
+      if (isNewSub) created++;
+    }
+  }
+
+  return created;
+};
+
+const down = async () => {
+  const queryInterface = sequelize.getQueryInterface();
+
+  await queryInterface.dropTable('subcategories');
+  await queryInterface.dropTable('categories');
+  await queryInterface.changeColumn('menu_items', 'category', {
+    type: DataTypes.ENUM(...ENUM_CATEGORIES),
+    allowNull: false
+  });
+};
+
+if (require.main === module) {
+  const run = process.argv[2] === 'down' ? down : up;
+
+  run()
+    .then((created) => {
+      if (created !== undefined) console.log(`Created ${created} categories and subcategories`);
+      return sequelize.close();
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { up, down };
@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const BillingPolicy = sequelize.define('BillingPolicy', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Null is the default policy for table types without their own
+  table_type: {
+    type: DataTypes.ENUM('Snooker', 'Pool', 'PlayStation', 'Restaurant', 'Dining', 'Food'),
+    allowNull: true,
+    unique: true
+  },
+  // Least time billed once a session is charged at all
+  minimum_minutes: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  // Time is billed in blocks of this many minutes
+  block_minutes: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  // Minutes into a new block that are not charged
+  grace_minutes: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  rounding_mode: {
+    type: DataTypes.ENUM('up', 'nearest', 'down'),
+    defaultValue: 'up'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'billing_policies'
+});
+
+module.exports = BillingPolicy;
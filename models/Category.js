@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Top-level menu category; menu items name it in `category`
+const Category = sequelize.define('Category', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // Icon name shown by the frontend
+  icon: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  // Lower numbers come first on the menu
+  sort_order: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Printer for new items in the category when neither they nor their subcategory set one
+  default_printer: {
+    type: DataTypes.ENUM('Kitchen Printer', 'Bar Printer', 'Main Printer', 'Game Zone Printer'),
+    allowNull: true
+  },
+  // Items in inactive categories stay on file but cannot be ordered
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'categories'
+});
+
+module.exports = Category;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A stocked ingredient or product (e.g. a bottled beer), used by menu item recipes
+const Ingredient = sequelize.define('Ingredient', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // Unit stock and recipe quantities are counted in
+  unit: {
+    type: DataTypes.ENUM('pcs', 'bottle', 'can', 'g', 'kg', 'ml', 'l', 'portion'),
+    allowNull: false,
+    defaultValue: 'pcs'
+  },
+  stock: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Stock at or below this raises a low-stock alert
+  low_stock_threshold: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: false,
+    defaultValue: 0
+  },
+  cost_per_unit: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'ingredients'
+});
+
+// Instance method to check whether stock has fallen to the alert level
+Ingredient.prototype.isLowStock = function() {
+  return parseFloat(this.stock) <= parseFloat(this.low_stock_threshold);
+};
+
+module.exports = Ingredient;
@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Kitchen order ticket: the items of one order sent to one station in one go
+const Kot = sequelize.define('Kot', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  kot_number: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  // Station the ticket goes to, as routed by MenuItem.printer
+  station: {
+    type: DataTypes.ENUM('Kitchen Printer', 'Bar Printer', 'Main Printer', 'Game Zone Printer'),
+    allowNull: false
+  },
+  // 'amendment' tickets carry changes to items already sent rather than new items
+  type: {
+    type: DataTypes.ENUM('order', 'amendment'),
+    defaultValue: 'order'
+  },
+  // Amendment lines: [{ action: 'change' | 'cancel', order_item_id, name, from_quantity, to_quantity, special_instructions }]
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // 1 for the order's first ticket at the station, counting up for additional KOTs
+  sequence: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1
+  },
+  is_additional: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Rush tickets are shown first on the kitchen display
+  is_rush: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // open until the station bumps it
+  status: {
+    type: DataTypes.ENUM('open', 'bumped', 'cancelled'),
+    defaultValue: 'open'
+  },
+  bumped_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  bumped_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'kots',
+  hooks: {
+    beforeCreate: async (kot) => {
+      if (!kot.kot_number) {
+        const date = new Date();
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+        kot.kot_number = `KOT-${year}${month}${day}-${random}`;
+      }
+    }
+  }
+});
+
+module.exports = Kot;
@@ -18,8 +18,9 @@ const MenuItem = sequelize.define('MenuItem', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  // Name of a Category, and of one of its Subcategories
   category: {
-    type: DataTypes.ENUM('Food', 'Drinks', 'Games', 'Beverages', 'Mixed'),
+    type: DataTypes.STRING(50),
     allowNull: false
   },
   subcategory: {
@@ -37,6 +38,29 @@ const MenuItem = sequelize.define('MenuItem', {
     type: DataTypes.STRING(255),
     allowNull: true
   },
+  // Small version of an uploaded image, for menus and lists
+  image_thumbnail: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Tax profile override; null uses the profiles matching the category
+  tax_profile_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'tax_profiles',
+      key: 'id'
+    }
+  },
+  // Serving schedule for this item; null follows the schedules of its subcategory
+  schedule_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'menu_schedules',
+      key: 'id'
+    }
+  },
   // Printer routing
   printer: {
     type: DataTypes.ENUM('Kitchen Printer', 'Bar Printer', 'Main Printer', 'Game Zone Printer'),
@@ -52,6 +76,43 @@ const MenuItem = sequelize.define('MenuItem', {
     type: DataTypes.JSON,
     defaultValue: []
   },
+  // Modifier groups chosen when ordering (size, spice level, add-ons):
+  // [{ name, required, min, max, options: [{ name, price }] }], `price` added per unit
+  modifier_groups: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  // Bundles sell other menu items and/or table time at one price
+  is_bundle: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Menu items in the bundle: [{ menu_item_id, quantity }]
+  bundle_items: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  // Table time included in the bundle, credited to the session it is ordered for
+  bundle_table_minutes: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Table type the included time is for; null for any table
+  bundle_table_type: {
+    type: DataTypes.ENUM('Snooker', 'Pool', 'PlayStation', 'Restaurant', 'Dining', 'Food'),
+    allowNull: true
+  },
+  // Ingredients used per unit sold: [{ ingredient_id, quantity }]
+  recipe: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  // Set when the item was made unavailable because an ingredient ran out, so it comes back
+  // on its own once restocked
+  out_of_stock: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
   // Nutritional info
   nutritional_info: {
     type: DataTypes.JSON,
@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// When part of the menu can be ordered, e.g. a breakfast menu or weekend-only specials
+const MenuSchedule = sequelize.define('MenuSchedule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  // Weekdays the window starts on, 0 = Sunday; empty means every day
+  days: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  // Window as HH:MM; an end at or before the start runs past midnight (00:00-00:00 is all day)
+  start_time: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    defaultValue: '00:00'
+  },
+  end_time: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    defaultValue: '00:00'
+  },
+  // Subcategories served on this schedule; items can also be put on it with `schedule_id`
+  subcategories: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'menu_schedules'
+});
+
+module.exports = MenuSchedule;
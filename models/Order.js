@@ -24,6 +24,15 @@ const Order = sequelize.define('Order', {
     type: DataTypes.STRING(20),
     allowNull: false
   },
+  // Session running at the table when the order was placed (null for walk-up orders)
+  session_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'sessions',
+      key: 'id'
+    }
+  },
   customer_name: {
     type: DataTypes.STRING(100),
     allowNull: false
@@ -55,6 +64,10 @@ const Order = sequelize.define('Order', {
     allowNull: false,
     defaultValue: 0.00
   },
+  tax_breakdown: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
   discount: {
     type: DataTypes.DECIMAL(10, 2),
     defaultValue: 0.00
@@ -77,6 +90,10 @@ const Order = sequelize.define('Order', {
     type: DataTypes.ENUM('cash', 'card', 'upi', 'online'),
     allowNull: true
   },
+  refunded_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0.00
+  },
   // KOT info
   kot_printed: {
     type: DataTypes.BOOLEAN,
@@ -1,6 +1,14 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 
+// Timestamp field set when an item moves to each status
+const STATUS_TIMESTAMPS = {
+  preparing: 'preparing_at',
+  ready: 'ready_at',
+  served: 'served_at',
+  voided: 'voided_at'
+};
+
 const OrderItem = sequelize.define('OrderItem', {
   id: {
     type: DataTypes.INTEGER,
@@ -31,6 +39,11 @@ const OrderItem = sequelize.define('OrderItem', {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false
   },
+  // Modifiers chosen for the item, [{ group, option, price }]; `price` above includes them
+  modifiers: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
   quantity: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -39,16 +52,98 @@ const OrderItem = sequelize.define('OrderItem', {
       min: 1
     }
   },
+  // Tax
+  net_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Line amount excluding tax'
+  },
+  tax_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0.00
+  },
+  tax_breakdown: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
   special_instructions: {
     type: DataTypes.TEXT,
     allowNull: true
   },
   status: {
-    type: DataTypes.ENUM('pending', 'preparing', 'ready', 'served'),
+    type: DataTypes.ENUM('pending', 'preparing', 'ready', 'served', 'voided'),
     defaultValue: 'pending'
+  },
+  voided_quantity: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Bundle line: carries the bundle price and tax, while its components go to the kitchen
+  is_bundle: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Bundle line this item is a component of; components are priced at 0
+  bundle_item_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'order_items',
+      key: 'id'
+    }
+  },
+  // Table minutes included per unit of a bundle
+  table_minutes: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Ticket the item was sent to the kitchen on; null until it has been sent
+  kot_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'kots',
+      key: 'id'
+    }
+  },
+  // When the item reached each status, for preparation-time metrics
+  sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  preparing_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  ready_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  served_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  voided_at: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
-  tableName: 'order_items'
+  tableName: 'order_items',
+  hooks: {
+    // Stamp the time of every status change, whether one item or many are updated
+    beforeUpdate: (orderItem) => {
+      if (orderItem.changed('status') && STATUS_TIMESTAMPS[orderItem.status]) {
+        orderItem[STATUS_TIMESTAMPS[orderItem.status]] = new Date();
+      }
+    },
+    beforeBulkUpdate: (options) => {
+      const field = STATUS_TIMESTAMPS[options.attributes.status];
+      if (field && !options.attributes[field]) {
+        options.attributes[field] = new Date();
+        options.fields.push(field);
+      }
+    }
+  }
 });
 
 module.exports = OrderItem;
\ No newline at end of file
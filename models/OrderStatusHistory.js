@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One status change of an order, or of one of its items when order_item_id is set
+const OrderStatusHistory = sequelize.define('OrderStatusHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  order_item_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'order_items',
+      key: 'id'
+    }
+  },
+  // null for the status an order or item is created with
+  from_status: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  to_status: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  // null when the change followed from other changes, e.g. an order becoming ready with its items
+  changed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  note: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'order_status_history',
+  updatedAt: false
+});
+
+module.exports = OrderStatusHistory;
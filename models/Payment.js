@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Payment = sequelize.define('Payment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  payment_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  session_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'sessions',
+      key: 'id'
+    }
+  },
+  payer_name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  // Cash handed over beyond the amount applied to the bill
+  tendered: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  change_due: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0.00
+  },
+  payment_method: {
+    type: DataTypes.ENUM('cash', 'card', 'upi', 'online'),
+    allowNull: false
+  },
+  // How this payer's share was worked out
+  split_type: {
+    type: DataTypes.ENUM('full', 'equal', 'custom', 'items'),
+    defaultValue: 'full'
+  },
+  // Order items this payer covered when splitting by items
+  order_item_ids: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Card slip or UPI transaction reference'
+  },
+  status: {
+    type: DataTypes.ENUM('completed', 'refunded'),
+    defaultValue: 'completed'
+  },
+  // Staff who received the payment
+  received_by: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'payments',
+  hooks: {
+    beforeCreate: async (payment) => {
+      if (!payment.payment_id) {
+        const date = new Date();
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+        payment.payment_id = `PAY-${year}${month}${day}-${random}`;
+      }
+    }
+  }
+});
+
+module.exports = Payment;
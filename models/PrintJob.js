@@ -0,0 +1,131 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const PrintJob = sequelize.define('PrintJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  job_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  type: {
+    type: DataTypes.ENUM('kot', 'receipt', 'test'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sent', 'failed', 'cancelled'),
+    defaultValue: 'pending'
+  },
+  // Short label for the print history, e.g. 'KOT ORD-20261019-0001 (Kitchen Printer)'
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Printer the job was sent to, or will be tried on first
+  printer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'printers',
+      key: 'id'
+    }
+  },
+  // Rendered ESC/POS bytes, kept so the job can be retried and reprinted exactly
+  data: {
+    type: DataTypes.BLOB('medium'),
+    allowNull: false
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  session_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'sessions',
+      key: 'id'
+    }
+  },
+  kot_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'kots',
+      key: 'id'
+    }
+  },
+  // Retries
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  max_attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 5
+  },
+  // Whether a failed attempt may move on to the printer's backup
+  allow_failover: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  next_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_error: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Job this one reprints
+  reprint_of: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'print_jobs',
+      key: 'id'
+    }
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'print_jobs',
+  hooks: {
+    beforeCreate: async (printJob) => {
+      if (!printJob.job_id) {
+        const date = new Date();
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+        printJob.job_id = `PJ-${year}${month}${day}-${random}`;
+      }
+    }
+  }
+});
+
+// Instance method to serialise without the raw print bytes
+PrintJob.prototype.toJSON = function() {
+  const { data, ...values } = this.get();
+  return { ...values, size: data ? data.length : 0 };
+};
+
+module.exports = PrintJob;
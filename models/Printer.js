@@ -23,10 +23,33 @@ const Printer = sequelize.define('Printer', {
     type: DataTypes.INTEGER,
     allowNull: true
   },
+  // Characters per line: 48 for 80mm paper, 32 for 58mm
+  line_width: {
+    type: DataTypes.INTEGER,
+    defaultValue: 48
+  },
   status: {
     type: DataTypes.ENUM('online', 'offline', 'error'),
     defaultValue: 'offline'
   },
+  // Why the last print failed, cleared by the next successful print
+  last_error: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  last_printed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Printer that takes over this printer's jobs when it fails
+  backup_printer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'printers',
+      key: 'id'
+    }
+  },
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RateCard = sequelize.define('RateCard', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Null applies to every table type
+  table_type: {
+    type: DataTypes.ENUM('Snooker', 'Pool', 'PlayStation', 'Restaurant', 'Dining', 'Food'),
+    allowNull: true
+  },
+  // Weekdays the band starts on, 0 = Sunday; empty means every day
+  days: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  // Time band as HH:MM; an end at or before the start runs past midnight (00:00-00:00 is all day)
+  start_time: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    defaultValue: '00:00'
+  },
+  end_time: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    defaultValue: '00:00'
+  },
+  // Holiday override: when set, the card only applies on these dates (YYYY-MM-DD) and beats weekly cards
+  dates: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  hourly_rate: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  // Higher priority wins when cards overlap
+  priority: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'rate_cards'
+});
+
+module.exports = RateCard;
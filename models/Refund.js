@@ -0,0 +1,108 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const REASON_CODES = [
+  'customer_complaint',
+  'wrong_item',
+  'quality_issue',
+  'long_wait',
+  'duplicate_charge',
+  'overcharge',
+  'customer_cancelled',
+  'staff_error',
+  'other'
+];
+
+const Refund = sequelize.define('Refund', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  refund_id: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  // 'void' removes charges before payment, 'refund' returns money after payment
+  type: {
+    type: DataTypes.ENUM('void', 'refund'),
+    allowNull: false
+  },
+  scope: {
+    type: DataTypes.ENUM('full', 'partial', 'item'),
+    allowNull: false
+  },
+  session_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'sessions',
+      key: 'id'
+    }
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  order_item_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'order_items',
+      key: 'id'
+    }
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  reason_code: {
+    type: DataTypes.ENUM(...REASON_CODES),
+    allowNull: false
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  refund_method: {
+    type: DataTypes.ENUM('cash', 'card', 'upi', 'online'),
+    allowNull: true
+  },
+  // Staff who issued the refund or void
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'refunds',
+  hooks: {
+    beforeCreate: async (refund) => {
+      if (!refund.refund_id) {
+        const date = new Date();
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+        refund.refund_id = `REF-${year}${month}${day}-${random}`;
+      }
+    }
+  }
+});
+
+Refund.REASON_CODES = REASON_CODES;
+
+module.exports = Refund;
@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { STANDARD_BAND, splitIntoBands } = require('../utils/rateCards');
+const { DEFAULT_POLICY, roundBillableMinutes } = require('../utils/billingPolicies');
 
 const Session = sequelize.define('Session', {
   id: {
@@ -24,6 +26,11 @@ const Session = sequelize.define('Session', {
     type: DataTypes.STRING(20),
     allowNull: false
   },
+  // Type of the current table, used to pick rate cards
+  table_type: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
   customer_name: {
     type: DataTypes.STRING(100),
     allowNull: false
@@ -47,12 +54,56 @@ const Session = sequelize.define('Session', {
     defaultValue: 0,
     comment: 'Duration in minutes'
   },
+  // Booking
+  booked_duration: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Booked duration in minutes, null for open-ended sessions'
+  },
+  planned_end_time: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   // Pricing
   hourly_rate: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
     defaultValue: 0.00
   },
+  overtime_rate: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Hourly rate for time played past the planned end'
+  },
+  overtime_duration: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Overtime in minutes'
+  },
+  overtime_cost: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0.00
+  },
+  // Per-table, per-rate-band breakdown of the time charge, stored when the session ends
+  time_charges: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  // Billing policy (block size, grace, minimum, rounding) the time was rounded with, stored when the session ends
+  billing_policy: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // One-off charge on top of time, e.g. a table group's fixed rate
+  fixed_charge: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0.00
+  },
+  // Table minutes already paid for by bundles ordered during the session; billed at 0
+  prepaid_minutes: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
   session_cost: {
     type: DataTypes.DECIMAL(10, 2),
     defaultValue: 0.00
@@ -70,6 +121,10 @@ const Session = sequelize.define('Session', {
     type: DataTypes.DECIMAL(10, 2),
     defaultValue: 0.00
   },
+  tax_breakdown: {
+    type: DataTypes.JSON,
+    defaultValue: {}
+  },
   service_fee: {
     type: DataTypes.DECIMAL(10, 2),
     defaultValue: 0.00
@@ -84,13 +139,21 @@ const Session = sequelize.define('Session', {
   },
   // Payment
   payment_status: {
-    type: DataTypes.ENUM('unpaid', 'paid', 'refunded'),
+    type: DataTypes.ENUM('unpaid', 'partially_paid', 'paid', 'refunded'),
     defaultValue: 'unpaid'
   },
   payment_method: {
-    type: DataTypes.ENUM('cash', 'card', 'upi', 'online'),
+    type: DataTypes.ENUM('cash', 'card', 'upi', 'online', 'split'),
     allowNull: true
   },
+  amount_paid: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0.00
+  },
+  refunded_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0.00
+  },
   // Session status
   status: {
     type: DataTypes.ENUM('active', 'paused', 'completed', 'cancelled'),
@@ -101,6 +164,22 @@ const Session = sequelize.define('Session', {
     type: DataTypes.JSON,
     defaultValue: []
   },
+  // Pause ledger: [{ paused_at, resumed_at, paused_by, resumed_by }]
+  paused_intervals: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  paused_duration: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Paused time in minutes'
+  },
+  // Table ledger once the session has moved or run as a group:
+  // [{ table_id, table_number, table_type, table_group_id, table_ids, hourly_rate, overtime_rate, started_at, ended_at, transferred_by, reason }]
+  table_segments: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
   // Staff who created the session
   created_by: {
     type: DataTypes.INTEGER,
@@ -110,6 +189,15 @@ const Session = sequelize.define('Session', {
       key: 'id'
     }
   },
+  // Table group the session is currently running across, null once split
+  table_group_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'table_groups',
+      key: 'id'
+    }
+  },
   // Smart plug control
   plug_controlled: {
     type: DataTypes.BOOLEAN,
@@ -131,4 +219,242 @@ const Session = sequelize.define('Session', {
   }
 });
 
+// Total paused time in milliseconds between `from` and `asOf`; an open interval counts until `asOf`
+const pausedMilliseconds = (intervals, asOf, from = null) => {
+  return (intervals || []).reduce((sum, interval) => {
+    const pausedAt = new Date(interval.paused_at);
+    const resumedAt = interval.resumed_at ? new Date(interval.resumed_at) : asOf;
+    const windowStart = from ? Math.max(pausedAt, from) : pausedAt;
+    return sum + Math.max(0, Math.min(resumedAt, asOf) - windowStart);
+  }, 0);
+};
+
+// Instance method to get paused minutes
+Session.prototype.getPausedMinutes = function(asOf = new Date()) {
+  return Math.floor(pausedMilliseconds(this.paused_intervals, asOf) / (1000 * 60));
+};
+
+// Instance method to get played minutes (elapsed time minus paused time), unrounded
+Session.prototype.getPlayedMinutes = function(asOf = new Date()) {
+  const elapsed = asOf - new Date(this.start_time);
+  const paused = pausedMilliseconds(this.paused_intervals, asOf);
+  return Math.max(0, (elapsed - paused) / (1000 * 60));
+};
+
+// Instance method to get billable minutes: played minutes rounded by the billing policy
+Session.prototype.getBillableMinutes = function(asOf = new Date(), billingPolicy = DEFAULT_POLICY) {
+  return roundBillableMinutes(this.getPlayedMinutes(asOf), billingPolicy);
+};
+
+// Instance method to get extension minutes
+Session.prototype.getExtensionMinutes = function() {
+  return (this.extensions || []).reduce((sum, extension) => sum + (parseInt(extension.extendedBy) || 0), 0);
+};
+
+// Instance method to get planned (booked + extended) minutes, null for open-ended sessions
+Session.prototype.getPlannedMinutes = function() {
+  if (!this.booked_duration) return null;
+  return this.booked_duration + this.getExtensionMinutes();
+};
+
+// Instance method to get the planned end time; paused time pushes it forward
+Session.prototype.getPlannedEndTime = function(asOf = new Date()) {
+  const plannedMinutes = this.getPlannedMinutes();
+  if (plannedMinutes === null) return null;
+  const paused = pausedMilliseconds(this.paused_intervals, asOf);
+  return new Date(new Date(this.start_time).getTime() + plannedMinutes * 60 * 1000 + paused);
+};
+
+// Instance method to get the tables this session has run on; a session that never moved has one segment
+Session.prototype.getTableSegments = function() {
+  if (this.table_segments && this.table_segments.length > 0) return this.table_segments;
+  return [{
+    table_id: this.table_id,
+    table_number: this.table_number,
+    table_type: this.table_type,
+    table_group_id: this.table_group_id,
+    hourly_rate: this.hourly_rate,
+    overtime_rate: this.overtime_rate,
+    started_at: this.start_time,
+    ended_at: null
+  }];
+};
+
+// Instance method to split billable time into booked and overtime charges, per table and rate band.
+// Booked time is used up first, so overtime falls on the time played last. Without rate cards
+// (or on a table group) each table bills at its own rate. Time added or dropped by the
+// billing policy's rounding is taken from the last bands played.
+Session.prototype.calculateCharges = function(asOf = new Date(), rateCards = [], billingPolicy = DEFAULT_POLICY) {
+  const playedMinutes = this.getPlayedMinutes(asOf);
+  const billableMinutes = this.getBillableMinutes(asOf, billingPolicy);
+  const plannedMinutes = this.getPlannedMinutes();
+  const hourlyRate = parseFloat(this.hourly_rate) || 0;
+  const overtimeRate = this.overtime_rate !== null && this.overtime_rate !== undefined
+    ? parseFloat(this.overtime_rate)
+    : hourlyRate;
+
+  const overtimeMinutes = plannedMinutes === null ? 0 : Math.max(0, billableMinutes - plannedMinutes);
+  const regularMinutes = billableMinutes - overtimeMinutes;
+
+  // Unpaused minutes in each rate band of each table, in play order
+  const segments = this.getTableSegments();
+  const pieces = [];
+  segments.forEach((segment, index) => {
+    const startedAt = new Date(segment.started_at);
+    const endedAt = segment.ended_at ? new Date(Math.min(new Date(segment.ended_at), asOf)) : asOf;
+    const segmentHourlyRate = parseFloat(segment.hourly_rate) || 0;
+    const segmentOvertimeRate = segment.overtime_rate !== null && segment.overtime_rate !== undefined
+      ? parseFloat(segment.overtime_rate)
+      : segmentHourlyRate;
+    // Overtime keeps the table's premium over whichever band rate applies
+    const overtimeMultiplier = segmentHourlyRate > 0 ? segmentOvertimeRate / segmentHourlyRate : 1;
+
+    const bands = segment.table_group_id
+      ? [{ start: startedAt, end: endedAt, card: null }]
+      : splitIntoBands(rateCards, segment.table_type, startedAt, endedAt);
+
+    bands.forEach(band => {
+      const playedMs = band.end - band.start - pausedMilliseconds(this.paused_intervals, band.end, band.start);
+      pieces.push({
+        segment: index,
+        name: band.card ? band.card.name : STANDARD_BAND,
+        rate_card_id: band.card ? band.card.id : null,
+        start: band.start,
+        end: band.end,
+        minutes: Math.max(0, playedMs) / (1000 * 60),
+        hourly_rate: band.card ? parseFloat(band.card.hourly_rate) : segmentHourlyRate,
+        overtime_rate: band.card ? parseFloat(band.card.hourly_rate) * overtimeMultiplier : segmentOvertimeRate
+      });
+    });
+  });
+
+  // The last band absorbs any round-up; a round-down works back from the last band
+  const pieceMinutes = pieces.reduce((sum, piece) => sum + piece.minutes, 0);
+  let adjustment = billableMinutes - pieceMinutes;
+  for (let i = pieces.length - 1; i >= 0 && adjustment !== 0; i--) {
+    const change = Math.max(adjustment, -pieces[i].minutes);
+    pieces[i].minutes += change;
+    adjustment -= change;
+  }
+
+  // Minutes prepaid by bundles are the first ones played, and are not charged again
+  let remainingRegular = regularMinutes;
+  let remainingPrepaid = Math.min(parseInt(this.prepaid_minutes) || 0, billableMinutes);
+  const bands = pieces.map(piece => {
+    const bandRegular = Math.min(piece.minutes, remainingRegular);
+    const bandOvertime = piece.minutes - bandRegular;
+    remainingRegular -= bandRegular;
+
+    const prepaidRegular = Math.min(bandRegular, remainingPrepaid);
+    const prepaidOvertime = Math.min(bandOvertime, remainingPrepaid - prepaidRegular);
+    remainingPrepaid -= prepaidRegular + prepaidOvertime;
+
+    const regularCost = ((bandRegular - prepaidRegular) / 60) * piece.hourly_rate;
+    const overtimeCost = ((bandOvertime - prepaidOvertime) / 60) * piece.overtime_rate;
+
+    return {
+      ...piece,
+      minutes: Math.round(piece.minutes * 100) / 100,
+      regular_minutes: Math.round(bandRegular * 100) / 100,
+      overtime_minutes: Math.round(bandOvertime * 100) / 100,
+      prepaid_minutes: Math.round((prepaidRegular + prepaidOvertime) * 100) / 100,
+      regular_cost: regularCost,
+      overtime_cost: overtimeCost,
+      cost: regularCost + overtimeCost
+    };
+  });
+
+  const sum = (list, key) => list.reduce((total, item) => total + item[key], 0);
+  const tableCharges = segments.map((segment, index) => {
+    const segmentBands = bands.filter(band => band.segment === index);
+
+    return {
+      table_id: segment.table_id,
+      table_number: segment.table_number,
+      table_type: segment.table_type || null,
+      table_group_id: segment.table_group_id || null,
+      table_ids: segment.table_ids || [segment.table_id],
+      started_at: segment.started_at,
+      ended_at: segment.ended_at,
+      minutes: Math.round(sum(segmentBands, 'minutes') * 100) / 100,
+      regular_minutes: Math.round(sum(segmentBands, 'regular_minutes') * 100) / 100,
+      overtime_minutes: Math.round(sum(segmentBands, 'overtime_minutes') * 100) / 100,
+      prepaid_minutes: Math.round(sum(segmentBands, 'prepaid_minutes') * 100) / 100,
+      hourly_rate: parseFloat(segment.hourly_rate) || 0,
+      overtime_rate: segment.overtime_rate !== null && segment.overtime_rate !== undefined
+        ? parseFloat(segment.overtime_rate)
+        : parseFloat(segment.hourly_rate) || 0,
+      regular_cost: sum(segmentBands, 'regular_cost'),
+      overtime_cost: sum(segmentBands, 'overtime_cost'),
+      cost: sum(segmentBands, 'cost'),
+      bands: segmentBands.map((segmentBand) => {
+        const band = { ...segmentBand };
+        delete band.segment;
+        return band;
+      })
+    };
+  });
+
+  const regularCost = sum(tableCharges, 'regular_cost');
+  const overtimeCost = sum(tableCharges, 'overtime_cost');
+  const fixedCharge = parseFloat(this.fixed_charge) || 0;
+
+  return {
+    played_minutes: Math.round(playedMinutes * 100) / 100,
+    billable_minutes: billableMinutes,
+    billing_policy: {
+      table_type: billingPolicy.table_type || null,
+      minimum_minutes: billingPolicy.minimum_minutes,
+      block_minutes: billingPolicy.block_minutes,
+      grace_minutes: billingPolicy.grace_minutes,
+      rounding_mode: billingPolicy.rounding_mode
+    },
+    paused_minutes: this.getPausedMinutes(asOf),
+    booked_minutes: this.booked_duration || null,
+    extension_minutes: this.getExtensionMinutes(),
+    planned_minutes: plannedMinutes,
+    planned_end_time: this.getPlannedEndTime(asOf),
+    regular_minutes: regularMinutes,
+    overtime_minutes: overtimeMinutes,
+    prepaid_minutes: Math.round(sum(bands, 'prepaid_minutes') * 100) / 100,
+    hourly_rate: hourlyRate,
+    overtime_rate: overtimeRate,
+    regular_cost: regularCost,
+    overtime_cost: overtimeCost,
+    fixed_charge: fixedCharge,
+    session_cost: regularCost + overtimeCost + fixedCharge,
+    table_charges: tableCharges
+  };
+};
+
+// Instance method to close the open pause interval, if any
+Session.prototype.closePauseInterval = function(resumedAt = new Date(), userId = null) {
+  return (this.paused_intervals || []).map(interval => (
+    interval.resumed_at ? interval : { ...interval, resumed_at: resumedAt, resumed_by: userId }
+  ));
+};
+
+// Instance method to move the session onto another table: closes the current table segment and opens a new one
+Session.prototype.moveToTable = function(table, overtimeRate, movedAt = new Date(), userId = null, reason = null) {
+  const segments = this.getTableSegments();
+  const closed = segments.map((segment, index) => (
+    index === segments.length - 1 ? { ...segment, ended_at: movedAt } : segment
+  ));
+
+  return [
+    ...closed,
+    {
+      table_id: table.id,
+      table_number: table.table_number,
+      table_type: table.type,
+      hourly_rate: table.hourly_rate,
+      overtime_rate: overtimeRate,
+      started_at: movedAt,
+      ended_at: null,
+      transferred_by: userId,
+      reason
+    }
+  ];
+};
+
 module.exports = Session;
\ No newline at end of file
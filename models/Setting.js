@@ -0,0 +1,24 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Business-wide settings by key, such as the logo
+const Setting = sequelize.define('Setting', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  key: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  value: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  tableName: 'settings'
+});
+
+module.exports = Setting;
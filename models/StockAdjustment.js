@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One change to an ingredient's stock: a sale, a return to stock, a delivery, wastage or a count
+const StockAdjustment = sequelize.define('StockAdjustment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  ingredient_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'ingredients',
+      key: 'id'
+    }
+  },
+  // Positive adds stock, negative takes it away
+  change: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: false
+  },
+  stock_after: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.ENUM('sale', 'return', 'purchase', 'wastage', 'count', 'correction'),
+    allowNull: false
+  },
+  // Order that sold (or returned) the stock
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  note: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'stock_adjustments',
+  updatedAt: false
+});
+
+module.exports = StockAdjustment;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Subcategory within a menu category; menu items name it in `subcategory`
+const Subcategory = sequelize.define('Subcategory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  category_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'categories',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  icon: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  sort_order: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Printer for new items in the subcategory; null uses the category's
+  default_printer: {
+    type: DataTypes.ENUM('Kitchen Printer', 'Bar Printer', 'Main Printer', 'Game Zone Printer'),
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'subcategories',
+  indexes: [
+    {
+      unique: true,
+      fields: ['category_id', 'name']
+    }
+  ]
+});
+
+module.exports = Subcategory;
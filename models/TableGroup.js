@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const TableGroup = sequelize.define('TableGroup', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Tables merged by this group; the first one is the primary table the session is opened on
+  table_ids: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  // Rates are per table, as configured in the admin table setup
+  hourly_rate: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    validate: {
+      min: 0
+    }
+  },
+  fixed_rate: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    validate: {
+      min: 0
+    }
+  },
+  discount: {
+    type: DataTypes.DECIMAL(5, 2),
+    defaultValue: 0.00,
+    comment: 'Percentage off the group hourly rate'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'table_groups'
+});
+
+// Instance method to get the hourly rate for the whole group after discount
+TableGroup.prototype.getGroupHourlyRate = function() {
+  const tableCount = (this.table_ids || []).length;
+  const discount = parseFloat(this.discount) || 0;
+  return Math.round(parseFloat(this.hourly_rate) * tableCount * (1 - discount / 100) * 100) / 100;
+};
+
+// Instance method to get the one-off fixed charge for the whole group
+TableGroup.prototype.getGroupFixedCharge = function() {
+  return Math.round(parseFloat(this.fixed_rate) * (this.table_ids || []).length * 100) / 100;
+};
+
+module.exports = TableGroup;
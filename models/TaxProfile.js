@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const TaxProfile = sequelize.define('TaxProfile', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('tax', 'service_fee'),
+    allowNull: false,
+    defaultValue: 'tax'
+  },
+  // Rate components, e.g. [{ name: 'CGST', rate: 2.5 }, { name: 'SGST', rate: 2.5 }]
+  components: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  // Whether listed prices already include this tax
+  is_inclusive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Menu categories and/or 'Table Time' this profile applies to; empty applies to all
+  applies_to: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  // Service types this profile applies to; empty applies to all
+  service_types: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'tax_profiles'
+});
+
+module.exports = TaxProfile;
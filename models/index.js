@@ -7,6 +7,21 @@ const Session = require('./Session');
 const Reservation = require('./Reservation');
 const Device = require('./Device');
 const Printer = require('./Printer');
+const TaxProfile = require('./TaxProfile');
+const Payment = require('./Payment');
+const Refund = require('./Refund');
+const TableGroup = require('./TableGroup');
+const RateCard = require('./RateCard');
+const BillingPolicy = require('./BillingPolicy');
+const PrintJob = require('./PrintJob');
+const Kot = require('./Kot');
+const OrderStatusHistory = require('./OrderStatusHistory');
+const Ingredient = require('./Ingredient');
+const StockAdjustment = require('./StockAdjustment');
+const MenuSchedule = require('./MenuSchedule');
+const Setting = require('./Setting');
+const Category = require('./Category');
+const Subcategory = require('./Subcategory');
 
 // Define associations
 // User associations
@@ -24,15 +39,49 @@ Table.belongsTo(Session, { foreignKey: 'current_session_id', as: 'currentSession
 // Order associations
 Order.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
 Order.belongsTo(Table, { foreignKey: 'table_id', as: 'table' });
+Order.belongsTo(Session, { foreignKey: 'session_id', as: 'session' });
 Order.hasMany(OrderItem, { foreignKey: 'order_id', as: 'items' });
+Order.hasMany(Refund, { foreignKey: 'order_id', as: 'refunds' });
+Order.hasMany(Kot, { foreignKey: 'order_id', as: 'kots' });
+Order.hasMany(OrderStatusHistory, { foreignKey: 'order_id', as: 'statusHistory' });
 
 // OrderItem associations
 OrderItem.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
 OrderItem.belongsTo(MenuItem, { foreignKey: 'menu_item_id', as: 'menuItem' });
+OrderItem.belongsTo(Kot, { foreignKey: 'kot_id', as: 'kot' });
+OrderItem.belongsTo(OrderItem, { foreignKey: 'bundle_item_id', as: 'bundle' });
+OrderItem.hasMany(OrderItem, { foreignKey: 'bundle_item_id', as: 'components' });
+
+// OrderStatusHistory associations
+OrderStatusHistory.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+OrderStatusHistory.belongsTo(OrderItem, { foreignKey: 'order_item_id', as: 'orderItem' });
+OrderStatusHistory.belongsTo(User, { foreignKey: 'changed_by', as: 'changedBy' });
+
+// Kot associations
+Kot.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+Kot.hasMany(OrderItem, { foreignKey: 'kot_id', as: 'items' });
+Kot.hasMany(PrintJob, { foreignKey: 'kot_id', as: 'printJobs' });
+Kot.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+Kot.belongsTo(User, { foreignKey: 'bumped_by', as: 'bumper' });
 
 // Session associations
 Session.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
 Session.belongsTo(Table, { foreignKey: 'table_id', as: 'table' });
+Session.belongsTo(TableGroup, { foreignKey: 'table_group_id', as: 'tableGroup' });
+Session.hasMany(Order, { foreignKey: 'session_id', as: 'orders' });
+Session.hasMany(Payment, { foreignKey: 'session_id', as: 'payments' });
+
+Session.hasMany(Refund, { foreignKey: 'session_id', as: 'refunds' });
+
+// Payment associations
+Payment.belongsTo(Session, { foreignKey: 'session_id', as: 'session' });
+Payment.belongsTo(User, { foreignKey: 'received_by', as: 'receiver' });
+
+// Refund associations
+Refund.belongsTo(Session, { foreignKey: 'session_id', as: 'session' });
+Refund.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+Refund.belongsTo(OrderItem, { foreignKey: 'order_item_id', as: 'orderItem' });
+Refund.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
 
 // Reservation associations
 Reservation.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
@@ -41,8 +90,38 @@ Reservation.belongsTo(Table, { foreignKey: 'table_id', as: 'table' });
 // Device associations
 Device.belongsTo(Table, { foreignKey: 'table_id', as: 'table' });
 
+// Printer associations
+Printer.belongsTo(Printer, { foreignKey: 'backup_printer_id', as: 'backupPrinter' });
+Printer.hasMany(PrintJob, { foreignKey: 'printer_id', as: 'printJobs' });
+
+// PrintJob associations
+PrintJob.belongsTo(Printer, { foreignKey: 'printer_id', as: 'printer' });
+PrintJob.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+PrintJob.belongsTo(Session, { foreignKey: 'session_id', as: 'session' });
+PrintJob.belongsTo(Kot, { foreignKey: 'kot_id', as: 'kot' });
+PrintJob.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+PrintJob.belongsTo(PrintJob, { foreignKey: 'reprint_of', as: 'original' });
+
 // MenuItem associations
 MenuItem.hasMany(OrderItem, { foreignKey: 'menu_item_id', as: 'orderItems' });
+MenuItem.belongsTo(TaxProfile, { foreignKey: 'tax_profile_id', as: 'taxProfile' });
+MenuItem.belongsTo(MenuSchedule, { foreignKey: 'schedule_id', as: 'schedule' });
+
+// MenuSchedule associations
+MenuSchedule.hasMany(MenuItem, { foreignKey: 'schedule_id', as: 'menuItems' });
+
+// TaxProfile associations
+TaxProfile.hasMany(MenuItem, { foreignKey: 'tax_profile_id', as: 'menuItems' });
+
+// Menu category associations
+Category.hasMany(Subcategory, { foreignKey: 'category_id', as: 'subcategories' });
+Subcategory.belongsTo(Category, { foreignKey: 'category_id', as: 'category' });
+
+// Inventory associations
+Ingredient.hasMany(StockAdjustment, { foreignKey: 'ingredient_id', as: 'adjustments' });
+StockAdjustment.belongsTo(Ingredient, { foreignKey: 'ingredient_id', as: 'ingredient' });
+StockAdjustment.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+StockAdjustment.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
 
 module.exports = {
   User,
@@ -53,5 +132,20 @@ module.exports = {
   Session,
   Reservation,
   Device,
-  Printer
+  Printer,
+  TaxProfile,
+  Payment,
+  Refund,
+  TableGroup,
+  RateCard,
+  BillingPolicy,
+  PrintJob,
+  Kot,
+  OrderStatusHistory,
+  Ingredient,
+  StockAdjustment,
+  MenuSchedule,
+  Setting,
+  Category,
+  Subcategory
 };
\ No newline at end of file
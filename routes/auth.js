@@ -226,6 +226,21 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// Renew a still-valid token, so always-on screens such as the kitchen display stay signed in
+router.post('/refresh', auth, (req, res) => {
+  const token = jwt.sign(
+    { id: req.user.id, role: req.user.role },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+  );
+
+  res.json({
+    success: true,
+    message: 'Token refreshed',
+    data: { token }
+  });
+});
+
 // Logout (client-side token removal)
 router.post('/logout', auth, (req, res) => {
   res.json({
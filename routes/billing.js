@@ -1,7 +1,16 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { Session, Order, OrderItem, Table } = require('../models');
+const { Session, Order, Table, Payment, Refund, User, Printer } = require('../models');
 const { auth } = require('../middleware/auth');
+const { bundleSubtotal, calculateSessionTotals, findSessionOrders, applySessionRefund, sessionBalance } = require('../utils/sessionBilling');
+const { roundMoney } = require('../utils/taxEngine');
+const { equalSplit, customSplit, itemSplit } = require('../utils/splitBill');
+const { publish } = require('../utils/realtime');
+const { findPrinterFor } = require('../utils/printerDriver');
+const { enqueuePrintJob } = require('../utils/printQueue');
+const { renderReceipt } = require('../utils/escpos');
+const { rasterImage } = require('../utils/images');
+const { getSetting } = require('../utils/settings');
 
 const router = express.Router();
 
@@ -25,35 +34,18 @@ router.get('/session/:sessionId', auth, async (req, res) => {
     }
 
     // Get all orders for this session
-    const orders = await Order.findAll({
-      where: {
-        table_id: session.table_id,
-        created_at: {
-          [Op.gte]: session.start_time,
-          [Op.lte]: session.end_time || new Date()
-        }
-      },
-      include: [
-        {
-          model: OrderItem,
-          as: 'items',
-          include: [
-            {
-              model: MenuItem,
-              as: 'menuItem'
-            }
-          ]
-        }
-      ]
-    });
+    const orders = await findSessionOrders(session);
 
-    // Calculate current session cost if still active
-    let currentSessionCost = session.session_cost;
-    if (session.status === 'active') {
-      const currentTime = new Date();
-      const duration = Math.ceil((currentTime - session.start_time) / (1000 * 60)); // minutes
-      currentSessionCost = (duration / 60) * session.hourly_rate;
-    }
+    // Calculate current session cost and taxes if still running
+    const isRunning = ['active', 'paused'].includes(session.status);
+    const totals = await calculateSessionTotals(
+      session,
+      orders,
+      isRunning || !session.end_time ? new Date() : new Date(session.end_time)
+    );
+    const { charges } = totals;
+    const currentSessionCost = isRunning ? charges.session_cost : session.session_cost;
+    const discount = parseFloat(session.discount || 0);
 
     const bill = {
       session: {
@@ -62,13 +54,27 @@ router.get('/session/:sessionId', auth, async (req, res) => {
       },
       orders,
       summary: {
+        played_duration: charges.played_minutes,
+        billable_duration: charges.billable_minutes,
+        billing_policy: isRunning || !session.billing_policy ? charges.billing_policy : session.billing_policy,
+        paused_duration: charges.paused_minutes,
+        booked_duration: charges.booked_minutes,
+        extension_duration: charges.extension_minutes,
+        planned_end_time: charges.planned_end_time,
+        overtime_duration: charges.overtime_minutes,
+        booked_time_cost: charges.regular_cost,
+        overtime_cost: charges.overtime_cost,
+        overtime_rate: charges.overtime_rate,
+        fixed_charge: charges.fixed_charge,
+        table_charges: isRunning || !(session.time_charges || []).length ? charges.table_charges : session.time_charges,
         session_cost: currentSessionCost,
         orders_cost: orders.reduce((sum, order) => sum + parseFloat(order.total), 0),
-        subtotal: session.subtotal || 0,
-        tax: session.tax || 0,
-        service_fee: session.service_fee || 0,
-        discount: session.discount || 0,
-        total: session.total || 0
+        subtotal: isRunning ? totals.subtotal : session.subtotal || 0,
+        tax: isRunning ? totals.tax : session.tax || 0,
+        tax_breakdown: isRunning ? totals.tax_breakdown : session.tax_breakdown,
+        service_fee: isRunning ? totals.service_fee : session.service_fee || 0,
+        discount,
+        total: isRunning ? Math.max(0, totals.total - discount) : session.total || 0
       }
     };
 
@@ -128,20 +134,22 @@ router.post('/session/:sessionId/discount', auth, [
       });
     }
 
-    // Calculate discount amount
-    const subtotal = session.subtotal || 0;
+    // Calculate discount amount. Bundles are already sold at a deal price, so they are not
+    // discounted again.
+    const subtotal = parseFloat(session.subtotal || 0);
+    const discountable = Math.max(0, subtotal - bundleSubtotal(await findSessionOrders(session)));
     let discountAmount = 0;
     
     if (discount_type === 'percentage') {
-      discountAmount = (subtotal * discount_value) / 100;
+      discountAmount = roundMoney((discountable * discount_value) / 100);
     } else {
-      discountAmount = discount_value;
+      discountAmount = roundMoney(Math.min(parseFloat(discount_value), discountable));
     }
 
     // Recalculate total
-    const tax = session.tax || 0;
-    const serviceFee = session.service_fee || 0;
-    const newTotal = subtotal + tax + serviceFee - discountAmount;
+    const tax = parseFloat(session.tax || 0);
+    const serviceFee = parseFloat(session.service_fee || 0);
+    const newTotal = roundMoney(subtotal + tax + serviceFee - discountAmount);
 
     await session.update({
       discount: discountAmount,
@@ -166,10 +174,12 @@ router.post('/session/:sessionId/discount', auth, [
   }
 });
 
-// Process payment
+// Process payment (full or partial)
 router.post('/session/:sessionId/payment', auth, [
   body('payment_method').isIn(['cash', 'card', 'upi', 'online']).withMessage('Invalid payment method'),
-  body('amount_paid').isFloat({ min: 0 }).withMessage('Amount paid must be positive')
+  body('amount_paid').isFloat({ gt: 0 }).withMessage('Amount paid must be positive'),
+  body('split_type').optional().isIn(['full', 'equal', 'custom', 'items']).withMessage('Invalid split type'),
+  body('order_item_ids').optional().isArray().withMessage('order_item_ids must be an array')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -181,7 +191,7 @@ router.post('/session/:sessionId/payment', auth, [
       });
     }
 
-    const { payment_method, amount_paid } = req.body;
+    const { payment_method, amount_paid, payer_name, split_type, order_item_ids, reference } = req.body;
     const session = await Session.findByPk(req.params.sessionId, {
       include: [
         {
@@ -198,34 +208,45 @@ router.post('/session/:sessionId/payment', auth, [
       });
     }
 
-    if (session.payment_status === 'paid') {
+    if (['paid', 'refunded'].includes(session.payment_status)) {
       return res.status(400).json({
         success: false,
         message: 'Session already paid'
       });
     }
 
-    // Update session payment status
-    await session.update({
-      payment_status: 'paid',
-      payment_method
-    });
-
-    // If session is still active, end it
-    if (session.status === 'active') {
+    // If session is still running, end it so the bill is final
+    if (['active', 'paused'].includes(session.status)) {
       const endTime = new Date();
-      const duration = Math.ceil((endTime - session.start_time) / (1000 * 60)); // minutes
-      const sessionCost = (duration / 60) * session.hourly_rate;
+      const pausedIntervals = session.closePauseInterval(endTime, req.user.id);
+      session.paused_intervals = pausedIntervals;
+
+      const orders = await findSessionOrders(session);
+      const totals = await calculateSessionTotals(session, orders, endTime);
+      const { charges } = totals;
+      const discount = parseFloat(session.discount || 0);
 
       await session.update({
         end_time: endTime,
-        duration,
-        session_cost: sessionCost,
+        duration: charges.billable_minutes, // minutes, excluding paused time
+        paused_intervals: pausedIntervals,
+        paused_duration: charges.paused_minutes,
+        overtime_duration: charges.overtime_minutes,
+        overtime_cost: charges.overtime_cost,
+        time_charges: charges.table_charges,
+        billing_policy: charges.billing_policy,
+        session_cost: charges.session_cost,
+        total_order_cost: totals.total_order_cost,
+        subtotal: totals.subtotal,
+        tax: totals.tax,
+        tax_breakdown: totals.tax_breakdown,
+        service_fee: totals.service_fee,
+        total: Math.max(0, totals.total - discount),
         status: 'completed'
       });
 
-      // Update table status
-      await session.table.update({
+      // Update table status (every table of a merged group)
+      await Table.update({
         status: 'available',
         current_session_id: null,
         session_start_time: null,
@@ -233,30 +254,323 @@ router.post('/session/:sessionId/payment', auth, [
         customer_name: null,
         customer_phone: null,
         plug_status: 'offline'
+      }, {
+        where: { current_session_id: session.id }
+      });
+
+      publish('session.ended', { session });
+    }
+
+    const total = parseFloat(session.total || 0);
+    const refunded = parseFloat(session.refunded_amount || 0);
+    const balance = sessionBalance(session);
+    const tendered = parseFloat(amount_paid);
+
+    // Only cash can be over-tendered; the difference is returned as change
+    if (tendered > balance && payment_method !== 'cash') {
+      return res.status(400).json({
+        success: false,
+        message: `Amount exceeds the outstanding balance of ${balance.toFixed(2)}`
+      });
+    }
+
+    const applied = Math.min(tendered, balance);
+    const payment = await Payment.create({
+      session_id: session.id,
+      payer_name: payer_name || null,
+      amount: applied,
+      tendered,
+      change_due: roundMoney(tendered - applied),
+      payment_method,
+      split_type: split_type || (applied < balance ? 'custom' : 'full'),
+      order_item_ids: order_item_ids || [],
+      reference: reference || null,
+      received_by: req.user.id
+    });
+
+    const payments = await Payment.findAll({
+      where: { session_id: session.id, status: 'completed' }
+    });
+    const amountPaid = roundMoney(payments.reduce((sum, p) => sum + parseFloat(p.amount), 0));
+    const methods = [...new Set(payments.map(p => p.payment_method))];
+    // Money refunded while the bill was still open has to be paid again
+    const isPaid = roundMoney(amountPaid - refunded) >= total;
+
+    await session.update({
+      amount_paid: amountPaid,
+      payment_status: isPaid ? 'paid' : 'partially_paid',
+      payment_method: methods.length === 1 ? methods[0] : 'split'
+    });
+
+    // Mark all associated orders as paid once the balance is cleared
+    if (isPaid) {
+      await Order.update(
+        { payment_status: 'paid' },
+        { where: { session_id: session.id } }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: isPaid ? 'Payment processed successfully' : 'Partial payment recorded',
+      data: {
+        session,
+        payment,
+        balance: sessionBalance(session),
+        change_due: payment.change_due
+      }
+    });
+  } catch (error) {
+    console.error('Process payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get payments for a session
+router.get('/session/:sessionId/payments', auth, async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
       });
     }
 
-    // Mark all associated orders as paid
-    await Order.update(
-      { payment_status: 'paid' },
-      {
-        where: {
-          table_id: session.table_id,
-          created_at: {
-            [Op.gte]: session.start_time,
-            [Op.lte]: session.end_time || new Date()
-          }
+    const payments = await Payment.findAll({
+      where: { session_id: session.id },
+      include: [
+        {
+          model: User,
+          as: 'receiver',
+          attributes: ['id', 'name', 'username']
         }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+
+    const refunds = await Refund.findAll({
+      where: { session_id: session.id, type: 'refund' },
+      order: [['created_at', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        refunds,
+        total: session.total,
+        amount_paid: session.amount_paid,
+        refunded_amount: session.refunded_amount,
+        balance: sessionBalance(session),
+        payment_status: session.payment_status
       }
-    );
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Refund a paid session (full or partial)
+router.post('/session/:sessionId/refund', auth, [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be positive'),
+  body('reason_code').isIn(Refund.REASON_CODES).withMessage('Invalid reason code'),
+  body('refund_method').optional().isIn(['cash', 'card', 'upi', 'online']).withMessage('Invalid refund method')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Check user permissions for refunds
+    const voidPermissions = req.user.permissions?.specialPermissions?.voidOrders;
+    if (!voidPermissions?.afterPayment) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions to refund payments'
+      });
+    }
+
+    const { amount, reason_code, refund_method, notes } = req.body;
+    const session = await Session.findByPk(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const amountPaid = parseFloat(session.amount_paid || 0);
+    const refundable = roundMoney(amountPaid - parseFloat(session.refunded_amount || 0));
+
+    if (refundable <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session has no payments to refund'
+      });
+    }
+
+    const refundAmount = amount ? roundMoney(parseFloat(amount)) : refundable;
+    if (refundAmount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund exceeds the refundable amount (${refundable.toFixed(2)})`
+      });
+    }
+
+    // Refund to the original method unless the bill was split across methods
+    const method = refund_method || (session.payment_method !== 'split' ? session.payment_method : null);
+    if (!method) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund method is required for split payments'
+      });
+    }
+
+    const refund = await Refund.create({
+      type: 'refund',
+      scope: refundAmount === roundMoney(amountPaid) ? 'full' : 'partial',
+      session_id: session.id,
+      amount: refundAmount,
+      reason_code,
+      notes,
+      refund_method: method,
+      created_by: req.user.id
+    });
+
+    await applySessionRefund(session, refundAmount);
+
+    if (session.payment_status === 'refunded') {
+      await Payment.update(
+        { status: 'refunded' },
+        { where: { session_id: session.id, status: 'completed' } }
+      );
+
+      // Orders added after the bill was paid were never paid for
+      const orders = await findSessionOrders(session);
+      await Order.update(
+        { payment_status: 'refunded' },
+        { where: { id: orders.map(order => order.id), payment_status: 'paid' } }
+      );
+    }
 
     res.json({
       success: true,
-      message: 'Payment processed successfully',
-      data: { session }
+      message: 'Refund processed successfully',
+      data: {
+        session,
+        refund,
+        refundable: roundMoney(refundable - refundAmount)
+      }
     });
   } catch (error) {
-    console.error('Process payment error:', error);
+    console.error('Process refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Work out split shares for a session bill
+router.post('/session/:sessionId/split', auth, [
+  body('split_type').isIn(['equal', 'custom', 'items']).withMessage('Invalid split type'),
+  body('ways').if(body('split_type').equals('equal')).isInt({ min: 2 }).withMessage('Split must be at least 2 ways'),
+  body('shares').if(body('split_type').equals('custom')).isArray({ min: 1 }).withMessage('At least one share is required'),
+  body('shares.*.amount').optional().isFloat({ gt: 0 }).withMessage('Share amount must be positive'),
+  body('assignments').if(body('split_type').equals('items')).isArray({ min: 1 }).withMessage('At least one payer is required'),
+  body('assignments.*.order_item_ids').optional().isArray().withMessage('order_item_ids must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { split_type, ways, shares, assignments } = req.body;
+    const session = await Session.findByPk(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (session.payment_status === 'paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Session already paid'
+      });
+    }
+
+    // Running sessions are split on their live totals
+    const isRunning = ['active', 'paused'].includes(session.status);
+    const orders = await findSessionOrders(session);
+    let total = parseFloat(session.total || 0);
+    if (isRunning) {
+      const totals = await calculateSessionTotals(session, orders);
+      total = Math.max(0, totals.total - parseFloat(session.discount || 0));
+    }
+    const amountPaid = parseFloat(session.amount_paid || 0);
+    const balance = roundMoney(total - (amountPaid - parseFloat(session.refunded_amount || 0)));
+
+    let split;
+    try {
+      if (split_type === 'equal') {
+        split = equalSplit(balance, parseInt(ways));
+      } else if (split_type === 'custom') {
+        split = customSplit(balance, shares);
+      } else {
+        if (amountPaid > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Bills with payments already recorded can only be split equally or by custom amounts'
+          });
+        }
+        const items = orders.flatMap(order => order.items);
+        split = itemSplit(total, items, assignments.map(a => ({
+          ...a,
+          order_item_ids: (a.order_item_ids || []).map(id => parseInt(id))
+        })));
+      }
+    } catch (splitError) {
+      return res.status(400).json({
+        success: false,
+        message: splitError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        split_type,
+        total: roundMoney(total),
+        amount_paid: roundMoney(amountPaid),
+        balance,
+        shares: split
+      }
+    });
+  } catch (error) {
+    console.error('Split bill error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -304,6 +618,132 @@ router.get('/user/history', async (req, res) => {
   }
 });
 
+// Receipt data for a session, shared by the receipt view and the receipt printer
+const buildReceipt = async (session) => {
+  // Get all orders for this session
+  const orders = await findSessionOrders(session);
+
+  const payments = await Payment.findAll({
+    where: { session_id: session.id },
+    order: [['created_at', 'ASC']]
+  });
+
+  const refunds = await Refund.findAll({
+    where: { session_id: session.id, type: 'refund' },
+    order: [['created_at', 'ASC']]
+  });
+
+  // Running sessions get a provisional receipt from the tax engine
+  let billing = session;
+  if (['active', 'paused'].includes(session.status)) {
+    const totals = await calculateSessionTotals(session, orders);
+    billing = {
+      ...totals,
+      total: Math.max(0, totals.total - parseFloat(session.discount || 0))
+    };
+  }
+
+  const logo = await getSetting('logo');
+
+  const receipt = {
+    session_id: session.session_id,
+    logo_url: logo ? logo.image : null,
+    table: session.table.name,
+    customer: {
+      name: session.customer_name,
+      phone: session.customer_phone
+    },
+    timing: {
+      start_time: session.start_time,
+      end_time: session.end_time,
+      duration: session.duration,
+      paused_duration: session.paused_duration,
+      paused_intervals: session.paused_intervals
+    },
+    session_charges: {
+      hourly_rate: session.hourly_rate,
+      duration_hours: (session.duration / 60).toFixed(2),
+      billing_policy: billing.charges ? billing.charges.billing_policy : session.billing_policy,
+      booked_duration: session.booked_duration,
+      extension_duration: session.getExtensionMinutes(),
+      overtime_duration: session.overtime_duration,
+      overtime_rate: session.overtime_rate,
+      overtime_cost: session.overtime_cost,
+      fixed_charge: session.fixed_charge,
+      // Each table with its rate bands, as billed when the session ended
+      table_charges: billing.charges ? billing.charges.table_charges : session.time_charges,
+      session_cost: session.session_cost
+    },
+    orders: orders.map(order => ({
+      order_id: order.order_id,
+      items: order.items.map(item => ({
+        name: item.name,
+        modifiers: item.modifiers,
+        // Components of a bundle are listed under it at no charge
+        bundle_item_id: item.bundle_item_id,
+        quantity: item.quantity,
+        price: item.price,
+        total: item.quantity * item.price,
+        net_amount: item.net_amount,
+        tax: item.tax_amount,
+        tax_breakdown: item.tax_breakdown
+      })),
+      subtotal: order.subtotal,
+      tax: order.tax,
+      total: order.total
+    })),
+    billing: {
+      subtotal: billing.subtotal,
+      tax: billing.tax,
+      tax_breakdown: billing.tax_breakdown,
+      service_fee: billing.service_fee,
+      discount: session.discount,
+      total: billing.total
+    },
+    payment: {
+      method: session.payment_method,
+      status: session.payment_status,
+      amount_paid: session.amount_paid,
+      balance: ['paid', 'refunded'].includes(session.payment_status)
+        ? 0
+        : roundMoney(Math.max(0, parseFloat(billing.total || 0) - parseFloat(session.amount_paid || 0) + parseFloat(session.refunded_amount || 0))),
+      payments: payments.map(payment => ({
+        payment_id: payment.payment_id,
+        payer_name: payment.payer_name,
+        method: payment.payment_method,
+        amount: payment.amount,
+        change_due: payment.change_due,
+        status: payment.status,
+        paid_at: payment.created_at
+      })),
+      refunded_amount: session.refunded_amount,
+      refunds: refunds.map(refund => ({
+        refund_id: refund.refund_id,
+        amount: -parseFloat(refund.amount),
+        reason_code: refund.reason_code,
+        method: refund.refund_method,
+        refunded_at: refund.created_at
+      })),
+      paid_at: session.updated_at
+    }
+  };
+
+  return receipt;
+};
+
+// The receipt's logo as a raster for a printer: up to two thirds of the paper width (576 dots
+// across 80mm paper, 384 across 58mm). A logo that cannot be read is left off the receipt.
+const receiptLogo = async (receipt, printer) => {
+  if (!receipt.logo_url) return null;
+  const paperDots = (printer.line_width || 48) >= 48 ? 576 : 384;
+  try {
+    return await rasterImage(receipt.logo_url, Math.round(paperDots * 2 / 3), 160);
+  } catch (error) {
+    console.error('Receipt logo error:', error);
+    return null;
+  }
+};
+
 // Generate receipt
 router.get('/session/:sessionId/receipt', auth, async (req, res) => {
   try {
@@ -323,76 +763,81 @@ router.get('/session/:sessionId/receipt', auth, async (req, res) => {
       });
     }
 
-    // Get all orders for this session
-    const orders = await Order.findAll({
-      where: {
-        table_id: session.table_id,
-        created_at: {
-          [Op.gte]: session.start_time,
-          [Op.lte]: session.end_time || new Date()
-        }
-      },
+    const receipt = await buildReceipt(session);
+
+    res.json({
+      success: true,
+      data: { receipt }
+    });
+  } catch (error) {
+    console.error('Generate receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Print receipt on the receipt printer, or on `printer_id`
+router.post('/session/:sessionId/receipt/print', auth, [
+  body('printer_id').optional().isInt().withMessage('Valid printer ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findByPk(req.params.sessionId, {
       include: [
         {
-          model: OrderItem,
-          as: 'items',
-          include: [
-            {
-              model: MenuItem,
-              as: 'menuItem'
-            }
-          ]
+          model: Table,
+          as: 'table'
         }
       ]
     });
 
-    const receipt = {
-      session_id: session.session_id,
-      table: session.table.name,
-      customer: {
-        name: session.customer_name,
-        phone: session.customer_phone
-      },
-      timing: {
-        start_time: session.start_time,
-        end_time: session.end_time,
-        duration: session.duration
-      },
-      session_charges: {
-        hourly_rate: session.hourly_rate,
-        duration_hours: (session.duration / 60).toFixed(2),
-        session_cost: session.session_cost
-      },
-      orders: orders.map(order => ({
-        order_id: order.order_id,
-        items: order.items.map(item => ({
-          name: item.name,
-          quantity: item.quantity,
-          price: item.price,
-          total: item.quantity * item.price
-        })),
-        total: order.total
-      })),
-      billing: {
-        subtotal: session.subtotal,
-        tax: session.tax,
-        service_fee: session.service_fee,
-        discount: session.discount,
-        total: session.total
-      },
-      payment: {
-        method: session.payment_method,
-        status: session.payment_status,
-        paid_at: session.updated_at
-      }
-    };
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const printer = req.body.printer_id
+      ? await Printer.findOne({ where: { id: req.body.printer_id, is_active: true } })
+      : await findPrinterFor('Receipt Printer');
+
+    if (!printer) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active receipt printer'
+      });
+    }
+
+    const receipt = await buildReceipt(session);
+    const job = await enqueuePrintJob({
+      type: 'receipt',
+      printer,
+      data: renderReceipt(receipt, { logo: await receiptLogo(receipt, printer), width: printer.line_width }),
+      description: `Receipt ${session.session_id}`,
+      session_id: session.id,
+      created_by: req.user.id
+    });
 
     res.json({
       success: true,
-      data: { receipt }
+      message: job.status === 'sent'
+        ? `Receipt printed on ${printer.name}`
+        : `Receipt queued; ${printer.name} could not be reached (${job.last_error})`,
+      data: { receipt, job }
     });
   } catch (error) {
-    console.error('Generate receipt error:', error);
+    console.error('Print receipt error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
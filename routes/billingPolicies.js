@@ -0,0 +1,246 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { BillingPolicy } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { DEFAULT_POLICY, roundBillableMinutes } = require('../utils/billingPolicies');
+
+const router = express.Router();
+
+const TABLE_TYPES = ['Snooker', 'Pool', 'PlayStation', 'Restaurant', 'Dining', 'Food'];
+const ROUNDING_MODES = ['up', 'nearest', 'down'];
+
+const policyValidation = [
+  body('table_type').optional({ nullable: true }).isIn(TABLE_TYPES).withMessage('Invalid table type'),
+  body('minimum_minutes').optional().isInt({ min: 0 }).withMessage('Minimum minutes must be 0 or more'),
+  body('block_minutes').optional().isInt({ min: 1 }).withMessage('Block size must be at least 1 minute'),
+  body('grace_minutes').optional().isInt({ min: 0 }).withMessage('Grace minutes must be 0 or more'),
+  body('rounding_mode').optional().isIn(ROUNDING_MODES).withMessage('Rounding mode must be up, nearest or down')
+];
+
+// Grace has to end before the block does, or no block would ever be charged
+const graceFitsBlock = (graceMinutes, blockMinutes) => parseInt(graceMinutes) < parseInt(blockMinutes);
+
+// Get all billing policies
+router.get('/', auth, async (req, res) => {
+  try {
+    const whereClause = req.query.include_inactive === 'true' ? {} : { is_active: true };
+
+    const billingPolicies = await BillingPolicy.findAll({
+      where: whereClause,
+      order: [['table_type', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        billingPolicies,
+        defaultPolicy: DEFAULT_POLICY,
+        tableTypes: TABLE_TYPES,
+        roundingModes: ROUNDING_MODES
+      }
+    });
+  } catch (error) {
+    console.error('Get billing policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Preview how many minutes a policy bills for a played duration
+router.post('/preview', auth, [
+  body('minutes').isFloat({ min: 0 }).withMessage('Played minutes are required'),
+  ...policyValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { minutes, minimum_minutes, block_minutes, grace_minutes, rounding_mode } = req.body;
+    const policy = {
+      ...DEFAULT_POLICY,
+      minimum_minutes: minimum_minutes !== undefined ? minimum_minutes : DEFAULT_POLICY.minimum_minutes,
+      block_minutes: block_minutes || DEFAULT_POLICY.block_minutes,
+      grace_minutes: grace_minutes !== undefined ? grace_minutes : DEFAULT_POLICY.grace_minutes,
+      rounding_mode: rounding_mode || DEFAULT_POLICY.rounding_mode
+    };
+
+    res.json({
+      success: true,
+      data: {
+        played_minutes: parseFloat(minutes),
+        billable_minutes: roundBillableMinutes(parseFloat(minutes), policy)
+      }
+    });
+  } catch (error) {
+    console.error('Preview billing policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get single billing policy
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const billingPolicy = await BillingPolicy.findByPk(req.params.id);
+
+    if (!billingPolicy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Billing policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { billingPolicy }
+    });
+  } catch (error) {
+    console.error('Get billing policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create billing policy (Admin only)
+router.post('/', auth, authorize('Admin'), policyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { table_type, minimum_minutes, block_minutes, grace_minutes, rounding_mode } = req.body;
+
+    const existingPolicy = await BillingPolicy.findOne({ where: { table_type: table_type || null } });
+    if (existingPolicy) {
+      return res.status(400).json({
+        success: false,
+        message: `A billing policy for ${table_type || 'all table types'} already exists`
+      });
+    }
+
+    if (!graceFitsBlock(grace_minutes || 0, block_minutes || 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Grace minutes must be shorter than the block size'
+      });
+    }
+
+    const billingPolicy = await BillingPolicy.create({
+      table_type: table_type || null,
+      minimum_minutes: minimum_minutes || 0,
+      block_minutes: block_minutes || 1,
+      grace_minutes: grace_minutes || 0,
+      rounding_mode: rounding_mode || 'up'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Billing policy created successfully',
+      data: { billingPolicy }
+    });
+  } catch (error) {
+    console.error('Create billing policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update billing policy (Admin only)
+router.put('/:id', auth, authorize('Admin'), policyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const billingPolicy = await BillingPolicy.findByPk(req.params.id);
+    if (!billingPolicy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Billing policy not found'
+      });
+    }
+
+    const { minimum_minutes, block_minutes, grace_minutes, rounding_mode, is_active } = req.body;
+    const blockMinutes = block_minutes !== undefined ? block_minutes : billingPolicy.block_minutes;
+    const graceMinutes = grace_minutes !== undefined ? grace_minutes : billingPolicy.grace_minutes;
+
+    if (!graceFitsBlock(graceMinutes, blockMinutes)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Grace minutes must be shorter than the block size'
+      });
+    }
+
+    await billingPolicy.update({
+      minimum_minutes: minimum_minutes !== undefined ? minimum_minutes : billingPolicy.minimum_minutes,
+      block_minutes: blockMinutes,
+      grace_minutes: graceMinutes,
+      rounding_mode: rounding_mode || billingPolicy.rounding_mode,
+      is_active: is_active !== undefined ? is_active : billingPolicy.is_active
+    });
+
+    res.json({
+      success: true,
+      message: 'Billing policy updated successfully',
+      data: { billingPolicy }
+    });
+  } catch (error) {
+    console.error('Update billing policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delete billing policy (Admin only); its table type falls back to the default policy
+router.delete('/:id', auth, authorize('Admin'), async (req, res) => {
+  try {
+    const billingPolicy = await BillingPolicy.findByPk(req.params.id);
+    if (!billingPolicy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Billing policy not found'
+      });
+    }
+
+    await billingPolicy.destroy();
+
+    res.json({
+      success: true,
+      message: 'Billing policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete billing policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const { auth, authorize } = require('../middleware/auth');
+const { singleUpload } = require('../middleware/upload');
+const { MAX_IMAGE_BYTES, storeImage, removeImages } = require('../utils/images');
+const { getSetting, setSetting } = require('../utils/settings');
+
+const router = express.Router();
+
+// Get the business logo: { image, thumbnail } URLs, or null when none is set
+router.get('/logo', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { logo: await getSetting('logo') }
+    });
+  } catch (error) {
+    console.error('Get logo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Upload the business logo (multipart `image`: JPEG, PNG or WebP), printed on receipts
+router.post('/logo', auth, authorize('Admin'), singleUpload('image', MAX_IMAGE_BYTES), async (req, res) => {
+  try {
+    let stored;
+    try {
+      stored = await storeImage(req.file, 'logo');
+    } catch (imageError) {
+      return res.status(400).json({
+        success: false,
+        message: imageError.message
+      });
+    }
+
+    const previous = await getSetting('logo');
+    const logo = await setSetting('logo', { image: stored.image, thumbnail: stored.thumbnail });
+    if (previous) await removeImages(previous.image, previous.thumbnail);
+
+    res.json({
+      success: true,
+      message: 'Logo uploaded successfully',
+      data: { logo }
+    });
+  } catch (error) {
+    console.error('Upload logo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Remove the business logo
+router.delete('/logo', auth, authorize('Admin'), async (req, res) => {
+  try {
+    const previous = await getSetting('logo');
+    await setSetting('logo', null);
+    if (previous) await removeImages(previous.image, previous.thumbnail);
+
+    res.json({
+      success: true,
+      message: 'Logo removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove logo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
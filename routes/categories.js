@@ -0,0 +1,333 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { sequelize } = require('../config/database');
+const { Category, Subcategory, MenuItem } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { PRINTERS, loadMenuStructure, renameCategory, renameSubcategory } = require('../utils/menuCategories');
+
+const router = express.Router();
+
+const categoryValidation = [
+  body('name').optional().trim().notEmpty().isLength({ max: 50 }).withMessage('Name is required (at most 50 characters)'),
+  body('icon').optional({ nullable: true }).isString().isLength({ max: 50 }).withMessage('Icon must be at most 50 characters'),
+  body('sort_order').optional().isInt().withMessage('Sort order must be a whole number'),
+  body('default_printer').optional({ nullable: true }).isIn(PRINTERS).withMessage('Invalid printer'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+// Get categories with their subcategories in menu order, and the number of items in each
+router.get('/', async (req, res) => {
+  try {
+    const { include_inactive } = req.query;
+
+    const counts = await MenuItem.findAll({
+      attributes: ['category', 'subcategory', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['category', 'subcategory'],
+      raw: true
+    });
+    const itemCount = (category, subcategory) => counts
+      .filter(row => row.category === category && (subcategory === undefined || row.subcategory === subcategory))
+      .reduce((sum, row) => sum + parseInt(row.count), 0);
+
+    let categories = (await loadMenuStructure()).map(category => ({
+      ...category,
+      item_count: itemCount(category.name),
+      subcategories: category.subcategories.map(subcategory => ({
+        ...subcategory,
+        item_count: itemCount(category.name, subcategory.name)
+      }))
+    }));
+
+    if (include_inactive !== 'true') {
+      categories = categories
+        .filter(category => category.is_active)
+        .map(category => ({
+          ...category,
+          subcategories: category.subcategories.filter(subcategory => subcategory.is_active)
+        }));
+    }
+
+    res.json({
+      success: true,
+      data: { categories, printers: PRINTERS }
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create category (Admin/Manager only)
+router.post('/', auth, authorize('Admin', 'Manager'), [
+  body('name').trim().notEmpty().withMessage('Category name is required'),
+  ...categoryValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, icon, sort_order, default_printer } = req.body;
+
+    const existing = await Category.findOne({ where: { name } });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category with this name already exists'
+      });
+    }
+
+    const category = await Category.create({
+      name,
+      icon: icon || null,
+      sort_order: sort_order !== undefined ? sort_order : await Category.count(),
+      default_printer: default_printer || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: { category }
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update category (Admin/Manager only). A new name is carried over to its menu items and to
+// tax profiles that apply to it.
+router.put('/:id', auth, authorize('Admin', 'Manager'), categoryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findByPk(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const { name, icon, sort_order, default_printer, is_active } = req.body;
+
+    if (name && name !== category.name && await Category.findOne({ where: { name } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category with this name already exists'
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      if (name && name !== category.name) {
+        await renameCategory(category.name, name, transaction);
+      }
+      await category.update({
+        name: name || category.name,
+        icon: icon !== undefined ? icon : category.icon,
+        sort_order: sort_order !== undefined ? sort_order : category.sort_order,
+        default_printer: default_printer !== undefined ? default_printer : category.default_printer,
+        is_active: is_active !== undefined ? is_active : category.is_active
+      }, { transaction });
+    });
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: { category }
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Deactivate category (Admin/Manager only); its items stay but cannot be ordered
+router.delete('/:id', auth, authorize('Admin', 'Manager'), async (req, res) => {
+  try {
+    const category = await Category.findByPk(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    await category.update({ is_active: false });
+
+    res.json({
+      success: true,
+      message: 'Category deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Add a subcategory to a category (Admin/Manager only)
+router.post('/:id/subcategories', auth, authorize('Admin', 'Manager'), [
+  body('name').trim().notEmpty().withMessage('Subcategory name is required'),
+  ...categoryValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findByPk(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const { name, icon, sort_order, default_printer } = req.body;
+
+    const existing = await Subcategory.findOne({ where: { category_id: category.id, name } });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `${category.name} already has a subcategory with this name`
+      });
+    }
+
+    const subcategory = await Subcategory.create({
+      category_id: category.id,
+      name,
+      icon: icon || null,
+      sort_order: sort_order !== undefined ? sort_order : await Subcategory.count({ where: { category_id: category.id } }),
+      default_printer: default_printer || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Subcategory created successfully',
+      data: { subcategory }
+    });
+  } catch (error) {
+    console.error('Create subcategory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update subcategory (Admin/Manager only). A new name is carried over to its menu items and
+// menu schedules.
+router.put('/subcategories/:id', auth, authorize('Admin', 'Manager'), categoryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const subcategory = await Subcategory.findByPk(req.params.id, {
+      include: [{ model: Category, as: 'category' }]
+    });
+    if (!subcategory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      });
+    }
+
+    const { name, icon, sort_order, default_printer, is_active } = req.body;
+
+    if (name && name !== subcategory.name &&
+      await Subcategory.findOne({ where: { category_id: subcategory.category_id, name } })) {
+      return res.status(400).json({
+        success: false,
+        message: `${subcategory.category.name} already has a subcategory with this name`
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      if (name && name !== subcategory.name) {
+        await renameSubcategory(subcategory.category, subcategory.name, name, transaction);
+      }
+      await subcategory.update({
+        name: name || subcategory.name,
+        icon: icon !== undefined ? icon : subcategory.icon,
+        sort_order: sort_order !== undefined ? sort_order : subcategory.sort_order,
+        default_printer: default_printer !== undefined ? default_printer : subcategory.default_printer,
+        is_active: is_active !== undefined ? is_active : subcategory.is_active
+      }, { transaction });
+    });
+
+    res.json({
+      success: true,
+      message: 'Subcategory updated successfully',
+      data: { subcategory }
+    });
+  } catch (error) {
+    console.error('Update subcategory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Deactivate subcategory (Admin/Manager only); its items stay but cannot be ordered
+router.delete('/subcategories/:id', auth, authorize('Admin', 'Manager'), async (req, res) => {
+  try {
+    const subcategory = await Subcategory.findByPk(req.params.id);
+    if (!subcategory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      });
+    }
+
+    await subcategory.update({ is_active: false });
+
+    res.json({
+      success: true,
+      message: 'Subcategory deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Delete subcategory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { Device, Table } = require('../models');
 const { auth, authorize } = require('../middleware/auth');
+const { publish } = require('../utils/realtime');
 
 const router = express.Router();
 
@@ -237,6 +238,8 @@ router.post('/:id/control', auth, [
       last_updated: new Date()
     });
 
+    publish('device.state_changed', { device });
+
     res.json({
       success: true,
       message: `Device turned ${action}`,
@@ -280,6 +283,8 @@ router.patch('/:id/status', auth, [
       last_updated: new Date()
     });
 
+    publish('device.state_changed', { device });
+
     res.json({
       success: true,
       message: 'Device status updated successfully',
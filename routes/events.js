@@ -0,0 +1,44 @@
+const express = require('express');
+const { auth, authorize } = require('../middleware/auth');
+const { STATIONS, subscribe, connectionStats } = require('../utils/realtime');
+
+const router = express.Router();
+
+// EventSource cannot send headers, so the stream also accepts the token as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Open the event stream; ?stations=kitchen,bar limits kitchen events to those stations
+router.get('/stream', tokenFromQuery, auth, (req, res) => {
+  const stations = (req.query.stations || '')
+    .split(',')
+    .map(station => station.trim())
+    .filter(Boolean);
+
+  const unknown = stations.filter(station => !Object.values(STATIONS).includes(station));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown stations: ${unknown.join(', ')}`
+    });
+  }
+
+  subscribe(req, res, req.user, stations);
+});
+
+// Open connections (Admin/Manager only)
+router.get('/stats', auth, authorize('Admin', 'Manager'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      connections: connectionStats(),
+      stations: Object.values(STATIONS)
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,312 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { body, validationResult } = require('express-validator');
+const { Ingredient, StockAdjustment, MenuItem, User } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { roundStock, adjustStock, refreshMenuAvailability } = require('../utils/inventory');
+
+const router = express.Router();
+
+const UNITS = ['pcs', 'bottle', 'can', 'g', 'kg', 'ml', 'l', 'portion'];
+const ADJUSTMENT_REASONS = ['purchase', 'wastage', 'count', 'correction'];
+const LOG_LIMIT = 100;
+
+const ingredientValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Ingredient name is required'),
+  body('unit').optional().isIn(UNITS).withMessage('Invalid unit'),
+  body('low_stock_threshold').optional().isFloat({ min: 0 }).withMessage('Low-stock threshold must be a positive number'),
+  body('cost_per_unit').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Cost per unit must be a positive number'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+// Ingredient with its low-stock flag
+const serializeIngredient = (ingredient) => ({
+  ...ingredient.toJSON(),
+  low_stock: ingredient.isLowStock()
+});
+
+// Get ingredients (`low_stock=true` for just those at or below their threshold)
+router.get('/ingredients', auth, authorize('Admin', 'Manager'), async (req, res) => {
+  try {
+    const { include_inactive, low_stock } = req.query;
+
+    let whereClause = {};
+    if (include_inactive !== 'true') whereClause.is_active = true;
+
+    let ingredients = await Ingredient.findAll({
+      where: whereClause,
+      order: [['name', 'ASC']]
+    });
+    if (low_stock === 'true') ingredients = ingredients.filter(ingredient => ingredient.isLowStock());
+
+    res.json({
+      success: true,
+      data: { ingredients: ingredients.map(serializeIngredient), units: UNITS }
+    });
+  } catch (error) {
+    console.error('Get ingredients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Low-stock ingredients and the menu items that are out of stock
+router.get('/alerts', auth, authorize('Admin', 'Manager'), async (req, res) => {
+  try {
+    const ingredients = await Ingredient.findAll({
+      where: { is_active: true },
+      order: [['name', 'ASC']]
+    });
+    const outOfStock = await MenuItem.findAll({
+      where: { out_of_stock: true },
+      attributes: ['id', 'name', 'category', 'recipe'],
+      order: [['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        lowStock: ingredients.filter(ingredient => ingredient.isLowStock()).map(serializeIngredient),
+        outOfStock
+      }
+    });
+  } catch (error) {
+    console.error('Get inventory alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get the stock adjustment log, newest first
+router.get('/adjustments', auth, authorize('Admin', 'Manager'), async (req, res) => {
+  try {
+    const { ingredient_id, reason, startDate, endDate, limit } = req.query;
+
+    let whereClause = {};
+    if (ingredient_id) whereClause.ingredient_id = ingredient_id;
+    if (reason) whereClause.reason = reason;
+    if (startDate && endDate) {
+      whereClause.created_at = {
+        [Op.between]: [new Date(startDate), new Date(endDate)]
+      };
+    }
+
+    const adjustments = await StockAdjustment.findAll({
+      where: whereClause,
+      include: [
+        {
+          model: Ingredient,
+          as: 'ingredient',
+          attributes: ['id', 'name', 'unit']
+        },
+        {
+          model: User,
+          as: 'creator',
+          attributes: ['id', 'name', 'username']
+        }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: Math.min(parseInt(limit) || LOG_LIMIT, 500)
+    });
+
+    res.json({
+      success: true,
+      data: { adjustments }
+    });
+  } catch (error) {
+    console.error('Get stock adjustments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create ingredient; opening stock is logged as a count
+router.post('/ingredients', auth, authorize('Admin', 'Manager'), [
+  body('name').trim().notEmpty().withMessage('Ingredient name is required'),
+  body('unit').isIn(UNITS).withMessage('Invalid unit'),
+  body('stock').optional().isFloat({ min: 0 }).withMessage('Stock must be a positive number'),
+  ...ingredientValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, unit, stock, low_stock_threshold, cost_per_unit } = req.body;
+
+    const existing = await Ingredient.findOne({ where: { name } });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'An ingredient with this name already exists'
+      });
+    }
+
+    const ingredient = await Ingredient.create({
+      name,
+      unit,
+      low_stock_threshold: low_stock_threshold || 0,
+      cost_per_unit: cost_per_unit ?? null
+    });
+
+    if (parseFloat(stock) > 0) {
+      await adjustStock(ingredient, roundStock(parseFloat(stock)), {
+        reason: 'count',
+        note: 'Opening stock',
+        userId: req.user.id
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Ingredient created successfully',
+      data: { ingredient: serializeIngredient(ingredient) }
+    });
+  } catch (error) {
+    console.error('Create ingredient error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update ingredient details; stock only changes through adjustments
+router.put('/ingredients/:id', auth, authorize('Admin', 'Manager'), ingredientValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const ingredient = await Ingredient.findByPk(req.params.id);
+    if (!ingredient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingredient not found'
+      });
+    }
+
+    const { name, unit, low_stock_threshold, cost_per_unit, is_active } = req.body;
+
+    await ingredient.update({
+      name: name || ingredient.name,
+      unit: unit || ingredient.unit,
+      low_stock_threshold: low_stock_threshold !== undefined ? low_stock_threshold : ingredient.low_stock_threshold,
+      cost_per_unit: cost_per_unit !== undefined ? cost_per_unit : ingredient.cost_per_unit,
+      is_active: is_active !== undefined ? is_active : ingredient.is_active
+    });
+
+    // Deactivating an ingredient stops it holding menu items back
+    if (is_active !== undefined) {
+      await refreshMenuAvailability();
+    }
+
+    res.json({
+      success: true,
+      message: 'Ingredient updated successfully',
+      data: { ingredient: serializeIngredient(ingredient) }
+    });
+  } catch (error) {
+    console.error('Update ingredient error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Adjust stock: a delivery (`purchase`) adds `quantity`, `wastage` takes it away, a stock
+// `count` sets the level to `quantity`, and a `correction` adds a signed `quantity`
+router.post('/ingredients/:id/adjust', auth, authorize('Admin', 'Manager'), [
+  body('reason').isIn(ADJUSTMENT_REASONS).withMessage('Invalid adjustment reason'),
+  body('quantity').isFloat().withMessage('Quantity is required'),
+  body('note').optional().isString().isLength({ max: 255 }).withMessage('Note must be at most 255 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const ingredient = await Ingredient.findByPk(req.params.id);
+    if (!ingredient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingredient not found'
+      });
+    }
+
+    const { reason, note } = req.body;
+    const quantity = roundStock(parseFloat(req.body.quantity));
+
+    if (reason !== 'correction' && quantity < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a positive number'
+      });
+    }
+
+    const stock = parseFloat(ingredient.stock);
+    const change = {
+      purchase: quantity,
+      wastage: -quantity,
+      count: roundStock(quantity - stock),
+      correction: quantity
+    }[reason];
+
+    if (change === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock is already at that level'
+      });
+    }
+
+    if (stock + change < 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${stock} ${ingredient.unit} in stock`
+      });
+    }
+
+    const adjustment = await adjustStock(ingredient, change, { reason, note, userId: req.user.id });
+    const menuItems = await refreshMenuAvailability([ingredient.id]);
+
+    res.json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: {
+        ingredient: serializeIngredient(ingredient),
+        adjustment,
+        menuItemsChanged: menuItems.map(menuItem => ({ id: menuItem.id, name: menuItem.name, is_available: menuItem.is_available }))
+      }
+    });
+  } catch (error) {
+    console.error('Adjust stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
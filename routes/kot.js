@@ -1,9 +1,50 @@
 const express = require('express');
-const { Order, OrderItem, MenuItem, Table } = require('../models');
+const { Op } = require('sequelize');
+const { body, query, validationResult } = require('express-validator');
+const { Order, OrderItem, MenuItem, Table, Kot, PrintJob } = require('../models');
 const { auth } = require('../middleware/auth');
+const { stationFor, publish } = require('../utils/realtime');
+const { kotPrintState, bumpKot, recallKot, allDayCounts } = require('../utils/kots');
+const { canChangeOrderStatus, canChangeItemStatus, setItemStatus, syncOrderStatus } = require('../utils/orderStatus');
+const { prepTimeStats } = require('../utils/prepTimes');
 
 const router = express.Router();
 
+// Bumped tickets kept on the kitchen display for recall
+const RECALL_LIMIT = 10;
+
+// A ticket with its items, table and print jobs
+const ticketInclude = [
+  {
+    model: OrderItem,
+    as: 'items',
+    include: [
+      {
+        model: MenuItem,
+        as: 'menuItem'
+      }
+    ]
+  },
+  {
+    model: Order,
+    as: 'order',
+    attributes: ['id', 'order_id', 'customer_name', 'service_type', 'special_instructions', 'table_id'],
+    include: [
+      {
+        model: Table,
+        as: 'table'
+      }
+    ]
+  },
+  {
+    model: PrintJob,
+    as: 'printJobs',
+    attributes: ['id', 'job_id', 'status', 'printer_id', 'attempts', 'last_error', 'sent_at']
+  }
+];
+
+const serializeTicket = (kot) => ({ ...kot.toJSON(), print_status: kotPrintState(kot) });
+
 // Get KOT queue
 router.get('/queue', auth, async (req, res) => {
   try {
@@ -27,7 +68,8 @@ router.get('/queue', auth, async (req, res) => {
               where: printer ? { printer } : {}
             }
           ],
-          where: status ? { status } : {}
+          // Bundle lines never go to the kitchen; their components do
+          where: status ? { status, is_bundle: false } : { is_bundle: false }
         },
         {
           model: Table,
@@ -40,6 +82,21 @@ router.get('/queue', auth, async (req, res) => {
     // Filter out orders with no matching items
     const filteredOrders = orders.filter(order => order.items.length > 0);
 
+    // Station tickets for the kitchen display: open ones (rush first, then oldest) and the
+    // most recently bumped, which can be recalled
+    const ticketWhere = printer ? { station: printer } : {};
+    const openKots = await Kot.findAll({
+      where: { ...ticketWhere, status: 'open' },
+      include: ticketInclude,
+      order: [['is_rush', 'DESC'], ['created_at', 'ASC']]
+    });
+    const bumpedKots = await Kot.findAll({
+      where: { ...ticketWhere, status: 'bumped' },
+      include: ticketInclude,
+      order: [['bumped_at', 'DESC']],
+      limit: RECALL_LIMIT
+    });
+
     // Group by printer type
     const groupedByPrinter = {};
     filteredOrders.forEach(order => {
@@ -67,7 +124,10 @@ router.get('/queue', auth, async (req, res) => {
       success: true,
       data: { 
         orders: filteredOrders,
-        groupedByPrinter
+        groupedByPrinter,
+        kots: openKots.map(serializeTicket),
+        recentlyBumped: bumpedKots.map(serializeTicket),
+        allDay: allDayCounts(openKots)
       }
     });
   } catch (error) {
@@ -79,6 +139,149 @@ router.get('/queue', auth, async (req, res) => {
   }
 });
 
+// Get tickets, optionally for one station; open tickets by default, oldest first
+router.get('/tickets', auth, async (req, res) => {
+  try {
+    const { station, status = 'open' } = req.query;
+
+    const where = { status };
+    if (station) where.station = station;
+
+    const kots = await Kot.findAll({
+      where,
+      include: ticketInclude,
+      order: [['is_rush', 'DESC'], ['created_at', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { kots: kots.map(serializeTicket) }
+    });
+  } catch (error) {
+    console.error('Get KOT tickets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Bump a ticket off its station, marking its items ready
+router.patch('/:kotId/bump', auth, async (req, res) => {
+  try {
+    const kot = await Kot.findByPk(req.params.kotId);
+
+    if (!kot) {
+      return res.status(404).json({
+        success: false,
+        message: 'KOT not found'
+      });
+    }
+
+    if (kot.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: `KOT is already ${kot.status}`
+      });
+    }
+
+    const { orderReady } = await bumpKot(kot, req.user.id);
+
+    res.json({
+      success: true,
+      message: orderReady ? 'KOT bumped; order is ready' : 'KOT bumped',
+      data: { kot }
+    });
+  } catch (error) {
+    console.error('Bump KOT error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Bring a bumped ticket back onto its station
+router.patch('/:kotId/recall', auth, async (req, res) => {
+  try {
+    const kot = await Kot.findByPk(req.params.kotId);
+
+    if (!kot) {
+      return res.status(404).json({
+        success: false,
+        message: 'KOT not found'
+      });
+    }
+
+    if (kot.status !== 'bumped') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only bumped KOTs can be recalled'
+      });
+    }
+
+    await recallKot(kot, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'KOT recalled',
+      data: { kot }
+    });
+  } catch (error) {
+    console.error('Recall KOT error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Flag or unflag a ticket as rush
+router.patch('/:kotId/rush', auth, [
+  body('is_rush').isBoolean().withMessage('is_rush must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const kot = await Kot.findByPk(req.params.kotId);
+
+    if (!kot) {
+      return res.status(404).json({
+        success: false,
+        message: 'KOT not found'
+      });
+    }
+
+    await kot.update({ is_rush: req.body.is_rush });
+
+    publish('kot.updated', {
+      kot_id: kot.id,
+      kot_number: kot.kot_number,
+      order_id: kot.order_id,
+      is_rush: kot.is_rush
+    }, { stations: [stationFor(kot.station)] });
+
+    res.json({
+      success: true,
+      message: kot.is_rush ? 'KOT flagged as rush' : 'Rush flag removed',
+      data: { kot }
+    });
+  } catch (error) {
+    console.error('Update KOT rush error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Mark KOT item as complete
 router.patch('/items/:itemId/complete', auth, async (req, res) => {
   try {
@@ -87,6 +290,10 @@ router.patch('/items/:itemId/complete', auth, async (req, res) => {
         {
           model: Order,
           as: 'order'
+        },
+        {
+          model: MenuItem,
+          as: 'menuItem'
         }
       ]
     });
@@ -98,19 +305,34 @@ router.patch('/items/:itemId/complete', auth, async (req, res) => {
       });
     }
 
-    await orderItem.update({ status: 'ready' });
+    if (!canChangeItemStatus(orderItem.status, 'ready')) {
+      return res.status(400).json({
+        success: false,
+        message: `Item is ${orderItem.status} and cannot be marked ready`
+      });
+    }
 
-    // Check if all items in the order are ready
-    const allItems = await OrderItem.findAll({
-      where: { order_id: orderItem.order_id }
-    });
+    await setItemStatus(orderItem, 'ready', req.user.id);
 
-    const allReady = allItems.every(item => item.status === 'ready');
-    if (allReady) {
-      await Order.update(
-        { status: 'ready' },
-        { where: { id: orderItem.order_id } }
-      );
+    publish('order.item_status_changed', {
+      order_id: orderItem.order_id,
+      item_id: orderItem.id,
+      name: orderItem.name,
+      status: 'ready'
+    }, { stations: [stationFor(orderItem.menuItem?.printer)] });
+
+    // The item's ticket is bumped once all of its items are ready
+    const kot = orderItem.kot_id
+      ? await Kot.findByPk(orderItem.kot_id, { include: [{ model: OrderItem, as: 'items' }] })
+      : null;
+    const ticketDone = kot && kot.status === 'open' && kot.items
+      .filter(item => item.status !== 'voided')
+      .every(item => item.status === 'ready');
+
+    if (ticketDone) {
+      await bumpKot(kot, req.user.id);
+    } else {
+      await syncOrderStatus(orderItem.order, req.user.id);
     }
 
     res.json({
@@ -139,14 +361,27 @@ router.patch('/orders/:orderId/complete', auth, async (req, res) => {
       });
     }
 
-    // Mark all items as ready
-    await OrderItem.update(
-      { status: 'ready' },
-      { where: { order_id: order.id } }
-    );
+    if (order.status !== 'ready' && !canChangeOrderStatus(order.status, 'ready')) {
+      return res.status(400).json({
+        success: false,
+        message: `Order is ${order.status} and cannot be marked ready`
+      });
+    }
 
-    // Mark order as ready
-    await order.update({ status: 'ready' });
+    // Mark all items as ready; the order follows its items
+    const items = await OrderItem.findAll({
+      where: { order_id: order.id, status: ['pending', 'preparing'] }
+    });
+    for (const item of items) {
+      await setItemStatus(item, 'ready', req.user.id, 'Order completed');
+    }
+    await syncOrderStatus(order, req.user.id);
+
+    // Its tickets leave every station
+    await Kot.update(
+      { status: 'bumped', bumped_at: new Date(), bumped_by: req.user.id },
+      { where: { order_id: order.id, status: 'open' } }
+    );
 
     res.json({
       success: true,
@@ -162,37 +397,70 @@ router.patch('/orders/:orderId/complete', auth, async (req, res) => {
   }
 });
 
-// Get KOT statistics
-router.get('/stats', auth, async (req, res) => {
+// Get KOT statistics, for today or from startDate through the whole of endDate
+router.get('/stats', auth, [
+  query('startDate').optional().isISO8601().withMessage('startDate must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('endDate must be a valid date')
+], async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { startDate, endDate } = req.query;
+
+    let from = new Date();
+    from.setHours(0, 0, 0, 0);
+    let to = new Date(from);
+    to.setDate(to.getDate() + 1);
+    if (startDate && endDate) {
+      from = new Date(startDate);
+      to = new Date(endDate);
+      to.setDate(to.getDate() + 1);
+    }
 
-    // Get today's KOT stats
     const todayOrders = await Order.findAll({
       where: {
         kot_printed: true,
         created_at: {
-          [Op.gte]: today,
-          [Op.lt]: tomorrow
+          [Op.gte]: from,
+          [Op.lt]: to
         }
       },
       include: [
         {
           model: OrderItem,
-          as: 'items'
+          as: 'items',
+          include: [
+            {
+              model: MenuItem,
+              as: 'menuItem'
+            },
+            {
+              model: Kot,
+              as: 'kot',
+              attributes: ['id', 'station']
+            }
+          ]
         }
       ]
     });
 
+    const items = todayOrders.flatMap(order => order.items).filter(item => !item.is_bundle);
+    const prepTimes = prepTimeStats(items);
+
     const stats = {
       totalKOTs: todayOrders.length,
       completedKOTs: todayOrders.filter(o => o.status === 'ready' || o.status === 'served').length,
       pendingKOTs: todayOrders.filter(o => ['confirmed', 'preparing'].includes(o.status)).length,
-      averageTime: 0, // Calculate based on your requirements
-      printerStats: {}
+      averageTime: prepTimes.overall.average,
+      printerStats: {},
+      prepTimes
     };
 
     // Calculate printer-wise stats
@@ -200,13 +468,15 @@ router.get('/stats', auth, async (req, res) => {
     
     for (const printer of printerTypes) {
       const printerOrders = todayOrders.filter(order => 
-        order.items.some(item => item.menuItem?.printer === printer)
+        order.items.some(item => (item.kot?.station || item.menuItem?.printer) === printer)
       );
+      const stationTimes = prepTimes.byStation.find(station => station.station === printer);
       
       stats.printerStats[printer] = {
         total: printerOrders.length,
         completed: printerOrders.filter(o => o.status === 'ready' || o.status === 'served').length,
-        pending: printerOrders.filter(o => ['confirmed', 'preparing'].includes(o.status)).length
+        pending: printerOrders.filter(o => ['confirmed', 'preparing'].includes(o.status)).length,
+        averageTime: stationTimes ? stationTimes.average : 0
       };
     }
 
@@ -1,11 +1,42 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const MenuItem = require('../models/MenuItem');
+const { MenuItem } = require('../models');
 const { auth, authorize } = require('../middleware/auth');
+const { singleUpload } = require('../middleware/upload');
+const { validateModifierGroups } = require('../utils/modifiers');
+const { validateBundleItems, isEmptyBundle } = require('../utils/bundles');
+const { validateRecipe, refreshMenuAvailability } = require('../utils/inventory');
+const { exportRecord, menuToCsv, importRecords, planMenuImport, importSummary, applyMenuImport } = require('../utils/menuImport');
+const { MAX_IMAGE_BYTES, storeImage, removeImages } = require('../utils/images');
+const { PRINTERS, loadMenuStructure, categoryError, defaultPrinter, isCategoryActive, sortMenuItems } = require('../utils/menuCategories');
+const { loadMenuSchedules, validateSchedule, itemSchedules, isOnSchedule, schedulesInForce } = require('../utils/menuSchedules');
 
 const router = express.Router();
 
-// Get all menu items
+const bundleValidation = [
+  body('is_bundle').optional().isBoolean().withMessage('is_bundle must be a boolean'),
+  body('bundle_items').optional().custom(validateBundleItems),
+  body('bundle_table_minutes').optional().isInt({ min: 0 }).withMessage('Bundle table minutes must be a positive whole number'),
+  body('bundle_table_type').optional({ nullable: true }).isIn(['Snooker', 'Pool', 'PlayStation', 'Restaurant', 'Dining', 'Food']).withMessage('Invalid table type')
+];
+
+// Group menu items by category and subcategory
+const groupMenu = (menuItems) => {
+  const groupedMenu = {};
+  menuItems.forEach(item => {
+    if (!groupedMenu[item.category]) {
+      groupedMenu[item.category] = {};
+    }
+    if (!groupedMenu[item.category][item.subcategory]) {
+      groupedMenu[item.category][item.subcategory] = [];
+    }
+    groupedMenu[item.category][item.subcategory].push(item);
+  });
+  return groupedMenu;
+};
+
+// Get all menu items in menu order, each flagged `on_schedule` if its schedule lets it be
+// ordered now. `available=true` gives only items that can be ordered now.
 router.get('/', async (req, res) => {
   try {
     const { category, subcategory, available } = req.query;
@@ -15,22 +46,19 @@ router.get('/', async (req, res) => {
     if (subcategory) whereClause.subcategory = subcategory;
     if (available !== undefined) whereClause.is_available = available === 'true';
 
-    const menuItems = await MenuItem.findAll({
-      where: whereClause,
-      order: [['category', 'ASC'], ['subcategory', 'ASC'], ['name', 'ASC']]
-    });
+    const items = await MenuItem.findAll({ where: whereClause });
 
-    // Group by category and subcategory
-    const groupedMenu = {};
-    menuItems.forEach(item => {
-      if (!groupedMenu[item.category]) {
-        groupedMenu[item.category] = {};
-      }
-      if (!groupedMenu[item.category][item.subcategory]) {
-        groupedMenu[item.category][item.subcategory] = [];
-      }
-      groupedMenu[item.category][item.subcategory].push(item);
-    });
+    const structure = await loadMenuStructure();
+    const schedules = await loadMenuSchedules();
+    let menuItems = sortMenuItems(items, structure).map(item => ({
+      ...item.toJSON(),
+      on_schedule: isOnSchedule(item, schedules)
+    }));
+    if (available === 'true') {
+      menuItems = menuItems.filter(item => item.on_schedule && isCategoryActive(item, structure));
+    }
+
+    const groupedMenu = groupMenu(menuItems);
 
     res.json({
       success: true,
@@ -48,6 +76,155 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Preview what can be ordered at a time (`at`, default now): the schedules running then, the
+// orderable items, and why the rest are not (Admin/Manager only)
+router.get('/orderable', auth, authorize('Admin', 'Manager'), async (req, res) => {
+  try {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'at must be a valid date and time'
+      });
+    }
+
+    const structure = await loadMenuStructure();
+    const items = sortMenuItems(await MenuItem.findAll(), structure);
+    const schedules = await loadMenuSchedules();
+
+    const menuItems = [];
+    const notOrderable = [];
+    items.forEach(item => {
+      const served = itemSchedules(item, schedules).map(schedule => schedule.name);
+      if (!isCategoryActive(item, structure)) {
+        notOrderable.push({ id: item.id, name: item.name, reason: 'category_inactive', schedules: served });
+      } else if (!item.is_available) {
+        notOrderable.push({ id: item.id, name: item.name, reason: item.out_of_stock ? 'out_of_stock' : 'unavailable', schedules: served });
+      } else if (!isOnSchedule(item, schedules, at)) {
+        notOrderable.push({ id: item.id, name: item.name, reason: 'off_schedule', schedules: served });
+      } else {
+        menuItems.push(item);
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        at,
+        schedules: schedulesInForce(schedules, at),
+        menuItems,
+        groupedMenu: groupMenu(menuItems),
+        notOrderable
+      }
+    });
+  } catch (error) {
+    console.error('Preview orderable menu error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Export the menu as CSV or JSON (`format`, default csv) in the columns the import takes
+router.get('/export', auth, authorize('Admin', 'Manager'), async (req, res) => {
+  try {
+    const { category, subcategory } = req.query;
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be csv or json'
+      });
+    }
+
+    let whereClause = {};
+    if (category) whereClause.category = category;
+    if (subcategory) whereClause.subcategory = subcategory;
+
+    const menuItems = await MenuItem.findAll({
+      where: whereClause,
+      order: [['category', 'ASC'], ['subcategory', 'ASC'], ['name', 'ASC']]
+    });
+    const records = menuItems.map(exportRecord);
+
+    const date = new Date().toISOString().split('T')[0];
+    res.attachment(`menu-${date}.${format}`);
+    if (format === 'json') {
+      return res.send(JSON.stringify(records, null, 2));
+    }
+    res.type('text/csv').send(menuToCsv(records));
+  } catch (error) {
+    console.error('Export menu error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Import menu items from a CSV or JSON `file` upload, `csv` text or an `items` array.
+// With `dry_run` nothing is saved and the response shows what would be created, updated and
+// rejected; otherwise all rows are saved together, and nothing is if any row is invalid.
+router.post('/import', auth, authorize('Admin', 'Manager'), singleUpload('file', 2 * 1024 * 1024), async (req, res) => {
+  try {
+    const dryRun = [true, 'true'].includes(req.body.dry_run) || req.query.dry_run === 'true';
+
+    let records;
+    try {
+      records = importRecords({ file: req.file, body: req.body });
+    } catch (importError) {
+      return res.status(400).json({
+        success: false,
+        message: importError.message
+      });
+    }
+
+    const plan = await planMenuImport(records);
+    const result = {
+      dry_run: dryRun,
+      summary: importSummary(plan),
+      ...plan
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: 'Dry run: nothing was imported',
+        data: result
+      });
+    }
+
+    if (plan.invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${plan.invalid.length} row(s) are invalid; nothing was imported`,
+        data: result
+      });
+    }
+
+    const saved = await applyMenuImport(plan);
+
+    // Imported recipes may use ingredients that have run out
+    const ingredientIds = [...new Set(saved.flatMap(menuItem => (menuItem.recipe || []).map(entry => entry.ingredient_id)))];
+    if (ingredientIds.length > 0) {
+      await refreshMenuAvailability(ingredientIds);
+    }
+
+    res.json({
+      success: true,
+      message: 'Menu imported successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Import menu error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Get single menu item
 router.get('/:id', async (req, res) => {
   try {
@@ -76,10 +253,14 @@ router.get('/:id', async (req, res) => {
 // Create menu item (Admin/Manager only)
 router.post('/', auth, authorize('Admin', 'Manager'), [
   body('name').trim().notEmpty().withMessage('Item name is required'),
-  body('category').isIn(['Food', 'Drinks', 'Games', 'Beverages', 'Mixed']).withMessage('Invalid category'),
+  body('category').trim().notEmpty().withMessage('Category is required'),
   body('subcategory').trim().notEmpty().withMessage('Subcategory is required'),
   body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
-  body('printer').isIn(['Kitchen Printer', 'Bar Printer', 'Main Printer', 'Game Zone Printer']).withMessage('Invalid printer')
+  body('printer').optional().isIn(PRINTERS).withMessage('Invalid printer'),
+  body('modifier_groups').optional().custom(validateModifierGroups),
+  body('recipe').optional().custom(validateRecipe),
+  body('schedule_id').optional({ nullable: true }).custom(validateSchedule),
+  ...bundleValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -91,6 +272,13 @@ router.post('/', auth, authorize('Admin', 'Manager'), [
       });
     }
 
+    if (isEmptyBundle(req.body)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A bundle needs at least one item or some table time'
+      });
+    }
+
     const {
       name,
       description,
@@ -100,11 +288,37 @@ router.post('/', auth, authorize('Admin', 'Manager'), [
       image,
       printer,
       variants,
+      modifier_groups,
+      is_bundle,
+      bundle_items,
+      bundle_table_minutes,
+      bundle_table_type,
+      recipe,
+      schedule_id,
       nutritional_info,
       preparation_time,
-      is_popular
+      is_popular,
+      tax_profile_id
     } = req.body;
 
+    const structure = await loadMenuStructure();
+    const invalidCategory = categoryError(structure, category, subcategory);
+    if (invalidCategory) {
+      return res.status(400).json({
+        success: false,
+        message: invalidCategory
+      });
+    }
+
+    // Items without a printer go to their subcategory's (or category's) default
+    const itemPrinter = printer || defaultPrinter(structure, category, subcategory);
+    if (!itemPrinter) {
+      return res.status(400).json({
+        success: false,
+        message: `Choose a printer; ${subcategory} has no default printer`
+      });
+    }
+
     const menuItem = await MenuItem.create({
       name,
       description,
@@ -112,13 +326,27 @@ router.post('/', auth, authorize('Admin', 'Manager'), [
       subcategory,
       price,
       image,
-      printer,
+      printer: itemPrinter,
       variants: variants || [],
+      modifier_groups: modifier_groups || [],
+      is_bundle: is_bundle || false,
+      bundle_items: bundle_items || [],
+      bundle_table_minutes: bundle_table_minutes || 0,
+      bundle_table_type: bundle_table_type || null,
+      recipe: recipe || [],
+      schedule_id: schedule_id || null,
       nutritional_info: nutritional_info || {},
       preparation_time: preparation_time || 15,
-      is_popular: is_popular || false
+      is_popular: is_popular || false,
+      tax_profile_id: tax_profile_id || null
     });
 
+    // An item whose ingredients are already out starts off unavailable
+    if (menuItem.recipe.length > 0) {
+      await refreshMenuAvailability(menuItem.recipe.map(entry => entry.ingredient_id));
+      await menuItem.reload();
+    }
+
     res.status(201).json({
       success: true,
       message: 'Menu item created successfully',
@@ -134,8 +362,25 @@ router.post('/', auth, authorize('Admin', 'Manager'), [
 });
 
 // Update menu item
-router.put('/:id', auth, authorize('Admin', 'Manager'), async (req, res) => {
+router.put('/:id', auth, authorize('Admin', 'Manager'), [
+  body('category').optional().trim().notEmpty().withMessage('Category is required'),
+  body('subcategory').optional().trim().notEmpty().withMessage('Subcategory is required'),
+  body('printer').optional().isIn(PRINTERS).withMessage('Invalid printer'),
+  body('modifier_groups').optional().custom(validateModifierGroups),
+  body('recipe').optional().custom(validateRecipe),
+  body('schedule_id').optional({ nullable: true }).custom(validateSchedule),
+  ...bundleValidation
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const menuItem = await MenuItem.findByPk(req.params.id);
     if (!menuItem) {
       return res.status(404).json({
@@ -153,12 +398,52 @@ router.put('/:id', auth, authorize('Admin', 'Manager'), async (req, res) => {
       image,
       printer,
       variants,
+      modifier_groups,
+      is_bundle,
+      bundle_items,
+      bundle_table_minutes,
+      bundle_table_type,
+      recipe,
+      schedule_id,
       nutritional_info,
       preparation_time,
       is_popular,
-      is_available
+      is_available,
+      tax_profile_id
     } = req.body;
 
+    if (category || subcategory) {
+      const invalidCategory = categoryError(
+        await loadMenuStructure(),
+        category || menuItem.category,
+        subcategory || menuItem.subcategory
+      );
+      if (invalidCategory) {
+        return res.status(400).json({
+          success: false,
+          message: invalidCategory
+        });
+      }
+    }
+
+    const bundle = {
+      is_bundle: is_bundle !== undefined ? is_bundle : menuItem.is_bundle,
+      bundle_items: bundle_items || menuItem.bundle_items,
+      bundle_table_minutes: bundle_table_minutes !== undefined ? bundle_table_minutes : menuItem.bundle_table_minutes,
+      bundle_table_type: bundle_table_type !== undefined ? bundle_table_type : menuItem.bundle_table_type
+    };
+    if (isEmptyBundle(bundle)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A bundle needs at least one item or some table time'
+      });
+    }
+
+    // A new image replaces an uploaded one and its thumbnail
+    const replacedImage = image !== undefined && image !== menuItem.image
+      ? [menuItem.image, menuItem.image_thumbnail]
+      : [];
+
     await menuItem.update({
       name: name || menuItem.name,
       description: description !== undefined ? description : menuItem.description,
@@ -166,14 +451,29 @@ router.put('/:id', auth, authorize('Admin', 'Manager'), async (req, res) => {
       subcategory: subcategory || menuItem.subcategory,
       price: price !== undefined ? price : menuItem.price,
       image: image !== undefined ? image : menuItem.image,
+      image_thumbnail: replacedImage.length > 0 ? null : menuItem.image_thumbnail,
       printer: printer || menuItem.printer,
       variants: variants || menuItem.variants,
+      modifier_groups: modifier_groups || menuItem.modifier_groups,
+      ...bundle,
+      recipe: recipe || menuItem.recipe,
+      schedule_id: schedule_id !== undefined ? schedule_id : menuItem.schedule_id,
       nutritional_info: nutritional_info || menuItem.nutritional_info,
       preparation_time: preparation_time !== undefined ? preparation_time : menuItem.preparation_time,
       is_popular: is_popular !== undefined ? is_popular : menuItem.is_popular,
-      is_available: is_available !== undefined ? is_available : menuItem.is_available
+      is_available: is_available !== undefined ? is_available : menuItem.is_available,
+      // Setting availability by hand overrides the stock check until stock next changes
+      out_of_stock: is_available !== undefined ? false : menuItem.out_of_stock,
+      tax_profile_id: tax_profile_id !== undefined ? tax_profile_id : menuItem.tax_profile_id
     });
 
+    await removeImages(...replacedImage);
+
+    if (recipe) {
+      await refreshMenuAvailability(recipe.map(entry => entry.ingredient_id));
+      await menuItem.reload();
+    }
+
     res.json({
       success: true,
       message: 'Menu item updated successfully',
@@ -200,7 +500,8 @@ router.patch('/:id/availability', auth, authorize('Admin', 'Manager'), async (re
     }
 
     await menuItem.update({ 
-      is_available: !menuItem.is_available 
+      is_available: !menuItem.is_available,
+      out_of_stock: false
     });
 
     res.json({
@@ -217,6 +518,75 @@ router.patch('/:id/availability', auth, authorize('Admin', 'Manager'), async (re
   }
 });
 
+// Upload a menu item's image (multipart `image`: JPEG, PNG or WebP); a thumbnail is made
+// and any image uploaded before is deleted
+router.post('/:id/image', auth, authorize('Admin', 'Manager'), singleUpload('image', MAX_IMAGE_BYTES), async (req, res) => {
+  try {
+    const menuItem = await MenuItem.findByPk(req.params.id);
+    if (!menuItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu item not found'
+      });
+    }
+
+    let stored;
+    try {
+      stored = await storeImage(req.file, 'menu');
+    } catch (imageError) {
+      return res.status(400).json({
+        success: false,
+        message: imageError.message
+      });
+    }
+
+    const previous = [menuItem.image, menuItem.image_thumbnail];
+    await menuItem.update({ image: stored.image, image_thumbnail: stored.thumbnail });
+    await removeImages(...previous);
+
+    res.json({
+      success: true,
+      message: 'Image uploaded successfully',
+      data: { menuItem }
+    });
+  } catch (error) {
+    console.error('Upload menu item image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Remove a menu item's image
+router.delete('/:id/image', auth, authorize('Admin', 'Manager'), async (req, res) => {
+  try {
+    const menuItem = await MenuItem.findByPk(req.params.id);
+    if (!menuItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu item not found'
+      });
+    }
+
+    const previous = [menuItem.image, menuItem.image_thumbnail];
+    await menuItem.update({ image: null, image_thumbnail: null });
+    await removeImages(...previous);
+
+    res.json({
+      success: true,
+      message: 'Image removed successfully',
+      data: { menuItem }
+    });
+  } catch (error) {
+    console.error('Remove menu item image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Delete menu item (Admin only)
 router.delete('/:id', auth, authorize('Admin'), async (req, res) => {
   try {
@@ -229,6 +599,7 @@ router.delete('/:id', auth, authorize('Admin'), async (req, res) => {
     }
 
     await menuItem.destroy();
+    await removeImages(menuItem.image, menuItem.image_thumbnail);
 
     res.json({
       success: true,
@@ -243,28 +614,25 @@ router.delete('/:id', auth, authorize('Admin'), async (req, res) => {
   }
 });
 
-// Get categories and subcategories
+// Get active categories and their subcategories in menu order, as names (`structure`) and as
+// records with icons and default printers (`categories`). Managed at /api/categories.
 router.get('/structure/categories', async (req, res) => {
   try {
-    const menuItems = await MenuItem.findAll({
-      attributes: ['category', 'subcategory'],
-      group: ['category', 'subcategory'],
-      order: [['category', 'ASC'], ['subcategory', 'ASC']]
-    });
+    const categories = (await loadMenuStructure())
+      .filter(category => category.is_active)
+      .map(category => ({
+        ...category,
+        subcategories: category.subcategories.filter(subcategory => subcategory.is_active)
+      }));
 
     const structure = {};
-    menuItems.forEach(item => {
-      if (!structure[item.category]) {
-        structure[item.category] = [];
-      }
-      if (!structure[item.category].includes(item.subcategory)) {
-        structure[item.category].push(item.subcategory);
-      }
+    categories.forEach(category => {
+      structure[category.name] = category.subcategories.map(subcategory => subcategory.name);
     });
 
     res.json({
       success: true,
-      data: { structure }
+      data: { structure, categories }
     });
   } catch (error) {
     console.error('Get categories error:', error);
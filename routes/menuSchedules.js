@@ -0,0 +1,204 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { MenuSchedule, MenuItem } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const scheduleValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Schedule name is required'),
+  body('days').optional().isArray().withMessage('days must be an array'),
+  body('days.*').optional().isInt({ min: 0, max: 6 }).withMessage('Days must be 0 (Sunday) to 6 (Saturday)'),
+  body('start_time').optional().matches(TIME_PATTERN).withMessage('Start time must be HH:MM'),
+  body('end_time').optional().matches(TIME_PATTERN).withMessage('End time must be HH:MM'),
+  body('subcategories').optional().isArray().withMessage('subcategories must be an array'),
+  body('subcategories.*').optional().isString().trim().notEmpty().withMessage('Subcategories must be names')
+];
+
+// Get all menu schedules
+router.get('/', auth, async (req, res) => {
+  try {
+    const { include_inactive } = req.query;
+
+    let whereClause = {};
+    if (include_inactive !== 'true') whereClause.is_active = true;
+
+    const schedules = await MenuSchedule.findAll({
+      where: whereClause,
+      include: [
+        {
+          model: MenuItem,
+          as: 'menuItems',
+          attributes: ['id', 'name', 'category', 'subcategory']
+        }
+      ],
+      order: [['start_time', 'ASC'], ['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { schedules }
+    });
+  } catch (error) {
+    console.error('Get menu schedules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get single menu schedule
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const schedule = await MenuSchedule.findByPk(req.params.id, {
+      include: [
+        {
+          model: MenuItem,
+          as: 'menuItems',
+          attributes: ['id', 'name', 'category', 'subcategory']
+        }
+      ]
+    });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { schedule }
+    });
+  } catch (error) {
+    console.error('Get menu schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create menu schedule (Admin/Manager only)
+router.post('/', auth, authorize('Admin', 'Manager'), [
+  body('name').trim().notEmpty().withMessage('Schedule name is required'),
+  ...scheduleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, days, start_time, end_time, subcategories } = req.body;
+
+    const existing = await MenuSchedule.findOne({ where: { name } });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A menu schedule with this name already exists'
+      });
+    }
+
+    const schedule = await MenuSchedule.create({
+      name,
+      days: days || [],
+      start_time: start_time || '00:00',
+      end_time: end_time || '00:00',
+      subcategories: subcategories || []
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Menu schedule created successfully',
+      data: { schedule }
+    });
+  } catch (error) {
+    console.error('Create menu schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update menu schedule (Admin/Manager only)
+router.put('/:id', auth, authorize('Admin', 'Manager'), scheduleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const schedule = await MenuSchedule.findByPk(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu schedule not found'
+      });
+    }
+
+    const { name, days, start_time, end_time, subcategories, is_active } = req.body;
+
+    await schedule.update({
+      name: name || schedule.name,
+      days: days || schedule.days,
+      start_time: start_time || schedule.start_time,
+      end_time: end_time || schedule.end_time,
+      subcategories: subcategories || schedule.subcategories,
+      is_active: is_active !== undefined ? is_active : schedule.is_active
+    });
+
+    res.json({
+      success: true,
+      message: 'Menu schedule updated successfully',
+      data: { schedule }
+    });
+  } catch (error) {
+    console.error('Update menu schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delete menu schedule (Admin/Manager only); its items go back to their subcategory's schedules
+router.delete('/:id', auth, authorize('Admin', 'Manager'), async (req, res) => {
+  try {
+    const schedule = await MenuSchedule.findByPk(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu schedule not found'
+      });
+    }
+
+    await schedule.update({ is_active: false });
+
+    res.json({
+      success: true,
+      message: 'Menu schedule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete menu schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,70 @@
 const express = require('express');
+const { Op } = require('sequelize');
 const { body, validationResult } = require('express-validator');
-const { Order, OrderItem, MenuItem, Table, User } = require('../models');
+const { Order, OrderItem, MenuItem, Table, User, Refund, Kot, OrderStatusHistory } = require('../models');
 const { auth } = require('../middleware/auth');
+const { roundMoney, loadTaxProfiles, calculateTaxes } = require('../utils/taxEngine');
+const { findOrderSession, findRunningSession, refreshSessionBill, applySessionRefund } = require('../utils/sessionBilling');
+const { stationFor, orderStations, publish } = require('../utils/realtime');
+const { unsentItemsByStation, sendOrderKots, sendAmendmentKot } = require('../utils/kots');
+const { canChangeOrderStatus, canChangeItemStatus, recordStatus, setOrderStatus, setItemStatus, syncOrderStatus } = require('../utils/orderStatus');
+const { menuItemLine, orderLine, createOrderItems, taxLine, itemStatusBlocker, itemChangeBlocker, recalculateOrderTotals } = require('../utils/orderItems');
+const { includedTableMinutes, tableTimeBlocker, adjustPrepaidMinutes, voidBundleComponents } = require('../utils/bundles');
+const { stockShortage, depleteStock } = require('../utils/inventory');
+const { loadMenuSchedules, scheduleBlocker } = require('../utils/menuSchedules');
+const { loadMenuStructure, categoryBlocker } = require('../utils/menuCategories');
 
 const router = express.Router();
 
+const refundValidation = [
+  body('reason_code').isIn(Refund.REASON_CODES).withMessage('Invalid reason code'),
+  body('refund_method').optional().isIn(['cash', 'card', 'upi', 'online']).withMessage('Invalid refund method')
+];
+
+// Refund to the order's payment method, then the session's, unless the bill was split
+const resolveRefundMethod = (requested, order, session) => {
+  if (requested) return requested;
+  if (order.payment_method) return order.payment_method;
+  if (session && session.payment_method !== 'split') return session.payment_method;
+  return null;
+};
+
+// Money refunded against an order also counts against the session it was paid through
+const refundableAmount = (order, session) => {
+  const orderRefundable = roundMoney(parseFloat(order.total || 0) - parseFloat(order.refunded_amount || 0));
+  if (!session) return orderRefundable;
+  const sessionRefundable = roundMoney(parseFloat(session.amount_paid || 0) - parseFloat(session.refunded_amount || 0));
+  return Math.min(orderRefundable, sessionRefundable);
+};
+
+// An order with its items (and their menu items and tickets) and table, as the kitchen needs it
+const findOrderWithItems = (id) => Order.findByPk(id, {
+  include: [
+    {
+      model: OrderItem,
+      as: 'items',
+      include: [
+        {
+          model: MenuItem,
+          as: 'menuItem'
+        },
+        {
+          model: Kot,
+          as: 'kot',
+          attributes: ['id', 'kot_number', 'station']
+        }
+      ]
+    },
+    {
+      model: Table,
+      as: 'table'
+    }
+  ]
+});
+
+// Items can be added and changed until an order is served, cancelled or paid for
+const isOpenOrder = (order) => !['served', 'cancelled'].includes(order.status) && order.payment_status === 'unpaid';
+
 // Get all orders
 router.get('/', auth, async (req, res) => {
   try {
@@ -85,8 +145,24 @@ router.get('/:id', auth, async (req, res) => {
           model: User,
           as: 'creator',
           attributes: ['id', 'name', 'username']
+        },
+        {
+          model: Kot,
+          as: 'kots'
+        },
+        {
+          model: OrderStatusHistory,
+          as: 'statusHistory',
+          include: [
+            {
+              model: User,
+              as: 'changedBy',
+              attributes: ['id', 'name', 'username']
+            }
+          ]
         }
-      ]
+      ],
+      order: [[{ model: OrderStatusHistory, as: 'statusHistory' }, 'created_at', 'ASC']]
     });
 
     if (!order) {
@@ -117,7 +193,8 @@ router.post('/', auth, [
   body('order_type').isIn(['food', 'drinks', 'games', 'mixed']).withMessage('Invalid order type'),
   body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.menu_item_id').isInt().withMessage('Valid menu item ID is required'),
-  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.modifiers').optional().isArray().withMessage('Modifiers must be an array')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -148,9 +225,15 @@ router.post('/', auth, [
       });
     }
 
+    // Orders for an occupied table are billed to its running session
+    const session = await findRunningSession(table);
+
     // Calculate totals
-    let subtotal = 0;
     const orderItems = [];
+    // Menu items sold, for stock: each item ordered and the components of bundles
+    const stockEntries = [];
+    const schedules = await loadMenuSchedules();
+    const structure = await loadMenuStructure();
 
     for (const item of items) {
       const menuItem = await MenuItem.findByPk(item.menu_item_id);
@@ -161,43 +244,70 @@ router.post('/', auth, [
         });
       }
 
-      const itemTotal = menuItem.price * item.quantity;
-      subtotal += itemTotal;
+      const offMenu = scheduleBlocker(menuItem, schedules) || categoryBlocker(menuItem, structure);
+      if (offMenu) {
+        return res.status(400).json({
+          success: false,
+          message: offMenu
+        });
+      }
+
+      try {
+        const line = await orderLine(menuItem, item, service_type);
+        orderItems.push(line);
+        stockEntries.push({ menuItem, quantity: item.quantity }, ...(line.components || []));
+      } catch (lineError) {
+        return res.status(400).json({
+          success: false,
+          message: lineError.message
+        });
+      }
+    }
+
+    const shortage = await stockShortage(stockEntries);
+    if (shortage) {
+      return res.status(400).json({
+        success: false,
+        message: shortage
+      });
+    }
 
-      orderItems.push({
-        menu_item_id: menuItem.id,
-        name: menuItem.name,
-        price: menuItem.price,
-        quantity: item.quantity,
-        special_instructions: item.special_instructions
+    // Table time in bundles is credited to the table's running session
+    const tableTimeError = tableTimeBlocker(orderItems, session);
+    if (tableTimeError) {
+      return res.status(400).json({
+        success: false,
+        message: tableTimeError
       });
     }
 
-    const tax = subtotal * 0.085; // 8.5% tax
-    const total = subtotal + tax;
+    // Apply tax profiles per line
+    const taxProfiles = await loadTaxProfiles();
+    const taxes = calculateTaxes(orderItems, taxProfiles);
+    const { subtotal, tax, total } = taxes;
 
     // Create order
     const order = await Order.create({
       table_id,
       table_number: table.table_number,
+      session_id: session ? session.id : null,
       customer_name,
       customer_phone,
       service_type,
       order_type,
       subtotal,
       tax,
+      tax_breakdown: taxes.breakdown,
       total,
       created_by: req.user.id,
       special_instructions
     });
+    await recordStatus({ order_id: order.id, from: null, to: order.status, userId: req.user.id });
 
     // Create order items
-    for (const item of orderItems) {
-      await OrderItem.create({
-        order_id: order.id,
-        ...item
-      });
-    }
+    await createOrderItems(order.id, taxes.lines);
+    await adjustPrepaidMinutes(session, includedTableMinutes(orderItems));
+    await depleteStock(stockEntries, { orderId: order.id, userId: req.user.id });
 
     // Fetch complete order with items
     const completeOrder = await Order.findByPk(order.id, {
@@ -219,6 +329,8 @@ router.post('/', auth, [
       ]
     });
 
+    publish('order.created', { order: completeOrder }, { stations: orderStations(completeOrder) });
+
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
@@ -248,6 +360,15 @@ router.patch('/:id/status', auth, [
     }
 
     const { status } = req.body;
+
+    // Cancelling voids the order, so it goes through `DELETE /api/orders/:id`
+    if (status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use DELETE /api/orders/:id to cancel an order'
+      });
+    }
+
     const order = await Order.findByPk(req.params.id);
 
     if (!order) {
@@ -257,7 +378,30 @@ router.patch('/:id/status', auth, [
       });
     }
 
-    await order.update({ status });
+    if (order.status === status) {
+      return res.status(400).json({
+        success: false,
+        message: `Order is already ${status}`
+      });
+    }
+
+    if (!canChangeOrderStatus(order.status, status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Order cannot change from ${order.status} to ${status}`
+      });
+    }
+
+    // Marking an order ready or served does the same for the items still in the kitchen
+    if (['ready', 'served'].includes(status)) {
+      const items = await OrderItem.findAll({ where: { order_id: order.id } });
+      const behind = items.filter(item => !['voided', 'served', status].includes(item.status));
+      for (const item of behind) {
+        await setItemStatus(item, status, req.user.id, `Order marked ${status}`);
+      }
+    }
+
+    await setOrderStatus(order, status, req.user.id);
 
     res.json({
       success: true,
@@ -294,7 +438,13 @@ router.patch('/:orderId/items/:itemId/status', auth, [
       where: {
         id: itemId,
         order_id: orderId
-      }
+      },
+      include: [
+        {
+          model: MenuItem,
+          as: 'menuItem'
+        }
+      ]
     });
 
     if (!orderItem) {
@@ -304,7 +454,24 @@ router.patch('/:orderId/items/:itemId/status', auth, [
       });
     }
 
-    await orderItem.update({ status });
+    if (!canChangeItemStatus(orderItem.status, status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Item cannot change from ${orderItem.status} to ${status}`
+      });
+    }
+
+    await setItemStatus(orderItem, status, req.user.id);
+
+    publish('order.item_status_changed', {
+      order_id: orderItem.order_id,
+      item_id: orderItem.id,
+      name: orderItem.name,
+      status
+    }, { stations: [stationFor(orderItem.menuItem?.printer)] });
+
+    const order = await Order.findByPk(orderId);
+    await syncOrderStatus(order, req.user.id);
 
     res.json({
       success: true,
@@ -320,27 +487,437 @@ router.patch('/:orderId/items/:itemId/status', auth, [
   }
 });
 
+// Add items to an open order. Once the order has gone to the kitchen, they follow on an additional KOT.
+router.post('/:id/items', auth, [
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.menu_item_id').isInt().withMessage('Valid menu item ID is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.modifiers').optional().isArray().withMessage('Modifiers must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findByPk(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!isOpenOrder(order)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Items can only be added to open, unpaid orders'
+      });
+    }
+
+    const lines = [];
+    const stockEntries = [];
+    const schedules = await loadMenuSchedules();
+    const structure = await loadMenuStructure();
+    for (const item of req.body.items) {
+      const menuItem = await MenuItem.findByPk(item.menu_item_id);
+      if (!menuItem || !menuItem.is_available) {
+        return res.status(400).json({
+          success: false,
+          message: `Menu item ${menuItem ? menuItem.name : 'with ID ' + item.menu_item_id} is not available`
+        });
+      }
+      const offMenu = scheduleBlocker(menuItem, schedules) || categoryBlocker(menuItem, structure);
+      if (offMenu) {
+        return res.status(400).json({
+          success: false,
+          message: offMenu
+        });
+      }
+      try {
+        const line = await orderLine(menuItem, item, order.service_type);
+        lines.push(line);
+        stockEntries.push({ menuItem, quantity: item.quantity }, ...(line.components || []));
+      } catch (lineError) {
+        return res.status(400).json({
+          success: false,
+          message: lineError.message
+        });
+      }
+    }
+
+    const session = await findOrderSession(order);
+    const tableTimeError = tableTimeBlocker(lines, session);
+    if (tableTimeError) {
+      return res.status(400).json({
+        success: false,
+        message: tableTimeError
+      });
+    }
+
+    const shortage = await stockShortage(stockEntries);
+    if (shortage) {
+      return res.status(400).json({
+        success: false,
+        message: shortage
+      });
+    }
+
+    const taxProfiles = await loadTaxProfiles();
+    const added = await createOrderItems(order.id, calculateTaxes(lines, taxProfiles).lines);
+    await adjustPrepaidMinutes(session, includedTableMinutes(lines));
+    await depleteStock(stockEntries, { orderId: order.id, userId: req.user.id });
+
+    await recalculateOrderTotals(order);
+    await refreshSessionBill(session);
+    await syncOrderStatus(order, req.user.id);
+
+    // Orders already in the kitchen send the new items straight away
+    let kots = [];
+    if (order.kot_printed) {
+      const results = await sendOrderKots(await findOrderWithItems(order.id), req.user.id);
+      kots = results.map(({ kot, items, error }) => ({ ...kot.toJSON(), items, error }));
+    }
+
+    publish('order.items_changed', { order_id: order.id, order_number: order.order_id });
+
+    res.status(201).json({
+      success: true,
+      message: kots.length > 0 ? 'Items added and sent to the kitchen' : 'Items added to order',
+      data: { order, items: added, kots }
+    });
+  } catch (error) {
+    console.error('Add order items error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Change an item's quantity or instructions. Items the kitchen already has get an amendment KOT.
+router.patch('/:orderId/items/:itemId', auth, [
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('special_instructions').optional({ nullable: true }).isString().withMessage('Special instructions must be text')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await findOrderWithItems(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const item = order.items.find(orderItem => orderItem.id === parseInt(req.params.itemId));
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order item not found'
+      });
+    }
+
+    if (!isOpenOrder(order)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only open, unpaid orders can be changed'
+      });
+    }
+
+    const blocker = itemChangeBlocker(item, req.user);
+    if (blocker) {
+      return res.status(blocker.status).json({
+        success: false,
+        message: blocker.message
+      });
+    }
+
+    if (item.is_bundle) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bundles cannot be changed; remove the bundle and add it again'
+      });
+    }
+
+    const { quantity = item.quantity } = req.body;
+    const special_instructions = req.body.special_instructions !== undefined
+      ? req.body.special_instructions
+      : item.special_instructions;
+    const previousQuantity = item.quantity;
+
+    if (quantity === previousQuantity && special_instructions === item.special_instructions) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to change'
+      });
+    }
+
+    // Extra units need the stock for them; fewer units put it back
+    const quantityChange = quantity - previousQuantity;
+    if (quantityChange > 0) {
+      const shortage = await stockShortage([{ menuItem: item.menuItem, quantity: quantityChange }]);
+      if (shortage) {
+        return res.status(400).json({
+          success: false,
+          message: shortage
+        });
+      }
+    }
+
+    // The item keeps the price it was ordered at
+    const line = taxLine(menuItemLine(item.menuItem, quantity, order.service_type, { price: parseFloat(item.price) }), await loadTaxProfiles());
+    await item.update({
+      quantity,
+      special_instructions,
+      net_amount: line.net,
+      tax_amount: line.tax,
+      tax_breakdown: line.breakdown
+    });
+    if (quantityChange !== 0) {
+      await depleteStock([{ menuItem: item.menuItem, quantity: quantityChange }], {
+        orderId: order.id,
+        userId: req.user.id,
+        reason: quantityChange > 0 ? 'sale' : 'return'
+      });
+    }
+
+    await recalculateOrderTotals(order);
+    await refreshSessionBill(await findOrderSession(order));
+
+    let kot = null;
+    if (item.kot) {
+      kot = await sendAmendmentKot(order, item.kot.station, [{
+        action: 'change',
+        order_item_id: item.id,
+        name: item.name,
+        modifiers: item.modifiers,
+        from_quantity: previousQuantity,
+        to_quantity: quantity,
+        special_instructions
+      }], req.user.id);
+    }
+
+    publish('order.items_changed', { order_id: order.id, order_number: order.order_id });
+
+    res.json({
+      success: true,
+      message: kot ? 'Item updated; amendment sent to the kitchen' : 'Item updated',
+      data: { order, item, kot: kot && { ...kot.kot.toJSON(), error: kot.error } }
+    });
+  } catch (error) {
+    console.error('Update order item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Remove an item, or a bundle with its components, from an open order. Items the kitchen
+// already has are voided and cancelled on an amendment KOT; items it never saw are deleted.
+router.delete('/:orderId/items/:itemId', auth, async (req, res) => {
+  try {
+    const order = await findOrderWithItems(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const item = order.items.find(orderItem => orderItem.id === parseInt(req.params.itemId));
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order item not found'
+      });
+    }
+
+    if (!isOpenOrder(order)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only open, unpaid orders can be changed'
+      });
+    }
+
+    const blocker = itemChangeBlocker(item, req.user);
+    if (blocker) {
+      return res.status(blocker.status).json({
+        success: false,
+        message: blocker.message
+      });
+    }
+
+    // A bundle goes with its components, so each of them must be removable too
+    const components = order.items.filter(orderItem => orderItem.bundle_item_id === item.id && orderItem.status !== 'voided');
+    for (const component of components) {
+      const componentBlocker = itemStatusBlocker(component, req.user);
+      if (componentBlocker) {
+        return res.status(componentBlocker.status).json({
+          success: false,
+          message: componentBlocker.message
+        });
+      }
+    }
+
+    const activeItems = order.items.filter(orderItem => orderItem.status !== 'voided' && !orderItem.bundle_item_id);
+    if (activeItems.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'An order needs at least one item; cancel the order instead'
+      });
+    }
+
+    // A bundle line is voided rather than deleted while the kitchen has any of its components.
+    // Stock goes back only for items the kitchen never saw.
+    const keepBundle = components.some(component => component.kot);
+    const cancellations = {};
+    const returned = [];
+    for (const removed of [...components, item]) {
+      if (!removed.kot && !(removed === item && keepBundle)) {
+        returned.push({ menuItem: removed.menuItem, quantity: -removed.quantity });
+        await removed.destroy();
+        continue;
+      }
+
+      await removed.update({ voided_quantity: removed.quantity, net_amount: 0, tax_amount: 0 });
+      await setItemStatus(removed, 'voided', req.user.id, 'Removed from order');
+      if (removed.kot) {
+        cancellations[removed.kot.station] = [...(cancellations[removed.kot.station] || []), {
+          action: 'cancel',
+          order_item_id: removed.id,
+          name: removed.name,
+          modifiers: removed.modifiers,
+          from_quantity: removed.quantity,
+          to_quantity: 0
+        }];
+      }
+    }
+
+    // One amendment per station that had the items
+    const kots = [];
+    for (const [station, changes] of Object.entries(cancellations)) {
+      const { kot, error } = await sendAmendmentKot(order, station, changes, req.user.id);
+      kots.push({ ...kot.toJSON(), error });
+    }
+
+    await depleteStock(returned, { orderId: order.id, userId: req.user.id, reason: 'return' });
+
+    const session = await findOrderSession(order);
+    await adjustPrepaidMinutes(session, -(item.table_minutes || 0) * item.quantity);
+    await recalculateOrderTotals(order);
+    await refreshSessionBill(session);
+    await syncOrderStatus(order, req.user.id);
+
+    publish('order.items_changed', { order_id: order.id, order_number: order.order_id });
+
+    res.json({
+      success: true,
+      message: kots.length > 0 ? 'Item removed; amendment sent to the kitchen' : 'Item removed',
+      data: { order, kots }
+    });
+  } catch (error) {
+    console.error('Remove order item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Print KOT
 router.post('/:id/kot', auth, async (req, res) => {
   try {
-    const order = await Order.findByPk(req.params.id, {
-      include: [
-        {
-          model: OrderItem,
-          as: 'items',
-          include: [
-            {
-              model: MenuItem,
-              as: 'menuItem'
-            }
-          ]
-        },
-        {
-          model: Table,
-          as: 'table'
-        }
-      ]
+    const order = await findOrderWithItems(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Only items not already on a ticket are sent; each station gets its own ticket
+    if (Object.keys(unsentItemsByStation(order)).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No new items to send to the kitchen'
+      });
+    }
+
+    // Tickets that cannot print now stay queued and are retried, failing over to backup printers
+    const results = await sendOrderKots(order, req.user.id, { rush: req.body?.rush === true });
+    const kots = results.map(({ kot, items }) => ({ ...kot.toJSON(), items }));
+    const jobs = results.filter(result => result.job).map(result => result.job);
+    const failures = results
+      .filter(result => result.error)
+      .map(({ kot, error }) => ({ kot_number: kot.kot_number, printer_type: kot.station, error }));
+
+    if (!order.kot_printed) {
+      await order.update({
+        kot_printed: true,
+        kot_printed_at: new Date()
+      });
+    }
+    if (order.status === 'pending') {
+      await setOrderStatus(order, 'confirmed', req.user.id, 'Sent to kitchen');
+    }
+
+    res.json({
+      success: true,
+      message: failures.length === 0 && jobs.every(job => job.status === 'sent')
+        ? 'KOT printed successfully'
+        : 'KOT sent; some tickets are still waiting to print',
+      data: { order, kots, jobs, failures }
     });
+  } catch (error) {
+    console.error('Print KOT error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Refund a paid order (full or partial)
+router.post('/:id/refund', auth, [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be positive'),
+  ...refundValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Check user permissions for refunds
+    const voidPermissions = req.user.permissions?.specialPermissions?.voidOrders;
+    if (!voidPermissions?.afterPayment) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions to refund payments'
+      });
+    }
+
+    const { amount, reason_code, refund_method, notes } = req.body;
+    const order = await Order.findByPk(req.params.id);
 
     if (!order) {
       return res.status(404).json({
@@ -349,22 +926,250 @@ router.post('/:id/kot', auth, async (req, res) => {
       });
     }
 
-    // Update KOT printed status
+    if (order.payment_status !== 'paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only paid orders can be refunded'
+      });
+    }
+
+    const session = await findOrderSession(order);
+    const refundable = refundableAmount(order, session);
+
+    if (refundable <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has nothing left to refund'
+      });
+    }
+
+    const refundAmount = amount ? roundMoney(parseFloat(amount)) : refundable;
+    if (refundAmount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund exceeds the refundable amount (${refundable.toFixed(2)})`
+      });
+    }
+
+    const method = resolveRefundMethod(refund_method, order, session);
+    if (!method) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund method is required for split payments'
+      });
+    }
+
+    const refund = await Refund.create({
+      type: 'refund',
+      scope: refundAmount === roundMoney(parseFloat(order.total)) ? 'full' : 'partial',
+      session_id: session?.id,
+      order_id: order.id,
+      amount: refundAmount,
+      reason_code,
+      notes,
+      refund_method: method,
+      created_by: req.user.id
+    });
+
+    const refundedAmount = roundMoney(parseFloat(order.refunded_amount || 0) + refundAmount);
     await order.update({
-      kot_printed: true,
-      kot_printed_at: new Date()
+      refunded_amount: refundedAmount,
+      payment_status: refundedAmount >= parseFloat(order.total) ? 'refunded' : order.payment_status
     });
 
-    // Here you would integrate with actual printer
-    // For now, we'll just return success
+    if (session) {
+      await applySessionRefund(session, refundAmount);
+    }
 
     res.json({
       success: true,
-      message: 'KOT printed successfully',
-      data: { order }
+      message: 'Refund processed successfully',
+      data: { order, refund }
     });
   } catch (error) {
-    console.error('Print KOT error:', error);
+    console.error('Refund order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Void an order item. Unpaid items come off the bill; paid items are refunded.
+router.post('/:orderId/items/:itemId/void', auth, [
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  ...refundValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findByPk(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const item = await OrderItem.findOne({
+      where: { id: req.params.itemId, order_id: order.id },
+      include: [
+        {
+          model: MenuItem,
+          as: 'menuItem'
+        }
+      ]
+    });
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order item not found'
+      });
+    }
+
+    if (item.bundle_item_id) {
+      return res.status(400).json({
+        success: false,
+        message: `${item.name} is part of a bundle; void the bundle instead`
+      });
+    }
+
+    // Check user permissions for voids
+    const isPaid = order.payment_status === 'paid';
+    const voidPermissions = req.user.permissions?.specialPermissions?.voidOrders;
+    if (!voidPermissions?.items || (isPaid && !voidPermissions?.afterPayment)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions to void items'
+      });
+    }
+
+    if (order.status === 'cancelled' || order.payment_status === 'refunded') {
+      return res.status(400).json({
+        success: false,
+        message: 'Order is already cancelled or refunded'
+      });
+    }
+
+    const { quantity, reason_code, refund_method, notes } = req.body;
+    const remaining = item.quantity - (item.voided_quantity || 0);
+    const voidQuantity = quantity || remaining;
+
+    if (remaining <= 0 || voidQuantity > remaining) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${remaining} of this item can be voided`
+      });
+    }
+
+    // Per-unit amounts; items created before tax profiles fall back to the listed price
+    const lineNet = item.net_amount !== null ? parseFloat(item.net_amount) : parseFloat(item.price) * remaining;
+    const lineTax = parseFloat(item.tax_amount || 0);
+    const voidNet = roundMoney((lineNet / remaining) * voidQuantity);
+    const voidTax = roundMoney((lineTax / remaining) * voidQuantity);
+    const voidAmount = roundMoney(voidNet + voidTax);
+
+    const session = await findOrderSession(order);
+    let method = null;
+
+    if (isPaid) {
+      const refundable = refundableAmount(order, session);
+      if (voidAmount > refundable) {
+        return res.status(400).json({
+          success: false,
+          message: `Refund exceeds the refundable amount (${refundable.toFixed(2)})`
+        });
+      }
+
+      method = resolveRefundMethod(refund_method, order, session);
+      if (!method) {
+        return res.status(400).json({
+          success: false,
+          message: 'Refund method is required for split payments'
+        });
+      }
+    }
+
+    const refund = await Refund.create({
+      type: isPaid ? 'refund' : 'void',
+      scope: 'item',
+      session_id: session?.id,
+      order_id: order.id,
+      order_item_id: item.id,
+      quantity: voidQuantity,
+      amount: voidAmount,
+      reason_code,
+      notes,
+      refund_method: method,
+      created_by: req.user.id
+    });
+
+    // The item keeps the amounts for its remaining units
+    const voidedQuantity = (item.voided_quantity || 0) + voidQuantity;
+    await item.update({
+      voided_quantity: voidedQuantity,
+      net_amount: roundMoney(lineNet - voidNet),
+      tax_amount: roundMoney(lineTax - voidTax)
+    });
+    if (voidedQuantity >= item.quantity) {
+      await setItemStatus(item, 'voided', req.user.id, reason_code);
+    }
+
+    // A voided bundle takes the same share of its components with it, and of its table
+    // time while the bill is still open
+    if (item.is_bundle) {
+      await voidBundleComponents(item, voidQuantity, req.user.id, reason_code);
+      if (!isPaid) {
+        await adjustPrepaidMinutes(session, -(item.table_minutes || 0) * voidQuantity);
+      }
+    }
+
+    if (isPaid) {
+      // The bill stands; the money goes back to the customer
+      const refundedAmount = roundMoney(parseFloat(order.refunded_amount || 0) + voidAmount);
+      await order.update({
+        refunded_amount: refundedAmount,
+        payment_status: refundedAmount >= parseFloat(order.total) ? 'refunded' : order.payment_status
+      });
+
+      if (session) {
+        await applySessionRefund(session, voidAmount);
+      }
+    } else {
+      // Take the voided units off the order totals
+      await order.update({
+        subtotal: Math.max(0, roundMoney(parseFloat(order.subtotal) - voidNet)),
+        tax: Math.max(0, roundMoney(parseFloat(order.tax) - voidTax)),
+        total: Math.max(0, roundMoney(parseFloat(order.total) - voidAmount))
+      });
+
+      await refreshSessionBill(session);
+    }
+
+    await syncOrderStatus(order, req.user.id);
+
+    publish('order.item_voided', {
+      order_id: order.id,
+      item_id: item.id,
+      name: item.name,
+      quantity: voidQuantity,
+      status: item.status
+    }, { stations: [stationFor(item.menuItem?.printer)] });
+
+    res.json({
+      success: true,
+      message: isPaid ? 'Item refunded successfully' : 'Item voided successfully',
+      data: { order, item, refund }
+    });
+  } catch (error) {
+    console.error('Void order item error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -373,9 +1178,29 @@ router.post('/:id/kot', auth, async (req, res) => {
 });
 
 // Cancel order
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, [
+  body('reason_code').optional().isIn(Refund.REASON_CODES).withMessage('Invalid reason code')
+], async (req, res) => {
   try {
-    const order = await Order.findByPk(req.params.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Check user permissions for voiding whole orders
+    const voidPermissions = req.user.permissions?.specialPermissions?.voidOrders;
+    if (!voidPermissions?.fullOrder) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions to cancel orders'
+      });
+    }
+
+    const order = await findOrderWithItems(req.params.id);
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -390,11 +1215,53 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    await order.update({ status: 'cancelled' });
+    if (order.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Order is already cancelled'
+      });
+    }
+
+    if (order.payment_status !== 'unpaid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has been paid; refund it instead'
+      });
+    }
+
+    const { reason_code, notes } = req.body || {};
+    const session = await findOrderSession(order);
+
+    // Record the void so the cancelled amount stays traceable
+    const refund = await Refund.create({
+      type: 'void',
+      scope: 'full',
+      session_id: session?.id,
+      order_id: order.id,
+      amount: order.total,
+      reason_code: reason_code || 'customer_cancelled',
+      notes,
+      created_by: req.user.id
+    });
+
+    await setOrderStatus(order, 'cancelled', req.user.id, reason_code || 'customer_cancelled');
+    await Kot.update({ status: 'cancelled' }, { where: { order_id: order.id, status: 'open' } });
+
+    // Table time from the order's bundles is no longer prepaid once the bundles are off the bill
+    const activeItems = order.items.filter(item => item.status !== 'voided');
+    await adjustPrepaidMinutes(session, -includedTableMinutes(activeItems));
+    await refreshSessionBill(session);
+
+    // Stock goes back for the units the kitchen never started on
+    const returned = activeItems
+      .filter(item => item.status === 'pending' && item.menuItem)
+      .map(item => ({ menuItem: item.menuItem, quantity: -(item.quantity - (item.voided_quantity || 0)) }));
+    await depleteStock(returned, { orderId: order.id, userId: req.user.id, reason: 'return' });
 
     res.json({
       success: true,
-      message: 'Order cancelled successfully'
+      message: 'Order cancelled successfully',
+      data: { refund }
     });
   } catch (error) {
     console.error('Cancel order error:', error);
@@ -1,7 +1,10 @@
 const express = require('express');
+const { Op } = require('sequelize');
 const { body, validationResult } = require('express-validator');
-const Printer = require('../models/Printer');
+const { Printer, PrintJob, User } = require('../models');
 const { auth, authorize } = require('../middleware/auth');
+const { renderTestPage } = require('../utils/escpos');
+const { processJob, enqueuePrintJob, summarizeJobs } = require('../utils/printQueue');
 
 const router = express.Router();
 
@@ -32,6 +35,232 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Get print history
+router.get('/jobs', auth, async (req, res) => {
+  try {
+    const { status, type, printer_id, order_id, limit = 50 } = req.query;
+
+    let whereClause = {};
+    if (status) whereClause.status = status;
+    if (type) whereClause.type = type;
+    if (printer_id) whereClause.printer_id = printer_id;
+    if (order_id) whereClause.order_id = order_id;
+
+    const jobs = await PrintJob.findAll({
+      where: whereClause,
+      attributes: { exclude: ['data'] },
+      include: [
+        {
+          model: Printer,
+          as: 'printer',
+          attributes: ['id', 'name', 'type']
+        },
+        {
+          model: User,
+          as: 'creator',
+          attributes: ['id', 'name']
+        }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: Math.min(parseInt(limit) || 50, 200)
+    });
+
+    res.json({
+      success: true,
+      data: { jobs }
+    });
+  } catch (error) {
+    console.error('Get print jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Reprint a job, on the same printer or on `printer_id`
+router.post('/jobs/:id/reprint', auth, [
+  body('printer_id').optional().isInt().withMessage('Valid printer ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const original = await PrintJob.findByPk(req.params.id);
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Print job not found'
+      });
+    }
+
+    const printer = await Printer.findOne({
+      where: { id: req.body.printer_id || original.printer_id, is_active: true }
+    });
+    if (!printer) {
+      return res.status(400).json({
+        success: false,
+        message: 'Printer not found or not active'
+      });
+    }
+
+    const job = await enqueuePrintJob({
+      type: original.type,
+      printer,
+      data: original.data,
+      description: `Reprint: ${original.description || original.job_id}`,
+      order_id: original.order_id,
+      session_id: original.session_id,
+      kot_id: original.kot_id,
+      created_by: req.user.id,
+      reprint_of: original.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: job.status === 'sent' ? `Reprinted on ${printer.name}` : 'Reprint queued',
+      data: { job }
+    });
+  } catch (error) {
+    console.error('Reprint job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Send a waiting or failed job to another printer
+router.post('/jobs/:id/reroute', auth, [
+  body('printer_id').isInt().withMessage('Valid printer ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = await PrintJob.findByPk(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Print job not found'
+      });
+    }
+
+    if (!['pending', 'failed'].includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reroute a ${job.status} job; reprint it instead`
+      });
+    }
+
+    const printer = await Printer.findOne({ where: { id: req.body.printer_id, is_active: true } });
+    if (!printer) {
+      return res.status(400).json({
+        success: false,
+        message: 'Printer not found or not active'
+      });
+    }
+
+    // A rerouted job starts its retries over on the new printer. A pending job with no next
+    // attempt is being printed right now and is left alone.
+    const [rerouted] = await PrintJob.update({
+      printer_id: printer.id,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: null,
+      last_error: null
+    }, {
+      where: {
+        id: job.id,
+        [Op.or]: [
+          { status: 'failed' },
+          { status: 'pending', next_attempt_at: { [Op.ne]: null } }
+        ]
+      }
+    });
+    if (rerouted === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The job is being printed right now; try again in a moment'
+      });
+    }
+
+    await job.reload();
+    await processJob(job);
+
+    res.json({
+      success: true,
+      message: job.status === 'sent' ? `Printed on ${printer.name}` : `Rerouted to ${printer.name}; waiting to print`,
+      data: { job }
+    });
+  } catch (error) {
+    console.error('Reroute job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Cancel a job that is still waiting to print
+router.post('/jobs/:id/cancel', auth, async (req, res) => {
+  try {
+    const job = await PrintJob.findByPk(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Print job not found'
+      });
+    }
+
+    if (job.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending jobs can be cancelled'
+      });
+    }
+
+    // Only between attempts; a job that is being printed right now cannot be called back
+    const [cancelled] = await PrintJob.update(
+      { status: 'cancelled', next_attempt_at: null },
+      { where: { id: job.id, status: 'pending', next_attempt_at: { [Op.ne]: null } } }
+    );
+    if (cancelled === 0) {
+      await job.reload();
+      return res.status(400).json({
+        success: false,
+        message: job.status === 'pending' ? 'The job is being printed right now' : 'Only pending jobs can be cancelled'
+      });
+    }
+
+    await job.reload();
+
+    res.json({
+      success: true,
+      message: 'Print job cancelled',
+      data: { job }
+    });
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Get single printer
 router.get('/:id', auth, async (req, res) => {
   try {
@@ -60,7 +289,10 @@ router.get('/:id', auth, async (req, res) => {
 // Create printer (Admin/Manager only)
 router.post('/', auth, authorize('Admin', 'Manager'), [
   body('name').trim().notEmpty().withMessage('Printer name is required'),
-  body('type').isIn(['Kitchen Printer', 'Bar Printer', 'Receipt Printer', 'Main Printer']).withMessage('Invalid printer type')
+  body('type').isIn(['Kitchen Printer', 'Bar Printer', 'Receipt Printer', 'Main Printer']).withMessage('Invalid printer type'),
+  body('port').optional({ nullable: true }).isInt({ min: 1, max: 65535 }).withMessage('Port must be between 1 and 65535'),
+  body('backup_printer_id').optional({ nullable: true }).isInt().withMessage('Valid backup printer ID is required'),
+  body('line_width').optional().isInt({ min: 24, max: 64 }).withMessage('Line width must be between 24 and 64 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -72,13 +304,15 @@ router.post('/', auth, authorize('Admin', 'Manager'), [
       });
     }
 
-    const { name, type, ip_address, port } = req.body;
+    const { name, type, ip_address, port, line_width, backup_printer_id } = req.body;
 
     const printer = await Printer.create({
       name,
       type,
       ip_address: ip_address || null,
-      port: port || null
+      port: port || null,
+      line_width: line_width || 48,
+      backup_printer_id: backup_printer_id || null
     });
 
     res.status(201).json({
@@ -106,13 +340,22 @@ router.put('/:id', auth, authorize('Admin', 'Manager'), async (req, res) => {
       });
     }
 
-    const { name, type, ip_address, port, status } = req.body;
+    const { name, type, ip_address, port, line_width, backup_printer_id, status } = req.body;
+
+    if (backup_printer_id && parseInt(backup_printer_id) === printer.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'A printer cannot be its own backup'
+      });
+    }
 
     await printer.update({
       name: name || printer.name,
       type: type || printer.type,
       ip_address: ip_address !== undefined ? ip_address : printer.ip_address,
       port: port !== undefined ? port : printer.port,
+      line_width: line_width || printer.line_width,
+      backup_printer_id: backup_printer_id !== undefined ? backup_printer_id : printer.backup_printer_id,
       status: status || printer.status
     });
 
@@ -149,17 +392,33 @@ router.post('/:id/test', auth, async (req, res) => {
       });
     }
 
-    // Here you would integrate with actual printer API
-    // For now, we'll just update the last test time
-    await printer.update({ 
-      last_test: new Date(),
-      status: 'online' // Assume test is successful
+    await printer.update({ last_test: new Date() });
+
+    // A test checks this printer only: no retries and no failover
+    const job = await enqueuePrintJob({
+      type: 'test',
+      printer,
+      data: renderTestPage(printer, { width: printer.line_width }),
+      description: `Test page (${printer.name})`,
+      created_by: req.user.id,
+      retry: false
     });
 
+    // The driver recorded the outcome on the printer
+    await printer.reload();
+
+    if (job.status !== 'sent') {
+      return res.status(502).json({
+        success: false,
+        message: `Test print failed: ${job.last_error}`,
+        data: { printer, job }
+      });
+    }
+
     res.json({
       success: true,
       message: 'Test print sent successfully',
-      data: { printer }
+      data: { printer, job }
     });
   } catch (error) {
     console.error('Test printer error:', error);
@@ -247,12 +506,28 @@ router.get('/stats/overview', auth, async (req, res) => {
       where: { is_active: true }
     });
 
+    // Jobs over the last `days` days (default 7)
+    const since = new Date(Date.now() - (parseInt(req.query.days) || 7) * 24 * 60 * 60 * 1000);
+    const jobs = await PrintJob.findAll({
+      where: { created_at: { [Op.gte]: since } },
+      attributes: ['id', 'printer_id', 'type', 'status', 'attempts']
+    });
+
     const stats = {
       total: printers.length,
       online: printers.filter(p => p.status === 'online').length,
       offline: printers.filter(p => p.status === 'offline').length,
       error: printers.filter(p => p.status === 'error').length,
-      byType: {}
+      byType: {},
+      jobs: {
+        since,
+        ...summarizeJobs(jobs),
+        byPrinter: printers.map(printer => ({
+          printer_id: printer.id,
+          name: printer.name,
+          ...summarizeJobs(jobs.filter(job => job.printer_id === printer.id))
+        }))
+      }
     };
 
     // Group by type
@@ -0,0 +1,247 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { RateCard } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { STANDARD_BAND, loadRateCards, splitIntoBands } = require('../utils/rateCards');
+const { roundMoney } = require('../utils/taxEngine');
+
+const router = express.Router();
+
+const TABLE_TYPES = ['Snooker', 'Pool', 'PlayStation', 'Restaurant', 'Dining', 'Food'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const rateCardValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Rate card name is required'),
+  body('table_type').optional({ nullable: true }).isIn(TABLE_TYPES).withMessage('Invalid table type'),
+  body('days').optional().isArray().withMessage('days must be an array'),
+  body('days.*').optional().isInt({ min: 0, max: 6 }).withMessage('Days must be 0 (Sunday) to 6 (Saturday)'),
+  body('start_time').optional().matches(TIME_PATTERN).withMessage('Start time must be HH:MM'),
+  body('end_time').optional().matches(TIME_PATTERN).withMessage('End time must be HH:MM'),
+  body('dates').optional().isArray().withMessage('dates must be an array'),
+  body('dates.*').optional().isISO8601({ strict: true }).withMessage('Dates must be YYYY-MM-DD'),
+  body('hourly_rate').optional().isFloat({ min: 0 }).withMessage('Hourly rate must be a positive number'),
+  body('priority').optional().isInt().withMessage('Priority must be a whole number')
+];
+
+// Get all rate cards
+router.get('/', auth, async (req, res) => {
+  try {
+    const { table_type, include_inactive } = req.query;
+
+    let whereClause = {};
+    if (include_inactive !== 'true') whereClause.is_active = true;
+    if (table_type) whereClause.table_type = table_type;
+
+    const rateCards = await RateCard.findAll({
+      where: whereClause,
+      order: [['table_type', 'ASC'], ['priority', 'DESC'], ['start_time', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { rateCards, tableTypes: TABLE_TYPES }
+    });
+  } catch (error) {
+    console.error('Get rate cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Preview how a stretch of play would be billed
+router.post('/preview', auth, [
+  body('table_type').isIn(TABLE_TYPES).withMessage('Invalid table type'),
+  body('start_time').isISO8601().withMessage('Valid start time is required'),
+  body('end_time').isISO8601().withMessage('Valid end time is required'),
+  body('hourly_rate').isFloat({ min: 0 }).withMessage('Table hourly rate is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { table_type, start_time, end_time, hourly_rate } = req.body;
+    const rateCards = await loadRateCards();
+
+    const bands = splitIntoBands(rateCards, table_type, new Date(start_time), new Date(end_time)).map(band => {
+      const minutes = (band.end - band.start) / (1000 * 60);
+      const rate = band.card ? parseFloat(band.card.hourly_rate) : parseFloat(hourly_rate);
+      return {
+        name: band.card ? band.card.name : STANDARD_BAND,
+        rate_card_id: band.card ? band.card.id : null,
+        start: band.start,
+        end: band.end,
+        minutes,
+        hourly_rate: rate,
+        cost: roundMoney((minutes / 60) * rate)
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        preview: {
+          bands,
+          total: roundMoney(bands.reduce((sum, band) => sum + band.cost, 0))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Preview rate cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get single rate card
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const rateCard = await RateCard.findByPk(req.params.id);
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { rateCard }
+    });
+  } catch (error) {
+    console.error('Get rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create rate card (Admin only)
+router.post('/', auth, authorize('Admin'), [
+  body('name').trim().notEmpty().withMessage('Rate card name is required'),
+  body('hourly_rate').isFloat({ min: 0 }).withMessage('Hourly rate must be a positive number'),
+  ...rateCardValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, table_type, days, start_time, end_time, dates, hourly_rate, priority } = req.body;
+
+    const rateCard = await RateCard.create({
+      name,
+      table_type: table_type || null,
+      days: days || [],
+      start_time: start_time || '00:00',
+      end_time: end_time || '00:00',
+      dates: dates || [],
+      hourly_rate,
+      priority: priority || 0
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rate card created successfully',
+      data: { rateCard }
+    });
+  } catch (error) {
+    console.error('Create rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update rate card (Admin only)
+router.put('/:id', auth, authorize('Admin'), rateCardValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rateCard = await RateCard.findByPk(req.params.id);
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    const { name, table_type, days, start_time, end_time, dates, hourly_rate, priority, is_active } = req.body;
+
+    await rateCard.update({
+      name: name || rateCard.name,
+      table_type: table_type !== undefined ? table_type : rateCard.table_type,
+      days: days || rateCard.days,
+      start_time: start_time || rateCard.start_time,
+      end_time: end_time || rateCard.end_time,
+      dates: dates || rateCard.dates,
+      hourly_rate: hourly_rate !== undefined ? hourly_rate : rateCard.hourly_rate,
+      priority: priority !== undefined ? priority : rateCard.priority,
+      is_active: is_active !== undefined ? is_active : rateCard.is_active
+    });
+
+    res.json({
+      success: true,
+      message: 'Rate card updated successfully',
+      data: { rateCard }
+    });
+  } catch (error) {
+    console.error('Update rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delete rate card (Admin only)
+router.delete('/:id', auth, authorize('Admin'), async (req, res) => {
+  try {
+    const rateCard = await RateCard.findByPk(req.params.id);
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    await rateCard.update({ is_active: false });
+
+    res.json({
+      success: true,
+      message: 'Rate card deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,13 @@
 const express = require('express');
 const { Op } = require('sequelize');
-const { Session, Order, OrderItem, MenuItem, Table, User } = require('../models');
+const { Session, Order, OrderItem, MenuItem, Table, User, Refund } = require('../models');
 const { auth, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Money returned to customers, as a negative amount
+const sumRefunds = (refunds) => -refunds.reduce((sum, refund) => sum + parseFloat(refund.amount || 0), 0);
+
 // Get dashboard analytics
 router.get('/dashboard', auth, authorize('Admin', 'Manager'), async (req, res) => {
   try {
@@ -32,11 +35,22 @@ router.get('/dashboard', auth, authorize('Admin', 'Manager'), async (req, res) =
       }
     });
 
+    const todayRefunds = await Refund.findAll({
+      where: {
+        type: 'refund',
+        created_at: {
+          [Op.gte]: today,
+          [Op.lt]: tomorrow
+        }
+      }
+    });
+
     // Calculate revenue
     const totalRevenue = todaySessions.reduce((sum, session) => sum + parseFloat(session.total || 0), 0);
     const tableRevenue = todaySessions.reduce((sum, session) => sum + parseFloat(session.session_cost || 0), 0);
     const orderRevenue = todayOrders.reduce((sum, order) => sum + parseFloat(order.total || 0), 0);
     const discounts = todaySessions.reduce((sum, session) => sum + parseFloat(session.discount || 0), 0);
+    const refunds = sumRefunds(todayRefunds);
 
     // Session stats
     const totalSessions = todaySessions.length;
@@ -57,7 +71,9 @@ router.get('/dashboard', auth, authorize('Admin', 'Manager'), async (req, res) =
         total: totalRevenue,
         table: tableRevenue,
         orders: orderRevenue,
-        discounts: discounts
+        discounts: discounts,
+        refunds: refunds,
+        net: totalRevenue + refunds
       },
       sessions: {
         total: totalSessions,
@@ -102,7 +118,10 @@ router.get('/revenue/category', auth, authorize('Admin', 'Manager'), async (req,
     }
 
     const orders = await Order.findAll({
-      where: dateFilter,
+      where: {
+        ...dateFilter,
+        status: { [Op.ne]: 'cancelled' }
+      },
       include: [
         {
           model: OrderItem,
@@ -117,7 +136,28 @@ router.get('/revenue/category', auth, authorize('Admin', 'Manager'), async (req,
       ]
     });
 
+    // Item voids and all refunds; whole-order voids are cancelled orders, already left out above
+    const refunds = await Refund.findAll({
+      where: {
+        ...dateFilter,
+        [Op.or]: [{ type: 'refund' }, { scope: 'item' }]
+      },
+      include: [
+        {
+          model: OrderItem,
+          as: 'orderItem',
+          include: [
+            {
+              model: MenuItem,
+              as: 'menuItem'
+            }
+          ]
+        }
+      ]
+    });
+
     const categoryRevenue = {};
+    const refundRevenue = {};
     
     orders.forEach(order => {
       order.items.forEach(item => {
@@ -131,9 +171,25 @@ router.get('/revenue/category', auth, authorize('Admin', 'Manager'), async (req,
       });
     });
 
+    // Refunds and voids as negative lines; item refunds at the listed price, bill refunds as charged
+    refunds.forEach(refund => {
+      const category = refund.orderItem ? refund.orderItem.menuItem.category : 'Bill';
+      const amount = refund.orderItem
+        ? refund.quantity * refund.orderItem.price
+        : parseFloat(refund.amount);
+
+      if (!refundRevenue[category]) {
+        refundRevenue[category] = 0;
+      }
+      refundRevenue[category] -= amount;
+    });
+
+    const netRevenue = [...Object.values(categoryRevenue), ...Object.values(refundRevenue)]
+      .reduce((sum, amount) => sum + amount, 0);
+
     res.json({
       success: true,
-      data: { categoryRevenue }
+      data: { categoryRevenue, refunds: refundRevenue, netRevenue }
     });
   } catch (error) {
     console.error('Get category revenue error:', error);
@@ -392,6 +448,10 @@ router.get('/financial/summary', auth, authorize('Admin', 'Manager'), async (req
       where: dateFilter
     });
 
+    const refunds = await Refund.findAll({
+      where: { ...dateFilter, type: 'refund' }
+    });
+
     const summary = {
       totalRevenue: sessions.reduce((sum, s) => sum + parseFloat(s.total || 0), 0),
       sessionRevenue: sessions.reduce((sum, s) => sum + parseFloat(s.session_cost || 0), 0),
@@ -399,10 +459,11 @@ router.get('/financial/summary', auth, authorize('Admin', 'Manager'), async (req
       totalTax: sessions.reduce((sum, s) => sum + parseFloat(s.tax || 0), 0),
       totalServiceFee: sessions.reduce((sum, s) => sum + parseFloat(s.service_fee || 0), 0),
       totalDiscounts: sessions.reduce((sum, s) => sum + parseFloat(s.discount || 0), 0),
+      totalRefunds: sumRefunds(refunds),
       netAmount: 0
     };
 
-    summary.netAmount = summary.totalRevenue - summary.totalDiscounts;
+    summary.netAmount = summary.totalRevenue - summary.totalDiscounts + summary.totalRefunds;
 
     res.json({
       success: true,
@@ -453,6 +514,20 @@ router.get('/export/:type', auth, authorize('Admin', 'Manager'), async (req, res
         });
         break;
         
+      case 'refunds':
+        data = await Refund.findAll({
+          where: startDate && endDate ? {
+            created_at: {
+              [Op.gte]: new Date(startDate),
+              [Op.lte]: new Date(endDate)
+            }
+          } : {},
+          include: [
+            { model: User, as: 'creator', attributes: ['id', 'name', 'username'] }
+          ]
+        });
+        break;
+
       default:
         return res.status(400).json({
           success: false,
@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { Session, Table, Order, User } = require('../models');
 const { auth } = require('../middleware/auth');
+const { overtimeRateFor, calculateSessionCharges, calculateSessionTotals, findSessionOrders } = require('../utils/sessionBilling');
+const { publish } = require('../utils/realtime');
 
 const router = express.Router();
 
@@ -70,13 +72,7 @@ router.get('/:id', auth, async (req, res) => {
 
     // Get associated orders
     const orders = await Order.findAll({
-      where: {
-        table_id: session.table_id,
-        created_at: {
-          [Op.gte]: session.start_time,
-          [Op.lte]: session.end_time || new Date()
-        }
-      }
+      where: { session_id: session.id }
     });
 
     res.json({
@@ -99,7 +95,8 @@ router.get('/:id', auth, async (req, res) => {
 router.post('/start', auth, [
   body('table_id').isInt().withMessage('Valid table ID is required'),
   body('customer_name').trim().notEmpty().withMessage('Customer name is required'),
-  body('customer_phone').trim().notEmpty().withMessage('Customer phone is required')
+  body('customer_phone').trim().notEmpty().withMessage('Customer phone is required'),
+  body('booked_duration').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Booked duration must be at least 1 minute')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -111,7 +108,7 @@ router.post('/start', auth, [
       });
     }
 
-    const { table_id, customer_name, customer_phone } = req.body;
+    const { table_id, customer_name, customer_phone, booked_duration } = req.body;
 
     // Verify table exists and is available
     const table = await Table.findByPk(table_id);
@@ -130,12 +127,18 @@ router.post('/start', auth, [
     }
 
     // Create session
+    const startTime = new Date();
     const session = await Session.create({
       table_id,
       table_number: table.table_number,
+      table_type: table.type,
       customer_name,
       customer_phone,
+      start_time: startTime,
+      booked_duration: booked_duration || null,
+      planned_end_time: booked_duration ? new Date(startTime.getTime() + booked_duration * 60 * 1000) : null,
       hourly_rate: table.hourly_rate,
+      overtime_rate: overtimeRateFor(table.hourly_rate),
       created_by: req.user.id
     });
 
@@ -144,6 +147,7 @@ router.post('/start', auth, [
       status: 'occupied',
       current_session_id: session.id,
       session_start_time: session.start_time,
+      session_end_time: session.planned_end_time,
       customer_name,
       customer_phone
     });
@@ -163,6 +167,8 @@ router.post('/start', auth, [
       ]
     });
 
+    publish('session.started', { session: completeSession });
+
     res.status(201).json({
       success: true,
       message: 'Session started successfully',
@@ -196,7 +202,7 @@ router.post('/:id/end', auth, async (req, res) => {
       });
     }
 
-    if (session.status !== 'active') {
+    if (!['active', 'paused'].includes(session.status)) {
       return res.status(400).json({
         success: false,
         message: 'Session is not active'
@@ -204,41 +210,38 @@ router.post('/:id/end', auth, async (req, res) => {
     }
 
     const endTime = new Date();
-    const duration = Math.ceil((endTime - session.start_time) / (1000 * 60)); // minutes
-    const sessionCost = (duration / 60) * session.hourly_rate;
+    // Ending a paused session closes its open pause interval at the end time
+    const pausedIntervals = session.closePauseInterval(endTime, req.user.id);
+    session.paused_intervals = pausedIntervals;
 
-    // Get total order cost for this session
-    const orders = await Order.findAll({
-      where: {
-        table_id: session.table_id,
-        created_at: {
-          [Op.gte]: session.start_time,
-          [Op.lte]: endTime
-        }
-      }
-    });
+    // Get orders for this session
+    const orders = await findSessionOrders(session);
 
-    const totalOrderCost = orders.reduce((sum, order) => sum + parseFloat(order.total), 0);
-    const subtotal = sessionCost + totalOrderCost;
-    const tax = subtotal * 0.085; // 8.5% tax
-    const serviceFee = subtotal * 0.05; // 5% service fee
-    const total = subtotal + tax + serviceFee;
+    const totals = await calculateSessionTotals(session, orders, endTime);
+    const { charges } = totals;
 
     // Update session
     await session.update({
       end_time: endTime,
-      duration,
-      session_cost: sessionCost,
-      total_order_cost: totalOrderCost,
-      subtotal,
-      tax,
-      service_fee: serviceFee,
-      total,
+      duration: charges.billable_minutes, // minutes, excluding paused time
+      paused_intervals: pausedIntervals,
+      paused_duration: charges.paused_minutes,
+      overtime_duration: charges.overtime_minutes,
+      overtime_cost: charges.overtime_cost,
+      time_charges: charges.table_charges,
+      billing_policy: charges.billing_policy,
+      session_cost: charges.session_cost,
+      total_order_cost: totals.total_order_cost,
+      subtotal: totals.subtotal,
+      tax: totals.tax,
+      tax_breakdown: totals.tax_breakdown,
+      service_fee: totals.service_fee,
+      total: totals.total,
       status: 'completed'
     });
 
-    // Update table status
-    await session.table.update({
+    // Update table status (every table of a merged group)
+    await Table.update({
       status: 'available',
       current_session_id: null,
       session_start_time: null,
@@ -246,8 +249,12 @@ router.post('/:id/end', auth, async (req, res) => {
       customer_name: null,
       customer_phone: null,
       plug_status: 'offline'
+    }, {
+      where: { current_session_id: session.id }
     });
 
+    publish('session.ended', { session });
+
     res.json({
       success: true,
       message: 'Session ended successfully',
@@ -262,6 +269,147 @@ router.post('/:id/end', auth, async (req, res) => {
   }
 });
 
+// Move session to another table
+router.post('/:id/transfer', auth, [
+  body('table_id').isInt().withMessage('Valid table ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { table_id, reason } = req.body;
+    const session = await Session.findByPk(req.params.id, {
+      include: [
+        {
+          model: Table,
+          as: 'table'
+        }
+      ]
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (!['active', 'paused'].includes(session.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session is not active'
+      });
+    }
+
+    if (session.table_group_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Split the table group before moving the session'
+      });
+    }
+
+    if (session.table_id === parseInt(table_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session is already on this table'
+      });
+    }
+
+    const newTable = await Table.findByPk(table_id);
+    if (!newTable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Table not found'
+      });
+    }
+
+    if (newTable.status !== 'available') {
+      return res.status(400).json({
+        success: false,
+        message: 'Table is not available'
+      });
+    }
+
+    // Time so far stays on the old table's rate; the new table's rate applies from now
+    const movedAt = new Date();
+    const overtimeRate = overtimeRateFor(newTable.hourly_rate);
+    const tableSegments = session.moveToTable(newTable, overtimeRate, movedAt, req.user.id, reason || null);
+    const oldTable = session.table;
+
+    await session.update({
+      table_id: newTable.id,
+      table_number: newTable.table_number,
+      table_type: newTable.type,
+      hourly_rate: newTable.hourly_rate,
+      overtime_rate: overtimeRate,
+      table_segments: tableSegments
+    });
+
+    // Free the old table
+    await oldTable.update({
+      status: 'available',
+      current_session_id: null,
+      session_start_time: null,
+      session_end_time: movedAt,
+      customer_name: null,
+      customer_phone: null,
+      plug_status: 'offline'
+    });
+
+    // Occupy the new table
+    await newTable.update({
+      status: 'occupied',
+      current_session_id: session.id,
+      session_start_time: session.start_time,
+      session_end_time: session.planned_end_time,
+      customer_name: session.customer_name,
+      customer_phone: session.customer_phone
+    });
+
+    // Control smart plug if available
+    if (newTable.plug_id) {
+      await newTable.update({ plug_status: 'online' });
+      // Here you would integrate with actual smart plug API
+    }
+
+    const completeSession = await Session.findByPk(session.id, {
+      include: [
+        {
+          model: Table,
+          as: 'table'
+        }
+      ]
+    });
+
+    publish('session.transferred', {
+      session: completeSession,
+      from_table_id: oldTable.id,
+      to_table_id: newTable.id
+    });
+
+    res.json({
+      success: true,
+      message: `Session moved from ${oldTable.name} to ${newTable.name}`,
+      data: {
+        session: completeSession,
+        charges: await calculateSessionCharges(completeSession, movedAt)
+      }
+    });
+  } catch (error) {
+    console.error('Transfer session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Extend session
 router.post('/:id/extend', auth, [
   body('minutes').isInt({ min: 1 }).withMessage('Extension time must be at least 1 minute')
@@ -286,22 +434,38 @@ router.post('/:id/extend', auth, [
       });
     }
 
-    if (session.status !== 'active') {
+    if (!['active', 'paused'].includes(session.status)) {
       return res.status(400).json({
         success: false,
         message: 'Session is not active'
       });
     }
 
-    // Add extension record
-    const extensions = session.extensions || [];
-    extensions.push({
-      extendedBy: minutes,
-      extendedAt: new Date(),
-      reason: reason || 'Manual extension'
+    // Add extension record and move the planned end time forward. Open-ended sessions
+    // (no booked duration) keep the record but have no planned end time to move.
+    session.extensions = [
+      ...(session.extensions || []),
+      {
+        extendedBy: minutes,
+        extendedAt: new Date(),
+        reason: reason || 'Manual extension'
+      }
+    ];
+    const plannedEndTime = session.getPlannedEndTime();
+
+    await session.update({
+      extensions: session.extensions,
+      planned_end_time: plannedEndTime
     });
 
-    await session.update({ extensions });
+    if (plannedEndTime) {
+      await Table.update(
+        { session_end_time: plannedEndTime },
+        { where: { current_session_id: session.id } }
+      );
+    }
+
+    publish('session.extended', { session });
 
     res.json({
       success: true,
@@ -336,7 +500,21 @@ router.post('/:id/pause', auth, async (req, res) => {
       });
     }
 
-    await session.update({ status: 'paused' });
+    // Open a new pause interval
+    await session.update({
+      status: 'paused',
+      paused_intervals: [
+        ...(session.paused_intervals || []),
+        {
+          paused_at: new Date(),
+          resumed_at: null,
+          paused_by: req.user.id,
+          reason: req.body.reason || null
+        }
+      ]
+    });
+
+    publish('session.paused', { session });
 
     res.json({
       success: true,
@@ -371,7 +549,29 @@ router.post('/:id/resume', auth, async (req, res) => {
       });
     }
 
-    await session.update({ status: 'active' });
+    // Close the open pause interval
+    const resumedAt = new Date();
+    const pausedIntervals = session.closePauseInterval(resumedAt, req.user.id);
+
+    session.paused_intervals = pausedIntervals;
+    const plannedEndTime = session.getPlannedEndTime(resumedAt);
+
+    await session.update({
+      status: 'active',
+      paused_intervals: pausedIntervals,
+      paused_duration: session.getPausedMinutes(resumedAt),
+      planned_end_time: plannedEndTime
+    });
+
+    // Paused time pushes the planned end time forward
+    if (plannedEndTime) {
+      await Table.update(
+        { session_end_time: plannedEndTime },
+        { where: { current_session_id: session.id } }
+      );
+    }
+
+    publish('session.resumed', { session });
 
     res.json({
       success: true,
@@ -0,0 +1,433 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { body, validationResult } = require('express-validator');
+const { TableGroup, Table, Session, Order } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { overtimeRateFor } = require('../utils/sessionBilling');
+const { publish } = require('../utils/realtime');
+
+const router = express.Router();
+
+const groupValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Group name is required'),
+  body('table_ids').optional().isArray({ min: 2 }).withMessage('A group needs at least two tables'),
+  body('table_ids.*').optional().isInt().withMessage('Valid table IDs are required'),
+  body('hourly_rate').optional().isFloat({ min: 0 }).withMessage('Hourly rate must be a positive number'),
+  body('fixed_rate').optional().isFloat({ min: 0 }).withMessage('Fixed rate must be a positive number'),
+  body('discount').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100')
+];
+
+// Tables of a group, in group order
+const findGroupTables = async (group) => {
+  const tables = await Table.findAll({
+    where: { id: { [Op.in]: group.table_ids || [] } }
+  });
+  return (group.table_ids || [])
+    .map(tableId => tables.find(table => table.id === tableId))
+    .filter(Boolean);
+};
+
+// Session currently running across the group's tables
+const findGroupSession = (group) => {
+  return Session.findOne({
+    where: {
+      table_group_id: group.id,
+      status: { [Op.in]: ['active', 'paused'] }
+    }
+  });
+};
+
+// Get all table groups
+router.get('/', auth, async (req, res) => {
+  try {
+    const tableGroups = await TableGroup.findAll({
+      where: { is_active: true },
+      order: [['name', 'ASC']]
+    });
+
+    const groups = await Promise.all(tableGroups.map(async (group) => ({
+      ...group.toJSON(),
+      tables: await findGroupTables(group),
+      group_hourly_rate: group.getGroupHourlyRate(),
+      group_fixed_charge: group.getGroupFixedCharge(),
+      session: await findGroupSession(group)
+    })));
+
+    res.json({
+      success: true,
+      data: { tableGroups: groups }
+    });
+  } catch (error) {
+    console.error('Get table groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get single table group
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const tableGroup = await TableGroup.findByPk(req.params.id);
+
+    if (!tableGroup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Table group not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        tableGroup: {
+          ...tableGroup.toJSON(),
+          tables: await findGroupTables(tableGroup),
+          group_hourly_rate: tableGroup.getGroupHourlyRate(),
+          group_fixed_charge: tableGroup.getGroupFixedCharge(),
+          session: await findGroupSession(tableGroup)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get table group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create table group (Admin/Manager only)
+router.post('/', auth, authorize('Admin', 'Manager'), [
+  body('name').trim().notEmpty().withMessage('Group name is required'),
+  body('table_ids').isArray({ min: 2 }).withMessage('A group needs at least two tables'),
+  body('hourly_rate').isFloat({ min: 0 }).withMessage('Hourly rate must be a positive number'),
+  ...groupValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, table_ids, hourly_rate, fixed_rate, discount } = req.body;
+    const tableIds = [...new Set(table_ids.map(tableId => parseInt(tableId)))];
+
+    const tableCount = await Table.count({ where: { id: { [Op.in]: tableIds } } });
+    if (tableCount !== tableIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more tables not found'
+      });
+    }
+
+    const tableGroup = await TableGroup.create({
+      name,
+      table_ids: tableIds,
+      hourly_rate,
+      fixed_rate: fixed_rate || 0,
+      discount: discount || 0
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Table group created successfully',
+      data: { tableGroup }
+    });
+  } catch (error) {
+    console.error('Create table group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update table group (Admin/Manager only)
+router.put('/:id', auth, authorize('Admin', 'Manager'), groupValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tableGroup = await TableGroup.findByPk(req.params.id);
+    if (!tableGroup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Table group not found'
+      });
+    }
+
+    if (await findGroupSession(tableGroup)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change a table group while it has a running session'
+      });
+    }
+
+    const { name, table_ids, hourly_rate, fixed_rate, discount } = req.body;
+    let tableIds = tableGroup.table_ids;
+
+    if (table_ids) {
+      tableIds = [...new Set(table_ids.map(tableId => parseInt(tableId)))];
+      const tableCount = await Table.count({ where: { id: { [Op.in]: tableIds } } });
+      if (tableCount !== tableIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'One or more tables not found'
+        });
+      }
+    }
+
+    await tableGroup.update({
+      name: name || tableGroup.name,
+      table_ids: tableIds,
+      hourly_rate: hourly_rate !== undefined ? hourly_rate : tableGroup.hourly_rate,
+      fixed_rate: fixed_rate !== undefined ? fixed_rate : tableGroup.fixed_rate,
+      discount: discount !== undefined ? discount : tableGroup.discount
+    });
+
+    res.json({
+      success: true,
+      message: 'Table group updated successfully',
+      data: { tableGroup }
+    });
+  } catch (error) {
+    console.error('Update table group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delete table group (Admin only)
+router.delete('/:id', auth, authorize('Admin'), async (req, res) => {
+  try {
+    const tableGroup = await TableGroup.findByPk(req.params.id);
+    if (!tableGroup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Table group not found'
+      });
+    }
+
+    if (await findGroupSession(tableGroup)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a table group while it has a running session'
+      });
+    }
+
+    await tableGroup.update({ is_active: false });
+
+    res.json({
+      success: true,
+      message: 'Table group deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete table group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Start one session across all tables of the group
+router.post('/:id/start', auth, [
+  body('customer_name').trim().notEmpty().withMessage('Customer name is required'),
+  body('customer_phone').trim().notEmpty().withMessage('Customer phone is required'),
+  body('booked_duration').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Booked duration must be at least 1 minute')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { customer_name, customer_phone, booked_duration } = req.body;
+    const tableGroup = await TableGroup.findByPk(req.params.id);
+
+    if (!tableGroup || !tableGroup.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Table group not found'
+      });
+    }
+
+    const tables = await findGroupTables(tableGroup);
+    const unavailable = tables.filter(table => table.status !== 'available');
+    if (tables.length < 2 || unavailable.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Tables not available: ${unavailable.map(table => table.name).join(', ') || 'group has fewer than two tables'}`
+      });
+    }
+
+    // The session is opened on the first table and billed at the group rate
+    const primaryTable = tables[0];
+    const hourlyRate = tableGroup.getGroupHourlyRate();
+    const overtimeRate = overtimeRateFor(hourlyRate);
+    const startTime = new Date();
+
+    const session = await Session.create({
+      table_id: primaryTable.id,
+      table_number: primaryTable.table_number,
+      table_type: primaryTable.type,
+      table_group_id: tableGroup.id,
+      customer_name,
+      customer_phone,
+      start_time: startTime,
+      booked_duration: booked_duration || null,
+      planned_end_time: booked_duration ? new Date(startTime.getTime() + booked_duration * 60 * 1000) : null,
+      hourly_rate: hourlyRate,
+      overtime_rate: overtimeRate,
+      fixed_charge: tableGroup.getGroupFixedCharge(),
+      table_segments: [{
+        table_id: primaryTable.id,
+        table_number: primaryTable.table_number,
+        table_type: primaryTable.type,
+        table_group_id: tableGroup.id,
+        table_ids: tables.map(table => table.id),
+        hourly_rate: hourlyRate,
+        overtime_rate: overtimeRate,
+        started_at: startTime,
+        ended_at: null
+      }],
+      created_by: req.user.id
+    });
+
+    // Occupy every table in the group
+    await Table.update({
+      status: 'occupied',
+      current_session_id: session.id,
+      session_start_time: session.start_time,
+      session_end_time: session.planned_end_time,
+      customer_name,
+      customer_phone
+    }, {
+      where: { id: { [Op.in]: tables.map(table => table.id) } }
+    });
+
+    // Control smart plugs if available
+    await Table.update(
+      { plug_status: 'online' },
+      { where: { id: { [Op.in]: tables.map(table => table.id) }, plug_id: { [Op.ne]: null } } }
+    );
+    // Here you would integrate with actual smart plug API
+
+    publish('session.started', { session, table_group_id: tableGroup.id });
+
+    res.status(201).json({
+      success: true,
+      message: `Session started on ${tableGroup.name}`,
+      data: { session, tables }
+    });
+  } catch (error) {
+    console.error('Start group session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Split a running group back into one session per table. The group session carries on
+// at the first table's own rate; every other table gets a new session and its orders.
+router.post('/:id/split', auth, async (req, res) => {
+  try {
+    const tableGroup = await TableGroup.findByPk(req.params.id);
+
+    if (!tableGroup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Table group not found'
+      });
+    }
+
+    const session = await findGroupSession(tableGroup);
+    if (!session) {
+      return res.status(400).json({
+        success: false,
+        message: 'Table group has no running session'
+      });
+    }
+
+    const splitAt = new Date();
+    const tables = await Table.findAll({
+      where: { current_session_id: session.id }
+    });
+    const primaryTable = tables.find(table => table.id === session.table_id);
+    const otherTables = tables.filter(table => table.id !== session.table_id);
+
+    // Group time so far stays at the group rate
+    const overtimeRate = overtimeRateFor(primaryTable.hourly_rate);
+    await session.update({
+      table_group_id: null,
+      hourly_rate: primaryTable.hourly_rate,
+      overtime_rate: overtimeRate,
+      table_segments: session.moveToTable(primaryTable, overtimeRate, splitAt, req.user.id, 'Split from table group')
+    });
+
+    const sessions = [];
+    for (const table of otherTables) {
+      const tableSession = await Session.create({
+        table_id: table.id,
+        table_number: table.table_number,
+        table_type: table.type,
+        customer_name: session.customer_name,
+        customer_phone: session.customer_phone,
+        start_time: splitAt,
+        hourly_rate: table.hourly_rate,
+        overtime_rate: overtimeRateFor(table.hourly_rate),
+        created_by: req.user.id
+      });
+
+      await table.update({
+        current_session_id: tableSession.id,
+        session_start_time: splitAt,
+        session_end_time: null
+      });
+
+      // Orders follow the table they were placed at
+      await Order.update(
+        { session_id: tableSession.id },
+        { where: { session_id: session.id, table_id: table.id } }
+      );
+
+      sessions.push(tableSession);
+    }
+
+    sessions.forEach(tableSession => publish('session.started', { session: tableSession, split_from: session.id }));
+
+    res.json({
+      success: true,
+      message: `${tableGroup.name} split into ${sessions.length + 1} sessions`,
+      data: { session, sessions }
+    });
+  } catch (error) {
+    console.error('Split table group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { Table, Session, Device } = require('../models');
 const { auth, authorize } = require('../middleware/auth');
+const { publish } = require('../utils/realtime');
 
 const router = express.Router();
 
@@ -215,6 +216,8 @@ router.patch('/:id/status', auth, async (req, res) => {
 
     await table.update({ status });
 
+    publish('table.status_changed', { table_id: table.id, table_number: table.table_number, status });
+
     res.json({
       success: true,
       message: 'Table status updated successfully',
@@ -302,6 +305,12 @@ router.post('/:id/plug/control', auth, [
       plug_status: action === 'on' ? 'online' : 'offline'
     });
 
+    publish('device.state_changed', {
+      table_id: table.id,
+      plug_id: table.plug_id,
+      plug_status: table.plug_status
+    });
+
     res.json({
       success: true,
       message: `Smart plug turned ${action}`,
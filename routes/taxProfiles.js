@@ -0,0 +1,260 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { TaxProfile, MenuItem, Category } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { TABLE_TIME, roundMoney, loadTaxProfiles, calculateTaxes, calculateServiceFee } = require('../utils/taxEngine');
+
+const router = express.Router();
+
+const SERVICE_TYPES = ['dine-in', 'takeaway'];
+
+// Taxes apply to menu categories and to table time
+const taxTargets = async () => {
+  const categories = await Category.findAll({
+    attributes: ['name'],
+    order: [['sort_order', 'ASC'], ['name', 'ASC']]
+  });
+  return [...categories.map(category => category.name), TABLE_TIME];
+};
+
+const validateTaxTarget = async (target) => {
+  if (!(await taxTargets()).includes(target)) throw new Error('Invalid tax target');
+  return true;
+};
+
+const profileValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Profile name is required'),
+  body('type').optional().isIn(['tax', 'service_fee']).withMessage('Invalid profile type'),
+  body('components').optional().isArray({ min: 1 }).withMessage('At least one rate component is required'),
+  body('components.*.name').optional().trim().notEmpty().withMessage('Component name is required'),
+  body('components.*.rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Component rate must be between 0 and 100'),
+  body('is_inclusive').optional().isBoolean().withMessage('is_inclusive must be a boolean'),
+  body('applies_to').optional().isArray().withMessage('applies_to must be an array'),
+  body('applies_to.*').optional().custom(validateTaxTarget),
+  body('service_types').optional().isArray().withMessage('service_types must be an array'),
+  body('service_types.*').optional().isIn(SERVICE_TYPES).withMessage('Invalid service type')
+];
+
+// Get all tax profiles
+router.get('/', auth, async (req, res) => {
+  try {
+    const { type, include_inactive } = req.query;
+
+    let whereClause = {};
+    if (include_inactive !== 'true') whereClause.is_active = true;
+    if (type) whereClause.type = type;
+
+    const taxProfiles = await TaxProfile.findAll({
+      where: whereClause,
+      order: [['type', 'ASC'], ['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { taxProfiles, targets: await taxTargets() }
+    });
+  } catch (error) {
+    console.error('Get tax profiles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Preview taxes for sample lines
+router.post('/preview', auth, [
+  body('lines').isArray({ min: 1 }).withMessage('At least one line is required'),
+  body('lines.*.target').custom(validateTaxTarget),
+  body('lines.*.amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('service_type').optional().isIn(SERVICE_TYPES).withMessage('Invalid service type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { lines, service_type = 'dine-in' } = req.body;
+    const taxProfiles = await loadTaxProfiles();
+
+    const taxes = calculateTaxes(lines.map(line => ({ ...line, service_type })), taxProfiles);
+    const serviceFee = calculateServiceFee(taxes.lines, taxProfiles);
+
+    res.json({
+      success: true,
+      data: {
+        preview: {
+          ...taxes,
+          service_fee: serviceFee.amount,
+          service_fee_breakdown: serviceFee.breakdown,
+          total: roundMoney(taxes.total + serviceFee.amount)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Preview taxes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get single tax profile
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const taxProfile = await TaxProfile.findByPk(req.params.id, {
+      include: [
+        {
+          model: MenuItem,
+          as: 'menuItems',
+          attributes: ['id', 'name', 'category']
+        }
+      ]
+    });
+
+    if (!taxProfile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { taxProfile }
+    });
+  } catch (error) {
+    console.error('Get tax profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create tax profile (Admin only)
+router.post('/', auth, authorize('Admin'), [
+  body('name').trim().notEmpty().withMessage('Profile name is required'),
+  body('components').isArray({ min: 1 }).withMessage('At least one rate component is required'),
+  ...profileValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, type, components, is_inclusive, applies_to, service_types } = req.body;
+
+    const taxProfile = await TaxProfile.create({
+      name,
+      type: type || 'tax',
+      components,
+      is_inclusive: is_inclusive || false,
+      applies_to: applies_to || [],
+      service_types: service_types || []
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax profile created successfully',
+      data: { taxProfile }
+    });
+  } catch (error) {
+    console.error('Create tax profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update tax profile (Admin only)
+router.put('/:id', auth, authorize('Admin'), profileValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const taxProfile = await TaxProfile.findByPk(req.params.id);
+    if (!taxProfile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax profile not found'
+      });
+    }
+
+    const { name, type, components, is_inclusive, applies_to, service_types, is_active } = req.body;
+
+    await taxProfile.update({
+      name: name || taxProfile.name,
+      type: type || taxProfile.type,
+      components: components || taxProfile.components,
+      is_inclusive: is_inclusive !== undefined ? is_inclusive : taxProfile.is_inclusive,
+      applies_to: applies_to || taxProfile.applies_to,
+      service_types: service_types || taxProfile.service_types,
+      is_active: is_active !== undefined ? is_active : taxProfile.is_active
+    });
+
+    res.json({
+      success: true,
+      message: 'Tax profile updated successfully',
+      data: { taxProfile }
+    });
+  } catch (error) {
+    console.error('Update tax profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delete tax profile (Admin only)
+router.delete('/:id', auth, authorize('Admin'), async (req, res) => {
+  try {
+    const taxProfile = await TaxProfile.findByPk(req.params.id);
+    if (!taxProfile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax profile not found'
+      });
+    }
+
+    await taxProfile.update({ is_active: false });
+
+    // Items pinned to this profile fall back to their category profiles
+    await MenuItem.update(
+      { tax_profile_id: null },
+      { where: { tax_profile_id: taxProfile.id } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Tax profile deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete tax profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+// Fake ESC/POS network printer for testing the printer driver offline.
+// Listens for raw TCP print jobs, prints them as text and optionally saves the raw bytes.
+//
+//   node scripts/fakePrinter.js [--port 9100] [--host 127.0.0.1] [--out ./prints]
+//
+// Point a printer at it with ip_address 127.0.0.1 and the same port.
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const { COMMANDS } = require('../utils/escpos');
+
+// Command sequences, longest first so partial matches are not stripped early
+const SEQUENCES = Object.values(COMMANDS)
+  .map(bytes => Buffer.from(bytes))
+  .sort((a, b) => b.length - a.length);
+
+// Printable text of a job with the ESC/POS commands removed
+const jobToText = (data) => {
+  const bytes = [];
+  for (let i = 0; i < data.length;) {
+    const sequence = SEQUENCES.find(seq => data.subarray(i, i + seq.length).equals(seq));
+    if (sequence) {
+      if (sequence.equals(Buffer.from(COMMANDS.cut))) bytes.push(...Buffer.from('---- cut ----\n'));
+      i += sequence.length;
+    } else {
+      bytes.push(data[i]);
+      i += 1;
+    }
+  }
+  return Buffer.from(bytes).toString('ascii');
+};
+
+const startFakePrinter = ({ port = 9100, host = '127.0.0.1', out = null, onJob = null } = {}) => {
+  let jobCount = 0;
+
+  const server = net.createServer(socket => {
+    const chunks = [];
+    socket.on('data', chunk => chunks.push(chunk));
+    socket.on('error', () => {});
+    socket.on('end', () => {
+      const data = Buffer.concat(chunks);
+      jobCount += 1;
+
+      if (out) {
+        fs.mkdirSync(out, { recursive: true });
+        fs.writeFileSync(path.join(out, `job-${Date.now()}-${jobCount}.bin`), data);
+      }
+
+      if (onJob) {
+        onJob({ data, text: jobToText(data) });
+      } else {
+        console.log(`\n==== Job ${jobCount} from ${socket.remoteAddress} (${data.length} bytes) ====`);
+        console.log(jobToText(data));
+      }
+      socket.end();
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+  };
+
+  startFakePrinter({
+    port: parseInt(option('port', process.env.FAKE_PRINTER_PORT || 9100)),
+    host: option('host', '127.0.0.1'),
+    out: option('out', null)
+  })
+    .then(server => {
+      const address = server.address();
+      console.log(`Fake printer listening on ${address.address}:${address.port}`);
+    })
+    .catch(error => {
+      console.error('Unable to start fake printer:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { startFakePrinter, jobToText };
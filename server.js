@@ -5,6 +5,8 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const { sequelize } = require('./config/database');
+const { startPrintQueue } = require('./utils/printQueue');
+const { UPLOAD_URL, storage } = require('./utils/storage');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -19,6 +21,15 @@ const billingRoutes = require('./routes/billing');
 const reportsRoutes = require('./routes/reports');
 const deviceRoutes = require('./routes/devices');
 const printerRoutes = require('./routes/printers');
+const taxProfileRoutes = require('./routes/taxProfiles');
+const tableGroupRoutes = require('./routes/tableGroups');
+const rateCardRoutes = require('./routes/rateCards');
+const billingPolicyRoutes = require('./routes/billingPolicies');
+const eventRoutes = require('./routes/events');
+const inventoryRoutes = require('./routes/inventory');
+const menuScheduleRoutes = require('./routes/menuSchedules');
+const brandingRoutes = require('./routes/branding');
+const categoryRoutes = require('./routes/categories');
 
 const app = express();
 
@@ -29,6 +40,16 @@ app.use(cors({
   credentials: true
 }));
 
+// Uploaded images, ahead of the rate limit since a menu page loads many. Stored files never
+// change (a new upload gets a new name), so browsers can keep them; the frontend is on another
+// origin, so they are allowed cross-origin.
+app.use(UPLOAD_URL, express.static(storage.root, {
+  index: false,
+  maxAge: '365d',
+  immutable: true,
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -53,6 +74,15 @@ app.use('/api/billing', billingRoutes);
 app.use('/api/reports', reportsRoutes);
 app.use('/api/devices', deviceRoutes);
 app.use('/api/printers', printerRoutes);
+app.use('/api/tax-profiles', taxProfileRoutes);
+app.use('/api/table-groups', tableGroupRoutes);
+app.use('/api/rate-cards', rateCardRoutes);
+app.use('/api/billing-policies', billingPolicyRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/menu-schedules', menuScheduleRoutes);
+app.use('/api/branding', brandingRoutes);
+app.use('/api/categories', categoryRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -88,6 +118,9 @@ async function startServer() {
     // Sync database (create tables)
     await sequelize.sync({ alter: true });
     console.log('Database synchronized');
+
+    // Retry print jobs that could not be sent
+    await startPrintQueue();
     
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
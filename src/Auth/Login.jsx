@@ -3,6 +3,7 @@ import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
 // import 'react-toastify/dist/ReactToastify.css';
 import { Link } from "react-router-dom";
+import { apiRequest } from "../utils/api";
 
 
 const Login = () => {
@@ -13,6 +14,7 @@ const Login = () => {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
   const navigate = useNavigate();
 
   const roles = ["Admin", "Staff", "User"];
@@ -25,58 +27,42 @@ const Login = () => {
   const handleLogin = async (e) => {
     e.preventDefault();
     setIsLoading(true);
+    setError("");
 
-    // Simulate API call with timeout
     try {
-      // In a real app, you would make an API call here
-      // const response = await authApi.login({ email, password, role: selectedRole });
-
-      // Mock users data - replace with actual API call in production
-      const users = [
-        { email: "admin@example.com", password: "123", role: "Admin" },
-        { email: "staff@example.com", password: "123", role: "Staff" },
-        { email: "user@example.com", password: "123", role: "User" },
-      ];
-
-      // Simulate network delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
-      const user = users.find(
-        (u) => u.email === email && u.password === password && u.role === selectedRole
-      );
-
-      if (user) {
-        // Store user data in localStorage
-        localStorage.setItem("role", user.role);
-        localStorage.setItem("isAuthenticated", "true");
-
-        if (rememberMe) {
-          localStorage.setItem("rememberedEmail", email);
-        } else {
-          localStorage.removeItem("rememberedEmail");
-        }
-
-        // Redirect based on role
-        setTimeout(() => {
-          switch (user.role) {
-            case "Admin":
-              navigate("/admin/dashboard");
-              break;
-            case "Staff":
-              navigate("/staff/tablesmanagement");
-              break;
-            case "User":
-              navigate("/user/booktable");
-              break;
-            default:
-              navigate("/");
-          }
-        }, 1500);
+      const { user, token } = await apiRequest("POST", "/auth/login", {
+        email,
+        password,
+        role: selectedRole
+      });
+
+      // Store the session; every API call sends this token
+      localStorage.setItem("token", token);
+      localStorage.setItem("role", user.role);
+      localStorage.setItem("isAuthenticated", "true");
+
+      if (rememberMe) {
+        localStorage.setItem("rememberedEmail", email);
       } else {
-        throw new Error("Invalid credentials or role");
+        localStorage.removeItem("rememberedEmail");
       }
-    } catch (error) {
-      //   toast.error(error.message || "Login failed. Please try again.");
+
+      // Redirect based on role
+      switch (user.role) {
+        case "Admin":
+          navigate("/admin/dashboard");
+          break;
+        case "Staff":
+          navigate("/staff/tablesmanagement");
+          break;
+        case "User":
+          navigate("/user/booktable");
+          break;
+        default:
+          navigate("/");
+      }
+    } catch (err) {
+      setError(err.status ? err.message : "Login failed. Please try again.");
     } finally {
       setIsLoading(false);
     }
@@ -115,6 +101,8 @@ const Login = () => {
             <p className="text-muted mb-4">Login to access your dashboard</p>
 
             <form onSubmit={handleLogin}>
+              {error && <div className="alert alert-danger py-2 small">{error}</div>}
+
               {/* Email */}
               <div className="mb-3 position-relative">
                 <i className="bi bi-envelope position-absolute top-50 start-0 translate-middle-y ms-3 text-secondary"></i>
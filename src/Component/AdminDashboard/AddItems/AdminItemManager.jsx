@@ -1,23 +1,117 @@
-import React, { useState, useEffect } from 'react';
-import { Form, Button, Card, Row, Col } from 'react-bootstrap';
-import { PlusCircle, Save } from 'react-bootstrap-icons';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Form, Button, Card, Row, Col, Table, Badge, Alert } from 'react-bootstrap';
+import { PlusCircle, Save, ExclamationTriangle } from 'react-bootstrap-icons';
+import MenuImportExport from './MenuImportExport';
+import CategoryManager from './CategoryManager';
+import { API_URL, apiFetch, apiRequest } from '../../../utils/api';
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+const ADJUSTMENT_REASONS = [
+  { value: 'purchase', label: 'Delivery (add)' },
+  { value: 'wastage', label: 'Wastage (remove)' },
+  { value: 'count', label: 'Stock count (set level)' },
+  { value: 'correction', label: 'Correction (+/-)' }
+];
+
+// Uploaded images are served by the API; other image URLs are used as they are
+const imageUrl = (url) => (url && url.startsWith('/') ? `${API_URL}${url}` : url);
+
+// Upload a photo for a saved menu item; the server stores it and makes the thumbnail
+const uploadItemImage = async (menuItemId, file) => {
+  const formData = new FormData();
+  formData.append('image', file);
+  const response = await apiFetch(`/menu/${menuItemId}/image`, { method: 'POST', body: formData });
+  if (!response.ok) {
+    const result = await response.json();
+    throw new Error(result.message || 'Image upload failed');
+  }
+};
 
 const AddItemPage = () => {
+  // Categories with their subcategories, kept up to date by the category manager
+  const [menuCategories, setMenuCategories] = useState([]);
   const [category, setCategory] = useState('');
-  const [newCategory, setNewCategory] = useState('');
   const [subcategory, setSubcategory] = useState('');
-  const [newSubcategory, setNewSubcategory] = useState('');
   const [types, setTypes] = useState([]);
   const [printer, setPrinter] = useState('');
+  // Bundles sell other items and/or table time at one price
+  const [isBundle, setIsBundle] = useState(false);
+  const [bundleItems, setBundleItems] = useState([]);
+  const [bundleTableMinutes, setBundleTableMinutes] = useState('');
+  const [bundleTableType, setBundleTableType] = useState('');
+  // Ingredients used per item sold; stock is taken off as orders are placed
+  const [recipe, setRecipe] = useState([]);
+  // Serving schedule; empty follows the schedules of the subcategory
+  const [scheduleId, setScheduleId] = useState('');
+  // Photo uploaded to each item once it is saved
+  const [imageFile, setImageFile] = useState(null);
+  const [imagePreview, setImagePreview] = useState(null);
+  const [imageError, setImageError] = useState(null);
+  // Items already on the menu, and the serving schedules items can be given
+  const [menuItems, setMenuItems] = useState([]);
+  const [menuSchedules, setMenuSchedules] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
 
-  const categories = ['Food', 'Drink', 'Games'];
-  const subcategories = {
-    Food: ['Pizza', 'Burger', 'Pasta', 'Sandwich'],
-    Drink: ['Cold Drink', 'Juice', 'Coffee', 'Tea'],
-    Games: ['Pool', 'Carrom', 'Chess', 'Cards']
-  };
+  // Inventory: ingredients, low-stock alerts and the adjustment log, all from the server
+  const [ingredients, setIngredients] = useState([]);
+  const [stockAlerts, setStockAlerts] = useState({ lowStock: [], outOfStock: [] });
+  const [adjustments, setAdjustments] = useState([]);
+  const [adjustment, setAdjustment] = useState({ ingredientId: '', reason: 'purchase', quantity: '', note: '' });
+  const [stockMessage, setStockMessage] = useState(null);
+
+  // Only active categories and subcategories can be given to an item
+  const categories = menuCategories.filter(entry => entry.is_active);
+  const selectedCategory = categories.find(entry => entry.name === category);
+  const subcategories = selectedCategory ? selectedCategory.subcategories.filter(entry => entry.is_active) : [];
+  const selectedSubcategory = subcategories.find(entry => entry.name === subcategory);
 
   const printers = ['Kitchen Printer', 'Bar Printer', 'Main Printer', 'Game Zone Printer'];
+  const tableTypes = ['Snooker', 'Pool', 'PlayStation'];
+
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  const scheduleLabel = (schedule) => {
+    const days = schedule.days.length === 0 ? 'Every day' : schedule.days.map(day => weekdays[day]).join(', ');
+    return `${schedule.name} (${days}, ${schedule.start_time.slice(0, 5)}-${schedule.end_time.slice(0, 5)})`;
+  };
+
+  const loadMenuItems = useCallback(async () => {
+    try {
+      const data = await apiRequest('GET', '/menu');
+      setMenuItems(data.menuItems);
+    } catch {
+      setMessage({ variant: 'danger', text: 'Could not load the menu' });
+    }
+  }, []);
+
+  const loadInventory = useCallback(async () => {
+    try {
+      const [ingredientData, alertData, adjustmentData] = await Promise.all([
+        apiRequest('GET', '/inventory/ingredients'),
+        apiRequest('GET', '/inventory/alerts'),
+        apiRequest('GET', '/inventory/adjustments')
+      ]);
+      setIngredients(ingredientData.ingredients);
+      setStockAlerts(alertData);
+      setAdjustments(adjustmentData.adjustments);
+    } catch {
+      setStockMessage({ variant: 'danger', text: 'Could not load stock' });
+    }
+  }, []);
+
+  useEffect(() => {
+    loadInventory();
+  }, [loadInventory]);
+
+  useEffect(() => {
+    loadMenuItems();
+    apiRequest('GET', '/menu-schedules')
+      .then(data => setMenuSchedules(data.schedules))
+      .catch(() => setMessage({ variant: 'danger', text: 'Could not load serving schedules' }));
+  }, [loadMenuItems]);
 
   const defaultTypes = {
     Pizza: [
@@ -55,43 +149,183 @@ const AddItemPage = () => {
     setTypes(updatedTypes);
   };
 
-  useEffect(() => {
-    if (subcategory && subcategory !== 'new') {
-      const existingTypes = defaultTypes[subcategory] || [{ name: '', price: '' }];
-      setTypes(existingTypes);
-      
-      if (['Pizza', 'Burger', 'Pasta'].includes(subcategory)) {
-        setPrinter('Kitchen Printer');
-      } else if (['Cold Drink', 'Juice'].includes(subcategory)) {
-        setPrinter('Bar Printer');
-      } else if (['Pool', 'Carrom'].includes(subcategory)) {
-        setPrinter('Game Zone Printer');
-      } else {
-        setPrinter('Main Printer');
-      }
+  // Items that can go in a bundle; bundles cannot contain other bundles
+  const bundleOptions = menuItems.filter(item => !item.is_bundle);
+
+  const handleAddBundleItem = () => {
+    setBundleItems([...bundleItems, { menuItemId: '', quantity: 1 }]);
+  };
+
+  const handleRemoveBundleItem = (index) => {
+    setBundleItems(bundleItems.filter((_, i) => i !== index));
+  };
+
+  const handleBundleItemChange = (index, field, value) => {
+    setBundleItems(bundleItems.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  };
+
+  const handleAddRecipeLine = () => {
+    setRecipe([...recipe, { ingredientId: '', quantity: '' }]);
+  };
+
+  const handleRemoveRecipeLine = (index) => {
+    setRecipe(recipe.filter((_, i) => i !== index));
+  };
+
+  const handleRecipeChange = (index, field, value) => {
+    setRecipe(recipe.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const handleImageChange = (e) => {
+    const file = e.target.files[0];
+    if (imagePreview) URL.revokeObjectURL(imagePreview);
+    setImageFile(null);
+    setImagePreview(null);
+    setImageError(null);
+    if (!file) return;
+    if (!IMAGE_TYPES.includes(file.type)) {
+      setImageError('Images must be JPEG, PNG or WebP');
+      return;
     }
-    if (subcategory === 'new') {
-      setTypes([{ name: '', price: '' }]);
-      setPrinter('Main Printer');
+    if (file.size > MAX_IMAGE_BYTES) {
+      setImageError('Images must be at most 10 MB');
+      return;
     }
-  }, [subcategory]);
+    setImageFile(file);
+    setImagePreview(URL.createObjectURL(file));
+  };
 
-  const handleSubmit = (e) => {
+  const subcategorySchedules = menuSchedules.filter(schedule => (schedule.subcategories || []).includes(subcategory));
+
+  const { lowStock, outOfStock } = stockAlerts;
+
+  // Record a stock adjustment; the server works out the change and logs it
+  const handleAdjustStock = async (e) => {
     e.preventDefault();
-    const finalCategory = category === 'new' ? newCategory : category;
-    const finalSubcategory = subcategory === 'new' ? newSubcategory : subcategory;
-    console.log({ finalCategory, finalSubcategory, types, printer });
-    alert('Item saved successfully!');
+    setStockMessage(null);
+    try {
+      const { ingredient, menuItemsChanged } = await apiRequest('POST', `/inventory/ingredients/${adjustment.ingredientId}/adjust`, {
+        reason: adjustment.reason,
+        quantity: parseFloat(adjustment.quantity),
+        note: adjustment.note || undefined
+      });
+      setStockMessage({ variant: 'success', text: `${ingredient.name}: ${parseFloat(ingredient.stock)} ${ingredient.unit} in stock` });
+      setAdjustment({ ingredientId: '', reason: 'purchase', quantity: '', note: '' });
+      if (menuItemsChanged.length > 0) loadMenuItems();
+    } catch (err) {
+      setStockMessage({ variant: 'danger', text: err.status ? err.message : 'Could not reach the server' });
+    }
+    loadInventory();
+  };
+
+  const bundleIsEmpty = isBundle && bundleItems.length === 0 && !(parseInt(bundleTableMinutes) > 0);
+
+  const handleSubcategoryChange = (name) => {
+    setSubcategory(name);
+    if (!name) return;
+
+    setTypes(defaultTypes[name] || [{ name: '', price: '' }]);
+    // The subcategory's default printer, else its category's
+    const chosen = subcategories.find(entry => entry.name === name);
+    setPrinter((chosen && chosen.default_printer) || (selectedCategory && selectedCategory.default_printer) || '');
+  };
+
+  // Drop a selection that a category reload has renamed or deactivated
+  useEffect(() => {
+    if (category && !selectedCategory) {
+      setCategory('');
+      setSubcategory('');
+    } else if (subcategory && !selectedSubcategory) {
+      setSubcategory('');
+    }
+  }, [category, subcategory, selectedCategory, selectedSubcategory]);
+
+  // Each type is saved as its own menu item, with the photo uploaded to each
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setMessage(null);
+
+    const details = {
+      category,
+      subcategory,
+      printer,
+      is_bundle: isBundle,
+      bundle_items: isBundle
+        ? bundleItems.map(item => ({ menu_item_id: parseInt(item.menuItemId), quantity: parseInt(item.quantity) || 1 }))
+        : [],
+      bundle_table_minutes: isBundle ? parseInt(bundleTableMinutes) || 0 : 0,
+      bundle_table_type: isBundle ? bundleTableType || null : null,
+      recipe: recipe.map(line => ({ ingredient_id: parseInt(line.ingredientId), quantity: parseFloat(line.quantity) })),
+      schedule_id: scheduleId ? parseInt(scheduleId) : null
+    };
+
+    const saved = [];
+    try {
+      for (const type of types) {
+        const { menuItem } = await apiRequest('POST', '/menu', { ...details, name: type.name.trim(), price: parseFloat(type.price) });
+        saved.push(menuItem.name);
+        if (imageFile) await uploadItemImage(menuItem.id, imageFile);
+      }
+    } catch (err) {
+      const done = saved.length > 0 ? ` (saved: ${saved.join(', ')})` : '';
+      setMessage({ variant: 'danger', text: `${err.message}${done}` });
+      setTypes(types.filter(type => !saved.includes(type.name.trim())));
+      setIsSaving(false);
+      loadMenuItems();
+      return;
+    }
+
+    setMessage({ variant: 'success', text: `Saved ${saved.join(', ')}` });
+    setIsSaving(false);
     setCategory('');
-    setNewCategory('');
     setSubcategory('');
-    setNewSubcategory('');
     setTypes([]);
     setPrinter('');
+    setIsBundle(false);
+    setBundleItems([]);
+    setBundleTableMinutes('');
+    setBundleTableType('');
+    setRecipe([]);
+    setScheduleId('');
+    if (imagePreview) URL.revokeObjectURL(imagePreview);
+    setImageFile(null);
+    setImagePreview(null);
+    loadMenuItems();
   };
 
   return (
     <div className="p-2">
+      {/* Low-stock alerts */}
+      {(lowStock.length > 0 || outOfStock.length > 0) && (
+        <Card className="mb-3 border-warning">
+          <Card.Header className="bg-warning bg-opacity-25 p-2 d-flex align-items-center">
+            <ExclamationTriangle size={14} className="me-2 text-warning" />
+            <h6 className="mb-0">Low Stock ({lowStock.length})</h6>
+          </Card.Header>
+          <Card.Body className="p-2">
+            {lowStock.map(ingredient => (
+              <div key={ingredient.id} className="d-flex justify-content-between align-items-center small py-1 border-bottom">
+                <span>{ingredient.name}</span>
+                <span>
+                  {`${parseFloat(ingredient.stock)} ${ingredient.unit} left (alert at ${parseFloat(ingredient.low_stock_threshold)})`}
+                  {parseFloat(ingredient.stock) === 0 && <Badge bg="danger" className="ms-2">Out of stock</Badge>}
+                </span>
+              </div>
+            ))}
+            {outOfStock.length > 0 && (
+              <div className="small mt-2">
+                <span className="fw-semibold">Unavailable: </span>
+                {outOfStock.map(menuItem => menuItem.name).join(', ')}
+              </div>
+            )}
+            <div className="small text-muted mt-2">
+              Menu items using an ingredient that has run out are marked unavailable until it is restocked.
+            </div>
+          </Card.Body>
+        </Card>
+      )}
+
       <div className="mb-3">
         <h5 className="mb-0">Add New Menu Item</h5>
       </div>
@@ -116,25 +350,13 @@ const AddItemPage = () => {
                   >
                     <option value="">-- Select Category --</option>
                     {categories.map((cat) => (
-                      <option key={cat} value={cat}>{cat}</option>
+                      <option key={cat.id} value={cat.name}>{cat.name}</option>
                     ))}
-                    <option value="new">+ Add New Category</option>
                   </Form.Select>
+                  <Form.Text className="text-muted small">
+                    New categories and subcategories are added under Categories below.
+                  </Form.Text>
                 </Form.Group>
-
-                {category === 'new' && (
-                  <Form.Group className="mb-2">
-                    <Form.Label className="small">New Category Name</Form.Label>
-                    <Form.Control
-                      type="text"
-                      value={newCategory}
-                      onChange={(e) => setNewCategory(e.target.value)}
-                      placeholder="Enter new category name"
-                      size="sm"
-                      required
-                    />
-                  </Form.Group>
-                )}
               </Card.Body>
             </Card>
 
@@ -149,31 +371,16 @@ const AddItemPage = () => {
                     <Form.Label className="small">Select Subcategory</Form.Label>
                     <Form.Select
                       value={subcategory}
-                      onChange={(e) => setSubcategory(e.target.value)}
+                      onChange={(e) => handleSubcategoryChange(e.target.value)}
                       size="sm"
                       disabled={!category}
                     >
                       <option value="">-- Select Subcategory --</option>
-                      {(subcategories[category] || []).map((sub) => (
-                        <option key={sub} value={sub}>{sub}</option>
+                      {subcategories.map((sub) => (
+                        <option key={sub.id} value={sub.name}>{sub.name}</option>
                       ))}
-                      <option value="new">+ Add New Subcategory</option>
                     </Form.Select>
                   </Form.Group>
-
-                  {subcategory === 'new' && (
-                    <Form.Group className="mb-2">
-                      <Form.Label className="small">New Subcategory Name</Form.Label>
-                      <Form.Control
-                        type="text"
-                        value={newSubcategory}
-                        onChange={(e) => setNewSubcategory(e.target.value)}
-                        placeholder="Enter new subcategory name"
-                        size="sm"
-                        required
-                      />
-                    </Form.Group>
-                  )}
                 </Card.Body>
               </Card>
             )}
@@ -205,6 +412,72 @@ const AddItemPage = () => {
               </Card>
             )}
 
+            {/* Image Section */}
+            {subcategory && (
+              <Card className="mb-3">
+                <Card.Header className="bg-light p-2">
+                  <h6 className="mb-0">Item Image</h6>
+                </Card.Header>
+                <Card.Body className="p-2">
+                  <div className="d-flex align-items-start gap-3">
+                    <div className="border rounded d-flex align-items-center justify-content-center bg-light" style={{ width: '96px', height: '96px' }}>
+                      {imagePreview ? (
+                        <img src={imagePreview} alt="Item preview" className="w-100 h-100 rounded" style={{ objectFit: 'cover' }} />
+                      ) : (
+                        <span className="small text-muted">No image</span>
+                      )}
+                    </div>
+                    <Form.Group className="flex-grow-1">
+                      <Form.Control
+                        type="file"
+                        accept="image/jpeg,image/png,image/webp"
+                        onChange={handleImageChange}
+                        size="sm"
+                      />
+                      {imageError ? (
+                        <Form.Text className="text-danger">{imageError}</Form.Text>
+                      ) : (
+                        <Form.Text className="text-muted">JPEG, PNG or WebP up to 10 MB</Form.Text>
+                      )}
+                    </Form.Group>
+                  </div>
+                </Card.Body>
+              </Card>
+            )}
+
+            {/* Serving Schedule Section */}
+            {subcategory && (
+              <Card className="mb-3">
+                <Card.Header className="bg-light p-2">
+                  <h6 className="mb-0">Serving Schedule</h6>
+                </Card.Header>
+                <Card.Body className="p-2">
+                  <Form.Group className="mb-2">
+                    <Form.Label className="small">Orderable During</Form.Label>
+                    <Form.Select
+                      value={scheduleId}
+                      onChange={(e) => setScheduleId(e.target.value)}
+                      size="sm"
+                    >
+                      <option value="">Same as subcategory</option>
+                      {menuSchedules.map((schedule) => (
+                        <option key={schedule.id} value={schedule.id}>
+                          {scheduleLabel(schedule)}
+                        </option>
+                      ))}
+                    </Form.Select>
+                    {!scheduleId && (
+                      <Form.Text className="text-muted">
+                        {subcategorySchedules.length > 0
+                          ? `Served during ${subcategorySchedules.map(schedule => schedule.name).join(', ')}`
+                          : 'Served all day'}
+                      </Form.Text>
+                    )}
+                  </Form.Group>
+                </Card.Body>
+              </Card>
+            )}
+
             {/* Types and Prices Section */}
             {subcategory && (
               <Card className="mb-3">
@@ -266,21 +539,357 @@ const AddItemPage = () => {
               </Card>
             )}
 
+            {/* Recipe Section */}
+            {subcategory && (
+              <Card className="mb-3">
+                <Card.Header className="bg-light p-2">
+                  <div className="d-flex justify-content-between align-items-center">
+                    <h6 className="mb-0">Recipe (stock used per item)</h6>
+                    <Button
+                      variant="outline-warning"
+                      size="sm"
+                      onClick={handleAddRecipeLine}
+                      className="py-0"
+                    >
+                      <PlusCircle size={14} className="me-1" /> Add Ingredient
+                    </Button>
+                  </div>
+                </Card.Header>
+                <Card.Body className="p-2">
+                  {recipe.length === 0 ? (
+                    <div className="text-center py-2 text-muted small">
+                      No ingredients. The item will not be stock-tracked.
+                    </div>
+                  ) : (
+                    recipe.map((line, index) => {
+                      const ingredient = ingredients.find(item => item.id === parseInt(line.ingredientId));
+                      return (
+                        <Row key={index} className="mb-2 g-2 align-items-center">
+                          <Col md={6}>
+                            <Form.Select
+                              value={line.ingredientId}
+                              onChange={(e) => handleRecipeChange(index, 'ingredientId', e.target.value)}
+                              size="sm"
+                              required
+                            >
+                              <option value="">-- Select Ingredient --</option>
+                              {ingredients.map((item) => (
+                                <option key={item.id} value={item.id}>{item.name}</option>
+                              ))}
+                            </Form.Select>
+                          </Col>
+                          <Col md={4}>
+                            <Form.Control
+                              type="number"
+                              min="0"
+                              step="any"
+                              value={line.quantity}
+                              placeholder={ingredient ? `Quantity (${ingredient.unit})` : 'Quantity'}
+                              onChange={(e) => handleRecipeChange(index, 'quantity', e.target.value)}
+                              size="sm"
+                              required
+                            />
+                          </Col>
+                          <Col md={2}>
+                            <Button
+                              variant="outline-danger"
+                              size="sm"
+                              onClick={() => handleRemoveRecipeLine(index)}
+                              className="w-100 py-0"
+                            >
+                              Remove
+                            </Button>
+                          </Col>
+                        </Row>
+                      );
+                    })
+                  )}
+                </Card.Body>
+              </Card>
+            )}
+
+            {/* Bundle Section */}
+            {subcategory && (
+              <Card className="mb-3">
+                <Card.Header className="bg-light p-2">
+                  <div className="d-flex justify-content-between align-items-center">
+                    <Form.Check
+                      type="switch"
+                      id="isBundle"
+                      label={<h6 className="mb-0">Sell as a bundle</h6>}
+                      checked={isBundle}
+                      onChange={(e) => setIsBundle(e.target.checked)}
+                    />
+                    {isBundle && (
+                      <Button
+                        variant="outline-warning"
+                        size="sm"
+                        onClick={handleAddBundleItem}
+                        className="py-0"
+                      >
+                        <PlusCircle size={14} className="me-1" /> Add Item
+                      </Button>
+                    )}
+                  </div>
+                </Card.Header>
+                {isBundle && (
+                  <Card.Body className="p-2">
+                    <div className="small text-muted mb-2">
+                      The price above is charged for the whole bundle. Its items go to their own printers at no extra charge and are not discounted again.
+                    </div>
+                    {bundleItems.map((item, index) => (
+                      <Row key={index} className="mb-2 g-2 align-items-center">
+                        <Col md={6}>
+                          <Form.Select
+                            value={item.menuItemId}
+                            onChange={(e) => handleBundleItemChange(index, 'menuItemId', e.target.value)}
+                            size="sm"
+                            required
+                          >
+                            <option value="">-- Select Item --</option>
+                            {bundleOptions.map((option) => (
+                              <option key={option.id} value={option.id}>{option.name}</option>
+                            ))}
+                          </Form.Select>
+                        </Col>
+                        <Col md={4}>
+                          <Form.Control
+                            type="number"
+                            min="1"
+                            value={item.quantity}
+                            placeholder="Quantity"
+                            onChange={(e) => handleBundleItemChange(index, 'quantity', e.target.value)}
+                            size="sm"
+                            required
+                          />
+                        </Col>
+                        <Col md={2}>
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => handleRemoveBundleItem(index)}
+                            className="w-100 py-0"
+                          >
+                            Remove
+                          </Button>
+                        </Col>
+                      </Row>
+                    ))}
+                    <Row className="g-2">
+                      <Col md={6}>
+                        <Form.Label className="small">Table Time Included (minutes)</Form.Label>
+                        <Form.Control
+                          type="number"
+                          min="0"
+                          value={bundleTableMinutes}
+                          placeholder="e.g. 60"
+                          onChange={(e) => setBundleTableMinutes(e.target.value)}
+                          size="sm"
+                        />
+                      </Col>
+                      <Col md={6}>
+                        <Form.Label className="small">For Table Type</Form.Label>
+                        <Form.Select
+                          value={bundleTableType}
+                          onChange={(e) => setBundleTableType(e.target.value)}
+                          size="sm"
+                        >
+                          <option value="">Any table</option>
+                          {tableTypes.map((tableType) => (
+                            <option key={tableType} value={tableType}>{tableType}</option>
+                          ))}
+                        </Form.Select>
+                      </Col>
+                    </Row>
+                    {bundleIsEmpty && (
+                      <div className="small text-danger mt-2">A bundle needs at least one item or some table time.</div>
+                    )}
+                  </Card.Body>
+                )}
+              </Card>
+            )}
+
+            {message && <Alert variant={message.variant} className="small py-2">{message.text}</Alert>}
+
             {/* Submit Button */}
             <div className="text-center mt-3">
               <Button
                 variant="warning"
                 type="submit"
                 size="sm"
-                disabled={!category || !subcategory || types.length === 0 || !printer}
+                disabled={isSaving || !category || !subcategory || types.length === 0 || !printer || bundleIsEmpty}
                 className="px-4"
               >
-                <Save size={14} className="me-1" /> Save Item
+                <Save size={14} className="me-1" /> {isSaving ? 'Saving...' : 'Save Item'}
               </Button>
             </div>
           </Form>
         </Card.Body>
       </Card>
+
+      {/* Menu items */}
+      <Card className="shadow-sm mt-4">
+        <Card.Header className="bg-light p-2">
+          <h6 className="mb-0">Menu Items ({menuItems.length})</h6>
+        </Card.Header>
+        <Card.Body className="p-0">
+          <Table size="sm" responsive className="mb-0 small align-middle">
+            <thead>
+              <tr>
+                <th style={{ width: '56px' }}></th>
+                <th>Name</th>
+                <th>Category</th>
+                <th className="text-end">Price</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {menuItems.map((item) => (
+                <tr key={item.id}>
+                  <td>
+                    {item.image_thumbnail || item.image ? (
+                      <img
+                        src={imageUrl(item.image_thumbnail || item.image)}
+                        alt={item.name}
+                        className="rounded"
+                        style={{ width: '40px', height: '40px', objectFit: 'cover' }}
+                      />
+                    ) : (
+                      <div className="rounded bg-light border" style={{ width: '40px', height: '40px' }} />
+                    )}
+                  </td>
+                  <td>
+                    {item.name}
+                    {item.is_bundle && <Badge bg="info" className="ms-2">Bundle</Badge>}
+                  </td>
+                  <td>{`${item.category} / ${item.subcategory}`}</td>
+                  <td className="text-end">{`₹${parseFloat(item.price).toFixed(2)}`}</td>
+                  <td>
+                    {item.is_available
+                      ? <Badge bg="success">Available</Badge>
+                      : <Badge bg="secondary">Unavailable</Badge>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+
+      <div className="mt-4">
+        <CategoryManager onChange={setMenuCategories} />
+      </div>
+
+      <div className="mt-4">
+        <MenuImportExport />
+      </div>
+
+      {/* Stock adjustments */}
+      <div className="mt-4 mb-3">
+        <h5 className="mb-0">Stock</h5>
+      </div>
+      <Card className="shadow-sm mb-3">
+        <Card.Body className="p-3">
+          <Form onSubmit={handleAdjustStock}>
+            <Row className="g-2 align-items-end">
+              <Col md={3}>
+                <Form.Label className="small">Ingredient</Form.Label>
+                <Form.Select
+                  value={adjustment.ingredientId}
+                  onChange={(e) => setAdjustment({ ...adjustment, ingredientId: e.target.value })}
+                  size="sm"
+                  required
+                >
+                  <option value="">-- Select Ingredient --</option>
+                  {ingredients.map((ingredient) => (
+                    <option key={ingredient.id} value={ingredient.id}>
+                      {`${ingredient.name} (${parseFloat(ingredient.stock)} ${ingredient.unit})`}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Col>
+              <Col md={3}>
+                <Form.Label className="small">Reason</Form.Label>
+                <Form.Select
+                  value={adjustment.reason}
+                  onChange={(e) => setAdjustment({ ...adjustment, reason: e.target.value })}
+                  size="sm"
+                >
+                  {ADJUSTMENT_REASONS.map((reason) => (
+                    <option key={reason.value} value={reason.value}>{reason.label}</option>
+                  ))}
+                </Form.Select>
+              </Col>
+              <Col md={2}>
+                <Form.Label className="small">Quantity</Form.Label>
+                <Form.Control
+                  type="number"
+                  step="any"
+                  min={adjustment.reason === 'correction' ? undefined : '0'}
+                  value={adjustment.quantity}
+                  onChange={(e) => setAdjustment({ ...adjustment, quantity: e.target.value })}
+                  size="sm"
+                  required
+                />
+              </Col>
+              <Col md={2}>
+                <Form.Label className="small">Note</Form.Label>
+                <Form.Control
+                  type="text"
+                  value={adjustment.note}
+                  onChange={(e) => setAdjustment({ ...adjustment, note: e.target.value })}
+                  size="sm"
+                />
+              </Col>
+              <Col md={2}>
+                <Button variant="warning" type="submit" size="sm" className="w-100">
+                  Adjust
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+          {stockMessage && <Alert variant={stockMessage.variant} className="small py-2 mt-2 mb-0">{stockMessage.text}</Alert>}
+        </Card.Body>
+      </Card>
+
+      <Card className="shadow-sm">
+        <Card.Header className="bg-light p-2">
+          <h6 className="mb-0">Adjustment Log</h6>
+        </Card.Header>
+        <Card.Body className="p-0">
+          <Table size="sm" responsive className="mb-0 small">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Ingredient</th>
+                <th className="text-end">Change</th>
+                <th className="text-end">Stock After</th>
+                <th>Reason</th>
+                <th>Note</th>
+                <th>By</th>
+              </tr>
+            </thead>
+            <tbody>
+              {adjustments.map((entry) => {
+                const change = parseFloat(entry.change);
+                return (
+                  <tr key={entry.id}>
+                    <td>{new Date(entry.created_at).toLocaleString()}</td>
+                    <td>{entry.ingredient ? entry.ingredient.name : ''}</td>
+                    <td className={`text-end ${change < 0 ? 'text-danger' : 'text-success'}`}>
+                      {`${change > 0 ? '+' : ''}${change} ${entry.ingredient ? entry.ingredient.unit : ''}`}
+                    </td>
+                    <td className="text-end">{parseFloat(entry.stock_after)}</td>
+                    <td className="text-capitalize">{entry.reason}</td>
+                    <td>{entry.note}</td>
+                    <td>{entry.creator ? entry.creator.name : ''}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
     </div>
   );
 };
@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Form, Button, Card, Row, Col, Table, Badge, Alert } from 'react-bootstrap';
+import { PlusCircle } from 'react-bootstrap-icons';
+import { apiRequest } from '../../../utils/api';
+
+const PRINTERS = ['Kitchen Printer', 'Bar Printer', 'Main Printer', 'Game Zone Printer'];
+
+// One category or subcategory; text fields save when they lose focus, the rest on change
+const StructureRow = ({ entry, isSubcategory, inheritedPrinter, onSave }) => {
+  const [draft, setDraft] = useState({ name: entry.name, icon: entry.icon || '', sort_order: entry.sort_order });
+
+  useEffect(() => {
+    setDraft({ name: entry.name, icon: entry.icon || '', sort_order: entry.sort_order });
+  }, [entry]);
+
+  const saveField = (field, value) => {
+    if (value === entry[field] || (field === 'icon' && value === (entry.icon || ''))) return;
+    onSave({ [field]: field === 'icon' ? value || null : value });
+  };
+
+  return (
+    <tr className={entry.is_active ? '' : 'text-muted'}>
+      <td className={isSubcategory ? 'ps-4' : 'fw-semibold'}>
+        <Form.Control
+          size="sm"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          onBlur={() => (draft.name.trim() ? saveField('name', draft.name.trim()) : setDraft({ ...draft, name: entry.name }))}
+        />
+      </td>
+      <td>
+        <Form.Control
+          size="sm"
+          value={draft.icon}
+          placeholder="Icon"
+          onChange={(e) => setDraft({ ...draft, icon: e.target.value })}
+          onBlur={() => saveField('icon', draft.icon.trim())}
+        />
+      </td>
+      <td style={{ width: '80px' }}>
+        <Form.Control
+          size="sm"
+          type="number"
+          value={draft.sort_order}
+          onChange={(e) => setDraft({ ...draft, sort_order: e.target.value })}
+          onBlur={() => saveField('sort_order', parseInt(draft.sort_order) || 0)}
+        />
+      </td>
+      <td>
+        <Form.Select
+          size="sm"
+          value={entry.default_printer || ''}
+          onChange={(e) => onSave({ default_printer: e.target.value || null })}
+        >
+          <option value="">{inheritedPrinter ? `Same as category (${inheritedPrinter})` : 'No default'}</option>
+          {PRINTERS.map((printerOption) => (
+            <option key={printerOption} value={printerOption}>{printerOption}</option>
+          ))}
+        </Form.Select>
+      </td>
+      <td className="text-center">{entry.item_count}</td>
+      <td>
+        <Form.Check
+          type="switch"
+          checked={entry.is_active}
+          onChange={(e) => onSave({ is_active: e.target.checked })}
+          label={entry.is_active ? 'Active' : 'Inactive'}
+        />
+      </td>
+    </tr>
+  );
+};
+
+// Menu categories and their subcategories. `onChange` gets the full list (inactive ones
+// included) whenever it is loaded or changed; pass a stable function, such as a state setter.
+const CategoryManager = ({ onChange }) => {
+  const [categories, setCategories] = useState([]);
+  const [newCategory, setNewCategory] = useState({ name: '', default_printer: '' });
+  const [newSubcategories, setNewSubcategories] = useState({});
+  const [message, setMessage] = useState(null);
+
+  const loadCategories = useCallback(async () => {
+    try {
+      const data = await apiRequest('GET', '/categories?include_inactive=true');
+      setCategories(data.categories);
+      if (onChange) onChange(data.categories);
+    } catch {
+      setMessage({ variant: 'danger', text: 'Could not load categories' });
+    }
+  }, [onChange]);
+
+  useEffect(() => {
+    loadCategories();
+  }, [loadCategories]);
+
+  const send = async (method, path, body) => {
+    setMessage(null);
+    try {
+      await apiRequest(method, `/categories${path}`, body);
+    } catch (err) {
+      setMessage({ variant: 'danger', text: err.status ? err.message : 'Could not reach the server' });
+      return false;
+    }
+    await loadCategories();
+    return true;
+  };
+
+  const handleAddCategory = async (e) => {
+    e.preventDefault();
+    const added = await send('POST', '', {
+      name: newCategory.name.trim(),
+      default_printer: newCategory.default_printer || null
+    });
+    if (added) setNewCategory({ name: '', default_printer: '' });
+  };
+
+  const handleAddSubcategory = async (category) => {
+    const name = (newSubcategories[category.id] || '').trim();
+    if (!name) return;
+    const added = await send('POST', `/${category.id}/subcategories`, { name });
+    if (added) setNewSubcategories({ ...newSubcategories, [category.id]: '' });
+  };
+
+  return (
+    <Card className="shadow-sm mb-3">
+      <Card.Header className="bg-light p-2">
+        <h6 className="mb-0">Categories</h6>
+      </Card.Header>
+      <Card.Body className="p-3">
+        <Form onSubmit={handleAddCategory}>
+          <Row className="g-2 align-items-end mb-3">
+            <Col md={5}>
+              <Form.Label className="small">New Category</Form.Label>
+              <Form.Control
+                size="sm"
+                value={newCategory.name}
+                onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })}
+                placeholder="Category name"
+                required
+              />
+            </Col>
+            <Col md={4}>
+              <Form.Label className="small">Default Printer</Form.Label>
+              <Form.Select
+                size="sm"
+                value={newCategory.default_printer}
+                onChange={(e) => setNewCategory({ ...newCategory, default_printer: e.target.value })}
+              >
+                <option value="">No default</option>
+                {PRINTERS.map((printerOption) => (
+                  <option key={printerOption} value={printerOption}>{printerOption}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={3}>
+              <Button variant="warning" type="submit" size="sm" className="w-100">
+                <PlusCircle size={14} className="me-1" /> Add Category
+              </Button>
+            </Col>
+          </Row>
+        </Form>
+
+        {message && <Alert variant={message.variant} className="small py-2">{message.text}</Alert>}
+
+        <Table size="sm" responsive className="mb-0 small align-middle">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Icon</th>
+              <th>Order</th>
+              <th>Default Printer</th>
+              <th className="text-center">Items</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {categories.map((category) => (
+              <React.Fragment key={category.id}>
+                <StructureRow
+                  entry={category}
+                  onSave={(changes) => send('PUT', `/${category.id}`, changes)}
+                />
+                {category.subcategories.map((subcategory) => (
+                  <StructureRow
+                    key={subcategory.id}
+                    entry={subcategory}
+                    isSubcategory
+                    inheritedPrinter={category.default_printer}
+                    onSave={(changes) => send('PUT', `/subcategories/${subcategory.id}`, changes)}
+                  />
+                ))}
+                <tr>
+                  <td className="ps-4" colSpan={6}>
+                    <div className="d-flex">
+                      <Form.Control
+                        size="sm"
+                        value={newSubcategories[category.id] || ''}
+                        onChange={(e) => setNewSubcategories({ ...newSubcategories, [category.id]: e.target.value })}
+                        placeholder={`New subcategory in ${category.name}`}
+                        style={{ maxWidth: '300px' }}
+                      />
+                      <Button
+                        variant="outline-warning"
+                        size="sm"
+                        className="ms-2 py-0"
+                        onClick={() => handleAddSubcategory(category)}
+                      >
+                        Add
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              </React.Fragment>
+            ))}
+          </tbody>
+        </Table>
+        <div className="small text-muted mt-2">
+          Renames carry over to menu items, tax profiles and serving schedules. Items in an
+          inactive category or subcategory stay on file but cannot be ordered.
+          {categories.some(category => !category.is_active) && (
+            <Badge bg="secondary" className="ms-2">
+              {categories.filter(category => !category.is_active).length} inactive
+            </Badge>
+          )}
+        </div>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default CategoryManager;
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { Form, Button, Card, Row, Col, Table, Badge, Alert } from 'react-bootstrap';
+import { Download, Upload } from 'react-bootstrap-icons';
+import { apiFetch } from '../../../utils/api';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Bulk menu import (CSV or JSON, previewed with a dry run first) and export
+const MenuImportExport = () => {
+  const [file, setFile] = useState(null);
+  const [result, setResult] = useState(null);
+  const [previewed, setPreviewed] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setResult(null);
+    setPreviewed(false);
+    setMessage(null);
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const response = await apiFetch(`/menu/export?format=${format}`);
+      if (!response.ok) throw new Error('Export failed');
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `menu.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setMessage({ variant: 'danger', text: err.message });
+    }
+  };
+
+  const sendImport = async (dryRun) => {
+    if (!file) return;
+    setBusy(true);
+    setMessage(null);
+    try {
+      const body = new FormData();
+      body.append('file', file);
+      body.append('dry_run', dryRun ? 'true' : 'false');
+      const response = await apiFetch('/menu/import', { method: 'POST', body });
+      const data = await response.json();
+      if (data.data) setResult(data.data);
+      setPreviewed(dryRun && response.ok);
+      setMessage({ variant: response.ok ? (dryRun ? 'info' : 'success') : 'danger', text: data.message });
+    } catch {
+      setMessage({ variant: 'danger', text: 'Could not reach the server' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Card className="shadow-sm mb-3">
+      <Card.Header className="bg-light p-2 d-flex justify-content-between align-items-center">
+        <h6 className="mb-0">Bulk Import / Export</h6>
+        <div>
+          <Button variant="outline-secondary" size="sm" className="py-0 me-2" onClick={() => handleExport('csv')}>
+            <Download size={14} className="me-1" /> CSV
+          </Button>
+          <Button variant="outline-secondary" size="sm" className="py-0" onClick={() => handleExport('json')}>
+            <Download size={14} className="me-1" /> JSON
+          </Button>
+        </div>
+      </Card.Header>
+      <Card.Body className="p-3">
+        <Row className="g-2 align-items-end">
+          <Col md={6}>
+            <Form.Label className="small">Menu file (CSV or JSON, same columns as the export)</Form.Label>
+            <Form.Control type="file" accept=".csv,.json" size="sm" onChange={handleFileChange} />
+          </Col>
+          <Col md={3}>
+            <Button variant="outline-warning" size="sm" className="w-100" disabled={!file || busy} onClick={() => sendImport(true)}>
+              Preview Changes
+            </Button>
+          </Col>
+          <Col md={3}>
+            <Button
+              variant="warning"
+              size="sm"
+              className="w-100"
+              disabled={!previewed || busy || (result && result.summary.invalid > 0)}
+              onClick={() => sendImport(false)}
+            >
+              <Upload size={14} className="me-1" /> Import
+            </Button>
+          </Col>
+        </Row>
+
+        {message && <Alert variant={message.variant} className="small py-2 mt-3 mb-0">{message.text}</Alert>}
+
+        {result && (
+          <div className="mt-3">
+            <div className="small mb-2">
+              <Badge bg="success" className="me-1">{result.summary.created} new</Badge>
+              <Badge bg="primary" className="me-1">{result.summary.updated} changed</Badge>
+              <Badge bg="secondary" className="me-1">{result.summary.unchanged} unchanged</Badge>
+              <Badge bg="danger">{result.summary.invalid} invalid</Badge>
+            </div>
+            <Table size="sm" responsive className="mb-0 small">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Item</th>
+                  <th>Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.invalid.map((entry) => (
+                  <tr key={`invalid-${entry.row}`} className="table-danger">
+                    <td>{entry.row}</td>
+                    <td>{entry.name}</td>
+                    <td>{entry.errors.join('; ')}</td>
+                  </tr>
+                ))}
+                {result.created.map((entry) => (
+                  <tr key={`created-${entry.row}`}>
+                    <td>{entry.row}</td>
+                    <td>{entry.name}</td>
+                    <td className="text-success">New item</td>
+                  </tr>
+                ))}
+                {result.updated.map((entry) => (
+                  <tr key={`updated-${entry.row}`}>
+                    <td>{entry.row}</td>
+                    <td>{entry.name}</td>
+                    <td>
+                      {Object.entries(entry.changes).map(([field, change]) => (
+                        <div key={field}>
+                          {`${field}: ${formatValue(change.from)} → ${formatValue(change.to)}`}
+                        </div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </div>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default MenuImportExport;
@@ -10,7 +10,24 @@ import {
   RiImageLine,
   RiWifiLine,
   RiTimeLine,
+  RiPercentLine,
+  RiDeleteBinLine,
 } from 'react-icons/ri';
+import { API_URL, apiRequest } from '../../../utils/api';
+
+const LOGO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_LOGO_BYTES = 10 * 1024 * 1024;
+
+const TAX_TARGETS = ['Food', 'Drinks', 'Beverages', 'Games', 'Mixed', 'Table Time'];
+
+const emptyTaxForm = {
+  name: '',
+  type: 'tax',
+  components: [{ name: '', rate: '' }],
+  is_inclusive: false,
+  applies_to: [],
+  dineInOnly: false
+};
 
 const BusinessSettings = () => {
   const [modes, setModes] = useState({
@@ -21,12 +38,22 @@ const BusinessSettings = () => {
 
   const [systemOnline, setSystemOnline] = useState(true);
   const [logoPreview, setLogoPreview] = useState(null);
+  const [logoError, setLogoError] = useState(null);
   const [footerMessage, setFooterMessage] = useState(
     "Thank you for visiting GameZone Central! Follow us @gamezonecenter for latest updates and events."
   );
   const [lastUpdated, setLastUpdated] = useState("January 15, 2025 at 14:30 PM");
   const [lastModeChange, setLastModeChange] = useState("January 15, 2025 at 9:15 AM");
 
+  // Tax profiles
+  const [taxProfiles, setTaxProfiles] = useState([
+    { id: 1, name: 'GST 5%', type: 'tax', components: [{ name: 'CGST', rate: 2.5 }, { name: 'SGST', rate: 2.5 }], is_inclusive: false, applies_to: ['Food'], service_types: [], is_active: true },
+    { id: 2, name: 'GST 18%', type: 'tax', components: [{ name: 'CGST', rate: 9 }, { name: 'SGST', rate: 9 }], is_inclusive: false, applies_to: ['Table Time'], service_types: [], is_active: true },
+    { id: 3, name: 'Bar GST (inclusive)', type: 'tax', components: [{ name: 'CGST', rate: 9 }, { name: 'SGST', rate: 9 }], is_inclusive: true, applies_to: ['Drinks', 'Beverages'], service_types: [], is_active: true },
+    { id: 4, name: 'Service Charge', type: 'service_fee', components: [{ name: 'Service Charge', rate: 5 }], is_inclusive: false, applies_to: [], service_types: ['dine-in'], is_active: true }
+  ]);
+  const [taxForm, setTaxForm] = useState(emptyTaxForm);
+
   const toggleMode = (mode) => {
     setModes(prev => ({
       ...prev,
@@ -60,25 +87,113 @@ const BusinessSettings = () => {
     setLastUpdated(now);
   };
 
-  const handleLogoUpload = (e) => {
+  // The stored logo, shown from its thumbnail
+  useEffect(() => {
+    apiRequest('GET', '/branding/logo')
+      .then(data => {
+        if (data && data.logo) setLogoPreview(`${API_URL}${data.logo.thumbnail}`);
+      })
+      .catch(() => setLogoError('Could not load the logo'));
+  }, []);
+
+  const logoRequest = (method, body) => apiRequest(method, '/branding/logo', body);
+
+  const handleLogoUpload = async (e) => {
     const file = e.target.files[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        setLogoPreview(e.target.result);
-      };
-      reader.readAsDataURL(file);
+    e.target.value = '';
+    if (!file) return;
+    if (!LOGO_TYPES.includes(file.type)) {
+      setLogoError('Logos must be JPEG, PNG or WebP images');
+      return;
+    }
+    if (file.size > MAX_LOGO_BYTES) {
+      setLogoError('Logos must be at most 10 MB');
+      return;
+    }
+
+    const body = new FormData();
+    body.append('image', file);
+    try {
+      const { logo } = await logoRequest('POST', body);
+      setLogoPreview(`${API_URL}${logo.thumbnail}`);
+      setLogoError(null);
+      updateLastUpdated();
+    } catch (err) {
+      setLogoError(err.message);
     }
   };
 
-  const removeLogo = () => {
-    setLogoPreview(null);
+  const removeLogo = async () => {
+    try {
+      await logoRequest('DELETE');
+      setLogoPreview(null);
+      setLogoError(null);
+      updateLastUpdated();
+    } catch (err) {
+      setLogoError(err.message);
+    }
   };
 
   const handleFooterChange = (e) => {
     setFooterMessage(e.target.value);
   };
 
+  const totalRate = (profile) => profile.components.reduce((sum, c) => sum + (parseFloat(c.rate) || 0), 0);
+
+  const toggleTaxProfile = (id) => {
+    setTaxProfiles(prev => prev.map(p => p.id === id ? { ...p, is_active: !p.is_active } : p));
+    updateLastUpdated();
+  };
+
+  const removeTaxProfile = (id) => {
+    setTaxProfiles(prev => prev.filter(p => p.id !== id));
+    updateLastUpdated();
+  };
+
+  const toggleTaxTarget = (target) => {
+    setTaxForm(prev => ({
+      ...prev,
+      applies_to: prev.applies_to.includes(target)
+        ? prev.applies_to.filter(t => t !== target)
+        : [...prev.applies_to, target]
+    }));
+  };
+
+  const updateTaxComponent = (index, field, value) => {
+    setTaxForm(prev => ({
+      ...prev,
+      components: prev.components.map((c, i) => i === index ? { ...c, [field]: value } : c)
+    }));
+  };
+
+  const addTaxComponent = () => {
+    setTaxForm(prev => ({ ...prev, components: [...prev.components, { name: '', rate: '' }] }));
+  };
+
+  const addTaxProfile = () => {
+    const components = taxForm.components.filter(c => c.name.trim() && c.rate !== '');
+    if (!taxForm.name.trim() || components.length === 0) {
+      alert('Please enter a profile name and at least one rate');
+      return;
+    }
+
+    setTaxProfiles(prev => [
+      ...prev,
+      {
+        id: Date.now(),
+        name: taxForm.name.trim(),
+        type: taxForm.type,
+        components: components.map(c => ({ name: c.name.trim(), rate: parseFloat(c.rate) })),
+        is_inclusive: taxForm.is_inclusive,
+        applies_to: taxForm.applies_to,
+        service_types: taxForm.dineInOnly ? ['dine-in'] : [],
+        is_active: true
+      }
+    ]);
+    setTaxForm(emptyTaxForm);
+    updateLastUpdated();
+  };
+
   const saveChanges = () => {
     updateLastUpdated();
     // Here you would typically send the changes to your backend
@@ -92,7 +207,6 @@ const BusinessSettings = () => {
       lounge: false
     });
     setSystemOnline(true);
-    setLogoPreview(null);
     setFooterMessage(
       "Thank you for visiting GameZone Central! Follow us @gamezonecenter for latest updates and events."
     );
@@ -397,7 +511,7 @@ const BusinessSettings = () => {
                       type="file"
                       id="logoUpload"
                       className="d-none"
-                      accept="image/*"
+                      accept="image/jpeg,image/png,image/webp"
                       onChange={handleLogoUpload}
                     />
                     <button className="text-danger small text-start border-0 bg-transparent p-0" onClick={removeLogo}>
@@ -405,7 +519,8 @@ const BusinessSettings = () => {
                     </button>
                   </div>
                 </div>
-                <div className="small text-muted mt-2">Recommended size: 300x200px, PNG or JPG format</div>
+                {logoError && <div className="small text-danger mt-2">{logoError}</div>}
+                <div className="small text-muted mt-2">PNG, JPG or WebP up to 10 MB. Printed in black and white at the top of receipts.</div>
               </div>
 
               {/* Footer Text Section */}
@@ -439,6 +554,156 @@ const BusinessSettings = () => {
             </div>
           </div>
 
+          {/* Tax & Service Fee Card */}
+          <div className="col-12">
+            <div className="bg-white rounded shadow-sm border p-4">
+              <div className="d-flex align-items-center mb-4">
+                <RiPercentLine className="text-dark fs-5 me-3" />
+                <div>
+                  <h2 className="fs-5 fw-semibold text-dark">Tax & Service Fees</h2>
+                  <div className="small text-muted">Rates per category and table time, inclusive pricing and dine-in service fees</div>
+                </div>
+              </div>
+
+              <div className="table-responsive mb-4">
+                <table className="table align-middle small mb-0">
+                  <thead className="table-light">
+                    <tr>
+                      <th>Profile</th>
+                      <th>Type</th>
+                      <th>Components</th>
+                      <th>Applies To</th>
+                      <th>Pricing</th>
+                      <th className="text-end">Rate</th>
+                      <th className="text-end">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {taxProfiles.map(profile => (
+                      <tr key={profile.id} className={profile.is_active ? '' : 'text-muted'}>
+                        <td className="fw-medium">{profile.name}</td>
+                        <td>{profile.type === 'tax' ? 'Tax' : 'Service Fee'}</td>
+                        <td>{profile.components.map(c => `${c.name} ${c.rate}%`).join(' + ')}</td>
+                        <td>
+                          {profile.applies_to.length > 0 ? profile.applies_to.join(', ') : 'Everything'}
+                          {profile.service_types.length > 0 && ` (${profile.service_types.join(', ')} only)`}
+                        </td>
+                        <td>{profile.is_inclusive ? 'Tax inclusive' : 'Tax exclusive'}</td>
+                        <td className="text-end fw-semibold">{totalRate(profile)}%</td>
+                        <td className="text-end">
+                          <div className="d-flex justify-content-end gap-2">
+                            <button
+                              className={`btn btn-sm ${profile.is_active ? 'btn-outline-secondary' : 'btn-outline-success'}`}
+                              onClick={() => toggleTaxProfile(profile.id)}
+                            >
+                              {profile.is_active ? 'Disable' : 'Enable'}
+                            </button>
+                            <button className="btn btn-sm btn-outline-danger" onClick={() => removeTaxProfile(profile.id)}>
+                              <RiDeleteBinLine />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* New Profile Form */}
+              <div className="bg-light rounded p-3">
+                <div className="fw-medium text-dark mb-3">Add Tax Profile</div>
+                <div className="row g-3">
+                  <div className="col-md-4">
+                    <label className="form-label small text-muted">Profile Name</label>
+                    <input
+                      type="text"
+                      className="form-control form-control-sm"
+                      placeholder="e.g. GST 12%"
+                      value={taxForm.name}
+                      onChange={(e) => setTaxForm({ ...taxForm, name: e.target.value })}
+                    />
+                  </div>
+                  <div className="col-md-4">
+                    <label className="form-label small text-muted">Type</label>
+                    <Form.Select
+                      size="sm"
+                      value={taxForm.type}
+                      onChange={(e) => setTaxForm({ ...taxForm, type: e.target.value })}
+                    >
+                      <option value="tax">Tax</option>
+                      <option value="service_fee">Service Fee</option>
+                    </Form.Select>
+                  </div>
+                  <div className="col-md-4 d-flex flex-column justify-content-end gap-1">
+                    <Form.Check
+                      type="checkbox"
+                      id="taxInclusive"
+                      label="Prices include this tax"
+                      checked={taxForm.is_inclusive}
+                      onChange={(e) => setTaxForm({ ...taxForm, is_inclusive: e.target.checked })}
+                    />
+                    <Form.Check
+                      type="checkbox"
+                      id="taxDineInOnly"
+                      label="Dine-in only"
+                      checked={taxForm.dineInOnly}
+                      onChange={(e) => setTaxForm({ ...taxForm, dineInOnly: e.target.checked })}
+                    />
+                  </div>
+
+                  <div className="col-md-6">
+                    <label className="form-label small text-muted">Rate Components</label>
+                    {taxForm.components.map((component, index) => (
+                      <div key={index} className="d-flex gap-2 mb-2">
+                        <input
+                          type="text"
+                          className="form-control form-control-sm"
+                          placeholder="Name (e.g. CGST)"
+                          value={component.name}
+                          onChange={(e) => updateTaxComponent(index, 'name', e.target.value)}
+                        />
+                        <input
+                          type="number"
+                          className="form-control form-control-sm"
+                          style={{ width: '100px' }}
+                          placeholder="%"
+                          min="0"
+                          max="100"
+                          step="0.01"
+                          value={component.rate}
+                          onChange={(e) => updateTaxComponent(index, 'rate', e.target.value)}
+                        />
+                      </div>
+                    ))}
+                    <button className="btn btn-link btn-sm p-0" onClick={addTaxComponent}>
+                      + Add component
+                    </button>
+                  </div>
+
+                  <div className="col-md-6">
+                    <label className="form-label small text-muted">Applies To (none = everything)</label>
+                    <div className="d-flex flex-wrap gap-3">
+                      {TAX_TARGETS.map(target => (
+                        <Form.Check
+                          key={target}
+                          type="checkbox"
+                          id={`taxTarget-${target}`}
+                          label={target}
+                          checked={taxForm.applies_to.includes(target)}
+                          onChange={() => toggleTaxTarget(target)}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                </div>
+
+                <button className="btn btn-warning text-dark fw-medium btn-sm mt-3" onClick={addTaxProfile}>
+                  Add Profile
+                </button>
+              </div>
+            </div>
+          </div>
+
           {/* Offline Mode Card */}
           <div className="col-12">
             <div className="bg-white rounded shadow-sm border p-4">
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { RiPrinterLine, RiRestaurantLine, RiGobletLine, RiArrowDownSLine, RiLoader4Line, RiCheckLine, RiAddLine } from 'react-icons/ri';
+import { RiPrinterLine, RiRestaurantLine, RiGobletLine, RiArrowDownSLine, RiLoader4Line, RiCheckLine, RiAddLine, RiHistoryLine, RiRepeatLine, RiShareForwardLine } from 'react-icons/ri';
 import { Modal, Button, Form } from 'react-bootstrap';
 
 const PrinterSetup = () => {
@@ -49,6 +49,81 @@ const PrinterSetup = () => {
     }
   ]);
 
+  // State for print history
+  const [printJobs, setPrintJobs] = useState([
+    {
+      id: 'PJ-20261019-0412',
+      description: 'KOT ORD-20261019-0031 (Kitchen Printer)',
+      type: 'kot',
+      printerId: 'hp-kitchen-01',
+      status: 'sent',
+      attempts: 1,
+      time: '12:41',
+      error: null
+    },
+    {
+      id: 'PJ-20261019-0413',
+      description: 'KOT ORD-20261019-0031 (Bar Printer)',
+      type: 'kot',
+      printerId: 'canon-bar-01',
+      status: 'pending',
+      attempts: 2,
+      time: '12:41',
+      error: 'Canon PIXMA Bar 01: connect ECONNREFUSED'
+    },
+    {
+      id: 'PJ-20261019-0398',
+      description: 'Receipt SES-20261019-0007',
+      type: 'receipt',
+      printerId: 'epson-kitchen-02',
+      status: 'failed',
+      attempts: 5,
+      time: '12:15',
+      error: 'Printer did not respond within 5000 ms'
+    }
+  ]);
+  const [historyFilter, setHistoryFilter] = useState('all');
+  const [rerouteJob, setRerouteJob] = useState(null);
+  const [rerouteTarget, setRerouteTarget] = useState('');
+
+  const printerName = (id) => printers.find(p => p.id === id)?.name || id;
+
+  const jobStatusClass = {
+    sent: 'bg-success',
+    pending: 'bg-warning text-dark',
+    failed: 'bg-danger',
+    cancelled: 'bg-secondary'
+  };
+
+  // Reprint creates a new job from the stored ticket
+  const handleReprint = (job) => {
+    const reprint = {
+      ...job,
+      id: `PJ-20261019-${String(Math.floor(Math.random() * 10000)).padStart(4, '0')}`,
+      description: `Reprint: ${job.description}`,
+      status: 'sent',
+      attempts: 1,
+      time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false }),
+      error: null
+    };
+    setPrintJobs([reprint, ...printJobs]);
+  };
+
+  // Reroute sends a waiting or failed job to another printer
+  const handleReroute = () => {
+    setPrintJobs(printJobs.map(job =>
+      job.id === rerouteJob.id
+        ? { ...job, printerId: rerouteTarget, status: 'sent', attempts: 1, error: null }
+        : job
+    ));
+    setRerouteJob(null);
+    setRerouteTarget('');
+  };
+
+  const filteredJobs = historyFilter === 'all'
+    ? printJobs
+    : printJobs.filter(job => job.status === historyFilter);
+
   // State for add printer modal
   const [showAddPrinterModal, setShowAddPrinterModal] = useState(false);
   const [newPrinter, setNewPrinter] = useState({
@@ -306,6 +381,116 @@ const PrinterSetup = () => {
         </div>
       </div>
 
+      {/* Print History */}
+      <div className="card bg-white mt-4">
+        <div className="card-body">
+          <div className="d-flex justify-content-between align-items-center mb-3">
+            <div className="d-flex align-items-center gap-3">
+              <RiHistoryLine className="text-warning" />
+              <h2 className="h5 mb-0">Print History</h2>
+            </div>
+            <select
+              className="form-select w-auto"
+              value={historyFilter}
+              onChange={(e) => setHistoryFilter(e.target.value)}
+            >
+              <option value="all">All Jobs</option>
+              <option value="pending">Pending</option>
+              <option value="sent">Sent</option>
+              <option value="failed">Failed</option>
+              <option value="cancelled">Cancelled</option>
+            </select>
+          </div>
+
+          <div className="table-responsive">
+            <table className="table align-middle mb-0">
+              <thead className="table-light">
+                <tr>
+                  <th className="small text-muted">Job</th>
+                  <th className="small text-muted">Printer</th>
+                  <th className="small text-muted">Status</th>
+                  <th className="small text-muted">Attempts</th>
+                  <th className="small text-muted">Time</th>
+                  <th className="small text-muted text-end">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredJobs.map(job => (
+                  <tr key={job.id}>
+                    <td>
+                      <div className="fw-medium">{job.description}</div>
+                      <div className="small text-muted">{job.id}</div>
+                    </td>
+                    <td className="small">{printerName(job.printerId)}</td>
+                    <td>
+                      <span className={`badge text-capitalize ${jobStatusClass[job.status]}`}>{job.status}</span>
+                      {job.error && <div className="small text-danger mt-1">{job.error}</div>}
+                    </td>
+                    <td className="small">{job.attempts}</td>
+                    <td className="small">{job.time}</td>
+                    <td className="text-end">
+                      <div className="d-inline-flex gap-2">
+                        <button
+                          className="btn btn-sm btn-outline-secondary d-flex align-items-center gap-1"
+                          onClick={() => handleReprint(job)}
+                        >
+                          <RiRepeatLine /> Reprint
+                        </button>
+                        {(job.status === 'pending' || job.status === 'failed') && (
+                          <button
+                            className="btn btn-sm btn-outline-warning d-flex align-items-center gap-1"
+                            onClick={() => setRerouteJob(job)}
+                          >
+                            <RiShareForwardLine /> Reroute
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+                {filteredJobs.length === 0 && (
+                  <tr>
+                    <td colSpan="6" className="text-center text-muted small py-4">No print jobs</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Reroute Job Modal */}
+      <Modal show={!!rerouteJob} onHide={() => setRerouteJob(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Reroute Print Job</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p className="small text-muted">{rerouteJob?.description}</p>
+          <Form.Group>
+            <Form.Label>Send to</Form.Label>
+            <Form.Select
+              value={rerouteTarget}
+              onChange={(e) => setRerouteTarget(e.target.value)}
+            >
+              <option value="">Select printer</option>
+              {printers
+                .filter(p => p.active && p.id !== rerouteJob?.printerId)
+                .map(printer => (
+                  <option key={printer.id} value={printer.id}>{printer.name}</option>
+                ))}
+            </Form.Select>
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setRerouteJob(null)}>
+            Cancel
+          </Button>
+          <Button variant="warning" onClick={handleReroute} disabled={!rerouteTarget}>
+            Reroute
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
       {/* Add Printer Modal */}
       <Modal show={showAddPrinterModal} onHide={() => setShowAddPrinterModal(false)}>
         <Modal.Header closeButton>
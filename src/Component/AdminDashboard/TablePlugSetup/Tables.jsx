@@ -205,6 +205,35 @@ const Tables = () => {
         }
     };
 
+    // Run all tables of a group under one session and one bill at the group rate
+    const handleStartGroup = (group) => {
+        const allTables = [...tables, ...groupTables];
+        const busy = allTables.filter(table => group.selectedTables.includes(table.id) && table.status !== 'available');
+        if (busy.length > 0) {
+            alert(`Tables not available: ${busy.map(table => table.name).join(', ')}`);
+            return;
+        }
+
+        const occupy = table => group.selectedTables.includes(table.id)
+            ? { ...table, status: 'occupied', order: `Group: ${group.name}` }
+            : table;
+        setTables(prev => prev.map(occupy));
+        setGroupTables(prev => prev.map(occupy));
+        setGroups(prev => prev.map(g => g.id === group.id ? { ...g, running: true } : g));
+    };
+
+    // Split a running group back into individual sessions; each table keeps its own orders
+    const handleSplitGroup = (group) => {
+        if (!window.confirm(`Split ${group.name} into separate sessions? Time so far stays on the group bill.`)) return;
+
+        const release = table => group.selectedTables.includes(table.id)
+            ? { ...table, order: null }
+            : table;
+        setTables(prev => prev.map(release));
+        setGroupTables(prev => prev.map(release));
+        setGroups(prev => prev.map(g => g.id === group.id ? { ...g, running: false } : g));
+    };
+
     const handleTableClick = (table, event) => {
         event.stopPropagation();
         setSelectedTable(table);
@@ -1270,6 +1299,24 @@ const Tables = () => {
                                     }}>
                                         <h3 style={{ margin: 0, color: '#f57f17', fontWeight: 'bold' }}>{group.name}</h3>
                                         <button
+                                            onClick={() => group.running ? handleSplitGroup(group) : handleStartGroup(group)}
+                                            style={{
+                                                marginLeft: 'auto',
+                                                marginRight: '10px',
+                                                background: group.running ? '#6c757d' : '#4caf50',
+                                                color: 'white',
+                                                border: 'none',
+                                                borderRadius: '4px',
+                                                padding: '5px 12px',
+                                                cursor: 'pointer',
+                                                fontWeight: 'bold',
+                                                fontSize: '13px'
+                                            }}
+                                        >
+                                            {group.running ? 'Split Tables' : 'Start Session'}
+                                        </button>
+                                        <button
+                                            disabled={group.running}
                                             onClick={() => handleDeleteGroup(group.id)}
                                             style={{
                                                 background: '#dc3545',
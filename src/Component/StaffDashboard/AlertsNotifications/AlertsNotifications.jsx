@@ -1,39 +1,40 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiRequest } from '../../../utils/api';
+import useLiveEvents from '../../../hooks/useLiveEvents';
+
+// Sessions this close to their planned end are flagged
+const WARNING_MINUTES = 15;
+const EXTEND_MINUTES = 15;
+const ACTIVITY_LIMIT = 20;
+
+const clockTime = (value) => new Date(value).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+// Timeout alert for a running session with a planned end, or null while it has time to spare
+const sessionAlert = (session, now) => {
+  if (!session.planned_end_time) return null;
+  const remaining = Math.ceil((new Date(session.planned_end_time) - now) / 60000);
+  if (remaining > WARNING_MINUTES) return null;
+
+  const overdue = remaining <= 0;
+  return {
+    id: session.id,
+    table: session.table ? session.table.name : `Session #${session.id}`,
+    location: session.table ? session.table.location : '',
+    message: overdue ? `Session exceeded by ${-remaining} minutes` : `${remaining} minutes remaining`,
+    startTime: clockTime(session.start_time),
+    endTime: clockTime(session.planned_end_time),
+    status: overdue ? 'OVERDUE' : 'WARNING',
+    color: overdue ? 'danger' : 'warning'
+  };
+};
 
 const AlertsNotifications = () => {
-  const [notifications, setNotifications] = useState({
-    tableAlerts: [
-      {
-        id: 1,
-        table: 'Table 12',
-        location: 'VIP Room - Section A',
-        message: 'Session exceeded by 15 minutes',
-        startTime: '12:00 PM',
-        endTime: '2:00 PM',
-        status: 'OVERDUE',
-        color: 'danger'
-      },
-      {
-        id: 2,
-        table: 'Table 8',
-        location: 'Gaming Zone - Section B',
-        message: '5 minutes remaining',
-        startTime: '1:00 PM',
-        endTime: '3:00 PM',
-        status: 'WARNING',
-        color: 'warning'
-      },
-      {
-        id: 3,
-        table: 'Table 15',
-        location: 'Private Booth - Section C',
-        message: '10 minutes remaining',
-        startTime: '12:30 PM',
-        endTime: '2:30 PM',
-        status: 'WARNING',
-        color: 'warning'
-      }
-    ],
+  // Running sessions, for the table timeout alerts
+  const [sessions, setSessions] = useState([]);
+  const [now, setNow] = useState(new Date());
+  // Events pushed by the server, newest first
+  const [activity, setActivity] = useState([]);
+  const [notifications] = useState({
     reservations: [
       {
         id: 1,
@@ -63,14 +64,65 @@ const AlertsNotifications = () => {
     ]
   });
 
-  const [alertStatus, setAlertStatus] = useState({
-    activeAlerts: 5,
-    overdueTables: 1,
-    tableTimeoutAlerts: 3,
-    reservationReminders: 2,
-    upcomingReservations: 1
+  const loadSessions = useCallback(async () => {
+    try {
+      const [active, paused] = await Promise.all([
+        apiRequest('GET', '/sessions?status=active'),
+        apiRequest('GET', '/sessions?status=paused')
+      ]);
+      setSessions([...active.sessions, ...paused.sessions]);
+    } catch (err) {
+      console.error('Failed to load sessions:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+    const interval = setInterval(() => setNow(new Date()), 30 * 1000);
+    return () => clearInterval(interval);
+  }, [loadSessions]);
+
+  const addActivity = (message, color) => {
+    setActivity(prev => [{ id: `${Date.now()}-${prev.length}`, message, color, time: new Date() }, ...prev].slice(0, ACTIVITY_LIMIT));
+  };
+
+  useLiveEvents({
+    'session.started': loadSessions,
+    'session.ended': loadSessions,
+    'session.paused': loadSessions,
+    'session.resumed': loadSessions,
+    'session.extended': loadSessions,
+    'session.transferred': loadSessions,
+    'order.created': ({ order }) => addActivity(`New order ${order.order_id}${order.table ? ` for ${order.table.name}` : ''}`, 'primary'),
+    'order.status_changed': ({ order_number, status }) => {
+      if (status === 'ready') addActivity(`Order ${order_number} is ready to serve`, 'success');
+      if (status === 'cancelled') addActivity(`Order ${order_number} was cancelled`, 'secondary');
+    },
+    'device.state_changed': ({ device, table_id, plug_status }) => addActivity(
+      device ? `${device.name} is ${device.power_state} (${device.status})` : `Table ${table_id} plug is ${plug_status}`,
+      'info'
+    ),
+    'inventory.low_stock': ({ name, stock, unit }) => addActivity(`${name} is running low (${stock} ${unit} left)`, 'danger')
   });
 
+  const handleExtend = async (sessionId) => {
+    try {
+      await apiRequest('POST', `/sessions/${sessionId}/extend`, { minutes: EXTEND_MINUTES });
+      loadSessions();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const tableAlerts = sessions.map(session => sessionAlert(session, now)).filter(Boolean);
+  const alertStatus = {
+    activeAlerts: tableAlerts.length + notifications.reservations.length,
+    overdueTables: tableAlerts.filter(alert => alert.status === 'OVERDUE').length,
+    tableTimeoutAlerts: tableAlerts.length,
+    reservationReminders: notifications.reservations.length,
+    upcomingReservations: notifications.upcomingReservations.length
+  };
+
   const styles = `
     .alert-section {
       background-color: #f8f9fa;
@@ -209,7 +261,8 @@ const AlertsNotifications = () => {
               </span>
             </div>
 
-            {notifications.tableAlerts.map(alert => (
+            {tableAlerts.length === 0 && <p className="text-muted small mb-0 text-start">No tables are near their end time</p>}
+            {tableAlerts.map(alert => (
               <div key={alert.id} className={`alert-item alert-${alert.color}`}>
                 <div className="d-flex justify-content-between align-items-start mb-2">
                   <div className="text-start">
@@ -229,7 +282,7 @@ const AlertsNotifications = () => {
                     <>
                       <h6 className="small fw-bold">Step Timer</h6>
                       <div className="action-buttons">
-                        <button className={`btn btn-sm btn-${alert.color} me-2`}>
+                        <button className={`btn btn-sm btn-${alert.color} me-2`} onClick={() => handleExtend(alert.id)}>
                           Extend Time
                         </button>
                       </div>
@@ -248,6 +301,18 @@ const AlertsNotifications = () => {
               </div>
             ))}
           </div>
+
+          {/* Live Activity */}
+          <div className="alert-section">
+            <h2 className="h5 fw-bold mb-3 text-start">Live Activity</h2>
+            {activity.length === 0 && <p className="text-muted small mb-0 text-start">Orders, devices and stock warnings appear here as they happen</p>}
+            {activity.map(entry => (
+              <div key={entry.id} className="d-flex justify-content-between py-1 small text-start">
+                <span className={`text-${entry.color}`}>{entry.message}</span>
+                <span className="text-muted">{clockTime(entry.time)}</span>
+              </div>
+            ))}
+          </div>
         </div>
 
         {/* Reservation Reminders */}
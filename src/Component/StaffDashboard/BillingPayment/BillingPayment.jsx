@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 // import 'bootstrap/dist/css/bootstrap.min.css';
 import {
     RiDashboardLine,
@@ -12,27 +12,146 @@ import {
     RiBankCardLine,
     RiSmartphoneLine,
     RiPrinterLine,
-    RiMailLine
+    RiMailLine,
+    RiGroupLine,
+    RiRefund2Line
 } from 'react-icons/ri';
+import { apiRequest } from '../../../utils/api';
+
+const paymentMethodLabels = { cash: 'Cash', card: 'Card', upi: 'UPI' };
+
+const refundReasons = {
+    customer_complaint: 'Customer complaint',
+    wrong_item: 'Wrong item',
+    quality_issue: 'Quality issue',
+    long_wait: 'Long wait',
+    duplicate_charge: 'Duplicate charge',
+    overcharge: 'Overcharge',
+    customer_cancelled: 'Customer cancelled',
+    staff_error: 'Staff error',
+    other: 'Other'
+};
+
+const paymentStatusLabels = {
+    unpaid: 'Unpaid',
+    partially_paid: 'Partially Paid',
+    paid: 'Paid',
+    refunded: 'Refunded'
+};
+
+const toMoney = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+const formatDuration = (minutes) => `${Math.floor((minutes || 0) / 60)}h ${Math.round(minutes || 0) % 60}m`;
+
+// Bills still to settle: sessions that are not cancelled or fully paid
+const isOpenBill = (session) => session.status !== 'cancelled' && !['paid', 'refunded'].includes(session.payment_status);
+
+// Ordered items on the bill, with the tax the server charged on each. Bundle components are
+// paid for through their bundle, so they are left out.
+const billLines = (bill) => (bill?.orders || [])
+    .flatMap(order => order.items || [])
+    .filter(item => item.status !== 'voided' && !item.bundle_item_id)
+    .map(item => {
+        const amount = item.net_amount !== null && item.net_amount !== undefined
+            ? toMoney(item.net_amount)
+            : toMoney(parseFloat(item.price) * item.quantity);
+        return {
+            id: item.id,
+            name: item.name,
+            quantity: item.quantity - (item.voided_quantity || 0),
+            amount,
+            gross: toMoney(amount + toMoney(item.tax_amount))
+        };
+    });
+
+// Split an amount into equal shares; the last share absorbs rounding
+const splitEqually = (amount, ways) => {
+    const share = Math.floor((amount / ways) * 100) / 100;
+    return Array.from({ length: ways }, (_, i) =>
+        i === ways - 1 ? Math.round((amount - share * (ways - 1)) * 100) / 100 : share
+    );
+};
 
 const BillingPayment = () => {
     const [selectedDiscount, setSelectedDiscount] = useState('Select Discount');
     const [customDiscount, setCustomDiscount] = useState('');
     const [discountMenuOpen, setDiscountMenuOpen] = useState(false);
     const [paymentMethod, setPaymentMethod] = useState(null);
-    const [sessionTime, setSessionTime] = useState('02:45:32');
+    const [sessionTime, setSessionTime] = useState('00:00:00');
     const [isProcessing, setIsProcessing] = useState(false);
 
+    // The bill comes from the server, with its taxes, and payments and refunds are recorded there
+    const [sessions, setSessions] = useState([]);
+    const [sessionId, setSessionId] = useState('');
+    const [bill, setBill] = useState(null);
+    const [paymentInfo, setPaymentInfo] = useState(null);
+    const [error, setError] = useState('');
+
+    // Split bill
+    const [splitMode, setSplitMode] = useState('none'); // none | equal | custom | items
+    const [splitWays, setSplitWays] = useState(2);
+    const [payers, setPayers] = useState([]);
+
+    // Refunds
+    const [refundReason, setRefundReason] = useState('customer_complaint');
+    const [refundAmount, setRefundAmount] = useState('');
+
+    const summary = bill?.summary;
+    const billItems = billLines(bill);
+    const billTotal = toMoney(summary?.total);
+    const sessionCharge = toMoney(summary?.session_cost);
+    const taxLines = summary?.tax_breakdown?.summary || [];
+    const payments = paymentInfo?.payments || [];
+    const refunds = paymentInfo?.refunds || [];
+    const amountPaid = toMoney(paymentInfo?.amount_paid);
+    const amountRefunded = toMoney(paymentInfo?.refunded_amount);
+    const refundable = Math.max(0, toMoney(amountPaid - amountRefunded));
+    // Money refunded before the bill was settled is owed again
+    const isSettled = ['paid', 'refunded'].includes(paymentInfo?.payment_status);
+    const balance = isSettled ? 0 : Math.max(0, toMoney(billTotal - amountPaid + amountRefunded));
+    const paymentStatus = paymentStatusLabels[paymentInfo?.payment_status] || 'Unpaid';
+
+    useEffect(() => {
+        apiRequest('GET', '/sessions')
+            .then(data => {
+                const open = data.sessions.filter(isOpenBill);
+                setSessions(open);
+                if (open.length > 0) setSessionId(current => current || String(open[0].id));
+            })
+            .catch(err => setError(err.message));
+    }, []);
+
+    const loadBill = useCallback(async () => {
+        if (!sessionId) return;
+        try {
+            const [billData, paymentData] = await Promise.all([
+                apiRequest('GET', `/billing/session/${sessionId}`),
+                apiRequest('GET', `/billing/session/${sessionId}/payments`)
+            ]);
+            setBill(billData.bill);
+            setPaymentInfo(paymentData);
+            setError('');
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [sessionId]);
+
+    useEffect(() => {
+        setSplitMode('none');
+        setPayers([]);
+        loadBill();
+    }, [loadBill]);
+
     // Timer functionality
+    const startedAt = bill?.session?.start_time;
+    const endedAt = bill?.session?.end_time;
     useEffect(() => {
-        let startTime = new Date();
-        startTime.setHours(startTime.getHours() - 2);
-        startTime.setMinutes(startTime.getMinutes() - 45);
-        startTime.setSeconds(startTime.getSeconds() - 32);
+        if (!startedAt) return undefined;
+        const startTime = new Date(startedAt);
 
         const updateTimer = () => {
-            const now = new Date();
-            const diff = now - startTime;
+            const now = endedAt ? new Date(endedAt) : new Date();
+            const diff = Math.max(0, now - startTime);
 
             const hours = Math.floor(diff / (1000 * 60 * 60));
             const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
@@ -46,7 +165,7 @@ const BillingPayment = () => {
         updateTimer();
         const interval = setInterval(updateTimer, 1000);
         return () => clearInterval(interval);
-    }, []);
+    }, [startedAt, endedAt]);
 
     // Discount functionality
     const applyDiscount = () => {
@@ -65,20 +184,142 @@ const BillingPayment = () => {
         setDiscountMenuOpen(false);
     };
 
+    const recordPayment = (payment) =>
+        apiRequest('POST', `/billing/session/${sessionId}/payment`, payment);
+
     // Payment functionality
-    const handlePayment = () => {
+    const handlePayment = async () => {
         if (!paymentMethod) {
             alert('Please select a payment method');
             return;
         }
 
         setIsProcessing(true);
-        setTimeout(() => {
-            alert('Payment successful! Session closed and table is now available.');
-            setIsProcessing(false);
-        }, 2000);
+        try {
+            const { balance: remaining } = await recordPayment({
+                payment_method: paymentMethod,
+                amount_paid: balance,
+                split_type: 'full'
+            });
+            alert(toMoney(remaining) > 0
+                ? `Payment recorded. $${toMoney(remaining).toFixed(2)} is still due.`
+                : 'Payment successful! Session closed and table is now available.');
+        } catch (err) {
+            alert(err.message);
+        }
+        setIsProcessing(false);
+        loadBill();
+    };
+
+    // Split bill functionality. Items count at the amount the server charged for them, tax included.
+    const itemShareAmount = (itemIds) =>
+        billItems
+            .filter(item => itemIds.includes(item.id))
+            .reduce((sum, item) => sum + item.gross, 0);
+
+    const startSplit = (mode, ways = splitWays) => {
+        setSplitMode(mode);
+        if (mode === 'none') {
+            setPayers([]);
+            return;
+        }
+        const shares = splitEqually(balance, ways);
+        setPayers(shares.map((amount, i) => ({
+            id: i + 1,
+            name: `Guest ${i + 1}`,
+            amount: mode === 'equal' ? amount : '',
+            method: null,
+            itemIds: [],
+            paid: false
+        })));
+    };
+
+    const changeSplitWays = (ways) => {
+        const count = Math.max(2, Math.min(10, ways));
+        setSplitWays(count);
+        startSplit(splitMode, count);
+    };
+
+    const updatePayer = (id, changes) => {
+        setPayers(prev => prev.map(p => p.id === id ? { ...p, ...changes } : p));
+    };
+
+    const toggleItemForPayer = (payerId, itemId) => {
+        setPayers(prev => {
+            const withItem = prev.map(p => ({
+                ...p,
+                itemIds: p.id === payerId
+                    ? (p.itemIds.includes(itemId) ? p.itemIds.filter(id => id !== itemId) : [...p.itemIds, itemId])
+                    : p.itemIds.filter(id => id !== itemId)
+            }));
+            // Table time, tax on unassigned items and anything unassigned are shared equally
+            const assigned = withItem.reduce((sum, p) => sum + itemShareAmount(p.itemIds), 0);
+            const shared = splitEqually(Math.max(0, billTotal - assigned), withItem.length);
+            return withItem.map((p, i) => ({
+                ...p,
+                amount: Math.round((itemShareAmount(p.itemIds) + shared[i]) * 100) / 100
+            }));
+        });
+    };
+
+    const collectPayerPayment = async (payer) => {
+        const amount = parseFloat(payer.amount);
+        if (!payer.method) {
+            alert(`Please select a payment method for ${payer.name}`);
+            return;
+        }
+        if (!amount || amount <= 0) {
+            alert(`Please enter an amount for ${payer.name}`);
+            return;
+        }
+        if (amount > balance + 0.001 && payer.method !== 'cash') {
+            alert(`Amount exceeds the outstanding balance of $${balance.toFixed(2)}`);
+            return;
+        }
+        try {
+            const { change_due: changeDue } = await recordPayment({
+                payment_method: payer.method,
+                amount_paid: amount,
+                payer_name: payer.name,
+                split_type: splitMode,
+                order_item_ids: payer.itemIds
+            });
+            updatePayer(payer.id, { paid: true });
+            if (parseFloat(changeDue) > 0) {
+                alert(`Change due to ${payer.name}: $${parseFloat(changeDue).toFixed(2)}`);
+            }
+        } catch (err) {
+            alert(err.message);
+        }
+        loadBill();
+    };
+
+    // Refund functionality
+    const handleRefund = async () => {
+        const amount = refundAmount === '' ? refundable : parseFloat(refundAmount);
+        if (!amount || amount <= 0) {
+            alert('Enter a refund amount');
+            return;
+        }
+        if (amount > refundable + 0.001) {
+            alert(`Refund exceeds the refundable amount of $${refundable.toFixed(2)}`);
+            return;
+        }
+        try {
+            await apiRequest('POST', `/billing/session/${sessionId}/refund`, {
+                amount: toMoney(amount),
+                reason_code: refundReason
+            });
+            setRefundAmount('');
+        } catch (err) {
+            alert(err.message);
+        }
+        loadBill();
     };
 
+    const table = bill?.session?.table;
+    const sessionStatus = bill?.session?.status;
+
     return (
         <div className="p-3">
             {/* Main Content */}
@@ -90,13 +331,29 @@ const BillingPayment = () => {
                             <h1 className="fs-3 fw-bold text-dark">Billing & Payment</h1>
                             <p className="text-muted mb-0">Manage session billing and process payments</p>
                         </div>
-                        <div className="d-flex align-items-center">
-                            <span className="bg-success bg-opacity-10 text-success px-3 py-1 rounded-pill small fw-medium">
-                                Table 12 - Active
-                            </span>
+                        <div className="d-flex align-items-center gap-2">
+                            <select
+                                className="form-select form-select-sm"
+                                value={sessionId}
+                                onChange={(e) => setSessionId(e.target.value)}
+                            >
+                                {sessions.length === 0 && <option value="">No open bills</option>}
+                                {sessions.map(session => (
+                                    <option key={session.id} value={session.id}>
+                                        {`${session.table?.name || `Session ${session.id}`}${session.customer_name ? ` - ${session.customer_name}` : ''}`}
+                                    </option>
+                                ))}
+                            </select>
+                            {sessionStatus && (
+                                <span className="bg-success bg-opacity-10 text-success px-3 py-1 rounded-pill small fw-medium text-capitalize text-nowrap">
+                                    {sessionStatus}
+                                </span>
+                            )}
                         </div>
                     </div>
 
+                    {error && <div className="alert alert-danger py-2 small">{error}</div>}
+
                     {/* Content Grid */}
                     <div className="row g-4">
                         {/* Left Column */}
@@ -106,7 +363,10 @@ const BillingPayment = () => {
                                 <div className="d-flex flex-column flex-md-row align-items-md-center justify-content-between mb-4">
                                     <div>
                                         <h2 className="fs-5 fw-semibold text-dark">Bill Summary</h2>
-                                        <p className="text-muted small">Table 12 • Started: 2:30 PM</p>
+                                        <p className="text-muted small">
+                                            {table?.name || 'No session selected'}
+                                            {startedAt && ` • Started: ${new Date(startedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`}
+                                        </p>
                                     </div>
                                     <div className="text-md-end mt-3 mt-md-0">
                                         <div className="bg-warning text-dark px-4 py-2 rounded-3 font-monospace fw-bold fs-5">
@@ -122,10 +382,19 @@ const BillingPayment = () => {
                                         <h3 className="fs-5 fw-semibold text-dark ">Session Charges</h3>
                                         <div className="d-flex justify-content-between align-items-center">
                                             <div>
-                                                <span className="text-dark">Gaming Session (2h 45m)</span>
-                                                <p className="text-muted small mb-0">$15.00/hour</p>
+                                                <span className="text-dark">Gaming Session ({formatDuration(summary?.billable_duration)})</span>
+                                                {table?.hourly_rate && (
+                                                    <p className="text-muted small mb-0">${toMoney(table.hourly_rate).toFixed(2)}/hour</p>
+                                                )}
+                                            </div>
+                                            <span className="fw-semibold">${sessionCharge.toFixed(2)}</span>
+                                        </div>
+                                        <div className="d-flex justify-content-between align-items-center mt-2">
+                                            <div>
+                                                <span className="text-muted">Paused Time ({formatDuration(summary?.paused_duration)})</span>
+                                                <p className="text-muted small mb-0">Not billed</p>
                                             </div>
-                                            <span className="fw-semibold">$41.25</span>
+                                            <span className="text-muted">$0.00</span>
                                         </div>
                                     </div>
 
@@ -133,34 +402,18 @@ const BillingPayment = () => {
                                     <div className="border-bottom pb-3 mb-3">
                                         <h3 className="fs-5 fw-semibold text-dark">Food & Beverages</h3>
                                         <div className="food-items-list">
-                                            <div className="d-flex justify-content-between align-items-center bg-light p-3 rounded mb-2">
-                                                <div>
-                                                    <span className="text-dark">Chicken Wings</span>
-                                                    <span className="text-muted small ms-2">× 2</span>
-                                                </div>
-                                                <span className="fw-semibold">$24.00</span>
-                                            </div>
-                                            <div className="d-flex justify-content-between align-items-center p-3 rounded mb-2">
-                                                <div>
-                                                    <span className="text-dark">Coca Cola</span>
-                                                    <span className="text-muted small ms-2">× 3</span>
-                                                </div>
-                                                <span className="fw-semibold">$9.00</span>
-                                            </div>
-                                            <div className="d-flex justify-content-between align-items-center bg-light p-3 rounded mb-2">
-                                                <div>
-                                                    <span className="text-dark">Nachos Supreme</span>
-                                                    <span className="text-muted small ms-2">× 1</span>
-                                                </div>
-                                                <span className="fw-semibold">$18.50</span>
-                                            </div>
-                                            <div className="d-flex justify-content-between align-items-center p-3 rounded">
-                                                <div>
-                                                    <span className="text-dark">Energy Drink</span>
-                                                    <span className="text-muted small ms-2">× 2</span>
+                                            {billItems.map((item, index) => (
+                                                <div
+                                                    key={item.id}
+                                                    className={`d-flex justify-content-between align-items-center p-3 rounded ${index % 2 === 0 ? 'bg-light' : ''} ${index < billItems.length - 1 ? 'mb-2' : ''}`}
+                                                >
+                                                    <div>
+                                                        <span className="text-dark">{item.name}</span>
+                                                        <span className="text-muted small ms-2">× {item.quantity}</span>
+                                                    </div>
+                                                    <span className="fw-semibold">${item.amount.toFixed(2)}</span>
                                                 </div>
-                                                <span className="fw-semibold">$8.00</span>
-                                            </div>
+                                            ))}
                                         </div>
                                     </div>
 
@@ -168,22 +421,55 @@ const BillingPayment = () => {
                                     <div className="totals-section">
                                         <div className="d-flex justify-content-between mb-1">
                                             <span className="text-muted">Subtotal</span>
-                                            <span>$100.75</span>
-                                        </div>
-                                        <div className="d-flex justify-content-between mb-1">
-                                            <span className="text-muted">Tax (8.5%)</span>
-                                            <span>$8.56</span>
-                                        </div>
-                                        <div className="d-flex justify-content-between mb-1 discount-row d-none">
-                                            <span className="text-success">Discount (<span id="discount-percent">0</span>%)</span>
-                                            <span className="text-success">-$<span id="discount-amount">0.00</span></span>
+                                            <span>${toMoney(summary?.subtotal).toFixed(2)}</span>
                                         </div>
+                                        {taxLines.length > 0 ? taxLines.map(line => (
+                                            <div key={`${line.profile}:${line.name}:${line.rate}`} className="d-flex justify-content-between mb-1">
+                                                <span className="text-muted">{line.name} ({line.rate}%)</span>
+                                                <span>${toMoney(line.amount).toFixed(2)}</span>
+                                            </div>
+                                        )) : (
+                                            <div className="d-flex justify-content-between mb-1">
+                                                <span className="text-muted">Tax</span>
+                                                <span>${toMoney(summary?.tax).toFixed(2)}</span>
+                                            </div>
+                                        )}
+                                        {toMoney(summary?.service_fee) > 0 && (
+                                            <div className="d-flex justify-content-between mb-1">
+                                                <span className="text-muted">Service Fee</span>
+                                                <span>${toMoney(summary.service_fee).toFixed(2)}</span>
+                                            </div>
+                                        )}
+                                        {toMoney(summary?.discount) > 0 && (
+                                            <div className="d-flex justify-content-between mb-1">
+                                                <span className="text-success">Discount</span>
+                                                <span className="text-success">-${toMoney(summary.discount).toFixed(2)}</span>
+                                            </div>
+                                        )}
                                         <div className="border-top pt-2 mt-2">
                                             <div className="d-flex justify-content-between fs-5 fw-bold text-dark">
                                                 <span>Total</span>
-                                                <span id="final-total">$109.31</span>
+                                                <span id="final-total">${billTotal.toFixed(2)}</span>
                                             </div>
                                         </div>
+                                        {payments.length > 0 && (
+                                            <>
+                                                <div className="d-flex justify-content-between mt-2 text-success">
+                                                    <span>Paid</span>
+                                                    <span>-${amountPaid.toFixed(2)}</span>
+                                                </div>
+                                                <div className="d-flex justify-content-between fw-semibold text-dark">
+                                                    <span>Balance Due</span>
+                                                    <span>${balance.toFixed(2)}</span>
+                                                </div>
+                                            </>
+                                        )}
+                                        {refunds.length > 0 && (
+                                            <div className="d-flex justify-content-between text-danger">
+                                                <span>Refunded</span>
+                                                <span>-${amountRefunded.toFixed(2)}</span>
+                                            </div>
+                                        )}
                                     </div>
                                 </div>
                             </div>
@@ -267,6 +553,135 @@ const BillingPayment = () => {
                             </div>
                         </div>
 
+                        {/* Split Bill Card */}
+                        <div className="col-lg-8 order-lg-last">
+                            <div className="bg-white rounded-3 shadow-sm border p-4">
+                                <div className="d-flex align-items-center justify-content-between mb-3">
+                                    <h3 className="fs-5 fw-semibold text-dark d-flex align-items-center gap-2 mb-0">
+                                        <RiGroupLine />
+                                        Split Bill
+                                    </h3>
+                                    <span className={`px-2 py-1 rounded small fw-medium ${paymentStatus === 'Paid' ? 'bg-success bg-opacity-10 text-success' : paymentStatus === 'Refunded' ? 'bg-danger bg-opacity-10 text-danger' : paymentStatus === 'Partially Paid' ? 'bg-warning bg-opacity-25 text-dark' : 'bg-secondary bg-opacity-10 text-secondary'}`}>
+                                        {paymentStatus}
+                                    </span>
+                                </div>
+
+                                <div className="btn-group w-100 mb-3" role="group">
+                                    {[
+                                        { key: 'none', label: 'Single Payer' },
+                                        { key: 'equal', label: 'Equal Shares' },
+                                        { key: 'custom', label: 'Custom Amounts' },
+                                        { key: 'items', label: 'By Items' }
+                                    ].map(mode => (
+                                        <button
+                                            key={mode.key}
+                                            className={`btn btn-sm ${splitMode === mode.key ? 'btn-warning' : 'btn-outline-secondary'}`}
+                                            onClick={() => startSplit(mode.key)}
+                                            disabled={balance === 0}
+                                        >
+                                            {mode.label}
+                                        </button>
+                                    ))}
+                                </div>
+
+                                {splitMode !== 'none' && (
+                                    <>
+                                        <div className="d-flex align-items-center gap-2 mb-3">
+                                            <span className="small text-muted">Payers</span>
+                                            <button className="btn btn-sm btn-outline-secondary" onClick={() => changeSplitWays(splitWays - 1)}>-</button>
+                                            <span className="fw-semibold">{splitWays}</span>
+                                            <button className="btn btn-sm btn-outline-secondary" onClick={() => changeSplitWays(splitWays + 1)}>+</button>
+                                        </div>
+
+                                        {payers.map(payer => (
+                                            <div key={payer.id} className={`border rounded p-3 mb-2 ${payer.paid ? 'bg-success bg-opacity-10' : ''}`}>
+                                                <div className="row g-2 align-items-center">
+                                                    <div className="col-md-3">
+                                                        <input
+                                                            type="text"
+                                                            className="form-control form-control-sm"
+                                                            value={payer.name}
+                                                            disabled={payer.paid}
+                                                            onChange={(e) => updatePayer(payer.id, { name: e.target.value })}
+                                                        />
+                                                    </div>
+                                                    <div className="col-md-3">
+                                                        <div className="input-group input-group-sm">
+                                                            <span className="input-group-text">$</span>
+                                                            <input
+                                                                type="number"
+                                                                className="form-control"
+                                                                min="0"
+                                                                step="0.01"
+                                                                value={payer.amount}
+                                                                disabled={payer.paid || splitMode !== 'custom'}
+                                                                onChange={(e) => updatePayer(payer.id, { amount: e.target.value })}
+                                                            />
+                                                        </div>
+                                                    </div>
+                                                    <div className="col-md-4 d-flex gap-1">
+                                                        {Object.keys(paymentMethodLabels).map(method => (
+                                                            <button
+                                                                key={method}
+                                                                className={`btn btn-sm ${payer.method === method ? 'btn-dark' : 'btn-outline-secondary'}`}
+                                                                disabled={payer.paid}
+                                                                onClick={() => updatePayer(payer.id, { method })}
+                                                            >
+                                                                {paymentMethodLabels[method]}
+                                                            </button>
+                                                        ))}
+                                                    </div>
+                                                    <div className="col-md-2 text-md-end">
+                                                        {payer.paid ? (
+                                                            <span className="text-success small fw-medium d-inline-flex align-items-center gap-1">
+                                                                <RiCheckLine /> Paid
+                                                            </span>
+                                                        ) : (
+                                                            <button className="btn btn-sm btn-success" onClick={() => collectPayerPayment(payer)}>
+                                                                Collect
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                </div>
+
+                                                {splitMode === 'items' && !payer.paid && (
+                                                    <div className="d-flex flex-wrap gap-2 mt-2">
+                                                        {billItems.map(item => (
+                                                            <button
+                                                                key={item.id}
+                                                                className={`btn btn-sm ${payer.itemIds.includes(item.id) ? 'btn-primary' : 'btn-outline-primary'}`}
+                                                                onClick={() => toggleItemForPayer(payer.id, item.id)}
+                                                            >
+                                                                {item.name} × {item.quantity}
+                                                            </button>
+                                                        ))}
+                                                    </div>
+                                                )}
+                                            </div>
+                                        ))}
+
+                                        {splitMode === 'items' && (
+                                            <p className="text-muted small mb-0">
+                                                Session charges (${sessionCharge.toFixed(2)}), service fee, discount and unassigned items are shared equally.
+                                            </p>
+                                        )}
+                                    </>
+                                )}
+
+                                {payments.length > 0 && (
+                                    <div className="mt-3 pt-3 border-top">
+                                        <h4 className="fw-medium text-dark small mb-2">Payments Received</h4>
+                                        {payments.map(payment => (
+                                            <div key={payment.id} className="d-flex justify-content-between small mb-1">
+                                                <span>{payment.payer_name || 'Customer'} • {paymentMethodLabels[payment.payment_method] || payment.payment_method}</span>
+                                                <span className="fw-semibold">${toMoney(payment.amount).toFixed(2)}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+
                         {/* Right Column */}
                         <div className="col-lg-4">
                             <div className="bg-white rounded-3 shadow-sm border p-4" style={{ top: '1rem' }}>
@@ -343,12 +758,52 @@ const BillingPayment = () => {
                                 </div>
 
                                 <button
-                                    className={`btn btn-success w-100 py-3 mb-3 ${isProcessing ? 'disabled' : ''}`}
+                                    className={`btn btn-success w-100 py-3 mb-3 ${isProcessing || balance === 0 ? 'disabled' : ''}`}
                                     onClick={handlePayment}
                                 >
-                                    {isProcessing ? 'Processing...' : `Pay Now - $109.31`}
+                                    {isProcessing ? 'Processing...' : balance === 0 ? 'Paid in Full' : `Pay ${amountPaid > 0 ? 'Balance' : 'Now'} - $${balance.toFixed(2)}`}
                                 </button>
 
+                                {amountPaid > 0 && (
+                                    <div className="bg-light p-3 rounded-3 mb-3">
+                                        <h4 className="fw-medium text-dark mb-2 d-flex align-items-center gap-2">
+                                            <RiRefund2Line className="text-danger" />
+                                            Refund
+                                        </h4>
+                                        <select
+                                            className="form-select form-select-sm mb-2"
+                                            value={refundReason}
+                                            onChange={(e) => setRefundReason(e.target.value)}
+                                        >
+                                            {Object.entries(refundReasons).map(([code, label]) => (
+                                                <option key={code} value={code}>{label}</option>
+                                            ))}
+                                        </select>
+                                        <div className="d-flex gap-2">
+                                            <input
+                                                type="number"
+                                                className="form-control form-control-sm"
+                                                placeholder={`Full ($${refundable.toFixed(2)})`}
+                                                value={refundAmount}
+                                                onChange={(e) => setRefundAmount(e.target.value)}
+                                            />
+                                            <button
+                                                className="btn btn-sm btn-outline-danger"
+                                                disabled={refundable === 0}
+                                                onClick={handleRefund}
+                                            >
+                                                Refund
+                                            </button>
+                                        </div>
+                                        {refunds.map(refund => (
+                                            <div key={refund.id} className="d-flex justify-content-between small mt-2">
+                                                <span>{refundReasons[refund.reason_code] || refund.reason_code}</span>
+                                                <span className="text-danger">-${toMoney(refund.amount).toFixed(2)}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+
                                 <div className="row g-2">
                                     <div className="col-6">
                                         <button className="btn btn-outline-secondary w-100 small d-flex align-items-center justify-content-center gap-1">
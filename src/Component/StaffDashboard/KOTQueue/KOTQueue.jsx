@@ -3,11 +3,32 @@ import {
     RiDashboardLine, RiShoppingCartLine, RiPrinterLine, RiGamepadLine,
     RiUserLine, RiBarChartLine, RiPrinterFill, RiRefreshLine,
     RiSearchLine, RiRestaurantLine, RiCupLine, RiCheckLine,
-    RiTimeLine, RiTimerLine
+    RiTimeLine, RiTimerLine, RiFullscreenLine
 } from 'react-icons/ri';
+import useLiveEvents from '../../../hooks/useLiveEvents';
+import KitchenDisplay from './KitchenDisplay';
+
+// Shape a pushed ticket like a KOT row
+const ticketToKot = (kot, order) => ({
+    id: kot.kot_number,
+    orderNumber: order.order_id,
+    table: order.table ? order.table.name : `Table ${order.table_number}`,
+    session: order.session_id ? `Session #${order.session_id}` : '',
+    items: kot.type === 'amendment'
+        ? (kot.changes || []).map(change => (change.action === 'cancel'
+            ? `CANCEL ${change.from_quantity}x ${change.name}`
+            : `${change.name}: ${change.from_quantity}x → ${change.to_quantity}x`))
+        : (kot.items || []).map(item => `${item.quantity}x ${item.name}`),
+    category: kot.type === 'amendment' ? 'Amendment' : kot.is_additional ? 'Additional' : kot.station === 'Bar Printer' ? 'Beverages' : 'Food',
+    timeElapsed: '0 min',
+    priority: 'Normal Priority',
+    status: 'Pending',
+    completed: false
+});
 
 const KOTQueue = () => {
     const [activeTab, setActiveTab] = useState('activeKots');
+    const [kdsMode, setKdsMode] = useState(false);
     const [lastUpdated, setLastUpdated] = useState(2);
     const [kots, setKots] = useState([
         {
@@ -63,6 +84,34 @@ const KOTQueue = () => {
         return () => clearInterval(timer);
     }, []);
 
+    // New KOTs and ready orders arrive from the server as they happen
+    useLiveEvents({
+        'kot.printed': ({ kot, order }) => {
+            setKots(prev => [ticketToKot(kot, order), ...prev.filter(row => row.id !== kot.kot_number)]);
+            setLastUpdated(0);
+        },
+        'kot.bumped': ({ kot_number }) => {
+            setKots(prev => prev.map(kot => (
+                kot.id === kot_number
+                    ? { ...kot, status: 'Completed', timeElapsed: 'Completed', completedTime: 'Just now', completed: true }
+                    : kot
+            )));
+            setLastUpdated(0);
+        },
+        'order.status_changed': ({ order_number, status }) => {
+            if (status === 'cancelled') {
+                setKots(prev => prev.filter(kot => (kot.orderNumber || kot.id) !== order_number));
+            } else if (status === 'ready') {
+                setKots(prev => prev.map(kot => (
+                    (kot.orderNumber || kot.id) === order_number
+                        ? { ...kot, status: 'Completed', timeElapsed: 'Completed', completedTime: 'Just now', completed: true }
+                        : kot
+                )));
+            }
+            setLastUpdated(0);
+        }
+    });
+
     const handleMarkComplete = (id) => {
         setKots(kots.map(kot => {
             if (kot.id === id) {
@@ -87,6 +136,16 @@ const KOTQueue = () => {
         }
     };
 
+    // Full-screen kitchen display for station screens
+    const enterKdsMode = () => {
+        document.documentElement.requestFullscreen?.().catch(() => {});
+        setKdsMode(true);
+    };
+
+    if (kdsMode) {
+        return <KitchenDisplay onExit={() => setKdsMode(false)} />;
+    }
+
     return (
         <div className='p-3'>
             {/* Main Content */}
@@ -110,6 +169,13 @@ const KOTQueue = () => {
                                 <RiRefreshLine className="me-2" />
                                 Refresh
                             </button>
+                            <button
+                                className="btn btn-dark rounded-1 fw-medium d-flex align-items-center"
+                                onClick={enterKdsMode}
+                            >
+                                <RiFullscreenLine className="me-2" />
+                                KDS Mode
+                            </button>
                         </div>
                     </div>
                 </header>
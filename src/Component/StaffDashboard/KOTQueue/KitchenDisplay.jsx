@@ -0,0 +1,325 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    RiFullscreenExitLine, RiArrowGoBackLine, RiAlarmWarningLine, RiCheckLine,
+    RiCheckDoubleLine, RiTimeLine, RiPrinterLine
+} from 'react-icons/ri';
+import useLiveEvents from '../../../hooks/useLiveEvents';
+import { apiRequest } from '../../../utils/api';
+
+// Stations by menu item printer, with the event stream's station name
+const STATIONS = [
+    { printer: 'Kitchen Printer', label: 'Kitchen', stream: 'kitchen' },
+    { printer: 'Bar Printer', label: 'Bar', stream: 'bar' },
+    { printer: 'Main Printer', label: 'Main', stream: 'main' },
+    { printer: 'Game Zone Printer', label: 'Game Zone', stream: 'game-zone' }
+];
+
+// Ticket age colours, in minutes
+const AGE_WARNING_MIN = 10;
+const AGE_LATE_MIN = 20;
+
+// The queue is also reloaded on a timer in case events were missed while offline
+const REFRESH_MS = 30 * 1000;
+// Renew the sign-in well before it expires so the screen never logs out
+const TOKEN_RENEW_MS = 6 * 60 * 60 * 1000;
+
+const KITCHEN_EVENTS = [
+    'kot.printed', 'kot.bumped', 'kot.recalled', 'kot.updated',
+    'order.item_status_changed', 'order.item_voided', 'order.status_changed', 'order.items_changed'
+];
+
+const ageMinutes = (since, now) => Math.max(0, Math.floor((now - new Date(since)) / 60000));
+
+const ageClass = (minutes) => {
+    if (minutes >= AGE_LATE_MIN) return 'border-danger';
+    if (minutes >= AGE_WARNING_MIN) return 'border-warning';
+    return 'border-success';
+};
+
+const ageTextClass = (minutes) => {
+    if (minutes >= AGE_LATE_MIN) return 'text-danger';
+    if (minutes >= AGE_WARNING_MIN) return 'text-warning';
+    return 'text-success';
+};
+
+const tableName = (kot) => kot.order?.table?.name || kot.order?.order_id || '';
+
+const remaining = (item) => item.quantity - (item.voided_quantity || 0);
+
+const KitchenDisplay = ({ onExit }) => {
+    const [station, setStation] = useState(localStorage.getItem('kdsStation') || '');
+    const [kots, setKots] = useState([]);
+    const [recentlyBumped, setRecentlyBumped] = useState([]);
+    const [allDay, setAllDay] = useState([]);
+    const [showRecall, setShowRecall] = useState(false);
+    const [now, setNow] = useState(Date.now());
+    const [error, setError] = useState('');
+
+    const loadQueue = useCallback(async () => {
+        try {
+            const query = station ? `?printer=${encodeURIComponent(station)}` : '';
+            const data = await apiRequest('GET', `/kot/queue${query}`);
+            setKots(data.kots);
+            setRecentlyBumped(data.recentlyBumped);
+            setAllDay(data.allDay);
+            setError('');
+        } catch (err) {
+            // Keep the last tickets on screen; a cook can still read them
+            setError(err.status === 401 ? 'Signed out - ask a manager to sign this screen in again' : 'Connection lost - retrying');
+        }
+    }, [station]);
+
+    useEffect(() => {
+        loadQueue();
+        const timer = setInterval(loadQueue, REFRESH_MS);
+        return () => clearInterval(timer);
+    }, [loadQueue]);
+
+    // Ages tick over without a reload
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 15 * 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    useEffect(() => {
+        const renew = async () => {
+            try {
+                const { token } = await apiRequest('POST', '/auth/refresh');
+                localStorage.setItem('token', token);
+            } catch {
+                // Tried again at the next interval
+            }
+        };
+        renew();
+        const timer = setInterval(renew, TOKEN_RENEW_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    // Keep a wall-mounted tablet's screen on
+    useEffect(() => {
+        let wakeLock = null;
+        const requestWakeLock = async () => {
+            try {
+                wakeLock = await navigator.wakeLock?.request('screen');
+            } catch {
+                wakeLock = null;
+            }
+        };
+        const onVisibilityChange = () => {
+            if (document.visibilityState === 'visible') requestWakeLock();
+        };
+
+        requestWakeLock();
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        return () => {
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+            wakeLock?.release();
+        };
+    }, []);
+
+    const streamStation = STATIONS.find(s => s.printer === station)?.stream;
+    useLiveEvents(
+        Object.fromEntries(KITCHEN_EVENTS.map(event => [event, loadQueue])),
+        streamStation ? [streamStation] : []
+    );
+
+    const changeStation = (printer) => {
+        localStorage.setItem('kdsStation', printer);
+        setStation(printer);
+    };
+
+    const runAction = async (method, path, body) => {
+        try {
+            await apiRequest(method, path, body);
+        } catch (err) {
+            setError(err.message);
+        }
+        loadQueue();
+    };
+
+    const bumpItem = (item) => runAction('PATCH', `/kot/items/${item.id}/complete`);
+    const bumpTicket = (kot) => runAction('PATCH', `/kot/${kot.id}/bump`);
+    const toggleRush = (kot) => runAction('PATCH', `/kot/${kot.id}/rush`, { is_rush: !kot.is_rush });
+    const recallTicket = (kot) => runAction('PATCH', `/kot/${kot.id}/recall`);
+
+    const exit = () => {
+        if (document.fullscreenElement) document.exitFullscreen();
+        onExit();
+    };
+
+    return (
+        <div className="position-fixed top-0 start-0 w-100 h-100 bg-dark text-white d-flex flex-column" style={{ zIndex: 1050 }}>
+            {/* Header */}
+            <div className="d-flex justify-content-between align-items-center px-3 py-2 border-bottom border-secondary">
+                <div className="d-flex align-items-center gap-2">
+                    <h1 className="fs-4 fw-bold mb-0 me-3">Kitchen Display</h1>
+                    <button
+                        className={`btn btn-sm ${station === '' ? 'btn-warning text-dark' : 'btn-outline-light'}`}
+                        onClick={() => changeStation('')}
+                    >
+                        All Stations
+                    </button>
+                    {STATIONS.map(s => (
+                        <button
+                            key={s.printer}
+                            className={`btn btn-sm ${station === s.printer ? 'btn-warning text-dark' : 'btn-outline-light'}`}
+                            onClick={() => changeStation(s.printer)}
+                        >
+                            {s.label}
+                        </button>
+                    ))}
+                </div>
+                <div className="d-flex align-items-center gap-2">
+                    {error && <span className="badge bg-danger">{error}</span>}
+                    <button className="btn btn-sm btn-outline-light d-flex align-items-center" onClick={() => setShowRecall(!showRecall)}>
+                        <RiArrowGoBackLine className="me-1" />
+                        Recall
+                    </button>
+                    <button className="btn btn-sm btn-outline-light d-flex align-items-center" onClick={exit}>
+                        <RiFullscreenExitLine className="me-1" />
+                        Exit
+                    </button>
+                </div>
+            </div>
+
+            <div className="d-flex flex-grow-1 overflow-hidden">
+                {/* Tickets */}
+                <div className="flex-grow-1 overflow-auto p-3">
+                    {kots.length === 0 && (
+                        <div className="text-center text-secondary mt-5 fs-4">No open tickets</div>
+                    )}
+                    <div className="row g-3">
+                        {kots.map(kot => {
+                            const age = ageMinutes(kot.created_at, now);
+                            const items = kot.items.filter(item => item.status !== 'voided');
+                            return (
+                                <div key={kot.id} className="col-xl-3 col-lg-4 col-md-6">
+                                    <div className={`card bg-black text-white border border-4 h-100 ${kot.is_rush ? 'border-danger' : ageClass(age)}`}>
+                                        <div className="card-header d-flex justify-content-between align-items-start border-secondary">
+                                            <div>
+                                                <div className="fs-5 fw-bold">{tableName(kot)}</div>
+                                                <div className="small text-secondary">{kot.kot_number}</div>
+                                                <div className="d-flex gap-1 mt-1">
+                                                    {kot.is_rush && <span className="badge bg-danger">RUSH</span>}
+                                                    {kot.type === 'amendment' ? (
+                                                        <span className="badge bg-warning text-dark">AMENDMENT</span>
+                                                    ) : kot.is_additional && (
+                                                        <span className="badge bg-info text-dark">ADDITIONAL</span>
+                                                    )}
+                                                    {!station && <span className="badge bg-secondary">{kot.station}</span>}
+                                                    {kot.print_status === 'failed' && (
+                                                        <span className="badge bg-warning text-dark d-inline-flex align-items-center">
+                                                            <RiPrinterLine className="me-1" />
+                                                            Not printed
+                                                        </span>
+                                                    )}
+                                                </div>
+                                            </div>
+                                            <div className={`fs-4 fw-bold d-flex align-items-center ${ageTextClass(age)}`}>
+                                                <RiTimeLine className="me-1" />
+                                                {`${age}m`}
+                                            </div>
+                                        </div>
+                                        <div className="card-body p-2">
+                                            {items.map(item => (
+                                                <button
+                                                    key={item.id}
+                                                    className={`btn w-100 text-start mb-1 d-flex justify-content-between align-items-center ${item.status === 'ready' ? 'btn-outline-secondary text-decoration-line-through' : 'btn-outline-light'}`}
+                                                    onClick={() => bumpItem(item)}
+                                                    disabled={item.status === 'ready'}
+                                                >
+                                                    <span>
+                                                        <span className="fw-bold me-2">{`${remaining(item)}x`}</span>
+                                                        {item.name}
+                                                        {item.modifiers?.length > 0 && (
+                                                            <div className="small text-info">{item.modifiers.map(modifier => modifier.option).join(', ')}</div>
+                                                        )}
+                                                        {item.special_instructions && (
+                                                            <div className="small text-warning">{item.special_instructions}</div>
+                                                        )}
+                                                    </span>
+                                                    {item.status === 'ready' && <RiCheckLine />}
+                                                </button>
+                                            ))}
+                                            {(kot.changes || []).map(change => (
+                                                <div key={change.order_item_id} className="border border-warning rounded p-2 mb-1">
+                                                    {change.action === 'cancel' ? (
+                                                        <span className="text-danger fw-bold text-decoration-line-through">{`${change.from_quantity}x ${change.name}`}</span>
+                                                    ) : (
+                                                        <span>
+                                                            <span className="fw-bold me-2">{`${change.from_quantity}x → ${change.to_quantity}x`}</span>
+                                                            {change.name}
+                                                        </span>
+                                                    )}
+                                                    {change.modifiers?.length > 0 && (
+                                                        <div className="small text-info">{change.modifiers.map(modifier => modifier.option).join(', ')}</div>
+                                                    )}
+                                                    {change.action !== 'cancel' && change.special_instructions && (
+                                                        <div className="small text-warning">{change.special_instructions}</div>
+                                                    )}
+                                                </div>
+                                            ))}
+                                            {kot.order?.special_instructions && (
+                                                <div className="small text-warning mt-2">{`Note: ${kot.order.special_instructions}`}</div>
+                                            )}
+                                        </div>
+                                        <div className="card-footer d-flex gap-2 border-secondary">
+                                            <button
+                                                className={`btn ${kot.is_rush ? 'btn-danger' : 'btn-outline-danger'} d-flex align-items-center`}
+                                                onClick={() => toggleRush(kot)}
+                                            >
+                                                <RiAlarmWarningLine className="me-1" />
+                                                Rush
+                                            </button>
+                                            <button className="btn btn-success flex-grow-1 fw-bold d-flex align-items-center justify-content-center" onClick={() => bumpTicket(kot)}>
+                                                <RiCheckDoubleLine className="me-1" />
+                                                Bump
+                                            </button>
+                                        </div>
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+
+                {/* All-day counts and recall */}
+                <div className="border-start border-secondary p-3 overflow-auto" style={{ width: '280px' }}>
+                    {showRecall ? (
+                        <>
+                            <h2 className="fs-5 fw-semibold mb-3">Recently Bumped</h2>
+                            {recentlyBumped.length === 0 && <div className="text-secondary small">Nothing to recall</div>}
+                            {recentlyBumped.map(kot => (
+                                <div key={kot.id} className="border border-secondary rounded p-2 mb-2">
+                                    <div className="d-flex justify-content-between">
+                                        <span className="fw-bold">{tableName(kot)}</span>
+                                        <span className="small text-secondary">{kot.kot_number}</span>
+                                    </div>
+                                    <div className="small text-secondary mb-2">
+                                        {kot.items.filter(item => item.status !== 'voided').map(item => `${remaining(item)}x ${item.name}`).join(', ')}
+                                    </div>
+                                    <button className="btn btn-sm btn-outline-warning w-100" onClick={() => recallTicket(kot)}>
+                                        Recall
+                                    </button>
+                                </div>
+                            ))}
+                        </>
+                    ) : (
+                        <>
+                            <h2 className="fs-5 fw-semibold mb-3">All Day</h2>
+                            {allDay.length === 0 && <div className="text-secondary small">Nothing to cook</div>}
+                            {allDay.map(item => (
+                                <div key={item.name} className="d-flex justify-content-between border-bottom border-secondary py-2">
+                                    <span>{item.name}</span>
+                                    <span className="fw-bold fs-5">{item.quantity}</span>
+                                </div>
+                            ))}
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default KitchenDisplay;
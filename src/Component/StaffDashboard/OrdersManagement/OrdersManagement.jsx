@@ -820,6 +820,25 @@ import './OrderManagement.css';
 import TableManagement from './TableManagement';
 import { useNavigate } from 'react-router-dom';
 import { Link } from 'react-router-dom';
+import { apiRequest } from '../../../utils/api';
+
+// Today's date as YYYY-MM-DD in local time, for the orders list
+const localDate = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+// An order from the API in the shape the orders list shows
+const listOrder = (order) => ({
+  id: order.id,
+  orderNumber: order.order_id,
+  table: order.table ? order.table.name : (order.table_number || 'Takeaway'),
+  customer: order.customer_name || '',
+  items: (order.items || []).map(item => ({ name: item.name || (item.menuItem && item.menuItem.name), quantity: item.quantity })),
+  total: parseFloat(order.total) || 0,
+  timestamp: order.created_at,
+  status: order.status
+});
 
 const OrdersManagement = () => {
   // State management
@@ -838,12 +857,15 @@ const OrdersManagement = () => {
   const [orderType, setOrderType] = useState('dineIn');
   const [selectedTable, setSelectedTable] = useState(null);
   const [selectedOrder, setSelectedOrder] = useState(null);
+  const [detailOrder, setDetailOrder] = useState(null);
+  // Stored status transitions of the order shown in the details modal
+  const [detailHistory, setDetailHistory] = useState(null);
+  const [allOrders, setAllOrders] = useState([]);
   const [orderItems, setOrderItems] = useState([]);
   const [selectedProduct, setSelectedProduct] = useState(null);
   const [selectedSides, setSelectedSides] = useState([]);
   const [isSidesModalOpen, setIsSidesModalOpen] = useState(false);
   const [isActionsModalOpen, setIsActionsModalOpen] = useState(false);
-  // const [allOrders, setAllOrders] = useState([]);
 
   // Data
   const categories = [
@@ -1061,45 +1083,20 @@ const OrdersManagement = () => {
     };
   }, []);
 
-  const allOrders = [
-    {
-      id: 100001,
-      table: 'Table 1',
-      customer: 'John Doe',
-      items: [
-        { name: 'Burger', quantity: 2 },
-        { name: 'Fries', quantity: 1 }
-      ],
-      total: 15.75,
-      timestamp: new Date(),
-      status: 'completed'
-    },
-    {
-      id: 100002,
-      table: 'Table 2',
-      customer: 'Jane Smith',
-      items: [
-        { name: 'Pizza', quantity: 1 },
-        { name: 'Coke', quantity: 2 }
-      ],
-      total: 20.00,
-      timestamp: new Date(),
-      status: 'pending'
-    },
-    {
-      id: 100003,
-      table: 'Table 3',
-      customer: 'Michael Scott',
-      items: [
-        { name: 'Pasta', quantity: 1 },
-        { name: 'Wine', quantity: 1 }
-      ],
-      total: 35.40,
-      timestamp: new Date(),
-      status: 'completed'
-    }
-  ];
+  useEffect(() => {
+    if (activeTab !== 'orders') return;
+    apiRequest('GET', `/orders?date=${localDate()}`)
+      .then(data => setAllOrders(data.orders.map(listOrder)))
+      .catch(() => setAllOrders([]));
+  }, [activeTab]);
 
+  useEffect(() => {
+    if (!detailOrder) return;
+    setDetailHistory(null);
+    apiRequest('GET', `/orders/${detailOrder.id}`)
+      .then(data => setDetailHistory(data.order.statusHistory || []))
+      .catch(() => setDetailHistory([]));
+  }, [detailOrder]);
 
   const onJumpToOrders = () => {
     setActiveTab("register");
@@ -1423,7 +1420,7 @@ const OrdersManagement = () => {
                             className={`cursor-pointer ${selectedOrder && selectedOrder.id === order.id ? 'selected-row' : ''}`}
                             onClick={() => handleOrderSelect(order)}
                           >
-                            <td>#{order.id.toString().slice(-6)}</td>
+                            <td>#{order.orderNumber}</td>
                             <td>{order.table}</td>
                             <td>{order.customer}</td>
                             <td>
@@ -1441,19 +1438,31 @@ const OrdersManagement = () => {
                             {/* ✅ Status column */}
                             <td>
                               <span
-                                className={`badge ${order.status === 'completed' ? 'bg-success' : 'bg-warning text-dark'
+                                className={`badge ${order.status === 'served' ? 'bg-success'
+                                  : order.status === 'cancelled' ? 'bg-secondary' : 'bg-warning text-dark'
                                   }`}
                               >
-                                {order.status === 'completed' ? 'Completed' : 'Running'}
+                                {order.status === 'served' ? 'Completed' : order.status === 'cancelled' ? 'Cancelled' : 'Running'}
                               </span>
                             </td>
 
                             <td>
-                              <Link to="/staff/billingpayment">
-                                <button className="btn btn-success btn-sm flex-grow-1">
-                                  <i className="fa fa-credit-card me-1 small"></i>Pay
+                              <div className="d-flex gap-1">
+                                <button
+                                  className="btn btn-outline-secondary btn-sm"
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    setDetailOrder(order);
+                                  }}
+                                >
+                                  <i className="fa fa-history me-1 small"></i>Details
                                 </button>
-                              </Link>
+                                <Link to="/staff/billingpayment">
+                                  <button className="btn btn-success btn-sm flex-grow-1">
+                                    <i className="fa fa-credit-card me-1 small"></i>Pay
+                                  </button>
+                                </Link>
+                              </div>
                             </td>
                           </tr>
                         ))
@@ -1469,6 +1478,74 @@ const OrdersManagement = () => {
         )}
       </div>
 
+      {/* Order Details Modal */}
+      {detailOrder && (
+        <div className="modal fade show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}>
+          <div className="modal-dialog modal-dialog-centered">
+            <div className="modal-content">
+              <div className="modal-header">
+                <h5 className="modal-title">{`Order #${detailOrder.orderNumber}`}</h5>
+                <button
+                  type="button"
+                  className="btn-close"
+                  aria-label="Close"
+                  onClick={() => setDetailOrder(null)}
+                ></button>
+              </div>
+              <div className="modal-body">
+                <div className="d-flex justify-content-between small text-muted mb-2">
+                  <span>{detailOrder.table} • {detailOrder.customer}</span>
+                  <span>${detailOrder.total.toFixed(2)}</span>
+                </div>
+                <div className="d-flex flex-wrap gap-1 mb-3">
+                  {detailOrder.items.map((item, idx) => (
+                    <span key={idx} className="badge bg-light text-dark">
+                      {item.name} × {item.quantity}
+                    </span>
+                  ))}
+                </div>
+
+                <h6 className="fw-semibold">Status History</h6>
+                {detailHistory === null && <p className="small text-muted mb-0">Loading...</p>}
+                {detailHistory && detailHistory.length === 0 && <p className="small text-muted mb-0">No status changes recorded</p>}
+                <ul className="list-group list-group-flush">
+                  {(detailHistory || []).map((entry) => (
+                    <li key={entry.id} className="list-group-item px-0">
+                      <div className="d-flex justify-content-between">
+                        <span>
+                          {entry.from_status ? (
+                            <>
+                              <span className="text-muted text-capitalize">{entry.from_status}</span>
+                              <i className="fa fa-arrow-right mx-2 small text-muted"></i>
+                            </>
+                          ) : null}
+                          <span className="fw-medium text-capitalize">{entry.to_status}</span>
+                        </span>
+                        <span className="small text-muted">
+                          {new Date(entry.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                        </span>
+                      </div>
+                      <div className="small text-muted">
+                        {entry.changedBy ? entry.changedBy.name : 'System'}{entry.note ? ` • ${entry.note}` : ''}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+              <div className="modal-footer">
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => setDetailOrder(null)}
+                >
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Modals */}
       {/* Customer Modal */}
       {isCustomerModalOpen && (
@@ -605,10 +605,61 @@
 
 
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { RiDashboardLine, RiTableLine, RiBarChartLine, RiSettingsLine, RiUserLine, RiNotificationLine, RiGridLine, RiListCheck, RiBilliardsLine, RiGamepadLine, RiRestaurantLine, RiStopLine, RiPlayLine, RiArrowDownSLine, RiCloseLine } from 'react-icons/ri';
 import { FaPlaystation } from 'react-icons/fa';
 import { Modal, Button, Form } from 'react-bootstrap';
+import { apiRequest } from '../../../utils/api';
+import useLiveEvents from '../../../hooks/useLiveEvents';
+
+const TABLE_TYPES = { Snooker: 'snooker', Pool: 'pool', PlayStation: 'playstation' };
+
+const formatClock = (totalSeconds) => {
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const s = totalSeconds % 60;
+    return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
+};
+
+// Time played so far and its charge at the table's hourly rate, leaving out paused time.
+// A paused session's clock stops at the pause.
+const sessionProgress = (table, now = new Date()) => {
+    const end = table.pausedAt ? new Date(table.pausedAt) : now;
+    const seconds = Math.max(0, Math.floor((end - new Date(table.startTime)) / 1000) - table.pausedMinutes * 60);
+    return {
+        sessionTime: formatClock(seconds),
+        currentBill: `$${((seconds / 3600) * table.hourlyRate).toFixed(2)}`
+    };
+};
+
+// A table from the API in the shape the screen shows
+const screenTable = (table) => {
+    const session = table.currentSession && ['active', 'paused'].includes(table.currentSession.status)
+        ? table.currentSession
+        : null;
+    const base = {
+        id: table.id,
+        name: table.name,
+        type: TABLE_TYPES[table.type] || 'restaurant',
+        status: session ? 'running' : 'free',
+        sessionTime: '00:00:00',
+        currentBill: '$0.00',
+        lightOn: table.plug_status === 'online',
+        customer: session ? session.customer_name : null,
+        sessionId: session ? session.id : null
+    };
+    if (!session) return base;
+
+    const openPause = (session.paused_intervals || []).find(pause => !pause.resumed_at);
+    const live = {
+        ...base,
+        startTime: session.start_time,
+        pausedMinutes: parseFloat(session.paused_duration) || 0,
+        pausedAt: session.status === 'paused' && openPause ? openPause.paused_at : null,
+        hourlyRate: parseFloat(session.hourly_rate || table.hourly_rate) || 0
+    };
+    return { ...live, ...sessionProgress(live) };
+};
 
 const TablesManagement = () => {
     // State declarations
@@ -622,98 +673,47 @@ const TablesManagement = () => {
         { id: 4, name: 'Sarah Williams', discount: 0 }
     ]);
     const [selectedMember, setSelectedMember] = useState(null);
+    // Modifier groups: required groups need a choice, max limits how many options can be picked (0 = any)
     const [menuItems, setMenuItems] = useState([
-        { id: 1, name: 'Burger', options: ['No Cheese', 'Extra Cheese', 'No Pickles'] },
-        { id: 2, name: 'Pizza', options: ['Thin Crust', 'Thick Crust', 'Extra Sauce'] },
-        { id: 3, name: 'Salad', options: ['No Dressing', 'Extra Dressing', 'Add Chicken'] }
-    ]);
-    const [selectedItems, setSelectedItems] = useState([]);
-    const [itemOptions, setItemOptions] = useState({});
-    const [currentTime, setCurrentTime] = useState('');
-    const [tableTypeFilter, setTableTypeFilter] = useState('all');
-    const [viewMode, setViewMode] = useState('grid');
-    const [tables, setTables] = useState([
         {
-            id: 'S1',
-            name: 'Table S1',
-            type: 'snooker',
-            status: 'running',
-            sessionTime: '02:34:15',
-            currentBill: '$45.50',
-            lightOn: true,
-            customer: 'John Doe'
+            id: 1,
+            name: 'Burger',
+            price: 8.5,
+            modifierGroups: [
+                { name: 'Size', required: true, min: 1, max: 1, options: [{ name: 'Single', price: 0 }, { name: 'Double', price: 3 }] },
+                { name: 'Add-ons', required: false, min: 0, max: 3, options: [{ name: 'Extra Cheese', price: 1 }, { name: 'Bacon', price: 1.5 }, { name: 'No Pickles', price: 0 }] }
+            ]
         },
         {
-            id: 'P1',
-            name: 'Table P1',
-            type: 'pool',
-            status: 'free',
-            sessionTime: '00:00:00',
-            currentBill: '$0.00',
-            lightOn: false,
-            customer: null
+            id: 2,
+            name: 'Pizza',
+            price: 12,
+            modifierGroups: [
+                { name: 'Crust', required: true, min: 1, max: 1, options: [{ name: 'Thin Crust', price: 0 }, { name: 'Thick Crust', price: 1.5 }] },
+                { name: 'Toppings', required: false, min: 0, max: 0, options: [{ name: 'Extra Sauce', price: 0.5 }, { name: 'Olives', price: 1 }, { name: 'Jalapenos', price: 1 }] }
+            ]
         },
         {
-            id: 'PS1',
-            name: 'PS1',
-            type: 'playstation',
-            status: 'running',
-            sessionTime: '01:15:32',
-            currentBill: '$22.75',
-            lightOn: true,
-            customer: 'Jane Smith'
-        },
-        {
-            id: 'R1',
-            name: 'Table R1',
-            type: 'restaurant',
-            status: 'free',
-            sessionTime: '00:00:00',
-            currentBill: '$0.00',
-            lightOn: false,
-            customer: null
-        },
-        {
-            id: 'S2',
-            name: 'Table S2',
-            type: 'snooker',
-            status: 'free',
-            sessionTime: '00:00:00',
-            currentBill: '$0.00',
-            lightOn: false,
-            customer: null
-        },
-        {
-            id: 'P2',
-            name: 'Table P2',
-            type: 'pool',
-            status: 'running',
-            sessionTime: '00:45:20',
-            currentBill: '$18.25',
-            lightOn: true,
-            customer: 'Mike Johnson'
-        },
-        {
-            id: 'PS2',
-            name: 'PS2',
-            type: 'playstation',
-            status: 'free',
-            sessionTime: '00:00:00',
-            currentBill: '$0.00',
-            lightOn: false,
-            customer: null
-        },
-        {
-            id: 'R2',
-            name: 'Table R2',
-            type: 'restaurant',
-            status: 'running',
-            sessionTime: '03:22:45',
-            currentBill: '$67.50',
-            lightOn: true,
-            customer: 'Sarah Williams'
+            id: 3,
+            name: 'Salad',
+            price: 7,
+            modifierGroups: [
+                { name: 'Dressing', required: false, min: 0, max: 1, options: [{ name: 'No Dressing', price: 0 }, { name: 'Extra Dressing', price: 0.5 }] },
+                { name: 'Spice Level', required: true, min: 1, max: 1, options: [{ name: 'Mild', price: 0 }, { name: 'Medium', price: 0 }, { name: 'Hot', price: 0 }] },
+                { name: 'Add-ons', required: false, min: 0, max: 0, options: [{ name: 'Add Chicken', price: 2.5 }] }
+            ]
         }
     ]);
+    const [selectedItems, setSelectedItems] = useState([]);
+    const [itemOptions, setItemOptions] = useState({});
+    const [currentTime, setCurrentTime] = useState('');
+    const [tableTypeFilter, setTableTypeFilter] = useState('all');
+    const [viewMode, setViewMode] = useState('grid');
+    const [showMoveTable, setShowMoveTable] = useState(false);
+    const [moveTargetId, setMoveTargetId] = useState('');
+    const [tables, setTables] = useState([]);
+    // Latest low-stock warning pushed by the server
+    const [stockNotice, setStockNotice] = useState(null);
 
     // Handler for table click
     const handleTableClick = (table) => {
@@ -721,6 +721,28 @@ const TablesManagement = () => {
         setShowTableModal(true);
         setSelectedItems([]);
         setItemOptions({});
+        setShowMoveTable(false);
+        setMoveTargetId('');
+    };
+
+    // Move the running session to a free table; time so far stays billed at the old table's rate
+    const moveSession = async () => {
+        const target = tables.find(table => String(table.id) === moveTargetId);
+        if (!target) {
+            alert('Please select a table to move to');
+            return;
+        }
+
+        try {
+            await apiRequest('POST', `/sessions/${selectedTable.sessionId}/transfer`, { table_id: target.id });
+        } catch (err) {
+            alert(err.message);
+            return;
+        }
+        setShowMoveTable(false);
+        setShowTableModal(false);
+        loadTables();
+        alert(`Session moved from ${selectedTable.name} to ${target.name}. One combined bill will be printed.`);
     };
 
     // Handler for closing session
@@ -749,6 +771,16 @@ const TablesManagement = () => {
             return;
         }
 
+        const incomplete = selectedItems
+            .map(item => ({ item, missing: missingChoices(item) }))
+            .find(({ missing }) => missing.length > 0);
+        if (selectedTable.type === 'restaurant' && incomplete) {
+            alert(`Please choose ${incomplete.missing.join(', ')} for ${incomplete.item.name}`);
+            return;
+        }
+
+        const orderTotal = selectedItems.reduce((sum, item) => sum + itemPrice(item), 0);
+
         const customerName = selectedMember ? selectedMember.name : 'Guest';
         setTables(prevTables =>
             prevTables.map(table =>
@@ -757,7 +789,7 @@ const TablesManagement = () => {
                         ...table,
                         status: 'running',
                         sessionTime: '00:00:01',
-                        currentBill: selectedTable.type === 'restaurant' ? '$15.00' : '$5.00',
+                        currentBill: selectedTable.type === 'restaurant' ? `$${orderTotal.toFixed(2)}` : '$5.00',
                         lightOn: true,
                         customer: customerName
                     }
@@ -799,7 +831,7 @@ const TablesManagement = () => {
     // Add item to order
     const addItemToOrder = (item) => {
         setSelectedItems([...selectedItems, item]);
-        setItemOptions({ ...itemOptions, [item.id]: [] });
+        setItemOptions({ ...itemOptions, [item.id]: {} });
     };
 
     // Remove item from order
@@ -811,18 +843,71 @@ const TablesManagement = () => {
         setItemOptions(newOptions);
     };
 
-    // Update item options
-    const handleOptionChange = (itemId, option, isChecked) => {
+    // Update item options; single-choice groups replace the previous choice
+    const handleOptionChange = (itemId, group, option, isChecked) => {
         setItemOptions(prev => {
-            const currentOptions = prev[itemId] || [];
-            const newOptions = isChecked
-                ? [...currentOptions, option]
-                : currentOptions.filter(opt => opt !== option);
-
-            return { ...prev, [itemId]: newOptions };
+            const currentOptions = (prev[itemId] || {})[group.name] || [];
+            let newOptions;
+            if (!isChecked) {
+                newOptions = currentOptions.filter(opt => opt !== option);
+            } else if (group.max === 1) {
+                newOptions = [option];
+            } else if (group.max > 0 && currentOptions.length >= group.max) {
+                return prev;
+            } else {
+                newOptions = [...currentOptions, option];
+            }
+
+            return { ...prev, [itemId]: { ...prev[itemId], [group.name]: newOptions } };
         });
     };
 
+    // Price of an item including its chosen modifiers
+    const itemPrice = (item) => {
+        const chosen = itemOptions[item.id] || {};
+        return item.modifierGroups.reduce((sum, group) => (
+            sum + group.options
+                .filter(option => (chosen[group.name] || []).includes(option.name))
+                .reduce((groupSum, option) => groupSum + option.price, 0)
+        ), item.price);
+    };
+
+    // Groups that still need more choices
+    const missingChoices = (item) => {
+        const chosen = itemOptions[item.id] || {};
+        return item.modifierGroups
+            .filter(group => (chosen[group.name] || []).length < Math.max(group.min, group.required ? 1 : 0))
+            .map(group => group.name);
+    };
+
+    const loadTables = useCallback(async () => {
+        try {
+            const data = await apiRequest('GET', '/tables');
+            setTables(data.tables.map(screenTable));
+        } catch (err) {
+            console.error('Failed to load tables:', err);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadTables();
+    }, [loadTables]);
+
+    // Sessions, orders and plugs change on other screens and devices; reload the floor when they do
+    useLiveEvents({
+        'session.started': loadTables,
+        'session.ended': loadTables,
+        'session.paused': loadTables,
+        'session.resumed': loadTables,
+        'session.extended': loadTables,
+        'session.transferred': loadTables,
+        'order.created': loadTables,
+        'order.status_changed': loadTables,
+        'table.status_changed': loadTables,
+        'device.state_changed': loadTables,
+        'inventory.low_stock': ({ name, stock, unit }) => setStockNotice(`${name} is running low (${stock} ${unit} left)`)
+    });
+
     // Update current time
     useEffect(() => {
         const updateClock = () => {
@@ -844,6 +929,9 @@ const TablesManagement = () => {
         const interval = setInterval(() => {
             setTables(prevTables =>
                 prevTables.map(table => {
+                    if (table.status === 'running' && table.startTime) {
+                        return { ...table, ...sessionProgress(table) };
+                    }
                     if (table.status === 'running') {
                         const [hours, minutes, seconds] = table.sessionTime.split(':').map(Number);
                         let totalSeconds = hours * 3600 + minutes * 60 + seconds + 1;
@@ -953,7 +1041,10 @@ const TablesManagement = () => {
                     {selectedItems.map(item => (
                         <div key={item.id} className="mb-2 border-bottom pb-2">
                             <div className="d-flex justify-content-between align-items-center">
-                                <div className="fw-medium">{item.name}</div>
+                                <div className="fw-medium">
+                                    {item.name}
+                                    <span className="text-muted small ms-2">{`$${itemPrice(item).toFixed(2)}`}</span>
+                                </div>
                                 <Button
                                     variant="link"
                                     size="sm"
@@ -964,22 +1055,26 @@ const TablesManagement = () => {
                                 </Button>
                             </div>
 
-                            {item.options.length > 0 && (
-                                <div className="mt-1">
-                                    <small className="text-muted d-block mb-1">Options:</small>
+                            {item.modifierGroups.map(group => (
+                                <div key={group.name} className="mt-1">
+                                    <small className="text-muted d-block mb-1">
+                                        {group.name}
+                                        {group.required ? ' (required)' : group.max > 0 ? ` (up to ${group.max})` : ' (optional)'}
+                                    </small>
                                     <div className="d-flex flex-wrap gap-2">
-                                        {item.options.map(option => (
+                                        {group.options.map(option => (
                                             <Form.Check
-                                                key={option}
-                                                type="checkbox"
-                                                label={option}
-                                                checked={(itemOptions[item.id] || []).includes(option)}
-                                                onChange={(e) => handleOptionChange(item.id, option, e.target.checked)}
+                                                key={option.name}
+                                                type={group.max === 1 ? 'radio' : 'checkbox'}
+                                                name={`${item.id}-${group.name}`}
+                                                label={option.price > 0 ? `${option.name} (+$${option.price.toFixed(2)})` : option.name}
+                                                checked={((itemOptions[item.id] || {})[group.name] || []).includes(option.name)}
+                                                onChange={(e) => handleOptionChange(item.id, group, option.name, e.target.checked)}
                                             />
                                         ))}
                                     </div>
                                 </div>
-                            )}
+                            ))}
                         </div>
                     ))}
                 </div>
@@ -1005,6 +1100,12 @@ const TablesManagement = () => {
                             </div>
                         </div>
                     </div>
+                    {stockNotice && (
+                        <div className="alert alert-warning d-flex justify-content-between align-items-center py-2 mt-3 mb-0">
+                            <span className="small">{stockNotice}</span>
+                            <button type="button" className="btn-close btn-sm" aria-label="Dismiss" onClick={() => setStockNotice(null)}></button>
+                        </div>
+                    )}
                 </header>
 
                 {/* Filter Bar */}
@@ -1223,8 +1324,8 @@ const TablesManagement = () => {
                                     <Button variant="warning" className="mb-2">
                                         Void
                                     </Button>
-                                    <Button variant="info" className="mb-2">
-                                        Transfer
+                                    <Button variant="info" className="mb-2" onClick={() => setShowMoveTable(!showMoveTable)}>
+                                        Move Table
                                     </Button>
                                     <Button variant="secondary" className="mb-2">
                                         Pause
@@ -1234,6 +1335,30 @@ const TablesManagement = () => {
                                     </Button>
                                 </div>
 
+                                {showMoveTable && (
+                                    <div className="border rounded p-3 mb-3">
+                                        <Form.Label className="fw-medium">Move session to</Form.Label>
+                                        <div className="d-flex gap-2">
+                                            <Form.Select value={moveTargetId} onChange={(e) => setMoveTargetId(e.target.value)}>
+                                                <option value="">Select a free table</option>
+                                                {tables
+                                                    .filter(table => table.status === 'free')
+                                                    .map(table => (
+                                                        <option key={table.id} value={table.id}>
+                                                            {table.name} ({table.type})
+                                                        </option>
+                                                    ))}
+                                            </Form.Select>
+                                            <Button variant="primary" onClick={moveSession}>
+                                                Move
+                                            </Button>
+                                        </div>
+                                        <div className="small text-muted mt-2">
+                                            Time so far is billed at this table's rate; the new table's rate applies from the move.
+                                        </div>
+                                    </div>
+                                )}
+
                                 <div className="bg-light p-3 rounded mb-3">
                                     <div className="d-flex justify-content-between">
                                         <div>
@@ -6,6 +6,7 @@ import {
     RiSettings3Line,
     RiMoneyDollarCircleLine,
     RiPauseLine,
+    RiPlayLine,
     RiStopLine,
     RiHistoryLine,
     RiTimeLine,
@@ -19,6 +20,8 @@ const SessionTracker = () => {
     const [totalSeconds, setTotalSeconds] = useState(7200); // 2 hours
     const [isWarningState, setIsWarningState] = useState(false);
     const [isExtended, setIsExtended] = useState(false);
+    const [isPaused, setIsPaused] = useState(false);
+    const [pausedSeconds, setPausedSeconds] = useState(0);
 
     // Notifications
     const [notifications, setNotifications] = useState([]);
@@ -41,6 +44,11 @@ const SessionTracker = () => {
     // Timer effect
     useEffect(() => {
         const timer = setInterval(() => {
+            // Paused time is tracked separately and not billed
+            if (isPaused) {
+                setPausedSeconds(prev => prev + 1);
+                return;
+            }
             setElapsedSeconds(prev => {
                 if (prev >= totalSeconds) {
                     showNotification('🔔 Session has ended!', 'error');
@@ -51,7 +59,7 @@ const SessionTracker = () => {
         }, 1000);
 
         return () => clearInterval(timer);
-    }, [totalSeconds]);
+    }, [totalSeconds, isPaused]);
 
     // Warning state effect
     useEffect(() => {
@@ -95,6 +103,12 @@ const SessionTracker = () => {
         }, 3000);
     };
 
+    // Pause / resume session
+    const togglePause = () => {
+        setIsPaused(prev => !prev);
+        showNotification(isPaused ? '▶️ Session resumed!' : '⏸️ Session paused. Paused time is not billed.', 'info');
+    };
+
     // Initial notification
     useEffect(() => {
         setTimeout(() => {
@@ -132,8 +146,10 @@ const SessionTracker = () => {
                             </div>
                             <div className="col-md-4">
                                 <div className="text-muted small mb-1">Status</div>
-                                <span className="badge bg-success rounded-pill" style={{ width: '8px', height: '8px' }}></span>
-                                <span className="text-success fw-medium ">Active Session</span>
+                                <span className={`badge ${isPaused ? 'bg-secondary' : 'bg-success'} rounded-pill`} style={{ width: '8px', height: '8px' }}></span>
+                                <span className={`${isPaused ? 'text-secondary' : 'text-success'} fw-medium `}>
+                                    {isPaused ? 'Paused Session' : 'Active Session'}
+                                </span>
 
                             </div>
                         </div>
@@ -220,6 +236,10 @@ const SessionTracker = () => {
                                         <span className="text-muted">Total Duration</span>
                                         <span className="fw-medium font-monospace">2:00:00</span>
                                     </div>
+                                    <div className="d-flex justify-content-between">
+                                        <span className="text-muted">Paused Time</span>
+                                        <span className="fw-medium font-monospace">{formatTime(pausedSeconds)}</span>
+                                    </div>
                                     <div className="d-flex justify-content-between">
                                         <span className="text-muted">Rate</span>
                                         <span className="fw-semibold text-warning">$25/hour</span>
@@ -234,9 +254,12 @@ const SessionTracker = () => {
                                     Quick Actions
                                 </h3>
                                 <div className="d-flex flex-column gap-2">
-                                    <button className="btn btn-outline-secondary d-flex align-items-center justify-content-start py-2">
-                                        <RiPauseLine className="me-2" />
-                                        Pause Session
+                                    <button
+                                        className="btn btn-outline-secondary d-flex align-items-center justify-content-start py-2"
+                                        onClick={togglePause}
+                                    >
+                                        {isPaused ? <RiPlayLine className="me-2" /> : <RiPauseLine className="me-2" />}
+                                        {isPaused ? 'Resume Session' : 'Pause Session'}
                                     </button>
                                     <button className="btn btn-outline-secondary d-flex align-items-center justify-content-start py-2">
                                         <RiStopLine className="me-2" />
@@ -262,6 +285,10 @@ const SessionTracker = () => {
                                         <span className="text-muted">Time Elapsed</span>
                                         <span className="fw-medium">1h 25m</span>
                                     </div>
+                                    <div className="d-flex justify-content-between">
+                                        <span className="text-muted">Paused (not billed)</span>
+                                        <span className="fw-medium">{Math.floor(pausedSeconds / 60)}m</span>
+                                    </div>
                                     <div className="d-flex justify-content-between">
                                         <span className="text-muted">Hourly Rate</span>
                                         <span className="fw-medium">$25.00</span>
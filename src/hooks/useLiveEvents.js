@@ -0,0 +1,49 @@
+import { useEffect, useRef } from 'react';
+import { API_URL } from '../utils/api';
+
+const RECONNECT_MS = 10 * 1000;
+
+// Subscribe to the server's event stream. `handlers` maps event names (e.g. 'order.created')
+// to callbacks; `stations` limits kitchen events to those stations. Does nothing until a
+// token has been stored at login.
+const useLiveEvents = (handlers, stations = []) => {
+    const handlersRef = useRef(handlers);
+    handlersRef.current = handlers;
+    const stationKey = stations.join(',');
+
+    useEffect(() => {
+        if (typeof EventSource === 'undefined') return undefined;
+
+        let source = null;
+        let retryTimer = null;
+
+        const connect = () => {
+            const token = localStorage.getItem('token');
+            if (!token) return;
+
+            const params = new URLSearchParams({ token });
+            if (stationKey) params.set('stations', stationKey);
+
+            source = new EventSource(`${API_URL}/api/events/stream?${params}`);
+            Object.keys(handlersRef.current).forEach(event => {
+                source.addEventListener(event, (message) => handlersRef.current[event]?.(JSON.parse(message.data)));
+            });
+
+            // The browser retries dropped streams by itself but gives up on an error response,
+            // such as an expired token; try again later with whatever token is stored by then
+            source.onerror = () => {
+                if (source.readyState !== EventSource.CLOSED) return;
+                retryTimer = setTimeout(connect, RECONNECT_MS);
+            };
+        };
+
+        connect();
+
+        return () => {
+            clearTimeout(retryTimer);
+            source?.close();
+        };
+    }, [stationKey]);
+};
+
+export default useLiveEvents;
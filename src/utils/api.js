@@ -0,0 +1,34 @@
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Header carrying the token stored at login
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+// Fetch `/api${path}` with the signed-in user's token. Plain objects are sent as JSON and
+// FormData as multipart. Resolves to the raw response, for downloads.
+export const apiFetch = (path, { method = 'GET', body, headers = {} } = {}) => {
+    const isJson = body !== undefined && !(body instanceof FormData);
+    return fetch(`${API_URL}/api${path}`, {
+        method,
+        headers: {
+            ...authHeaders(),
+            ...(isJson ? { 'Content-Type': 'application/json' } : {}),
+            ...headers
+        },
+        body: isJson ? JSON.stringify(body) : body
+    });
+};
+
+// Call the API and resolve to the response's `data`. Failures throw an Error with the
+// server's message (the first validation error, when there are any), the HTTP `status` and
+// any `data` sent with it.
+export const apiRequest = async (method, path, body) => {
+    const response = await apiFetch(path, { method, body });
+    const result = await response.json();
+    if (!response.ok) {
+        const error = new Error(result.errors?.[0]?.msg || result.message || 'Request failed');
+        error.status = response.status;
+        error.data = result.data;
+        throw error;
+    }
+    return result.data;
+};
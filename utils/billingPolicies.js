@@ -0,0 +1,54 @@
+const BillingPolicy = require('../models/BillingPolicy');
+
+// Per-minute billing, rounded up; used when no policy is configured
+const DEFAULT_POLICY = {
+  table_type: null,
+  minimum_minutes: 0,
+  block_minutes: 1,
+  grace_minutes: 0,
+  rounding_mode: 'up'
+};
+
+// Load active billing policies as plain objects
+const loadBillingPolicies = async () => {
+  const policies = await BillingPolicy.findAll({ where: { is_active: true } });
+  return policies.map(policy => policy.toJSON());
+};
+
+// Policy for a table type, falling back to the default (no table type) policy
+const resolveBillingPolicy = (policies, tableType) => {
+  return (policies || []).find(policy => policy.table_type && policy.table_type === tableType)
+    || (policies || []).find(policy => !policy.table_type)
+    || DEFAULT_POLICY;
+};
+
+// Round played minutes to whole billing blocks. Minutes within the grace period of a new
+// block are dropped, so a session shorter than the grace period bills nothing and skips
+// the minimum.
+const roundBillableMinutes = (minutes, policy = DEFAULT_POLICY) => {
+  const blockMinutes = Math.max(1, parseInt(policy.block_minutes) || 1);
+  const graceMinutes = Math.max(0, parseInt(policy.grace_minutes) || 0);
+  const played = Math.max(0, minutes);
+
+  const fullBlocks = Math.floor(played / blockMinutes) * blockMinutes;
+  const remainder = played - fullBlocks;
+
+  let billed = fullBlocks;
+  if (remainder > graceMinutes) {
+    if (policy.rounding_mode === 'nearest') {
+      billed += remainder >= blockMinutes / 2 ? blockMinutes : 0;
+    } else if (policy.rounding_mode !== 'down') {
+      billed += blockMinutes;
+    }
+  }
+
+  if (billed === 0) return 0;
+  return Math.max(billed, parseInt(policy.minimum_minutes) || 0);
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  loadBillingPolicies,
+  resolveBillingPolicy,
+  roundBillableMinutes
+};
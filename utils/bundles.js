@@ -0,0 +1,95 @@
+// Bundle menu items: packages such as "1 hour snooker + 2 beers + nachos" sold at one price.
+// An ordered bundle becomes a bundle line carrying the price and tax, followed by a zero-priced
+// line per component so each goes to its own station. Table time in the bundle is credited
+// to the session at the table as prepaid minutes.
+const { MenuItem, OrderItem } = require('../models');
+const { setItemStatus } = require('./orderStatus');
+
+// Check a bundle's contents: existing menu items, not bundles themselves, with whole quantities
+const validateBundleItems = async (bundleItems) => {
+  if (!Array.isArray(bundleItems)) throw new Error('Bundle items must be an array');
+
+  for (const entry of bundleItems) {
+    const quantity = entry.quantity === undefined ? 1 : Number(entry.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new Error('Bundle item quantities must be whole numbers of at least 1');
+    }
+
+    const menuItem = await MenuItem.findByPk(entry.menu_item_id);
+    if (!menuItem) throw new Error(`Menu item ${entry.menu_item_id} not found`);
+    if (menuItem.is_bundle) throw new Error(`${menuItem.name} is a bundle and cannot be part of another`);
+  }
+
+  return true;
+};
+
+// A bundle has to include at least one menu item or some table time
+const isEmptyBundle = ({ is_bundle, bundle_items, bundle_table_minutes }) => {
+  return Boolean(is_bundle) && (bundle_items || []).length === 0 && !(bundle_table_minutes > 0);
+};
+
+// Component menu items of `quantity` bundles: [{ menuItem, quantity }].
+// Throws if a component has been removed from the menu or is unavailable.
+const bundleComponents = async (bundle, quantity = 1) => {
+  const components = [];
+  for (const entry of bundle.bundle_items || []) {
+    const menuItem = await MenuItem.findByPk(entry.menu_item_id);
+    if (!menuItem || !menuItem.is_available) {
+      throw new Error(`${bundle.name} is not available: one of its items is off the menu`);
+    }
+    components.push({ menuItem, quantity: (parseInt(entry.quantity) || 1) * quantity });
+  }
+  return components;
+};
+
+// Table minutes included in a set of order lines
+const includedTableMinutes = (lines) => {
+  return lines.reduce((sum, line) => sum + (line.table_minutes || 0) * line.quantity, 0);
+};
+
+// Why lines with table time cannot be ordered for a session, or null if they can.
+// The time is credited to a running session on a table of the bundle's type.
+const tableTimeBlocker = (lines, session) => {
+  const timed = lines.filter(line => line.table_minutes > 0);
+  for (const line of timed) {
+    if (!session || session.end_time) {
+      return `${line.name} includes table time; start a session at the table first`;
+    }
+    if (line.table_type && session.table_type !== line.table_type) {
+      return `${line.name} is for ${line.table_type} tables`;
+    }
+  }
+  return null;
+};
+
+// Add (or, with negative minutes, take back) prepaid table time on a session
+const adjustPrepaidMinutes = (session, minutes) => {
+  if (!session || minutes === 0) return Promise.resolve(session);
+  return session.update({
+    prepaid_minutes: Math.max(0, (session.prepaid_minutes || 0) + minutes)
+  });
+};
+
+// Void the components of `quantity` units of a bundle line, in proportion
+const voidBundleComponents = async (bundleItem, quantity, userId = null, note = null) => {
+  const components = await OrderItem.findAll({ where: { bundle_item_id: bundleItem.id } });
+  for (const component of components) {
+    const perBundle = component.quantity / bundleItem.quantity;
+    const voidedQuantity = Math.min(component.quantity, (component.voided_quantity || 0) + Math.round(perBundle * quantity));
+    await component.update({ voided_quantity: voidedQuantity });
+    if (voidedQuantity >= component.quantity) {
+      await setItemStatus(component, 'voided', userId, note);
+    }
+  }
+  return components;
+};
+
+module.exports = {
+  validateBundleItems,
+  isEmptyBundle,
+  bundleComponents,
+  includedTableMinutes,
+  tableTimeBlocker,
+  adjustPrepaidMinutes,
+  voidBundleComponents
+};
@@ -0,0 +1,230 @@
+// ESC/POS rendering for thermal printers: KOTs, receipts and test pages as raw bytes
+const { modifiersLabel } = require('./modifiers');
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const COMMANDS = {
+  init: [ESC, 0x40],
+  alignLeft: [ESC, 0x61, 0],
+  alignCenter: [ESC, 0x61, 1],
+  boldOn: [ESC, 0x45, 1],
+  boldOff: [ESC, 0x45, 0],
+  doubleSize: [GS, 0x21, 0x11],
+  normalSize: [GS, 0x21, 0x00],
+  // Feed to the cutter and make a partial cut
+  cut: [GS, 0x56, 0x42, 0x00]
+};
+
+const DEFAULT_WIDTH = 48;
+
+// Printers use single-byte code pages, so anything outside ASCII is replaced
+const toAscii = (text) => String(text ?? '').replace(/[^\x20-\x7e]/g, '?');
+
+const money = (amount) => parseFloat(amount || 0).toFixed(2);
+
+const formatTime = (date) => {
+  if (!date) return '-';
+  return new Date(date).toLocaleString('en-IN', { dateStyle: 'short', timeStyle: 'short' });
+};
+
+// Document builder: collects commands and text, then returns a Buffer
+const createDocument = (width = DEFAULT_WIDTH) => {
+  const chunks = [Buffer.from(COMMANDS.init)];
+
+  const doc = {
+    width,
+    command(name) {
+      chunks.push(Buffer.from(COMMANDS[name]));
+      return doc;
+    },
+    text(line = '') {
+      chunks.push(Buffer.from(toAscii(line), 'ascii'), Buffer.from([LF]));
+      return doc;
+    },
+    // Left text and right-aligned text on one line; long left text wraps above
+    columns(left, right) {
+      const leftText = toAscii(left);
+      const rightText = toAscii(right);
+      const space = width - rightText.length - 1;
+      if (leftText.length > space) {
+        doc.text(leftText);
+        return doc.text(rightText.padStart(width));
+      }
+      return doc.text(leftText.padEnd(space) + ' ' + rightText);
+    },
+    divider(char = '-') {
+      return doc.text(char.repeat(width));
+    },
+    heading(line) {
+      return doc.command('alignCenter').command('boldOn').command('doubleSize')
+        .text(line)
+        .command('normalSize').command('boldOff').command('alignLeft');
+    },
+    // 1-bit raster image, { width, height, data } with rows of width/8 bytes (GS v 0)
+    image({ width, height, data }) {
+      const bytesPerRow = Math.ceil(width / 8);
+      chunks.push(
+        Buffer.from([GS, 0x76, 0x30, 0, bytesPerRow & 0xff, bytesPerRow >> 8, height & 0xff, height >> 8]),
+        data,
+        Buffer.from([LF])
+      );
+      return doc;
+    },
+    feed(lines = 1) {
+      chunks.push(Buffer.from(Array(lines).fill(LF)));
+      return doc;
+    },
+    cut() {
+      return doc.feed(3).command('cut');
+    },
+    toBuffer() {
+      return Buffer.concat(chunks);
+    }
+  };
+
+  return doc;
+};
+
+// Kitchen order ticket for some (or all) of an order's items
+const renderKot = (order, items = order.items || [], { title = 'KOT', kotNumber = null, station = null, width } = {}) => {
+  const doc = createDocument(width);
+
+  doc.heading(title);
+  if (station) doc.command('alignCenter').text(station).command('alignLeft');
+  doc.divider();
+  if (kotNumber) doc.command('boldOn').text(kotNumber).command('boldOff');
+  doc.columns(`Order: ${order.order_id}`, formatTime(new Date()))
+    .columns(`Table: ${order.table ? order.table.name : order.table_number}`, order.service_type || '')
+    .divider();
+
+  doc.command('boldOn');
+  items.forEach(item => {
+    doc.columns(item.name, `x${item.quantity - (item.voided_quantity || 0)}`);
+    if (item.modifiers && item.modifiers.length > 0) doc.text(`  + ${modifiersLabel(item.modifiers)}`);
+    if (item.special_instructions) doc.command('boldOff').text(`  > ${item.special_instructions}`).command('boldOn');
+  });
+  doc.command('boldOff');
+
+  if (order.special_instructions) {
+    doc.divider().text(`Note: ${order.special_instructions}`);
+  }
+
+  return doc.divider().cut().toBuffer();
+};
+
+// Amendment ticket for changes to items a station already has: [{ action, name, modifiers,
+// from_quantity, to_quantity, special_instructions }] where action is 'change' or 'cancel'
+const renderKotAmendment = (order, changes, { kotNumber = null, station = null, width } = {}) => {
+  const doc = createDocument(width);
+
+  doc.heading('AMENDMENT');
+  if (station) doc.command('alignCenter').text(station).command('alignLeft');
+  doc.divider();
+  if (kotNumber) doc.command('boldOn').text(kotNumber).command('boldOff');
+  doc.columns(`Order: ${order.order_id}`, formatTime(new Date()))
+    .columns(`Table: ${order.table ? order.table.name : order.table_number}`, order.service_type || '')
+    .divider();
+
+  doc.command('boldOn');
+  changes.forEach(change => {
+    if (change.action === 'cancel') {
+      doc.columns(`CANCEL ${change.name}`, `x${change.from_quantity}`);
+      if (change.modifiers && change.modifiers.length > 0) doc.text(`  + ${modifiersLabel(change.modifiers)}`);
+      return;
+    }
+    if (change.from_quantity !== change.to_quantity) {
+      doc.columns(change.name, `x${change.from_quantity} -> x${change.to_quantity}`);
+    } else {
+      doc.text(change.name);
+    }
+    if (change.modifiers && change.modifiers.length > 0) doc.text(`  + ${modifiersLabel(change.modifiers)}`);
+    if (change.special_instructions) doc.command('boldOff').text(`  > ${change.special_instructions}`).command('boldOn');
+  });
+  doc.command('boldOff');
+
+  return doc.divider().cut().toBuffer();
+};
+
+// Customer receipt from the billing receipt data, headed by the business logo when one is
+// given as a raster image
+const renderReceipt = (receipt, { businessName = process.env.BUSINESS_NAME || 'Receipt', logo = null, width } = {}) => {
+  const doc = createDocument(width);
+
+  if (logo) doc.command('alignCenter').image(logo).command('alignLeft');
+  doc.heading(businessName)
+    .divider()
+    .columns(`Bill: ${receipt.session_id}`, receipt.table)
+    .columns(receipt.customer.name, receipt.customer.phone)
+    .columns('Start', formatTime(receipt.timing.start_time))
+    .columns('End', formatTime(receipt.timing.end_time))
+    .divider();
+
+  // Table time, itemised by table and rate band
+  (receipt.session_charges.table_charges || []).forEach(charge => {
+    const bands = charge.bands || [];
+    if (bands.length <= 1) {
+      doc.columns(`Table ${charge.table_number} (${Math.round(charge.minutes)} min)`, money(charge.cost));
+    } else {
+      doc.text(`Table ${charge.table_number}`);
+      bands.forEach(band => doc.columns(`  ${band.name} (${Math.round(band.minutes)} min)`, money(band.cost)));
+    }
+    if (charge.prepaid_minutes > 0) doc.text(`  ${Math.round(charge.prepaid_minutes)} min paid in a bundle`);
+  });
+  if (parseFloat(receipt.session_charges.fixed_charge) > 0) {
+    doc.columns('Fixed charge', money(receipt.session_charges.fixed_charge));
+  }
+
+  receipt.orders.forEach(order => {
+    order.items.forEach(item => {
+      if (item.bundle_item_id) {
+        doc.text(`    ${item.quantity} x ${item.name}`);
+        return;
+      }
+      doc.columns(`${item.quantity} x ${item.name}`, money(item.net_amount ?? item.total));
+      if (item.modifiers && item.modifiers.length > 0) doc.text(`  ${modifiersLabel(item.modifiers)}`);
+    });
+  });
+
+  doc.divider()
+    .columns('Subtotal', money(receipt.billing.subtotal))
+    .columns('Tax', money(receipt.billing.tax));
+  if (parseFloat(receipt.billing.service_fee) > 0) doc.columns('Service fee', money(receipt.billing.service_fee));
+  if (parseFloat(receipt.billing.discount) > 0) doc.columns('Discount', `-${money(receipt.billing.discount)}`);
+
+  doc.command('boldOn').columns('TOTAL', money(receipt.billing.total)).command('boldOff').divider();
+
+  receipt.payment.payments.forEach(payment => {
+    doc.columns(`Paid (${payment.method})`, money(payment.amount));
+  });
+  receipt.payment.refunds.forEach(refund => {
+    doc.columns(`Refund (${refund.method})`, money(refund.amount));
+  });
+  if (parseFloat(receipt.payment.balance) > 0) doc.columns('Balance due', money(receipt.payment.balance));
+
+  return doc.feed().command('alignCenter').text('Thank you!').cut().toBuffer();
+};
+
+// Short test page to confirm a printer is reachable
+const renderTestPage = (printer, { width } = {}) => {
+  return createDocument(width)
+    .heading('TEST PRINT')
+    .divider()
+    .columns('Printer', printer.name)
+    .columns('Type', printer.type)
+    .columns('Address', `${printer.ip_address}:${printer.port || ''}`)
+    .columns('Time', formatTime(new Date()))
+    .divider()
+    .cut()
+    .toBuffer();
+};
+
+module.exports = {
+  COMMANDS,
+  createDocument,
+  renderKot,
+  renderKotAmendment,
+  renderReceipt,
+  renderTestPage
+};
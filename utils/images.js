@@ -0,0 +1,97 @@
+// Uploaded images: menu item photos and the business logo. Uploads are checked, resized to a
+// full-size image and a thumbnail (both WebP) and saved through the storage driver under new
+// random keys, so a stored file never changes and can be cached for good.
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { storage, keyFromUrl } = require('./storage');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp'];
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+
+// Largest width/height in pixels of each stored version
+const IMAGE_SIZES = {
+  menu: { full: 1200, thumbnail: 300 },
+  logo: { full: 800, thumbnail: 200 }
+};
+
+const resize = (buffer, size) => {
+  return sharp(buffer)
+    .rotate()
+    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 85 })
+    .toBuffer();
+};
+
+// Check and store an uploaded image (a multer file) of a kind in IMAGE_SIZES.
+// Returns { image, thumbnail, width, height } with the URLs of the stored files.
+// Throws if the file is not a JPEG, PNG or WebP image.
+const storeImage = async (file, kind) => {
+  if (!file) throw new Error('An image file is required');
+  if (!IMAGE_TYPES.includes(file.mimetype)) throw new Error('Images must be JPEG, PNG or WebP');
+
+  // The declared type is only a hint; the content has to be an image too
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch {
+    throw new Error('The file is not a valid image');
+  }
+  if (!IMAGE_FORMATS.includes(metadata.format)) throw new Error('Images must be JPEG, PNG or WebP');
+
+  const sizes = IMAGE_SIZES[kind];
+  const name = crypto.randomUUID();
+  const imageKey = await storage.save(`${kind}/${name}.webp`, await resize(file.buffer, sizes.full));
+  const thumbnailKey = await storage.save(`${kind}/${name}-thumb.webp`, await resize(file.buffer, sizes.thumbnail));
+
+  return {
+    image: storage.url(imageKey),
+    thumbnail: storage.url(thumbnailKey),
+    width: metadata.width,
+    height: metadata.height
+  };
+};
+
+// Delete stored images by URL; URLs of images stored elsewhere are left alone
+const removeImages = async (...urls) => {
+  for (const url of urls) {
+    const key = keyFromUrl(url);
+    if (key) await storage.remove(key);
+  }
+};
+
+// A stored image as a 1-bit raster for thermal printers, fitted inside maxWidth x maxHeight
+// dots: { width, height, data } with rows of width/8 bytes, most significant bit on the left
+// and 1 for a black dot. Null if the image is not stored here.
+const rasterImage = async (url, maxWidth, maxHeight) => {
+  const key = keyFromUrl(url);
+  if (!key) return null;
+
+  const { data, info } = await sharp(await storage.read(key))
+    .flatten({ background: '#ffffff' })
+    .resize({ width: maxWidth, height: maxHeight, fit: 'inside', withoutEnlargement: true })
+    .greyscale()
+    .threshold(160)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const bytesPerRow = Math.ceil(info.width / 8);
+  const raster = Buffer.alloc(bytesPerRow * info.height);
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[(y * info.width + x) * info.channels] === 0) {
+        raster[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  return { width: bytesPerRow * 8, height: info.height, data: raster };
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  storeImage,
+  removeImages,
+  rasterImage
+};
@@ -0,0 +1,147 @@
+// Ingredient stock: recipes turn the menu items sold into ingredient quantities, sales take
+// them out of stock, and menu items go unavailable when an ingredient runs out (coming back
+// once it is restocked).
+const { Op } = require('sequelize');
+const { Ingredient, StockAdjustment, MenuItem } = require('../models');
+const { publish } = require('./realtime');
+
+const INVENTORY_ROLES = ['Admin', 'Manager'];
+
+// Stock is kept to three decimals (grams of a kilogram, millilitres of a litre)
+const roundStock = (value) => Math.round(value * 1000) / 1000;
+
+// Check a menu item recipe: existing ingredients with positive quantities
+const validateRecipe = async (recipe) => {
+  if (!Array.isArray(recipe)) throw new Error('Recipe must be an array');
+
+  for (const entry of recipe) {
+    if (!(parseFloat(entry.quantity) > 0)) throw new Error('Recipe quantities must be greater than 0');
+    const ingredient = await Ingredient.findByPk(entry.ingredient_id);
+    if (!ingredient) throw new Error(`Ingredient ${entry.ingredient_id} not found`);
+  }
+
+  return true;
+};
+
+// Ingredient quantities used by menu items sold, [{ menuItem, quantity }], keyed by ingredient id
+const ingredientNeeds = (entries) => {
+  const needs = {};
+  entries.forEach(({ menuItem, quantity }) => {
+    (menuItem.recipe || []).forEach(entry => {
+      needs[entry.ingredient_id] = roundStock((needs[entry.ingredient_id] || 0) + parseFloat(entry.quantity) * quantity);
+    });
+  });
+  return needs;
+};
+
+// Why menu items cannot be sold from the stock there is, or null if they can.
+// Inactive ingredients are not tracked.
+const stockShortage = async (entries) => {
+  const needs = ingredientNeeds(entries);
+  const ids = Object.keys(needs);
+  if (ids.length === 0) return null;
+
+  const ingredients = await Ingredient.findAll({ where: { id: ids, is_active: true } });
+  for (const ingredient of ingredients) {
+    const stock = parseFloat(ingredient.stock);
+    if (needs[ingredient.id] > stock) {
+      return `Not enough ${ingredient.name} in stock (${roundStock(Math.max(0, stock))} ${ingredient.unit} left)`;
+    }
+  }
+  return null;
+};
+
+// Change an ingredient's stock and log it. Admins and managers are alerted when stock first
+// falls to the low-stock threshold.
+const adjustStock = async (ingredient, change, { reason, orderId = null, note = null, userId = null }) => {
+  const wasLow = ingredient.isLowStock();
+  await ingredient.increment({ stock: change });
+  await ingredient.reload();
+
+  const adjustment = await StockAdjustment.create({
+    ingredient_id: ingredient.id,
+    change: roundStock(change),
+    stock_after: ingredient.stock,
+    reason,
+    order_id: orderId,
+    note,
+    created_by: userId
+  });
+
+  if (!wasLow && ingredient.isLowStock()) {
+    publish('inventory.low_stock', {
+      ingredient_id: ingredient.id,
+      name: ingredient.name,
+      stock: parseFloat(ingredient.stock),
+      unit: ingredient.unit,
+      low_stock_threshold: parseFloat(ingredient.low_stock_threshold)
+    }, { roles: INVENTORY_ROLES });
+  }
+
+  return adjustment;
+};
+
+// Make menu items unavailable when an ingredient has less stock than one of them needs, and
+// bring back items made unavailable that way once all their ingredients are in stock again.
+// Only recipes using one of `ingredientIds` are looked at, when given.
+const refreshMenuAvailability = async (ingredientIds = null) => {
+  const ingredients = await Ingredient.findAll({ where: { is_active: true } });
+  const stockById = new Map(ingredients.map(ingredient => [ingredient.id, parseFloat(ingredient.stock)]));
+  const watched = ingredientIds ? ingredientIds.map(Number) : null;
+
+  const menuItems = await MenuItem.findAll({
+    where: { [Op.or]: [{ is_available: true }, { out_of_stock: true }] }
+  });
+
+  const changed = [];
+  for (const menuItem of menuItems) {
+    const recipe = (menuItem.recipe || []).filter(entry => stockById.has(Number(entry.ingredient_id)));
+    if (watched && !recipe.some(entry => watched.includes(Number(entry.ingredient_id)))) continue;
+
+    const runOut = recipe.some(entry => stockById.get(Number(entry.ingredient_id)) < parseFloat(entry.quantity));
+    if (runOut && menuItem.is_available) {
+      await menuItem.update({ is_available: false, out_of_stock: true });
+      changed.push(menuItem);
+    } else if (!runOut && menuItem.out_of_stock) {
+      await menuItem.update({ is_available: true, out_of_stock: false });
+      changed.push(menuItem);
+    }
+  }
+
+  if (changed.length > 0) {
+    publish('menu.availability_changed', {
+      items: changed.map(menuItem => ({ id: menuItem.id, name: menuItem.name, is_available: menuItem.is_available }))
+    });
+  }
+
+  return changed;
+};
+
+// Take the ingredients of menu items sold, [{ menuItem, quantity }], out of stock; negative
+// quantities put them back. Menu item availability follows the new stock levels.
+const depleteStock = async (entries, { orderId = null, userId = null, reason = 'sale' } = {}) => {
+  const needs = ingredientNeeds(entries);
+  const ids = Object.keys(needs);
+  if (ids.length === 0) return [];
+
+  const ingredients = await Ingredient.findAll({ where: { id: ids, is_active: true } });
+  const adjustments = [];
+  for (const ingredient of ingredients) {
+    if (needs[ingredient.id] === 0) continue;
+    adjustments.push(await adjustStock(ingredient, -needs[ingredient.id], { reason, orderId, userId }));
+  }
+
+  await refreshMenuAvailability(ingredients.map(ingredient => ingredient.id));
+  return adjustments;
+};
+
+module.exports = {
+  INVENTORY_ROLES,
+  roundStock,
+  validateRecipe,
+  ingredientNeeds,
+  stockShortage,
+  adjustStock,
+  refreshMenuAvailability,
+  depleteStock
+};
@@ -0,0 +1,194 @@
+const { Kot, Order, OrderItem } = require('../models');
+const { findPrinterFor } = require('./printerDriver');
+const { enqueuePrintJob } = require('./printQueue');
+const { renderKot, renderKotAmendment } = require('./escpos');
+const { stationFor, publish } = require('./realtime');
+const { setItemStatus, syncOrderStatus } = require('./orderStatus');
+const { modifiersLabel } = require('./modifiers');
+
+// Items whose menu item has no printer go to the kitchen
+const DEFAULT_STATION = 'Kitchen Printer';
+
+// Items of an order that have not been sent to the kitchen yet, grouped by station.
+// Bundle lines stay off tickets; their components are sent instead.
+// `order.items` must include each item's menuItem.
+const unsentItemsByStation = (order) => {
+  const groups = {};
+  (order.items || [])
+    .filter(item => !item.kot_id && !item.is_bundle && item.status !== 'voided')
+    .forEach(item => {
+      const station = item.menuItem?.printer || DEFAULT_STATION;
+      groups[station] = [...(groups[station] || []), item];
+    });
+  return groups;
+};
+
+// Print a ticket on its station's printer; null when the station has no printer
+const printKot = async (kot, order, items, userId) => {
+  const printer = await findPrinterFor(kot.station);
+  if (!printer) return null;
+
+  const options = { kotNumber: kot.kot_number, station: kot.station, width: printer.line_width };
+  const data = kot.type === 'amendment'
+    ? renderKotAmendment(order, kot.changes, options)
+    : renderKot(order, items, {
+      ...options,
+      title: `${kot.is_rush ? 'RUSH ' : ''}${kot.is_additional ? 'ADDITIONAL KOT' : 'KOT'}`
+    });
+
+  return enqueuePrintJob({
+    type: 'kot',
+    printer,
+    data,
+    description: `${kot.kot_number} ${order.order_id} (${kot.station})`,
+    order_id: order.id,
+    session_id: order.session_id,
+    kot_id: kot.id,
+    created_by: userId
+  });
+};
+
+// Send an order's unsent items to the kitchen: one ticket per station, each with its own
+// number and print job. Tickets after the order's first are marked as additional KOTs.
+const sendOrderKots = async (order, userId, { rush = false } = {}) => {
+  const groups = unsentItemsByStation(order);
+  const previousKots = await Kot.findAll({
+    where: { order_id: order.id },
+    attributes: ['id', 'station']
+  });
+
+  const results = [];
+  for (const [station, items] of Object.entries(groups)) {
+    const kot = await Kot.create({
+      order_id: order.id,
+      station,
+      sequence: previousKots.filter(previous => previous.station === station).length + 1,
+      is_additional: previousKots.length > 0,
+      is_rush: rush,
+      created_by: userId
+    });
+
+    const sentAt = new Date();
+    await OrderItem.update(
+      { kot_id: kot.id, sent_at: sentAt },
+      { where: { id: items.map(item => item.id) } }
+    );
+    items.forEach(item => {
+      item.kot_id = kot.id;
+      item.sent_at = sentAt;
+    });
+
+    const job = await printKot(kot, order, items, userId);
+    results.push({ kot, items, job, error: job ? null : 'No active printer for this station' });
+
+    publish('kot.printed', {
+      kot: { ...kot.toJSON(), items },
+      order
+    }, { stations: [stationFor(station)] });
+  }
+
+  return results;
+};
+
+// Tell a station about changes to items it already has, on an amendment ticket.
+// `order` must include its table for the printed ticket.
+const sendAmendmentKot = async (order, station, changes, userId) => {
+  const sequence = await Kot.count({ where: { order_id: order.id, station } });
+  const kot = await Kot.create({
+    order_id: order.id,
+    station,
+    type: 'amendment',
+    changes,
+    sequence: sequence + 1,
+    is_additional: true,
+    created_by: userId
+  });
+
+  const job = await printKot(kot, order, [], userId);
+  publish('kot.printed', {
+    kot: { ...kot.toJSON(), items: [] },
+    order
+  }, { stations: [stationFor(station)] });
+
+  return { kot, job, error: job ? null : 'No active printer for this station' };
+};
+
+// Print state of a ticket: the status of its latest print job, or 'not_printed'.
+// `kot.printJobs` must be loaded.
+const kotPrintState = (kot) => {
+  const jobs = [...(kot.printJobs || [])].sort((a, b) => b.id - a.id);
+  return jobs.length > 0 ? jobs[0].status : 'not_printed';
+};
+
+// Move a ticket's items that are in one of `from` to `to`, recording each change
+const setTicketItemsStatus = async (kot, from, to, userId, note) => {
+  const items = await OrderItem.findAll({ where: { kot_id: kot.id, status: from } });
+  for (const item of items) {
+    await setItemStatus(item, to, userId, note);
+  }
+};
+
+// Bump a ticket off its station: its items are ready, and so is the order once
+// every other station has finished too
+const bumpKot = async (kot, userId) => {
+  await kot.update({ status: 'bumped', bumped_at: new Date(), bumped_by: userId });
+  await setTicketItemsStatus(kot, ['pending', 'preparing'], 'ready', userId, `${kot.kot_number} bumped`);
+
+  publish('kot.bumped', {
+    kot_id: kot.id,
+    kot_number: kot.kot_number,
+    order_id: kot.order_id
+  }, { stations: [stationFor(kot.station)] });
+
+  const order = await Order.findByPk(kot.order_id);
+  await syncOrderStatus(order, userId);
+  return { kot, orderReady: order.status === 'ready' };
+};
+
+// Reopen a bumped ticket: its items go back to preparing, and so does the order if it was ready
+const recallKot = async (kot, userId) => {
+  await kot.update({ status: 'open', bumped_at: null, bumped_by: null });
+  await setTicketItemsStatus(kot, ['ready'], 'preparing', userId, `${kot.kot_number} recalled`);
+
+  const order = await Order.findByPk(kot.order_id);
+  await syncOrderStatus(order, userId);
+
+  publish('kot.recalled', {
+    kot_id: kot.id,
+    kot_number: kot.kot_number,
+    order_id: kot.order_id
+  }, { stations: [stationFor(kot.station)] });
+
+  return kot;
+};
+
+// Items still to cook across open tickets, totalled by name and modifiers ("all day" counts)
+const allDayCounts = (kots) => {
+  const counts = {};
+  kots.forEach(kot => {
+    (kot.items || [])
+      .filter(item => ['pending', 'preparing'].includes(item.status))
+      .forEach(item => {
+        const label = modifiersLabel(item.modifiers || []);
+        const name = label ? `${item.name} (${label})` : item.name;
+        counts[name] = (counts[name] || 0) + item.quantity - (item.voided_quantity || 0);
+      });
+  });
+
+  return Object.entries(counts)
+    .filter(([, quantity]) => quantity > 0)
+    .map(([name, quantity]) => ({ name, quantity }))
+    .sort((a, b) => b.quantity - a.quantity || a.name.localeCompare(b.name));
+};
+
+module.exports = {
+  DEFAULT_STATION,
+  unsentItemsByStation,
+  printKot,
+  sendOrderKots,
+  sendAmendmentKot,
+  kotPrintState,
+  bumpKot,
+  recallKot,
+  allDayCounts
+};
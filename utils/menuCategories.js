@@ -0,0 +1,132 @@
+// Menu categories and subcategories. Menu items, tax profiles and menu schedules refer to them
+// by name, so renames are carried over to those. Items in an inactive category or subcategory
+// cannot be ordered. Items naming a category that has no record (a database that has not been
+// migrated yet) are treated as active.
+const { Op } = require('sequelize');
+const { Category, Subcategory, MenuItem, TaxProfile, MenuSchedule } = require('../models');
+
+const PRINTERS = ['Kitchen Printer', 'Bar Printer', 'Main Printer', 'Game Zone Printer'];
+
+const byOrder = (a, b) => (a.sort_order - b.sort_order) || a.name.localeCompare(b.name);
+
+// All categories with their subcategories, in menu order, as plain objects
+const loadMenuStructure = async () => {
+  const categories = await Category.findAll({
+    include: [{ model: Subcategory, as: 'subcategories' }]
+  });
+  return categories
+    .map(category => {
+      const plain = category.toJSON();
+      plain.subcategories = (plain.subcategories || []).sort(byOrder);
+      return plain;
+    })
+    .sort(byOrder);
+};
+
+// Category and subcategory records for a pair of names; either may be undefined
+const findCategoryPath = (structure, categoryName, subcategoryName) => {
+  const category = structure.find(entry => entry.name === categoryName);
+  const subcategory = category
+    ? category.subcategories.find(entry => entry.name === subcategoryName)
+    : undefined;
+  return { category, subcategory };
+};
+
+// Why a category/subcategory pair cannot be given to a menu item, or null if it can
+const categoryError = (structure, categoryName, subcategoryName) => {
+  const { category, subcategory } = findCategoryPath(structure, categoryName, subcategoryName);
+  if (!category) return `Unknown category ${categoryName}`;
+  if (!category.is_active) return `Category ${category.name} is not active`;
+  if (!subcategory) return `${subcategoryName} is not a subcategory of ${category.name}`;
+  if (!subcategory.is_active) return `Subcategory ${subcategory.name} is not active`;
+  return null;
+};
+
+// Printer for new items in a subcategory: its own default, else its category's, else null
+const defaultPrinter = (structure, categoryName, subcategoryName) => {
+  const { category, subcategory } = findCategoryPath(structure, categoryName, subcategoryName);
+  return (subcategory && subcategory.default_printer) || (category && category.default_printer) || null;
+};
+
+// Whether a menu item's category and subcategory are active
+const isCategoryActive = (menuItem, structure) => {
+  const { category, subcategory } = findCategoryPath(structure, menuItem.category, menuItem.subcategory);
+  return (!category || category.is_active) && (!subcategory || subcategory.is_active);
+};
+
+// Why a menu item cannot be ordered because of its category, or null if it can
+const categoryBlocker = (menuItem, structure) => {
+  if (isCategoryActive(menuItem, structure)) return null;
+  return `${menuItem.name} is not on the menu (${menuItem.category} / ${menuItem.subcategory} is not active)`;
+};
+
+// Sort menu items by category, subcategory and name in menu order. Items in categories
+// without a record come last.
+const sortMenuItems = (menuItems, structure) => {
+  const rank = (item) => {
+    const categoryIndex = structure.findIndex(entry => entry.name === item.category);
+    const category = structure[categoryIndex];
+    const subcategoryIndex = category
+      ? category.subcategories.findIndex(entry => entry.name === item.subcategory)
+      : -1;
+    return [
+      categoryIndex === -1 ? structure.length : categoryIndex,
+      subcategoryIndex === -1 ? Number.MAX_SAFE_INTEGER : subcategoryIndex
+    ];
+  };
+
+  return [...menuItems].sort((a, b) => {
+    const rankA = rank(a);
+    const rankB = rank(b);
+    return (rankA[0] - rankB[0]) || (rankA[1] - rankB[1]) ||
+      a.category.localeCompare(b.category) || a.subcategory.localeCompare(b.subcategory) ||
+      a.name.localeCompare(b.name);
+  });
+};
+
+const renameInList = (list, from, to) => (list || []).map(name => (name === from ? to : name));
+
+// Carry a category rename over to menu items and tax profile targets
+const renameCategory = async (from, to, transaction) => {
+  await MenuItem.update({ category: to }, { where: { category: from }, transaction });
+
+  const profiles = await TaxProfile.findAll({ transaction });
+  for (const profile of profiles) {
+    if ((profile.applies_to || []).includes(from)) {
+      await profile.update({ applies_to: renameInList(profile.applies_to, from, to) }, { transaction });
+    }
+  }
+};
+
+// Carry a subcategory rename over to the category's menu items and to menu schedules. Schedules
+// list subcategories by name alone, so they are only renamed when no other category has a
+// subcategory of the old name.
+const renameSubcategory = async (category, from, to, transaction) => {
+  await MenuItem.update({ subcategory: to }, { where: { category: category.name, subcategory: from }, transaction });
+
+  const sharedName = await Subcategory.count({
+    where: { name: from, category_id: { [Op.ne]: category.id } },
+    transaction
+  });
+  if (sharedName > 0) return;
+
+  const schedules = await MenuSchedule.findAll({ transaction });
+  for (const schedule of schedules) {
+    if ((schedule.subcategories || []).includes(from)) {
+      await schedule.update({ subcategories: renameInList(schedule.subcategories, from, to) }, { transaction });
+    }
+  }
+};
+
+module.exports = {
+  PRINTERS,
+  loadMenuStructure,
+  findCategoryPath,
+  categoryError,
+  defaultPrinter,
+  isCategoryActive,
+  categoryBlocker,
+  sortMenuItems,
+  renameCategory,
+  renameSubcategory
+};
@@ -0,0 +1,400 @@
+// Bulk menu import and export. The export and import share one set of columns, so a menu can be
+// exported, edited in a spreadsheet and imported back. Structured fields (modifier groups,
+// recipes, bundle items...) are JSON in CSV cells. Rows are matched to menu items by `id`, or
+// by name when there is no id, and everything is checked before anything is saved.
+const { sequelize } = require('../config/database');
+const { MenuItem, TaxProfile } = require('../models');
+const { validateModifierGroups } = require('./modifiers');
+const { validateBundleItems, isEmptyBundle } = require('./bundles');
+const { validateRecipe } = require('./inventory');
+const { validateSchedule } = require('./menuSchedules');
+const { loadMenuStructure, categoryError, defaultPrinter } = require('./menuCategories');
+
+const MAX_IMPORT_ROWS = 2000;
+
+const MENU_COLUMNS = [
+  'id', 'name', 'description', 'category', 'subcategory', 'price', 'printer', 'image',
+  'image_thumbnail', 'is_available', 'is_popular', 'preparation_time', 'tax_profile_id',
+  'schedule_id', 'variants', 'modifier_groups', 'is_bundle', 'bundle_items', 'bundle_table_minutes',
+  'bundle_table_type', 'recipe', 'nutritional_info'
+];
+const INTEGER_COLUMNS = ['id', 'preparation_time', 'tax_profile_id', 'schedule_id', 'bundle_table_minutes'];
+const BOOLEAN_COLUMNS = ['is_available', 'is_popular', 'is_bundle'];
+const JSON_COLUMNS = ['variants', 'modifier_groups', 'bundle_items', 'recipe', 'nutritional_info'];
+// An empty cell clears these; for the rest it leaves the item's value (or the default) alone
+const NULLABLE_COLUMNS = [
+  'description', 'image', 'image_thumbnail', 'tax_profile_id', 'schedule_id', 'bundle_table_type'
+];
+
+// Values of a new menu item that the import does not give, as for `POST /api/menu`
+const MENU_DEFAULTS = {
+  description: null,
+  image: null,
+  image_thumbnail: null,
+  is_available: true,
+  is_popular: false,
+  preparation_time: 15,
+  tax_profile_id: null,
+  schedule_id: null,
+  variants: [],
+  modifier_groups: [],
+  is_bundle: false,
+  bundle_items: [],
+  bundle_table_minutes: 0,
+  bundle_table_type: null,
+  recipe: [],
+  nutritional_info: {}
+};
+
+// Parse CSV text into rows of cells (quoted cells may hold commas, quotes and line breaks)
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Menu item as an export row
+const exportRecord = (menuItem) => {
+  const item = typeof menuItem.toJSON === 'function' ? menuItem.toJSON() : menuItem;
+  const record = {};
+  MENU_COLUMNS.forEach(column => {
+    record[column] = item[column] === undefined ? null : item[column];
+  });
+  record.price = parseFloat(record.price);
+  return record;
+};
+
+// Export rows as CSV, with a header row
+const menuToCsv = (records) => {
+  const lines = [MENU_COLUMNS.join(',')];
+  records.forEach(record => lines.push(MENU_COLUMNS.map(column => csvCell(record[column])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Import rows from CSV text: [{ row, record }], numbered as in a spreadsheet (header is row 1)
+const csvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  const columns = (header || []).map(column => column.trim());
+  if (!columns.includes('name') && !columns.includes('id')) {
+    throw new Error('The CSV needs a header row with a name or id column');
+  }
+
+  return rows
+    .map((cells, index) => {
+      const record = {};
+      columns.forEach((column, i) => {
+        if (column) record[column] = cells[i] === undefined ? '' : cells[i];
+      });
+      return { row: index + 2, record, blank: cells.every(cell => cell.trim() === '') };
+    })
+    .filter(entry => !entry.blank)
+    .map(({ row, record }) => ({ row, record }));
+};
+
+// Import rows from a JSON array of menu items: [{ row, record }], counting from 1
+const jsonRecords = (items) => {
+  if (!Array.isArray(items)) throw new Error('JSON imports must be an array of menu items');
+  return items.map((record, index) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw new Error(`Item ${index + 1} is not an object`);
+    }
+    return { row: index + 1, record };
+  });
+};
+
+// Import rows from an uploaded file (CSV, or JSON by extension or type), `csv` text or an
+// `items` array in the request body
+const importRecords = ({ file, body = {} }) => {
+  let records;
+  if (file) {
+    const text = file.buffer.toString('utf8');
+    const isJson = /\.json$/i.test(file.originalname || '') || /json/.test(file.mimetype || '');
+    if (isJson) {
+      let items;
+      try {
+        items = JSON.parse(text);
+      } catch {
+        throw new Error('The file is not valid JSON');
+      }
+      records = jsonRecords(items);
+    } else {
+      records = csvRecords(text);
+    }
+  } else if (typeof body.csv === 'string') {
+    records = csvRecords(body.csv);
+  } else if (body.items !== undefined) {
+    records = jsonRecords(body.items);
+  } else {
+    throw new Error('Send a CSV or JSON file, `csv` text or an `items` array');
+  }
+
+  if (records.length === 0) throw new Error('There are no menu items to import');
+  if (records.length > MAX_IMPORT_ROWS) throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+  return records;
+};
+
+// Turn an import row into menu item values. Columns that are missing or left empty are not
+// set (empty nullable columns are set to null). Returns { values, errors }.
+const normalizeRecord = (record) => {
+  const values = {};
+  const errors = [];
+
+  MENU_COLUMNS.forEach(column => {
+    let value = record[column];
+    if (typeof value === 'string') value = value.trim();
+    if (value === undefined) return;
+    if (value === '' || value === null) {
+      if (NULLABLE_COLUMNS.includes(column)) values[column] = null;
+      return;
+    }
+
+    if (INTEGER_COLUMNS.includes(column)) {
+      const number = Number(value);
+      if (!Number.isInteger(number)) {
+        errors.push(`${column} must be a whole number`);
+        return;
+      }
+      values[column] = number;
+    } else if (column === 'price') {
+      const price = Number(value);
+      if (isNaN(price)) {
+        errors.push('price must be a number');
+        return;
+      }
+      values[column] = price;
+    } else if (BOOLEAN_COLUMNS.includes(column)) {
+      const flag = String(value).toLowerCase();
+      if (['true', '1', 'yes'].includes(flag)) values[column] = true;
+      else if (['false', '0', 'no'].includes(flag)) values[column] = false;
+      else errors.push(`${column} must be true or false`);
+    } else if (JSON_COLUMNS.includes(column)) {
+      if (typeof value !== 'string') {
+        values[column] = value;
+        return;
+      }
+      try {
+        values[column] = JSON.parse(value);
+      } catch {
+        errors.push(`${column} must be valid JSON`);
+      }
+    } else {
+      values[column] = String(value);
+    }
+  });
+
+  return { values, errors };
+};
+
+// Problems with a complete set of menu item values, checked against the MenuItem enums and
+// the same rules as `POST /api/menu`. The category and subcategory are checked against the
+// menu structure when one is given.
+const menuValueErrors = async (values, structure = null) => {
+  const attributes = MenuItem.getAttributes();
+  const errors = [];
+
+  if (!values.name) errors.push('name is required');
+  else if (values.name.length > 100) errors.push('name must be at most 100 characters');
+  if (!values.category) errors.push('category is required');
+  if (!values.subcategory) errors.push('subcategory is required');
+  else if (values.category && structure) {
+    const invalidCategory = categoryError(structure, values.category, values.subcategory);
+    if (invalidCategory) errors.push(invalidCategory);
+  }
+  if (typeof values.price !== 'number' && isNaN(parseFloat(values.price))) errors.push('price is required');
+  else if (parseFloat(values.price) < 0) errors.push('price must be a positive number');
+  if (!attributes.printer.values.includes(values.printer)) {
+    errors.push(`printer must be one of ${attributes.printer.values.join(', ')}`);
+  }
+  if (values.bundle_table_type !== null && !attributes.bundle_table_type.values.includes(values.bundle_table_type)) {
+    errors.push(`bundle_table_type must be one of ${attributes.bundle_table_type.values.join(', ')}`);
+  }
+  if (values.preparation_time < 0) errors.push('preparation_time must be a positive number');
+  if (values.bundle_table_minutes < 0) errors.push('bundle_table_minutes must be a positive number');
+  if (isEmptyBundle(values)) errors.push('A bundle needs at least one item or some table time');
+
+  const checks = [
+    () => validateModifierGroups(values.modifier_groups),
+    () => validateRecipe(values.recipe),
+    () => validateBundleItems(values.bundle_items),
+    () => validateSchedule(values.schedule_id),
+    async () => {
+      if (values.tax_profile_id !== null && !(await TaxProfile.findByPk(values.tax_profile_id))) {
+        throw new Error('Tax profile not found');
+      }
+    }
+  ];
+  for (const check of checks) {
+    try {
+      await check();
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  return errors;
+};
+
+const sameValue = (current, next) => {
+  if (next !== null && typeof next === 'object') return JSON.stringify(current) === JSON.stringify(next);
+  if (typeof next === 'number') return current !== null && parseFloat(current) === next;
+  if (typeof next === 'boolean') return Boolean(current) === next;
+  return (current === undefined ? null : current) === next;
+};
+
+// Work out what an import would do without saving anything:
+// { created: [{ row, name, values }], updated: [{ row, id, name, changes: { field: { from, to } } }],
+//   unchanged: [{ row, id, name }], invalid: [{ row, name, errors }] }
+const planMenuImport = async (records) => {
+  const plan = { created: [], updated: [], unchanged: [], invalid: [] };
+  const seen = new Set();
+  const structure = await loadMenuStructure();
+
+  for (const { row, record } of records) {
+    const { values, errors } = normalizeRecord(record);
+    const { id, ...fields } = values;
+    const name = fields.name || (id ? `Menu item ${id}` : `Row ${row}`);
+
+    if (errors.length > 0) {
+      plan.invalid.push({ row, name, errors });
+      continue;
+    }
+
+    let existing = null;
+    if (id) {
+      existing = await MenuItem.findByPk(id);
+      if (!existing) {
+        plan.invalid.push({ row, name, errors: [`Menu item ${id} not found`] });
+        continue;
+      }
+    } else if (fields.name) {
+      const matches = await MenuItem.findAll({ where: { name: fields.name } });
+      if (matches.length > 1) {
+        plan.invalid.push({ row, name, errors: [`Several menu items are called ${fields.name}; give the id`] });
+        continue;
+      }
+      existing = matches[0] || null;
+    }
+
+    const key = existing ? `id:${existing.id}` : `name:${fields.name}`;
+    if (seen.has(key)) {
+      plan.invalid.push({ row, name, errors: ['This menu item is listed more than once'] });
+      continue;
+    }
+    seen.add(key);
+
+    const merged = existing ? { ...existing.toJSON(), ...fields } : { ...MENU_DEFAULTS, ...fields };
+    if (!existing && !merged.printer) merged.printer = defaultPrinter(structure, merged.category, merged.subcategory);
+    // As with `PUT /api/menu/:id`, items keep a category that has since been deactivated
+    // unless the row moves them
+    const moved = !existing || !sameValue(existing.category, merged.category) ||
+      !sameValue(existing.subcategory, merged.subcategory);
+    const problems = await menuValueErrors(merged, moved ? structure : null);
+    if (problems.length > 0) {
+      plan.invalid.push({ row, name, errors: problems });
+      continue;
+    }
+
+    if (!existing) {
+      plan.created.push({ row, name: merged.name, values: merged });
+      continue;
+    }
+
+    const changes = {};
+    Object.keys(fields).forEach(field => {
+      if (!sameValue(existing[field], fields[field])) {
+        changes[field] = { from: existing[field], to: fields[field] };
+      }
+    });
+    if (Object.keys(changes).length === 0) {
+      plan.unchanged.push({ row, id: existing.id, name: existing.name });
+    } else {
+      plan.updated.push({ row, id: existing.id, name: merged.name, changes });
+    }
+  }
+
+  return plan;
+};
+
+const importSummary = (plan) => ({
+  created: plan.created.length,
+  updated: plan.updated.length,
+  unchanged: plan.unchanged.length,
+  invalid: plan.invalid.length
+});
+
+// Save a planned import in one transaction, so either every row is saved or none is.
+// Returns the menu items created and updated.
+const applyMenuImport = (plan) => sequelize.transaction(async (transaction) => {
+  const saved = [];
+
+  for (const entry of plan.created) {
+    saved.push(await MenuItem.create(entry.values, { transaction }));
+  }
+
+  for (const entry of plan.updated) {
+    const menuItem = await MenuItem.findByPk(entry.id, { transaction });
+    const values = {};
+    Object.keys(entry.changes).forEach(field => {
+      values[field] = entry.changes[field].to;
+    });
+    // Setting availability by hand overrides the stock check, as in `PUT /api/menu/:id`
+    if (values.is_available !== undefined) values.out_of_stock = false;
+    await menuItem.update(values, { transaction });
+    saved.push(menuItem);
+  }
+
+  return saved;
+});
+
+module.exports = {
+  MENU_COLUMNS,
+  parseCsv,
+  exportRecord,
+  menuToCsv,
+  importRecords,
+  normalizeRecord,
+  planMenuImport,
+  importSummary,
+  applyMenuImport
+};
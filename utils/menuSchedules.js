@@ -0,0 +1,53 @@
+// Menu schedules: breakfast, late-night and weekend menus. An item is orderable while one of
+// its schedules covers the time. An item's own schedule (`schedule_id`) replaces those of its
+// subcategory; items with neither are on the menu all day. Times are the server's local time.
+const { MenuSchedule } = require('../models');
+const { coversInstant } = require('./rateCards');
+
+// Load active menu schedules as plain objects
+const loadMenuSchedules = async () => {
+  const schedules = await MenuSchedule.findAll({ where: { is_active: true } });
+  return schedules.map(schedule => schedule.toJSON());
+};
+
+// A menu item's own schedule has to exist; null puts it back on its subcategory's schedules
+const validateSchedule = async (scheduleId) => {
+  if (scheduleId === null) return true;
+  const schedule = await MenuSchedule.findByPk(scheduleId);
+  if (!schedule) throw new Error('Menu schedule not found');
+  return true;
+};
+
+// Schedules a menu item is served on; empty means it is not scheduled
+const itemSchedules = (menuItem, schedules) => {
+  const own = schedules.filter(schedule => schedule.id === menuItem.schedule_id);
+  if (own.length > 0) return own;
+  return schedules.filter(schedule => (schedule.subcategories || []).includes(menuItem.subcategory));
+};
+
+// Whether a menu item's schedule lets it be ordered at `at`
+const isOnSchedule = (menuItem, schedules, at = new Date()) => {
+  const served = itemSchedules(menuItem, schedules);
+  return served.length === 0 || served.some(schedule => coversInstant(schedule, at));
+};
+
+// Why a menu item cannot be ordered at `at` because of its schedule, or null if it can
+const scheduleBlocker = (menuItem, schedules, at = new Date()) => {
+  if (isOnSchedule(menuItem, schedules, at)) return null;
+  const names = itemSchedules(menuItem, schedules).map(schedule => schedule.name);
+  return `${menuItem.name} is not being served now (${names.join(', ')} only)`;
+};
+
+// Schedules running at `at`
+const schedulesInForce = (schedules, at = new Date()) => {
+  return schedules.filter(schedule => coversInstant(schedule, at));
+};
+
+module.exports = {
+  loadMenuSchedules,
+  validateSchedule,
+  itemSchedules,
+  isOnSchedule,
+  scheduleBlocker,
+  schedulesInForce
+};
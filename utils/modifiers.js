@@ -0,0 +1,105 @@
+// Menu item modifier groups (size, spice level, add-ons...) and the choices made on order items.
+// A group is { name, required, min, max, options: [{ name, price }] } where `price` is added to
+// the item's price for each unit.
+const { roundMoney } = require('./taxEngine');
+
+// Fewest and most options that may be chosen from a group. Required groups need at least one;
+// max 0 means no limit.
+const selectionLimits = (group) => {
+  const min = Math.max(parseInt(group.min) || 0, group.required ? 1 : 0);
+  const max = parseInt(group.max) || 0;
+  return { min, max };
+};
+
+// Check a menu item's modifier groups. Throws with the first problem found.
+const validateModifierGroups = (groups) => {
+  if (!Array.isArray(groups)) throw new Error('Modifier groups must be an array');
+
+  const names = new Set();
+  groups.forEach(group => {
+    if (!group || typeof group.name !== 'string' || !group.name.trim()) {
+      throw new Error('Every modifier group needs a name');
+    }
+    if (names.has(group.name)) throw new Error(`Modifier group ${group.name} is listed twice`);
+    names.add(group.name);
+
+    if (!Array.isArray(group.options) || group.options.length === 0) {
+      throw new Error(`Modifier group ${group.name} needs at least one option`);
+    }
+    const optionNames = new Set();
+    group.options.forEach(option => {
+      if (!option || typeof option.name !== 'string' || !option.name.trim()) {
+        throw new Error(`Every option in ${group.name} needs a name`);
+      }
+      if (optionNames.has(option.name)) throw new Error(`${option.name} is listed twice in ${group.name}`);
+      optionNames.add(option.name);
+      if (option.price !== undefined && isNaN(parseFloat(option.price))) {
+        throw new Error(`${group.name}: ${option.name} has an invalid price`);
+      }
+    });
+
+    const { min, max } = selectionLimits(group);
+    if (max > 0 && min > max) throw new Error(`${group.name} needs a minimum no greater than its maximum`);
+    if (min > group.options.length) throw new Error(`${group.name} requires more choices than it has options`);
+  });
+
+  return true;
+};
+
+// Resolve the modifiers chosen for a menu item, [{ group, option }], against its groups.
+// Returns [{ group, option, price }] in menu order. Throws if a choice is unknown or a
+// group's required/min/max rules are not met.
+const resolveModifiers = (menuItem, selections = []) => {
+  const groups = menuItem.modifier_groups || [];
+
+  selections.forEach(selection => {
+    const group = groups.find(entry => entry.name === selection.group);
+    if (!group) throw new Error(`${menuItem.name} has no ${selection.group} option`);
+    if (!group.options.some(option => option.name === selection.option)) {
+      throw new Error(`${selection.option} is not a ${group.name} option for ${menuItem.name}`);
+    }
+  });
+
+  const modifiers = [];
+  groups.forEach(group => {
+    const chosen = [...new Set(selections
+      .filter(selection => selection.group === group.name)
+      .map(selection => selection.option))];
+
+    const { min, max } = selectionLimits(group);
+    if (chosen.length < min) {
+      throw new Error(min === 1
+        ? `Choose a ${group.name} for ${menuItem.name}`
+        : `Choose at least ${min} ${group.name} for ${menuItem.name}`);
+    }
+    if (max > 0 && chosen.length > max) {
+      throw new Error(`Choose at most ${max} ${group.name} for ${menuItem.name}`);
+    }
+
+    group.options
+      .filter(option => chosen.includes(option.name))
+      .forEach(option => modifiers.push({
+        group: group.name,
+        option: option.name,
+        price: roundMoney(parseFloat(option.price) || 0)
+      }));
+  });
+
+  return modifiers;
+};
+
+// Price added to each unit by a set of resolved modifiers
+const modifiersPrice = (modifiers = []) => {
+  return roundMoney(modifiers.reduce((sum, modifier) => sum + (parseFloat(modifier.price) || 0), 0));
+};
+
+// Short label for tickets and receipts, e.g. "Large, Extra Cheese"
+const modifiersLabel = (modifiers = []) => modifiers.map(modifier => modifier.option).join(', ');
+
+module.exports = {
+  selectionLimits,
+  validateModifierGroups,
+  resolveModifiers,
+  modifiersPrice,
+  modifiersLabel
+};
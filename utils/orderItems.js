@@ -0,0 +1,150 @@
+const { OrderItem } = require('../models');
+const { roundMoney, calculateTaxes, summarizeBreakdown } = require('./taxEngine');
+const { resolveModifiers, modifiersPrice } = require('./modifiers');
+const { bundleComponents } = require('./bundles');
+
+// Tax engine line for `quantity` of a menu item at `price` (the menu price plus any
+// modifiers, unless given)
+const menuItemLine = (menuItem, quantity, serviceType, { price, modifiers = [], special_instructions } = {}) => {
+  const unitPrice = price !== undefined
+    ? price
+    : roundMoney(parseFloat(menuItem.price) + modifiersPrice(modifiers));
+
+  return {
+    menu_item_id: menuItem.id,
+    name: menuItem.name,
+    price: unitPrice,
+    modifiers,
+    quantity,
+    special_instructions,
+    target: menuItem.category,
+    amount: unitPrice * quantity,
+    tax_profile_id: menuItem.tax_profile_id,
+    service_type: serviceType
+  };
+};
+
+// Line for an item being ordered, { quantity, modifiers, special_instructions }, with its
+// modifiers resolved and, for bundles, its components. Throws if a choice is invalid.
+const orderLine = async (menuItem, item, serviceType) => {
+  const line = menuItemLine(menuItem, item.quantity, serviceType, {
+    modifiers: resolveModifiers(menuItem, item.modifiers),
+    special_instructions: item.special_instructions
+  });
+  if (!menuItem.is_bundle) return line;
+
+  return {
+    ...line,
+    is_bundle: true,
+    table_minutes: menuItem.bundle_table_minutes || 0,
+    table_type: menuItem.bundle_table_type,
+    components: await bundleComponents(menuItem, item.quantity)
+  };
+};
+
+// Create an order's items from taxed lines. Each bundle line is followed by its components,
+// which are priced at 0 since the bundle carries the price.
+const createOrderItems = async (orderId, lines) => {
+  const created = [];
+  for (const line of lines) {
+    const item = await OrderItem.create({
+      order_id: orderId,
+      menu_item_id: line.menu_item_id,
+      name: line.name,
+      price: line.price,
+      modifiers: line.modifiers,
+      quantity: line.quantity,
+      special_instructions: line.special_instructions,
+      net_amount: line.net,
+      tax_amount: line.tax,
+      tax_breakdown: line.breakdown,
+      is_bundle: Boolean(line.is_bundle),
+      table_minutes: line.table_minutes || 0
+    });
+    created.push(item);
+
+    for (const component of line.components || []) {
+      created.push(await OrderItem.create({
+        order_id: orderId,
+        menu_item_id: component.menuItem.id,
+        name: component.menuItem.name,
+        price: 0,
+        quantity: component.quantity,
+        net_amount: 0,
+        tax_amount: 0,
+        tax_breakdown: [],
+        bundle_item_id: item.id
+      }));
+    }
+  }
+  return created;
+};
+
+// Net, tax and breakdown for one line
+const taxLine = (line, taxProfiles) => calculateTaxes([line], taxProfiles).lines[0];
+
+// Whether the user may change items the kitchen has already started
+const canModifyStartedItems = (user) => Boolean(user.permissions?.kotManagement?.modify);
+
+// Why an item's progress in the kitchen stops it being changed or removed, or null if it
+// does not. Items being prepared need the KOT modify permission; ready, served and voided
+// items are final.
+const itemStatusBlocker = (item, user) => {
+  if (item.status === 'preparing' && !canModifyStartedItems(user)) {
+    return { status: 403, message: `${item.name} is already being prepared` };
+  }
+  if (!['pending', 'preparing'].includes(item.status)) {
+    return { status: 400, message: `${item.name} is ${item.status} and cannot be changed` };
+  }
+  if ((item.voided_quantity || 0) > 0) {
+    return { status: 400, message: `${item.name} has voided units; void it instead` };
+  }
+  return null;
+};
+
+// Why an item cannot be changed or removed, or null if it can. Bundle components are
+// changed through their bundle.
+const itemChangeBlocker = (item, user) => {
+  if (item.bundle_item_id) {
+    return { status: 400, message: `${item.name} is part of a bundle; change the bundle instead` };
+  }
+  return itemStatusBlocker(item, user);
+};
+
+// Recalculate an order's subtotal, tax and total from its items. Partly voided items
+// count their remaining units; items from before tax profiles count at their listed price.
+const recalculateOrderTotals = async (order) => {
+  const items = await OrderItem.findAll({ where: { order_id: order.id } });
+
+  let subtotal = 0;
+  let tax = 0;
+  const breakdowns = [];
+  items.forEach(item => {
+    const remaining = item.quantity - (item.voided_quantity || 0);
+    if (remaining <= 0) return;
+
+    subtotal += item.net_amount !== null ? parseFloat(item.net_amount) : parseFloat(item.price) * remaining;
+    tax += parseFloat(item.tax_amount || 0);
+
+    const share = remaining / item.quantity;
+    breakdowns.push((item.tax_breakdown || []).map(entry => ({ ...entry, amount: roundMoney(entry.amount * share) })));
+  });
+
+  return order.update({
+    subtotal: roundMoney(subtotal),
+    tax: roundMoney(tax),
+    total: roundMoney(subtotal + tax),
+    tax_breakdown: summarizeBreakdown(breakdowns)
+  });
+};
+
+module.exports = {
+  menuItemLine,
+  orderLine,
+  createOrderItems,
+  taxLine,
+  canModifyStartedItems,
+  itemStatusBlocker,
+  itemChangeBlocker,
+  recalculateOrderTotals
+};
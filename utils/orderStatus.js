@@ -0,0 +1,112 @@
+// Order and order item status state machines. Every change goes through here so invalid
+// transitions are rejected and each one is recorded in the status history.
+const { OrderItem, OrderStatusHistory } = require('../models');
+const { publish } = require('./realtime');
+
+// Statuses each order status may move to. Served and cancelled orders are final.
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'preparing', 'ready', 'served', 'cancelled'],
+  confirmed: ['preparing', 'ready', 'served', 'cancelled'],
+  preparing: ['ready', 'served', 'cancelled'],
+  // Back to preparing when a ticket is recalled
+  ready: ['preparing', 'served', 'cancelled'],
+  served: [],
+  cancelled: []
+};
+
+// Statuses each item status may move to. Served items can still be voided (refunded).
+const ITEM_TRANSITIONS = {
+  pending: ['preparing', 'ready', 'served', 'voided'],
+  preparing: ['ready', 'served', 'voided'],
+  ready: ['preparing', 'served', 'voided'],
+  served: ['voided'],
+  voided: []
+};
+
+const canChangeOrderStatus = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+const canChangeItemStatus = (from, to) => (ITEM_TRANSITIONS[from] || []).includes(to);
+
+// Add a status history entry
+const recordStatus = ({ order_id, order_item_id = null, from, to, userId = null, note = null }) => {
+  return OrderStatusHistory.create({
+    order_id,
+    order_item_id,
+    from_status: from,
+    to_status: to,
+    changed_by: userId,
+    note: note ? String(note).slice(0, 255) : null
+  });
+};
+
+// Move an order to a new status. Throws if the transition is not allowed.
+const setOrderStatus = async (order, to, userId = null, note = null) => {
+  const from = order.status;
+  if (from === to) return false;
+  if (!canChangeOrderStatus(from, to)) {
+    throw new Error(`Order cannot change from ${from} to ${to}`);
+  }
+
+  await order.update({ status: to });
+  await recordStatus({ order_id: order.id, from, to, userId, note });
+  publish('order.status_changed', { order_id: order.id, order_number: order.order_id, status: to });
+  return true;
+};
+
+// Move an item to a new status. Throws if the transition is not allowed.
+const setItemStatus = async (item, to, userId = null, note = null) => {
+  const from = item.status;
+  if (from === to) return false;
+  if (!canChangeItemStatus(from, to)) {
+    throw new Error(`${item.name} cannot change from ${from} to ${to}`);
+  }
+
+  await item.update({ status: to });
+  await recordStatus({ order_id: item.order_id, order_item_id: item.id, from, to, userId, note });
+  return true;
+};
+
+// Status an order should have given its items, or null to leave it as it is:
+// served once every item is served, ready once every item is ready (or served), and
+// preparing once the kitchen has started or when a ready order gets items still to make.
+// Bundle lines are left out; their components count instead. A bundle line follows its
+// components the same way.
+const deriveOrderStatus = (order, items) => {
+  const active = items.filter(item => item.status !== 'voided' && !item.is_bundle);
+  if (active.length === 0) return null;
+
+  if (active.every(item => item.status === 'served')) return 'served';
+  if (active.every(item => ['ready', 'served'].includes(item.status))) return 'ready';
+  if (active.some(item => item.status !== 'pending')) return 'preparing';
+  return order.status === 'ready' ? 'preparing' : null;
+};
+
+// Bring an order's status in line with its items. Cancelled and served orders stay as they are.
+const syncOrderStatus = async (order, userId = null) => {
+  const items = await OrderItem.findAll({ where: { order_id: order.id } });
+
+  const bundles = items.filter(item => item.is_bundle && item.status !== 'voided');
+  for (const bundle of bundles) {
+    const bundleStatus = deriveOrderStatus(bundle, items.filter(item => item.bundle_item_id === bundle.id));
+    if (bundleStatus && canChangeItemStatus(bundle.status, bundleStatus)) {
+      await setItemStatus(bundle, bundleStatus, userId, 'Updated from bundle items');
+    }
+  }
+
+  const derived = deriveOrderStatus(order, items);
+  if (!derived || !canChangeOrderStatus(order.status, derived)) return false;
+
+  return setOrderStatus(order, derived, userId, 'Updated from item statuses');
+};
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  ITEM_TRANSITIONS,
+  canChangeOrderStatus,
+  canChangeItemStatus,
+  recordStatus,
+  setOrderStatus,
+  setItemStatus,
+  deriveOrderStatus,
+  syncOrderStatus
+};
@@ -0,0 +1,88 @@
+// Kitchen preparation-time metrics from the status timestamps recorded on order items
+
+const DEFAULT_STATION = 'Kitchen Printer';
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Minutes from sending an item to the kitchen until it was ready; null if it never was.
+// Items sent before send times were recorded count from when they were ordered.
+const prepMinutes = (item) => {
+  if (!item.ready_at) return null;
+  const start = item.sent_at || item.created_at;
+  const minutes = (new Date(item.ready_at) - new Date(start)) / 60000;
+  return minutes >= 0 ? minutes : null;
+};
+
+// Nearest-rank percentile of sorted values
+const percentile = (sorted, p) => sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+
+// Count, average, 90th percentile and worst of a list of minutes
+const summarize = (minutes) => {
+  if (minutes.length === 0) return { count: 0, average: 0, p90: 0, worst: 0 };
+
+  const sorted = [...minutes].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  return {
+    count: sorted.length,
+    average: round(total / sorted.length),
+    p90: round(percentile(sorted, 90)),
+    worst: round(sorted[sorted.length - 1])
+  };
+};
+
+// Group timed items by key and summarise each group
+const groupBy = (timed, keyOf) => {
+  const groups = new Map();
+  timed.forEach(entry => {
+    const key = keyOf(entry);
+    groups.set(key, [...(groups.get(key) || []), entry]);
+  });
+  return groups;
+};
+
+// Preparation-time stats overall and per station, menu item and hour of day. Items must
+// include their menuItem and kot. Menu items are compared with their preparation_time target.
+const prepTimeStats = (items) => {
+  const timed = items
+    .map(item => ({ item, minutes: prepMinutes(item) }))
+    .filter(entry => entry.minutes !== null);
+
+  const byStation = [...groupBy(timed, ({ item }) => item.kot?.station || item.menuItem?.printer || DEFAULT_STATION)]
+    .map(([station, entries]) => ({ station, ...summarize(entries.map(entry => entry.minutes)) }));
+
+  const byItem = [...groupBy(timed, ({ item }) => item.menu_item_id)]
+    .map(([menuItemId, entries]) => {
+      const { item } = entries[0];
+      const stats = summarize(entries.map(entry => entry.minutes));
+      const target = item.menuItem?.preparation_time ?? null;
+      return {
+        menu_item_id: menuItemId,
+        name: item.menuItem?.name || item.name,
+        target,
+        ...stats,
+        over_target: target === null ? null : round(stats.average - target),
+        // Share of this dish's tickets that took longer than its target
+        late_rate: target === null ? null : Math.round((entries.filter(entry => entry.minutes > target).length / entries.length) * 100),
+        slow: target !== null && stats.average > target
+      };
+    })
+    .sort((a, b) => (b.over_target ?? -Infinity) - (a.over_target ?? -Infinity));
+
+  const byHour = [...groupBy(timed, ({ item }) => new Date(item.sent_at || item.created_at).getHours())]
+    .map(([hour, entries]) => ({ hour, ...summarize(entries.map(entry => entry.minutes)) }))
+    .sort((a, b) => a.hour - b.hour);
+
+  return {
+    overall: summarize(timed.map(entry => entry.minutes)),
+    byStation,
+    byItem,
+    byHour,
+    slowItems: byItem.filter(item => item.slow)
+  };
+};
+
+module.exports = {
+  prepMinutes,
+  summarize,
+  prepTimeStats
+};
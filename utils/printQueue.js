@@ -0,0 +1,148 @@
+const { Op } = require('sequelize');
+const { PrintJob, Printer } = require('../models');
+const { printDocument } = require('./printerDriver');
+
+const MAX_ATTEMPTS = parseInt(process.env.PRINT_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.PRINT_RETRY_BASE_MS) || 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const POLL_MS = 5000;
+
+let queueTimer = null;
+let processing = false;
+
+// Wait before the next attempt, doubling with every failed attempt
+const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+// Printers to try for a job, in order: its own printer, then that printer's backup
+const candidatePrinters = async (job) => {
+  const printer = await Printer.findByPk(job.printer_id);
+  if (!printer) return [];
+
+  const printers = printer.is_active ? [printer] : [];
+  if (job.allow_failover && printer.backup_printer_id) {
+    const backup = await Printer.findByPk(printer.backup_printer_id);
+    if (backup && backup.is_active) printers.push(backup);
+  }
+  return printers;
+};
+
+// Make one attempt at a job. A job sent by the backup printer records the backup as its printer.
+// The attempt is claimed first, so a job cancelled, rerouted or already picked up since it was
+// read is left alone. `next_attempt_at` stays null while the attempt runs, which keeps cancel
+// and reroute off the job until it is done.
+const processJob = async (job) => {
+  const attempts = job.attempts + 1;
+  const [claimed] = await PrintJob.update(
+    { attempts, next_attempt_at: null },
+    { where: { id: job.id, status: 'pending', attempts: job.attempts } }
+  );
+  if (claimed === 0) return job.reload();
+
+  const errors = [];
+
+  for (const printer of await candidatePrinters(job)) {
+    try {
+      await printDocument(printer, job.data);
+      return job.update({
+        status: 'sent',
+        printer_id: printer.id,
+        attempts,
+        sent_at: new Date(),
+        next_attempt_at: null,
+        last_error: null
+      });
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  const lastError = (errors.join('; ') || 'No active printer').slice(0, 255);
+  if (attempts >= job.max_attempts) {
+    return job.update({ status: 'failed', attempts, last_error: lastError, next_attempt_at: null });
+  }
+
+  return job.update({
+    attempts,
+    last_error: lastError,
+    next_attempt_at: new Date(Date.now() + retryDelay(attempts))
+  });
+};
+
+// Record a print job and make the first attempt straight away
+const enqueuePrintJob = async ({ type, printer, data, description, order_id, session_id, kot_id, created_by, reprint_of, retry = true }) => {
+  const job = await PrintJob.create({
+    type,
+    printer_id: printer.id,
+    data,
+    description,
+    order_id: order_id || null,
+    session_id: session_id || null,
+    kot_id: kot_id || null,
+    created_by: created_by || null,
+    reprint_of: reprint_of || null,
+    max_attempts: retry ? MAX_ATTEMPTS : 1,
+    allow_failover: retry
+  });
+
+  return processJob(job);
+};
+
+// Retry pending jobs that are due
+const processDueJobs = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    const jobs = await PrintJob.findAll({
+      where: {
+        status: 'pending',
+        next_attempt_at: { [Op.lte]: new Date() }
+      },
+      order: [['next_attempt_at', 'ASC']],
+      limit: 20
+    });
+
+    for (const job of jobs) {
+      await processJob(job);
+    }
+  } catch (error) {
+    console.error('Print queue error:', error);
+  } finally {
+    processing = false;
+  }
+};
+
+// Start retrying in the background. Jobs left mid-attempt by a restart are picked up again.
+const startPrintQueue = async () => {
+  if (queueTimer) return;
+
+  await PrintJob.update(
+    { next_attempt_at: new Date() },
+    { where: { status: 'pending', next_attempt_at: null } }
+  );
+
+  queueTimer = setInterval(processDueJobs, POLL_MS);
+};
+
+// Job counts and failure rate for a set of jobs; cancelled jobs are left out of the rate
+const summarizeJobs = (jobs) => {
+  const counts = { total: jobs.length, pending: 0, sent: 0, failed: 0, cancelled: 0 };
+  jobs.forEach(job => {
+    counts[job.status]++;
+  });
+
+  const finished = counts.sent + counts.failed;
+  return {
+    ...counts,
+    retried: jobs.filter(job => job.attempts > 1).length,
+    failureRate: finished > 0 ? Math.round((counts.failed / finished) * 10000) / 100 : 0
+  };
+};
+
+module.exports = {
+  processJob,
+  enqueuePrintJob,
+  processDueJobs,
+  startPrintQueue,
+  summarizeJobs
+};
@@ -0,0 +1,83 @@
+const net = require('net');
+const Printer = require('../models/Printer');
+
+// Raw TCP printing ("JetDirect"), the port ESC/POS network printers listen on
+const DEFAULT_PORT = 9100;
+const SEND_TIMEOUT_MS = parseInt(process.env.PRINTER_TIMEOUT_MS) || 5000;
+
+// Connection errors that mean the printer is switched off or unreachable rather than faulty
+const OFFLINE_ERRORS = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'EHOSTDOWN', 'ETIMEDOUT', 'ENOTFOUND'];
+
+// Menu item printers without a printer type of their own print on the main printer
+const FALLBACK_PRINTER_TYPE = 'Main Printer';
+
+// Write bytes to host:port and resolve once they have been handed to the network
+const sendRaw = (host, port, data, timeout = SEND_TIMEOUT_MS) => {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let settled = false;
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      reject(error);
+    };
+
+    socket.setTimeout(timeout, () => {
+      const error = new Error(`Printer did not respond within ${timeout} ms`);
+      error.code = 'ETIMEDOUT';
+      fail(error);
+    });
+    socket.on('error', fail);
+    socket.on('connect', () => {
+      socket.end(data, () => {
+        if (settled) return;
+        settled = true;
+        socket.setTimeout(0);
+        resolve();
+      });
+    });
+  });
+};
+
+// Send a rendered document to a printer and record the outcome on the printer
+const printDocument = async (printer, data) => {
+  if (!printer.ip_address) {
+    await printer.update({ status: 'error', last_error: 'No IP address configured' });
+    throw new Error(`${printer.name} has no IP address configured`);
+  }
+
+  try {
+    await sendRaw(printer.ip_address, printer.port || DEFAULT_PORT, data);
+  } catch (error) {
+    await printer.update({
+      status: OFFLINE_ERRORS.includes(error.code) ? 'offline' : 'error',
+      last_error: error.message.slice(0, 255)
+    });
+    throw new Error(`${printer.name}: ${error.message}`);
+  }
+
+  await printer.update({ status: 'online', last_error: null, last_printed_at: new Date() });
+};
+
+// Active printer of a type, preferring one that is online
+const findPrinterFor = async (type) => {
+  const printers = await Printer.findAll({
+    where: { type, is_active: true },
+    order: [['id', 'ASC']]
+  });
+
+  if (printers.length === 0) {
+    return type === FALLBACK_PRINTER_TYPE ? null : findPrinterFor(FALLBACK_PRINTER_TYPE);
+  }
+
+  return printers.find(printer => printer.status === 'online') || printers[0];
+};
+
+module.exports = {
+  DEFAULT_PORT,
+  sendRaw,
+  printDocument,
+  findPrinterFor
+};
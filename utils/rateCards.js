@@ -0,0 +1,127 @@
+const RateCard = require('../models/RateCard');
+
+const STANDARD_BAND = 'Standard';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minutes past midnight for an HH:MM string
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time || '00:00').split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+// Local calendar date as YYYY-MM-DD
+const toDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Load active rate cards as plain objects
+const loadRateCards = async () => {
+  const cards = await RateCard.findAll({ where: { is_active: true } });
+  return cards.map(card => card.toJSON());
+};
+
+// Whether a card's band started on `day` (the band's start date)
+const appliesOnDay = (card, day) => {
+  if (card.dates && card.dates.length > 0) return card.dates.includes(toDateKey(day));
+  return !card.days || card.days.length === 0 || card.days.map(Number).includes(day.getDay());
+};
+
+// Whether a card covers the instant `at`; bands past midnight belong to the day they started.
+// Works for anything with `days`/`dates` and a `start_time`-`end_time` window.
+const coversInstant = (card, at) => {
+  const start = toMinutes(card.start_time);
+  const end = toMinutes(card.end_time);
+  const minute = at.getHours() * 60 + at.getMinutes();
+  const today = startOfDay(at);
+
+  if (start < end) {
+    return minute >= start && minute < end && appliesOnDay(card, today);
+  }
+
+  const yesterday = new Date(today.getTime() - DAY_MS);
+  return (minute >= start && appliesOnDay(card, today)) || (minute < end && appliesOnDay(card, yesterday));
+};
+
+// Rate card in force for a table type at an instant: holiday cards first, then cards
+// for the specific table type, then by priority. Null means the table's own rate.
+const resolveRateCard = (cards, tableType, at) => {
+  const candidates = cards.filter(card =>
+    (!card.table_type || card.table_type === tableType) && coversInstant(card, at)
+  );
+  if (candidates.length === 0) return null;
+
+  const rank = (card) => [
+    card.dates && card.dates.length > 0 ? 1 : 0,
+    card.table_type ? 1 : 0,
+    card.priority || 0
+  ];
+
+  return candidates.sort((a, b) => {
+    const rankA = rank(a);
+    const rankB = rank(b);
+    for (let i = 0; i < rankA.length; i++) {
+      if (rankA[i] !== rankB[i]) return rankB[i] - rankA[i];
+    }
+    return a.id - b.id;
+  })[0];
+};
+
+// Split [from, to) into consecutive bands with a single rate card each: [{ start, end, card }]
+const splitIntoBands = (cards, tableType, from, to) => {
+  const start = new Date(from);
+  const end = new Date(to);
+
+  if (!cards || cards.length === 0 || end <= start) {
+    return [{ start, end: end < start ? start : end, card: resolveRateCard(cards || [], tableType, start) }];
+  }
+
+  // Every midnight and band edge between the two instants
+  const boundaries = [start.getTime(), end.getTime()];
+  for (let day = startOfDay(start); day < end; day = new Date(day.getTime() + DAY_MS)) {
+    boundaries.push(day.getTime());
+    cards.forEach(card => {
+      [card.start_time, card.end_time].forEach(time => {
+        const edge = new Date(day);
+        edge.setMinutes(toMinutes(time));
+        boundaries.push(edge.getTime());
+      });
+    });
+  }
+
+  const points = [...new Set(boundaries)]
+    .filter(point => point >= start.getTime() && point <= end.getTime())
+    .sort((a, b) => a - b);
+
+  const bands = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const bandStart = new Date(points[i]);
+    const card = resolveRateCard(cards, tableType, bandStart);
+    const previous = bands[bands.length - 1];
+
+    if (previous && (previous.card ? previous.card.id : null) === (card ? card.id : null)) {
+      previous.end = new Date(points[i + 1]);
+    } else {
+      bands.push({ start: bandStart, end: new Date(points[i + 1]), card });
+    }
+  }
+
+  return bands;
+};
+
+module.exports = {
+  STANDARD_BAND,
+  toMinutes,
+  loadRateCards,
+  coversInstant,
+  resolveRateCard,
+  splitIntoBands
+};
@@ -0,0 +1,86 @@
+// Server-Sent Events push channel. Routes publish domain events here and every connected
+// client whose role (and station, for kitchen events) matches receives them.
+
+const STAFF_ROLES = ['Admin', 'Manager', 'Staff'];
+const HEARTBEAT_MS = 25 * 1000;
+
+// Kitchen stations, keyed by the menu item printer that serves them
+const STATIONS = {
+  'Kitchen Printer': 'kitchen',
+  'Bar Printer': 'bar',
+  'Main Printer': 'main',
+  'Game Zone Printer': 'game-zone'
+};
+
+const clients = new Set();
+let nextEventId = 1;
+
+// Station for a menu item printer
+const stationFor = (printer) => STATIONS[printer] || STATIONS['Main Printer'];
+
+// Distinct stations of an order's items; items must include their menuItem
+const orderStations = (order) => {
+  const printers = (order.items || []).map(item => item.menuItem?.printer);
+  return [...new Set(printers.map(stationFor))];
+};
+
+// Keep a response open as an event stream for `user`, optionally limited to some stations
+const subscribe = (req, res, user, stations = []) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const client = { res, role: user.role, userId: user.id, stations };
+  clients.add(client);
+
+  res.write(`event: connected\ndata: ${JSON.stringify({ role: user.role, stations })}\n\n`);
+
+  // Comments keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+};
+
+// Whether a client should receive an event
+const wants = (client, roles, stations) => {
+  if (!roles.includes(client.role)) return false;
+  if (!stations || client.stations.length === 0) return true;
+  return stations.some(station => client.stations.includes(station));
+};
+
+// Broadcast an event to matching clients. `stations` limits kitchen events to clients
+// watching those stations; clients without a station filter get everything.
+const publish = (event, data, { roles = STAFF_ROLES, stations = null } = {}) => {
+  const id = nextEventId++;
+  const message = `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify({ ...data, stations, at: new Date() })}\n\n`;
+
+  clients.forEach(client => {
+    if (wants(client, roles, stations)) client.res.write(message);
+  });
+};
+
+// Number of open streams, by role
+const connectionStats = () => {
+  const byRole = {};
+  clients.forEach(client => {
+    byRole[client.role] = (byRole[client.role] || 0) + 1;
+  });
+  return { total: clients.size, byRole };
+};
+
+module.exports = {
+  STAFF_ROLES,
+  STATIONS,
+  stationFor,
+  orderStations,
+  subscribe,
+  publish,
+  connectionStats
+};
@@ -0,0 +1,174 @@
+const { Op } = require('sequelize');
+const { Session, Order, OrderItem, MenuItem } = require('../models');
+const {
+  TABLE_TIME,
+  roundMoney,
+  loadTaxProfiles,
+  calculateTaxes,
+  calculateServiceFee,
+  summarizeBreakdown
+} = require('./taxEngine');
+const { loadRateCards } = require('./rateCards');
+const { loadBillingPolicies, resolveBillingPolicy } = require('./billingPolicies');
+
+// Overtime past the planned end is billed at a premium over the hourly rate
+const overtimeRateFor = (hourlyRate) => {
+  const overtimeMultiplier = parseFloat(process.env.OVERTIME_RATE_MULTIPLIER) || 1.5;
+  return hourlyRate * overtimeMultiplier;
+};
+
+// Net amount of an order item; items created before tax profiles only have price x quantity
+const itemNetAmount = (item) => {
+  if (item.net_amount !== null && item.net_amount !== undefined) return parseFloat(item.net_amount);
+  return parseFloat(item.price) * item.quantity;
+};
+
+// Net amount of the bundle lines in a set of orders (with items)
+const bundleSubtotal = (orders) => {
+  const bundleItems = orders.flatMap(order => order.items || []).filter(item => item.is_bundle);
+  return roundMoney(bundleItems.reduce((sum, item) => sum + itemNetAmount(item), 0));
+};
+
+// Time charges as of `asOf`, with the current rate cards and the billing policy of the session's table type
+const calculateSessionCharges = async (session, asOf = new Date()) => {
+  const billingPolicy = resolveBillingPolicy(await loadBillingPolicies(), session.table_type);
+  return session.calculateCharges(asOf, await loadRateCards(), billingPolicy);
+};
+
+// Session bill totals as of `asOf`: table time is taxed here, orders carry their own tax.
+// `orders` must include their items and each item's menuItem.
+const calculateSessionTotals = async (session, orders, asOf = new Date()) => {
+  const charges = await calculateSessionCharges(session, asOf);
+  const profiles = await loadTaxProfiles();
+
+  const tableTime = calculateTaxes([{
+    target: TABLE_TIME,
+    amount: charges.session_cost,
+    service_type: 'dine-in'
+  }], profiles);
+
+  const orderLines = orders.flatMap(order => (order.items || []).map(item => ({
+    target: item.menuItem?.category,
+    net: itemNetAmount(item),
+    service_type: order.service_type
+  })));
+
+  const serviceFee = calculateServiceFee([
+    { target: TABLE_TIME, net: tableTime.subtotal, service_type: 'dine-in' },
+    ...orderLines
+  ], profiles);
+
+  const ordersSubtotal = orders.reduce((sum, order) => sum + parseFloat(order.subtotal || 0), 0);
+  const ordersTax = orders.reduce((sum, order) => sum + parseFloat(order.tax || 0), 0);
+  const subtotal = roundMoney(tableTime.subtotal + ordersSubtotal);
+  const tax = roundMoney(tableTime.tax + ordersTax);
+
+  return {
+    charges,
+    total_order_cost: roundMoney(orders.reduce((sum, order) => sum + parseFloat(order.total || 0), 0)),
+    subtotal,
+    tax,
+    service_fee: serviceFee.amount,
+    total: roundMoney(subtotal + tax + serviceFee.amount),
+    tax_breakdown: {
+      table_time: tableTime.lines[0].breakdown,
+      orders: summarizeBreakdown(orders.map(order => order.tax_breakdown || [])),
+      service_fee: serviceFee.breakdown,
+      summary: summarizeBreakdown([
+        tableTime.breakdown,
+        ...orders.map(order => order.tax_breakdown || [])
+      ])
+    }
+  };
+};
+
+// Orders billed to the session, with items and menu items. Cancelled orders are left off the bill.
+const findSessionOrders = (session) => {
+  return Order.findAll({
+    where: {
+      session_id: session.id,
+      status: { [Op.ne]: 'cancelled' }
+    },
+    include: [
+      {
+        model: OrderItem,
+        as: 'items',
+        include: [
+          {
+            model: MenuItem,
+            as: 'menuItem'
+          }
+        ]
+      }
+    ]
+  });
+};
+
+// Session the order is billed to, if any
+const findOrderSession = (order) => {
+  if (!order.session_id) return Promise.resolve(null);
+  return Session.findByPk(order.session_id);
+};
+
+// Session currently running at a table, if any
+const findRunningSession = (table) => {
+  if (!table.current_session_id) return Promise.resolve(null);
+  return Session.findOne({
+    where: {
+      id: table.current_session_id,
+      status: { [Op.in]: ['active', 'paused'] }
+    }
+  });
+};
+
+// Re-total an ended, not fully paid bill after its orders change; the discount is kept
+const refreshSessionBill = async (session) => {
+  if (!session || !session.end_time || session.payment_status === 'paid' || session.payment_status === 'refunded') {
+    return session;
+  }
+
+  const orders = await findSessionOrders(session);
+  const totals = await calculateSessionTotals(session, orders, session.end_time);
+  const discount = parseFloat(session.discount || 0);
+
+  return session.update({
+    total_order_cost: totals.total_order_cost,
+    subtotal: totals.subtotal,
+    tax: totals.tax,
+    tax_breakdown: totals.tax_breakdown,
+    service_fee: totals.service_fee,
+    total: Math.max(0, roundMoney(totals.total - discount))
+  });
+};
+
+// Record money returned against a session's payments. Only a paid bill becomes refunded;
+// a partly paid one stays open for the rest of its balance.
+const applySessionRefund = (session, amount) => {
+  const refundedAmount = roundMoney(parseFloat(session.refunded_amount || 0) + amount);
+  const fullyRefunded = session.payment_status === 'paid' && refundedAmount >= parseFloat(session.amount_paid || 0);
+
+  return session.update({
+    refunded_amount: refundedAmount,
+    payment_status: fullyRefunded ? 'refunded' : session.payment_status
+  });
+};
+
+// What is still owed on a session: its total less the payments it keeps after refunds
+const sessionBalance = (session) => {
+  if (['paid', 'refunded'].includes(session.payment_status)) return 0;
+  const netPaid = parseFloat(session.amount_paid || 0) - parseFloat(session.refunded_amount || 0);
+  return roundMoney(Math.max(0, parseFloat(session.total || 0) - netPaid));
+};
+
+module.exports = {
+  overtimeRateFor,
+  bundleSubtotal,
+  calculateSessionCharges,
+  calculateSessionTotals,
+  findSessionOrders,
+  findOrderSession,
+  findRunningSession,
+  refreshSessionBill,
+  applySessionRefund,
+  sessionBalance
+};
@@ -0,0 +1,19 @@
+const { Setting } = require('../models');
+
+// Value of a business setting, or `fallback` when it has not been set
+const getSetting = async (key, fallback = null) => {
+  const setting = await Setting.findOne({ where: { key } });
+  return setting && setting.value !== null ? setting.value : fallback;
+};
+
+// Set (or, with null, clear) a business setting
+const setSetting = async (key, value) => {
+  const [setting] = await Setting.findOrCreate({ where: { key }, defaults: { value } });
+  if (setting.value !== value) await setting.update({ value });
+  return setting.value;
+};
+
+module.exports = {
+  getSetting,
+  setSetting
+};
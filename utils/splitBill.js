@@ -0,0 +1,81 @@
+const { roundMoney } = require('./taxEngine');
+
+// Split an amount into `ways` equal shares; the last share absorbs rounding
+const splitEqually = (amount, ways) => {
+  const share = Math.floor((amount / ways) * 100) / 100;
+  const shares = Array(ways).fill(share);
+  shares[ways - 1] = roundMoney(amount - share * (ways - 1));
+  return shares;
+};
+
+// Gross amount of an order item (net + tax); items created before tax profiles fall back to price x quantity
+const itemGrossAmount = (item) => {
+  if (item.net_amount !== null && item.net_amount !== undefined) {
+    return roundMoney(parseFloat(item.net_amount) + parseFloat(item.tax_amount || 0));
+  }
+  return roundMoney(parseFloat(item.price) * item.quantity);
+};
+
+// Equal split of the outstanding balance
+const equalSplit = (balance, ways) => {
+  return splitEqually(balance, ways).map((amount, index) => ({
+    payer_name: `Guest ${index + 1}`,
+    split_type: 'equal',
+    amount
+  }));
+};
+
+// Custom amounts; whatever is left stays on the balance
+const customSplit = (balance, shares) => {
+  const allocated = roundMoney(shares.reduce((sum, share) => sum + parseFloat(share.amount), 0));
+  if (allocated > balance) {
+    throw new Error(`Split amounts (${allocated.toFixed(2)}) exceed the balance (${balance.toFixed(2)})`);
+  }
+  return shares.map((share, index) => ({
+    payer_name: share.payer_name || `Guest ${index + 1}`,
+    split_type: 'custom',
+    amount: roundMoney(parseFloat(share.amount))
+  }));
+};
+
+// Each payer covers their assigned items; table time, service fee, discount and
+// unassigned items are shared equally
+const itemSplit = (total, items, assignments) => {
+  const itemsById = new Map(items.map(item => [item.id, item]));
+  const assigned = new Set();
+
+  const shares = assignments.map((assignment, index) => {
+    const itemIds = assignment.order_item_ids || [];
+    const itemsTotal = itemIds.reduce((sum, itemId) => {
+      const item = itemsById.get(itemId);
+      if (!item) throw new Error(`Order item ${itemId} is not on this bill`);
+      if (assigned.has(itemId)) throw new Error(`Order item ${itemId} is assigned to more than one payer`);
+      assigned.add(itemId);
+      return sum + itemGrossAmount(item);
+    }, 0);
+
+    return {
+      payer_name: assignment.payer_name || `Guest ${index + 1}`,
+      split_type: 'items',
+      order_item_ids: itemIds,
+      items_amount: roundMoney(itemsTotal)
+    };
+  });
+
+  const assignedTotal = shares.reduce((sum, share) => sum + share.items_amount, 0);
+  const sharedAmounts = splitEqually(roundMoney(total - assignedTotal), shares.length);
+
+  return shares.map((share, index) => ({
+    ...share,
+    shared_amount: sharedAmounts[index],
+    amount: roundMoney(share.items_amount + sharedAmounts[index])
+  }));
+};
+
+module.exports = {
+  splitEqually,
+  itemGrossAmount,
+  equalSplit,
+  customSplit,
+  itemSplit
+};
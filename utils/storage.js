@@ -0,0 +1,55 @@
+// File storage for uploads. Files are saved under keys such as `menu/<id>.webp` and served at
+// `url(key)`. Local disk (UPLOAD_PATH) is the only driver; another, such as object storage,
+// only needs to provide the same save/read/remove/url functions.
+const fs = require('fs/promises');
+const path = require('path');
+
+const UPLOAD_URL = '/uploads';
+
+const createLocalStorage = (root) => {
+  // Keys are made by the server, but never let one reach outside the upload folder
+  const filePath = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key ${key}`);
+    return file;
+  };
+
+  return {
+    root,
+    async save(key, buffer) {
+      const file = filePath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return key;
+    },
+    read(key) {
+      return fs.readFile(filePath(key));
+    },
+    // Removing a file that is already gone is not an error
+    async remove(key) {
+      try {
+        await fs.unlink(filePath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+    url(key) {
+      return `${UPLOAD_URL}/${key}`;
+    }
+  };
+};
+
+const storage = createLocalStorage(path.resolve(process.env.UPLOAD_PATH || './uploads'));
+
+// Storage key of an uploaded file's URL, or null for anything else (such as an external image URL)
+const keyFromUrl = (url) => {
+  if (typeof url !== 'string' || !url.startsWith(`${UPLOAD_URL}/`)) return null;
+  return url.slice(UPLOAD_URL.length + 1);
+};
+
+module.exports = {
+  UPLOAD_URL,
+  createLocalStorage,
+  storage,
+  keyFromUrl
+};
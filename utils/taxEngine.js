@@ -0,0 +1,155 @@
+const TaxProfile = require('../models/TaxProfile');
+
+const TABLE_TIME = 'Table Time';
+
+// Used when no tax profiles have been configured yet (previous hard-coded 8.5% tax / 5% service fee)
+const DEFAULT_TAX_PROFILES = [
+  {
+    id: null,
+    name: 'Sales Tax',
+    type: 'tax',
+    components: [{ name: 'Tax', rate: 8.5 }],
+    is_inclusive: false,
+    applies_to: [],
+    service_types: []
+  },
+  {
+    id: null,
+    name: 'Service Fee',
+    type: 'service_fee',
+    components: [{ name: 'Service Fee', rate: 5 }],
+    is_inclusive: false,
+    applies_to: [],
+    service_types: ['dine-in']
+  }
+];
+
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const totalRate = (profile) => {
+  return (profile.components || []).reduce((sum, component) => sum + (parseFloat(component.rate) || 0), 0);
+};
+
+const matches = (list, value) => !list || list.length === 0 || list.includes(value);
+
+// Load active tax profiles, falling back to the defaults when none are configured
+const loadTaxProfiles = async () => {
+  const profiles = await TaxProfile.findAll({ where: { is_active: true } });
+  if (profiles.length === 0) return DEFAULT_TAX_PROFILES;
+  return profiles.map(profile => profile.toJSON());
+};
+
+// Tax profiles for a line: an explicit profile wins, otherwise every tax profile matching the target
+const resolveLineProfiles = (line, profiles) => {
+  const taxProfiles = profiles.filter(profile => profile.type === 'tax');
+  if (line.tax_profile_id) {
+    const explicit = taxProfiles.filter(profile => profile.id === line.tax_profile_id);
+    if (explicit.length > 0) return explicit;
+  }
+  return taxProfiles.filter(profile =>
+    matches(profile.applies_to, line.target) && matches(profile.service_types, line.service_type)
+  );
+};
+
+// Calculate tax for a single line. `amount` is the listed price x quantity.
+const calculateLineTax = (line, profiles) => {
+  const lineProfiles = resolveLineProfiles(line, profiles);
+  const amount = parseFloat(line.amount) || 0;
+
+  // Inclusive taxes are backed out of the listed amount first
+  const inclusiveRate = lineProfiles
+    .filter(profile => profile.is_inclusive)
+    .reduce((sum, profile) => sum + totalRate(profile), 0);
+  const net = roundMoney(amount / (1 + inclusiveRate / 100));
+
+  const breakdown = [];
+  lineProfiles.forEach(profile => {
+    (profile.components || []).forEach(component => {
+      const rate = parseFloat(component.rate) || 0;
+      breakdown.push({
+        tax_profile_id: profile.id,
+        profile: profile.name,
+        name: component.name,
+        rate,
+        inclusive: profile.is_inclusive,
+        amount: roundMoney((net * rate) / 100)
+      });
+    });
+  });
+
+  const tax = roundMoney(breakdown.reduce((sum, entry) => sum + entry.amount, 0));
+
+  return {
+    net,
+    tax,
+    gross: roundMoney(net + tax),
+    breakdown
+  };
+};
+
+// Sum per-line breakdowns into one entry per tax component
+const summarizeBreakdown = (breakdowns) => {
+  const summary = {};
+  breakdowns.flat().forEach(entry => {
+    const key = `${entry.profile}:${entry.name}:${entry.rate}`;
+    if (!summary[key]) {
+      summary[key] = { profile: entry.profile, name: entry.name, rate: entry.rate, amount: 0 };
+    }
+    summary[key].amount = roundMoney(summary[key].amount + entry.amount);
+  });
+  return Object.values(summary);
+};
+
+// Calculate taxes for a set of lines: [{ target, amount, tax_profile_id, service_type }]
+const calculateTaxes = (lines, profiles) => {
+  const taxedLines = lines.map(line => ({ ...line, ...calculateLineTax(line, profiles) }));
+
+  return {
+    lines: taxedLines,
+    subtotal: roundMoney(taxedLines.reduce((sum, line) => sum + line.net, 0)),
+    tax: roundMoney(taxedLines.reduce((sum, line) => sum + line.tax, 0)),
+    total: roundMoney(taxedLines.reduce((sum, line) => sum + line.gross, 0)),
+    breakdown: summarizeBreakdown(taxedLines.map(line => line.breakdown))
+  };
+};
+
+// Calculate service fees on net line amounts: [{ target, net, service_type }]
+const calculateServiceFee = (lines, profiles) => {
+  const breakdown = [];
+
+  profiles
+    .filter(profile => profile.type === 'service_fee')
+    .forEach(profile => {
+      const base = lines
+        .filter(line => matches(profile.applies_to, line.target) && matches(profile.service_types, line.service_type))
+        .reduce((sum, line) => sum + (parseFloat(line.net) || 0), 0);
+
+      (profile.components || []).forEach(component => {
+        const rate = parseFloat(component.rate) || 0;
+        breakdown.push({
+          tax_profile_id: profile.id,
+          profile: profile.name,
+          name: component.name,
+          rate,
+          base: roundMoney(base),
+          amount: roundMoney((base * rate) / 100)
+        });
+      });
+    });
+
+  return {
+    amount: roundMoney(breakdown.reduce((sum, entry) => sum + entry.amount, 0)),
+    breakdown
+  };
+};
+
+module.exports = {
+  TABLE_TIME,
+  DEFAULT_TAX_PROFILES,
+  roundMoney,
+  loadTaxProfiles,
+  calculateLineTax,
+  calculateTaxes,
+  calculateServiceFee,
+  summarizeBreakdown
+};